@@ -10,12 +10,19 @@ const authRoutes = require("./routes/authRoutes");
 const userRoutes = require("./routes/userRoutes");
 const clientRoutes = require("./routes/clientRoutes");
 const invoiceRoutes = require("./routes/invoiceRoutes");
+const recurringInvoiceRoutes = require("./routes/recurringInvoiceRoutes");
+const estimateRoutes = require("./routes/estimateRoutes");
+const creditNoteRoutes = require("./routes/creditNoteRoutes");
+const exchangeRateRoutes = require("./routes/exchangeRateRoutes");
 const inventoryRoutes = require("./routes/inventoryRoutes");
 const salesRoutes = require("./routes/salesRoutes");
 const expenseRoutes = require("./routes/expenseRoutes");
 const paymentRoutes = require("./routes/paymentRoutes");
 const subscriptionRoutes = require("./routes/subscriptionRoutes");
 const analyticsRoutes = require("./routes/analyticsRoutes");
+const teamRoutes = require("./routes/teamRoutes");
+const apiKeyRoutes = require("./routes/apiKeyRoutes");
+const publicRoutes = require("./routes/publicRoutes");
 
 const app = express();
 
@@ -51,7 +58,12 @@ app.use(
       }
     },
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Device-Id",
+      "X-API-Key",
+    ],
     credentials: true,
   })
 );
@@ -81,6 +93,10 @@ app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/clients", clientRoutes);
 app.use("/api/invoices", invoiceRoutes);
+app.use("/api/recurring-invoices", recurringInvoiceRoutes);
+app.use("/api/estimates", estimateRoutes);
+app.use("/api/credit-notes", creditNoteRoutes);
+app.use("/api/exchange-rates", exchangeRateRoutes);
 app.use("/api/inventory", inventoryRoutes);
 
 // Frontend backward compatibility (some old code may use /products)
@@ -91,6 +107,13 @@ app.use("/api/expenses", expenseRoutes);
 app.use("/api/payments", paymentRoutes);
 app.use("/api/subscriptions", subscriptionRoutes);
 app.use("/api/analytics", analyticsRoutes);
+app.use("/api/team", teamRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+
+// ---------------------------
+// ✅ Public Links (opened by clients from emails)
+// ---------------------------
+app.use("/public", publicRoutes);
 
 // ---------------------------
 // ✅ 404 and Error Handling
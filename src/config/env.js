@@ -153,6 +153,34 @@ const checkProductionSecurity = () => {
     insecureDefaults.push("MONGODB_URI is using localhost in production");
   }
 
+  if (
+    !process.env.ENCRYPTION_KEY ||
+    process.env.ENCRYPTION_KEY.length < 32 ||
+    process.env.ENCRYPTION_KEY.includes("your_")
+  ) {
+    insecureDefaults.push(
+      "ENCRYPTION_KEY must be set (at least 32 characters) to encrypt secrets at rest"
+    );
+  }
+
+  // Console and file transports are for development and tests only
+  if (process.env.EMAIL_TRANSPORT && process.env.EMAIL_TRANSPORT !== "smtp") {
+    insecureDefaults.push(
+      `EMAIL_TRANSPORT "${process.env.EMAIL_TRANSPORT}" cannot be used in production (use smtp)`
+    );
+  } else if (!process.env.EMAIL_HOST) {
+    insecureDefaults.push(
+      "EMAIL_HOST must be set to send emails in production"
+    );
+  }
+
+  // The console provider only logs messages (login codes included)
+  if (!process.env.SMS_PROVIDER || process.env.SMS_PROVIDER === "console") {
+    insecureDefaults.push(
+      "SMS_PROVIDER must be a real SMS gateway in production (not console)"
+    );
+  }
+
   if (
     process.env.FLUTTERWAVE_SECRET_KEY &&
     process.env.FLUTTERWAVE_SECRET_KEY.includes("your_")
@@ -222,18 +250,51 @@ const getConfig = () => {
     },
 
     email: {
+      // smtp | console | file (console and file are for development and
+      // tests; production requires smtp, see checkProductionSecurity)
+      transport:
+        process.env.EMAIL_TRANSPORT ||
+        (process.env.EMAIL_HOST || process.env.NODE_ENV === "production"
+          ? "smtp"
+          : "console"),
       host: process.env.EMAIL_HOST,
       port: parseInt(process.env.EMAIL_PORT) || 587,
+      secure: process.env.EMAIL_SECURE === "true",
       user: process.env.EMAIL_USER,
       password: process.env.EMAIL_PASSWORD,
-      from: process.env.EMAIL_FROM,
+      from:
+        process.env.EMAIL_FROM ||
+        "Business Management <noreply@yourbusiness.com>",
+      outputDir: process.env.EMAIL_OUTPUT_DIR || "tmp/emails",
+    },
+
+    sms: {
+      // console (logs messages, for development and tests only) | twilio
+      provider:
+        process.env.SMS_PROVIDER ||
+        (["development", "test"].includes(process.env.NODE_ENV)
+          ? "console"
+          : "twilio"),
+      from: process.env.SMS_FROM,
+      twilio: {
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+      },
     },
 
+    frontendUrl: process.env.FRONTEND_URL || "http://localhost:3000",
+    // Public URL of this API, for links that must reach it (invoice PDFs, pixels)
+    apiUrl: process.env.API_URL || `http://localhost:${process.env.PORT}`,
+
     rateLimit: {
       windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS),
       maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS),
       authWindowMs: parseInt(process.env.RATE_LIMIT_AUTH_WINDOW_MS) || 300000,
       authMaxRequests: parseInt(process.env.RATE_LIMIT_AUTH_MAX_REQUESTS) || 5,
+      apiKeyWindowMs:
+        parseInt(process.env.RATE_LIMIT_API_KEY_WINDOW_MS) || 900000,
+      apiKeyMaxRequests:
+        parseInt(process.env.RATE_LIMIT_API_KEY_MAX_REQUESTS) || 1000,
     },
 
     cors: {
@@ -248,12 +309,41 @@ const getConfig = () => {
 
     business: {
       invoicePrefix: process.env.INVOICE_PREFIX,
+      invoiceNumberStart: parseInt(process.env.INVOICE_NUMBER_START) || 1,
       currency: process.env.CURRENCY,
       taxRate: parseFloat(process.env.TAX_RATE),
       lowStockThreshold: parseInt(process.env.LOW_STOCK_THRESHOLD),
       paymentDueDays: parseInt(process.env.PAYMENT_DUE_DAYS) || 30,
     },
 
+    uploads: {
+      // Largest file accepted, in bytes
+      maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 5242880,
+      // MIME types accepted, checked against the file contents
+      allowedFileTypes: (
+        process.env.ALLOWED_FILE_TYPES || "image/jpeg,image/png,application/pdf"
+      )
+        .split(",")
+        .map((type) => type.trim().toLowerCase())
+        .filter(Boolean),
+    },
+
+    storage: {
+      // local (files under STORAGE_LOCAL_DIR) | s3 (AWS S3 or any
+      // S3-compatible service)
+      driver: process.env.STORAGE_DRIVER || "local",
+      localDir: process.env.STORAGE_LOCAL_DIR || "uploads",
+      s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || "us-east-1",
+        // Custom endpoint for S3-compatible services (MinIO, Spaces, R2...)
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      },
+    },
+
     logging: {
       level: process.env.LOG_LEVEL,
       morganFormat: process.env.MORGAN_FORMAT,
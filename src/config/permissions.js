@@ -0,0 +1,145 @@
+/**
+ * Permission matrix
+ * Every business route requires one of these permissions. Businesses can
+ * replace the defaults for admin, manager and staff; the owner always has
+ * every permission.
+ */
+const PERMISSIONS = {
+  "clients:read": "View clients",
+  "clients:write": "Create and edit clients",
+  "clients:delete": "Delete clients",
+
+  "invoices:read": "View invoices",
+  "invoices:create": "Create invoices",
+  "invoices:update": "Edit invoices",
+  "invoices:delete": "Delete invoices",
+  "invoices:send": "Send invoices to clients",
+
+  "payments:read": "View payments",
+  "payments:create": "Record and collect payments",
+  "payments:update": "Edit payments",
+  "payments:refund": "Refund payments",
+
+  "inventory:read": "View inventory",
+  "inventory:write": "Create and edit inventory items",
+  "inventory:delete": "Delete inventory items",
+  "inventory:adjust": "Adjust stock levels",
+
+  "sales:read": "View sales",
+  "sales:write": "Record, update and cancel sales",
+
+  "expenses:read": "View expenses",
+  "expenses:write": "Record expenses",
+  "expenses:delete": "Delete expenses",
+
+  "reports:view": "View analytics and statistics",
+
+  "team:view": "View team members",
+  "team:manage": "Invite, remove and change roles of team members",
+
+  "billing:manage": "Manage the subscription plan",
+  "settings:manage": "Manage business settings and permissions",
+  "apikeys:manage": "Create and revoke API keys",
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Roles whose permissions a business can customize
+const CUSTOMIZABLE_ROLES = ["admin", "manager", "staff"];
+
+// Permissions only the owner has unless a business grants them
+const OWNER_ONLY_PERMISSIONS = [
+  "billing:manage",
+  "settings:manage",
+  "apikeys:manage",
+];
+
+// Scopes an API key can be given (business data only, never account,
+// team or billing management)
+const API_KEY_SCOPES = ALL_PERMISSIONS.filter(
+  (permission) =>
+    !permission.startsWith("team:") &&
+    !OWNER_ONLY_PERMISSIONS.includes(permission)
+);
+
+// Default permissions per role
+const DEFAULT_ROLE_PERMISSIONS = {
+  owner: ALL_PERMISSIONS,
+  admin: ALL_PERMISSIONS.filter(
+    (permission) => !OWNER_ONLY_PERMISSIONS.includes(permission)
+  ),
+  manager: [
+    "clients:read",
+    "clients:write",
+    "invoices:read",
+    "invoices:create",
+    "invoices:update",
+    "invoices:send",
+    "payments:read",
+    "payments:create",
+    "payments:update",
+    "payments:refund",
+    "inventory:read",
+    "inventory:write",
+    "inventory:adjust",
+    "sales:read",
+    "sales:write",
+    "expenses:read",
+    "expenses:write",
+    "reports:view",
+    "team:view",
+  ],
+  staff: [
+    "clients:read",
+    "clients:write",
+    "invoices:read",
+    "invoices:create",
+    "invoices:send",
+    "payments:read",
+    "payments:create",
+    "inventory:read",
+    "sales:read",
+    "sales:write",
+    "expenses:read",
+    "expenses:write",
+    "team:view",
+  ],
+};
+
+/**
+ * Check that every entry is a known permission
+ * Returns the unknown entries (empty when valid)
+ */
+const findUnknownPermissions = (permissions = []) => {
+  return permissions.filter((permission) => !PERMISSIONS[permission]);
+};
+
+/**
+ * Resolve the permissions of a role
+ * @param {string} role - User role
+ * @param {Map|Object} overrides - Business overrides keyed by role
+ */
+const resolvePermissions = (role, overrides = null) => {
+  if (role === "owner") {
+    return [...ALL_PERMISSIONS];
+  }
+
+  const custom =
+    overrides && (overrides.get ? overrides.get(role) : overrides[role]);
+
+  if (CUSTOMIZABLE_ROLES.includes(role) && Array.isArray(custom)) {
+    return custom.filter((permission) => PERMISSIONS[permission]);
+  }
+
+  return [...(DEFAULT_ROLE_PERMISSIONS[role] || [])];
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  CUSTOMIZABLE_ROLES,
+  API_KEY_SCOPES,
+  DEFAULT_ROLE_PERMISSIONS,
+  findUnknownPermissions,
+  resolvePermissions,
+};
@@ -27,6 +27,11 @@ const generalLimiter = rateLimit({
     // Skip rate limiting for health check endpoints
     return req.path === "/api/health" || req.path === "/health";
   },
+  // Requests with a valid API key are limited per key by apiKeyLimiter:
+  // authenticate sets req.apiKey once the key is checked, and their hit is
+  // given back when the response ends. Unknown or invalid keys still count.
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req) => !!req.apiKey,
 });
 
 /**
@@ -132,6 +137,33 @@ const uploadLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * API key rate limiter
+ * Limits: per key rather than per IP (1000 requests per 15 minutes by
+ * default, or the key's own rateLimit.max)
+ * Applied by authenticate to requests made with an X-API-Key header
+ */
+const apiKeyLimiter = rateLimit({
+  windowMs: config.rateLimit.apiKeyWindowMs,
+  max: (req) =>
+    (req.apiKey && req.apiKey.rateLimit && req.apiKey.rateLimit.max) ||
+    config.rateLimit.apiKeyMaxRequests,
+  keyGenerator: (req) => `api-key:${req.apiKey._id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    console.warn(
+      `⚠️  API key rate limit exceeded for key: ${req.apiKey.prefix}`
+    );
+    res.status(429).json({
+      success: false,
+      message: "API key rate limit exceeded. Please slow down.",
+      error: "API_KEY_RATE_LIMIT_EXCEEDED",
+      retryAfter: req.rateLimit.resetTime,
+    });
+  },
+});
+
 /**
  * Create a custom rate limiter
  * @param {number} windowMs - Time window in milliseconds
@@ -160,5 +192,6 @@ module.exports = {
   invoiceLimiter,
   analyticsLimiter,
   uploadLimiter,
+  apiKeyLimiter,
   createCustomLimiter,
 };
@@ -2,7 +2,24 @@ const { Invoice } = require("../models/Invoice");
 const Payment = require("../models/Payment");
 const Client = require("../models/Client");
 const Inventory = require("../models/Inventory");
-const mongoose = require("mongoose");
+const CreditNote = require("../models/CreditNote");
+const Organization = require("../models/Organization");
+const {
+  getCurrencySettings,
+  inBaseCurrency,
+} = require("../services/exchangeRateService");
+
+// Amounts are reported in the base currency of the business. Payments keep
+// their amount in it once received; payments from before multi-currency and
+// those without a known rate count at face value.
+const paymentInBase = { $ifNull: ["$baseAmount", "$amount"] };
+
+const loadBaseCurrency = async (organizationId) =>
+  getCurrencySettings(
+    await Organization.findById(organizationId).select(
+      "baseCurrency currencies"
+    )
+  ).baseCurrency;
 
 /**
  * @route   GET /api/analytics/dashboard
@@ -11,7 +28,7 @@ const mongoose = require("mongoose");
  */
 const getDashboardStats = async (req, res) => {
   try {
-    const userId = req.userId;
+    const organizationId = req.organizationId;
 
     // Get date range (default: last 30 days)
     const { startDate, endDate } = req.query;
@@ -20,11 +37,13 @@ const getDashboardStats = async (req, res) => {
       : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
     const end = endDate ? new Date(endDate) : new Date();
 
+    const baseCurrency = await loadBaseCurrency(organizationId);
+
     // Total Revenue (completed payments)
     const revenueStats = await Payment.aggregate([
       {
         $match: {
-          user: mongoose.Types.ObjectId(userId),
+          organization: organizationId,
           status: "completed",
           paymentDate: { $gte: start, $lte: end },
         },
@@ -32,9 +51,10 @@ const getDashboardStats = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalRevenue: { $sum: "$amount" },
+          totalRevenue: { $sum: paymentInBase },
           totalTransactions: { $sum: 1 },
-          averageTransaction: { $avg: "$amount" },
+          averageTransaction: { $avg: paymentInBase },
+          fxGainLoss: { $sum: { $ifNull: ["$fxGainLoss", 0] } },
         },
       },
     ]);
@@ -43,7 +63,7 @@ const getDashboardStats = async (req, res) => {
     const invoiceStats = await Invoice.aggregate([
       {
         $match: {
-          user: mongoose.Types.ObjectId(userId),
+          organization: organizationId,
           issueDate: { $gte: start, $lte: end },
         },
       },
@@ -51,9 +71,10 @@ const getDashboardStats = async (req, res) => {
         $group: {
           _id: null,
           totalInvoices: { $sum: 1 },
-          totalAmount: { $sum: "$total" },
-          totalPaid: { $sum: "$amountPaid" },
-          totalDue: { $sum: "$amountDue" },
+          totalAmount: { $sum: inBaseCurrency("$total") },
+          totalPaid: { $sum: inBaseCurrency("$amountPaid") },
+          totalCredited: { $sum: inBaseCurrency("$amountCredited") },
+          totalDue: { $sum: inBaseCurrency("$amountDue") },
         },
       },
     ]);
@@ -62,7 +83,7 @@ const getDashboardStats = async (req, res) => {
     const invoiceByStatus = await Invoice.aggregate([
       {
         $match: {
-          user: mongoose.Types.ObjectId(userId),
+          organization: organizationId,
           issueDate: { $gte: start, $lte: end },
         },
       },
@@ -70,36 +91,56 @@ const getDashboardStats = async (req, res) => {
         $group: {
           _id: "$status",
           count: { $sum: 1 },
-          total: { $sum: "$total" },
+          total: { $sum: inBaseCurrency("$total") },
+        },
+      },
+    ]);
+
+    // Credit notes issued in the period
+    const creditNoteStats = await CreditNote.aggregate([
+      {
+        $match: {
+          organization: organizationId,
+          issueDate: { $gte: start, $lte: end },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          total: { $sum: inBaseCurrency("$total") },
+          clientCredit: { $sum: inBaseCurrency("$clientCredit") },
         },
       },
     ]);
 
     // Total Clients
     const totalClients = await Client.countDocuments({
-      user: userId,
+      organization: organizationId,
       status: "active",
     });
 
     // New Clients (in date range)
     const newClients = await Client.countDocuments({
-      user: userId,
+      organization: organizationId,
       createdAt: { $gte: start, $lte: end },
     });
 
     // Inventory Value
-    const inventoryValue = await Inventory.getTotalInventoryValue(userId);
+    const inventoryValue = await Inventory.getTotalInventoryValue(
+      organizationId
+    );
 
     // Low Stock Count
     const lowStockCount = await Inventory.countDocuments({
-      user: userId,
+      organization: organizationId,
       trackInventory: true,
       $expr: { $lte: ["$quantity", "$reorderPoint"] },
     });
 
     // Overdue Invoices
     const overdueInvoices = await Invoice.countDocuments({
-      user: userId,
+      organization: organizationId,
       status: "overdue",
     });
 
@@ -107,7 +148,7 @@ const getDashboardStats = async (req, res) => {
     const topClients = await Payment.aggregate([
       {
         $match: {
-          user: mongoose.Types.ObjectId(userId),
+          organization: organizationId,
           status: "completed",
           paymentDate: { $gte: start, $lte: end },
         },
@@ -115,7 +156,7 @@ const getDashboardStats = async (req, res) => {
       {
         $group: {
           _id: "$client",
-          totalPaid: { $sum: "$amount" },
+          totalPaid: { $sum: paymentInBase },
           transactionCount: { $sum: 1 },
         },
       },
@@ -145,7 +186,7 @@ const getDashboardStats = async (req, res) => {
     const revenueTrend = await Payment.aggregate([
       {
         $match: {
-          user: mongoose.Types.ObjectId(userId),
+          organization: organizationId,
           status: "completed",
           paymentDate: { $gte: start, $lte: end },
         },
@@ -155,7 +196,7 @@ const getDashboardStats = async (req, res) => {
           _id: {
             $dateToString: { format: "%Y-%m-%d", date: "$paymentDate" },
           },
-          revenue: { $sum: "$amount" },
+          revenue: { $sum: paymentInBase },
           transactions: { $sum: 1 },
         },
       },
@@ -165,18 +206,26 @@ const getDashboardStats = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
+        baseCurrency,
         revenue: revenueStats[0] || {
           totalRevenue: 0,
           totalTransactions: 0,
           averageTransaction: 0,
+          fxGainLoss: 0,
         },
         invoices: invoiceStats[0] || {
           totalInvoices: 0,
           totalAmount: 0,
           totalPaid: 0,
+          totalCredited: 0,
           totalDue: 0,
         },
         invoicesByStatus: invoiceByStatus,
+        creditNotes: creditNoteStats[0] || {
+          count: 0,
+          total: 0,
+          clientCredit: 0,
+        },
         clients: {
           total: totalClients,
           new: newClients,
@@ -207,7 +256,7 @@ const getDashboardStats = async (req, res) => {
  */
 const getRevenueAnalytics = async (req, res) => {
   try {
-    const userId = req.userId;
+    const organizationId = req.organizationId;
     const { startDate, endDate, groupBy = "day" } = req.query;
 
     const start = startDate
@@ -225,11 +274,13 @@ const getRevenueAnalytics = async (req, res) => {
 
     const dateFormat = dateFormats[groupBy] || dateFormats.day;
 
+    const baseCurrency = await loadBaseCurrency(organizationId);
+
     // Revenue over time
     const revenueOverTime = await Payment.aggregate([
       {
         $match: {
-          user: mongoose.Types.ObjectId(userId),
+          organization: organizationId,
           status: "completed",
           paymentDate: { $gte: start, $lte: end },
         },
@@ -239,9 +290,9 @@ const getRevenueAnalytics = async (req, res) => {
           _id: {
             $dateToString: { format: dateFormat, date: "$paymentDate" },
           },
-          revenue: { $sum: "$amount" },
+          revenue: { $sum: paymentInBase },
           transactions: { $sum: 1 },
-          averageAmount: { $avg: "$amount" },
+          averageAmount: { $avg: paymentInBase },
         },
       },
       { $sort: { _id: 1 } },
@@ -251,7 +302,7 @@ const getRevenueAnalytics = async (req, res) => {
     const revenueByMethod = await Payment.aggregate([
       {
         $match: {
-          user: mongoose.Types.ObjectId(userId),
+          organization: organizationId,
           status: "completed",
           paymentDate: { $gte: start, $lte: end },
         },
@@ -259,7 +310,7 @@ const getRevenueAnalytics = async (req, res) => {
       {
         $group: {
           _id: "$method",
-          revenue: { $sum: "$amount" },
+          revenue: { $sum: paymentInBase },
           transactions: { $sum: 1 },
         },
       },
@@ -270,7 +321,7 @@ const getRevenueAnalytics = async (req, res) => {
     const summary = await Payment.aggregate([
       {
         $match: {
-          user: mongoose.Types.ObjectId(userId),
+          organization: organizationId,
           status: "completed",
           paymentDate: { $gte: start, $lte: end },
         },
@@ -278,27 +329,52 @@ const getRevenueAnalytics = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalRevenue: { $sum: "$amount" },
+          totalRevenue: { $sum: paymentInBase },
           totalTransactions: { $sum: 1 },
-          averageTransaction: { $avg: "$amount" },
-          minTransaction: { $min: "$amount" },
-          maxTransaction: { $max: "$amount" },
+          averageTransaction: { $avg: paymentInBase },
+          minTransaction: { $min: paymentInBase },
+          maxTransaction: { $max: paymentInBase },
+          fxGainLoss: { $sum: { $ifNull: ["$fxGainLoss", 0] } },
+        },
+      },
+    ]);
+
+    // Revenue by currency received, with its value in the base currency
+    const revenueByCurrency = await Payment.aggregate([
+      {
+        $match: {
+          organization: organizationId,
+          status: "completed",
+          paymentDate: { $gte: start, $lte: end },
+        },
+      },
+      {
+        $group: {
+          _id: "$currency",
+          amount: { $sum: "$amount" },
+          baseAmount: { $sum: paymentInBase },
+          fxGainLoss: { $sum: { $ifNull: ["$fxGainLoss", 0] } },
+          transactions: { $sum: 1 },
         },
       },
+      { $sort: { baseAmount: -1 } },
     ]);
 
     res.status(200).json({
       success: true,
       data: {
+        baseCurrency,
         summary: summary[0] || {
           totalRevenue: 0,
           totalTransactions: 0,
           averageTransaction: 0,
           minTransaction: 0,
           maxTransaction: 0,
+          fxGainLoss: 0,
         },
         overTime: revenueOverTime,
         byMethod: revenueByMethod,
+        byCurrency: revenueByCurrency,
       },
     });
   } catch (error) {
@@ -318,11 +394,11 @@ const getRevenueAnalytics = async (req, res) => {
  */
 const getClientAnalytics = async (req, res) => {
   try {
-    const userId = req.userId;
+    const organizationId = req.organizationId;
 
     // Total clients by status
     const clientsByStatus = await Client.aggregate([
-      { $match: { user: mongoose.Types.ObjectId(userId) } },
+      { $match: { organization: organizationId } },
       {
         $group: {
           _id: "$status",
@@ -333,7 +409,7 @@ const getClientAnalytics = async (req, res) => {
 
     // Clients by type
     const clientsByType = await Client.aggregate([
-      { $match: { user: mongoose.Types.ObjectId(userId) } },
+      { $match: { organization: organizationId } },
       {
         $group: {
           _id: "$clientType",
@@ -343,20 +419,22 @@ const getClientAnalytics = async (req, res) => {
     ]);
 
     // Top clients by total owed
-    const topClientsByRevenue = await Client.find({ user: userId })
+    const topClientsByRevenue = await Client.find({
+      organization: organizationId,
+    })
       .sort({ totalPaid: -1 })
       .limit(10)
       .select("name email totalPaid totalOwed currentBalance");
 
     // Clients with outstanding balance
     const clientsWithBalance = await Client.countDocuments({
-      user: userId,
+      organization: organizationId,
       currentBalance: { $gt: 0 },
     });
 
     // Client growth over time (last 12 months)
     const clientGrowth = await Client.aggregate([
-      { $match: { user: mongoose.Types.ObjectId(userId) } },
+      { $match: { organization: organizationId } },
       {
         $group: {
           _id: {
@@ -396,7 +474,7 @@ const getClientAnalytics = async (req, res) => {
  */
 const getInvoiceAnalytics = async (req, res) => {
   try {
-    const userId = req.userId;
+    const organizationId = req.organizationId;
     const { startDate, endDate } = req.query;
 
     const start = startDate
@@ -404,11 +482,13 @@ const getInvoiceAnalytics = async (req, res) => {
       : new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
     const end = endDate ? new Date(endDate) : new Date();
 
+    const baseCurrency = await loadBaseCurrency(organizationId);
+
     // Invoice summary
     const summary = await Invoice.aggregate([
       {
         $match: {
-          user: mongoose.Types.ObjectId(userId),
+          organization: organizationId,
           issueDate: { $gte: start, $lte: end },
         },
       },
@@ -416,10 +496,11 @@ const getInvoiceAnalytics = async (req, res) => {
         $group: {
           _id: null,
           totalInvoices: { $sum: 1 },
-          totalAmount: { $sum: "$total" },
-          totalPaid: { $sum: "$amountPaid" },
-          totalDue: { $sum: "$amountDue" },
-          averageAmount: { $avg: "$total" },
+          totalAmount: { $sum: inBaseCurrency("$total") },
+          totalPaid: { $sum: inBaseCurrency("$amountPaid") },
+          totalCredited: { $sum: inBaseCurrency("$amountCredited") },
+          totalDue: { $sum: inBaseCurrency("$amountDue") },
+          averageAmount: { $avg: inBaseCurrency("$total") },
         },
       },
     ]);
@@ -428,7 +509,7 @@ const getInvoiceAnalytics = async (req, res) => {
     const byStatus = await Invoice.aggregate([
       {
         $match: {
-          user: mongoose.Types.ObjectId(userId),
+          organization: organizationId,
           issueDate: { $gte: start, $lte: end },
         },
       },
@@ -436,16 +517,37 @@ const getInvoiceAnalytics = async (req, res) => {
         $group: {
           _id: "$status",
           count: { $sum: 1 },
+          total: { $sum: inBaseCurrency("$total") },
+        },
+      },
+    ]);
+
+    // By currency invoiced, with its value in the base currency
+    const byCurrency = await Invoice.aggregate([
+      {
+        $match: {
+          organization: organizationId,
+          issueDate: { $gte: start, $lte: end },
+        },
+      },
+      {
+        $group: {
+          _id: "$currency",
+          count: { $sum: 1 },
           total: { $sum: "$total" },
+          amountDue: { $sum: "$amountDue" },
+          baseTotal: { $sum: inBaseCurrency("$total") },
+          baseAmountDue: { $sum: inBaseCurrency("$amountDue") },
         },
       },
+      { $sort: { baseTotal: -1 } },
     ]);
 
     // Average payment time (for paid invoices)
     const avgPaymentTime = await Invoice.aggregate([
       {
         $match: {
-          user: mongoose.Types.ObjectId(userId),
+          organization: organizationId,
           status: "paid",
           paidDate: { $exists: true },
         },
@@ -468,11 +570,29 @@ const getInvoiceAnalytics = async (req, res) => {
       },
     ]);
 
+    // Credit notes by reason
+    const creditNotesByReason = await CreditNote.aggregate([
+      {
+        $match: {
+          organization: organizationId,
+          issueDate: { $gte: start, $lte: end },
+        },
+      },
+      {
+        $group: {
+          _id: "$reason",
+          count: { $sum: 1 },
+          total: { $sum: inBaseCurrency("$total") },
+        },
+      },
+      { $sort: { total: -1 } },
+    ]);
+
     // Monthly trend
     const monthlyTrend = await Invoice.aggregate([
       {
         $match: {
-          user: mongoose.Types.ObjectId(userId),
+          organization: organizationId,
           issueDate: { $gte: start, $lte: end },
         },
       },
@@ -482,8 +602,9 @@ const getInvoiceAnalytics = async (req, res) => {
             $dateToString: { format: "%Y-%m", date: "$issueDate" },
           },
           count: { $sum: 1 },
-          total: { $sum: "$total" },
-          paid: { $sum: "$amountPaid" },
+          total: { $sum: inBaseCurrency("$total") },
+          paid: { $sum: inBaseCurrency("$amountPaid") },
+          credited: { $sum: inBaseCurrency("$amountCredited") },
         },
       },
       { $sort: { _id: 1 } },
@@ -492,14 +613,18 @@ const getInvoiceAnalytics = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
+        baseCurrency,
         summary: summary[0] || {
           totalInvoices: 0,
           totalAmount: 0,
           totalPaid: 0,
+          totalCredited: 0,
           totalDue: 0,
           averageAmount: 0,
         },
         byStatus,
+        byCurrency,
+        creditNotesByReason,
         averagePaymentTime: avgPaymentTime[0]?.averageDays || 0,
         monthlyTrend,
       },
@@ -521,14 +646,14 @@ const getInvoiceAnalytics = async (req, res) => {
  */
 const getInventoryAnalytics = async (req, res) => {
   try {
-    const userId = req.userId;
+    const organizationId = req.organizationId;
 
     // Total value
-    const value = await Inventory.getTotalInventoryValue(userId);
+    const value = await Inventory.getTotalInventoryValue(organizationId);
 
     // By category
     const byCategory = await Inventory.aggregate([
-      { $match: { user: mongoose.Types.ObjectId(userId) } },
+      { $match: { organization: organizationId } },
       {
         $group: {
           _id: "$category",
@@ -545,19 +670,19 @@ const getInventoryAnalytics = async (req, res) => {
 
     // Low stock items
     const lowStockCount = await Inventory.countDocuments({
-      user: userId,
+      organization: organizationId,
       trackInventory: true,
       $expr: { $lte: ["$quantity", "$reorderPoint"] },
     });
 
     // Out of stock
     const outOfStockCount = await Inventory.countDocuments({
-      user: userId,
+      organization: organizationId,
       quantity: 0,
     });
 
     // Top items by value
-    const topItems = await Inventory.find({ user: userId })
+    const topItems = await Inventory.find({ organization: organizationId })
       .sort({ retailValue: -1 })
       .limit(10)
       .select("name sku quantity unitCost retailPrice category");
@@ -0,0 +1,146 @@
+const ApiKey = require("../models/ApiKey");
+const { API_KEY_SCOPES } = require("../config/permissions");
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    Get API keys of the business
+ * @access  Private (apikeys:manage)
+ */
+const getApiKeys = async (req, res) => {
+  try {
+    const query = { organization: req.organizationId };
+    if (req.query.includeRevoked !== "true") {
+      query.revokedAt = { $exists: false };
+    }
+
+    const apiKeys = await ApiKey.find(query)
+      .populate("createdBy", "email")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        apiKeys,
+        availableScopes: API_KEY_SCOPES,
+      },
+    });
+  } catch (error) {
+    console.error("Get API keys error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching API keys",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key (the key is only returned once)
+ * @access  Private (apikeys:manage)
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt, rateLimit } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: "API key name is required",
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one scope is required",
+        availableScopes: API_KEY_SCOPES,
+      });
+    }
+
+    const invalidScopes = scopes.filter(
+      (scope) => !API_KEY_SCOPES.includes(scope)
+    );
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scopes: ${invalidScopes.join(", ")}`,
+        availableScopes: API_KEY_SCOPES,
+      });
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Expiry date must be in the future",
+      });
+    }
+
+    const { apiKey, key } = await ApiKey.generate({
+      organization: req.organizationId,
+      createdBy: req.userId,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      rateLimit: rateLimit ? { max: rateLimit.max } : undefined,
+    });
+
+    res.status(201).json({
+      success: true,
+      message:
+        "API key created successfully. Copy it now, it will not be shown again.",
+      data: {
+        apiKey,
+        key,
+      },
+    });
+  } catch (error) {
+    console.error("Create API key error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating API key",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (apikeys:manage)
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    await apiKey.revoke(req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: "API key revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke API key error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking API key",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
@@ -1,9 +1,287 @@
 const User = require("../models/User");
 const Payment = require("../models/Payment");
 const Subscription = require("../models/Subscription");
-const { generateTokens, verifyRefreshToken } = require("../utils/jwt");
+const Session = require("../models/Session");
+const Organization = require("../models/Organization");
+const LoginCode = require("../models/LoginCode");
+const SecurityEvent = require("../models/SecurityEvent");
+const {
+  generateTokens,
+  verifyRefreshToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+  getTokenExpiry,
+} = require("../utils/jwt");
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpAuthUrl,
+} = require("../utils/totp");
+const {
+  sendSafely,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendMagicLinkEmail,
+} = require("../services/emailService");
+const { sendLoginCode } = require("../services/smsService");
 const crypto = require("crypto");
 const axios = require("axios");
+const QRCode = require("qrcode");
+
+const TWO_FACTOR_ISSUER =
+  process.env.TOTP_ISSUER || "Script Business Management";
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+// Minimum time between two verification emails to the same account
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+// Passwordless login: link/code lifetimes and time between two sends
+const MAGIC_LINK_EXPIRES_MINUTES = 15;
+const PHONE_CODE_EXPIRES_MINUTES = 10;
+const LOGIN_CODE_RESEND_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Create a persisted session for the user and issue tokens bound to it
+ * Only the hash of the refresh token is stored, along with the device
+ * details shown on the active sessions list
+ */
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    ipAddress: req.ip,
+    userAgent: req.headers["user-agent"],
+    deviceId: req.headers["x-device-id"] || req.body.deviceId,
+  });
+  const tokens = generateTokens(user._id, user.email, user.role, session._id);
+
+  session.refreshTokenHash = Session.hashToken(tokens.refreshToken);
+  session.expiresAt = getTokenExpiry(tokens.refreshToken);
+  await session.save();
+
+  return tokens;
+};
+
+/**
+ * Whether the business policy forces this user to enroll in 2FA
+ * Owners decide for themselves; the policy (settings.security on the owner)
+ * only covers the team members of their business.
+ */
+const isTwoFactorEnforced = async (user) => {
+  if (user.role === "owner" || !user.organization) {
+    return false;
+  }
+
+  const organization = await Organization.findById(user.organization).populate(
+    "owner",
+    "settings"
+  );
+
+  return !!organization?.owner?.settings?.security?.requireStaffTwoFactor;
+};
+
+/**
+ * User as sent in API responses
+ * Drops the password and the 2FA secrets and recovery codes, which some
+ * handlers load with +select
+ */
+const toUserResponse = (user) => {
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  if (userResponse.twoFactor) {
+    userResponse.twoFactor = {
+      enabled: userResponse.twoFactor.enabled,
+      enabledAt: userResponse.twoFactor.enabledAt,
+    };
+  }
+
+  return userResponse;
+};
+
+/**
+ * Record the login and respond with user and session tokens
+ * @param {string} method - How the user proved who they are (for the audit log)
+ */
+const issueLoginTokens = async (
+  user,
+  req,
+  res,
+  extra = {},
+  method = "password"
+) => {
+  user.lastLogin = new Date();
+  await user.save();
+
+  await SecurityEvent.record("login_success", {
+    req,
+    user,
+    metadata: { method },
+  });
+
+  // Generate JWT tokens
+  const tokens = await createSession(user, req);
+
+  const userResponse = toUserResponse(user);
+
+  return res.status(200).json({
+    success: true,
+    message: "Login successful",
+    data: {
+      user: userResponse,
+      tokens,
+      ...extra,
+    },
+  });
+};
+
+/**
+ * Count a failed login against the lockout and audit it
+ */
+const recordFailedLogin = async (user, req, method) => {
+  await user.incLoginAttempts();
+  await SecurityEvent.record("login_failed", {
+    req,
+    user,
+    metadata: { method, reason: "invalid_credentials" },
+  });
+
+  // The attempt that trips the lockout is recorded on its own
+  const locked = await User.exists({
+    _id: user._id,
+    lockUntil: { $gt: Date.now() },
+  });
+  if (locked) {
+    await SecurityEvent.record("account_locked", {
+      req,
+      user,
+      metadata: { method },
+    });
+  }
+};
+
+/**
+ * Account status checks shared by every way of logging in
+ * Responds with 403 and returns true when the account cannot sign in
+ */
+const rejectInactiveAccount = async (user, req, res) => {
+  if (user.status !== "active") {
+    await SecurityEvent.record("login_failed", {
+      req,
+      user,
+      metadata: { reason: `account_${user.status}` },
+    });
+  }
+
+  // User must have paid (status must be active)
+  if (user.status === "pending") {
+    res.status(403).json({
+      success: false,
+      message:
+        "Please complete your premium plan payment to activate your account. If you've already paid, please wait a moment for verification.",
+      code: "PAYMENT_PENDING",
+      requiresPayment: true,
+    });
+    return true;
+  }
+
+  if (user.status !== "active") {
+    res.status(403).json({
+      success: false,
+      message: `Account is ${user.status}. Please contact support.`,
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Whether a passwordless login code was sent to the user too recently
+ */
+const isLoginCodeThrottled = async (user, channel) => {
+  const lastIssuedAt = await LoginCode.lastIssuedAt(user._id, channel);
+  return (
+    !!lastIssuedAt &&
+    lastIssuedAt.getTime() + LOGIN_CODE_RESEND_COOLDOWN_MS > Date.now()
+  );
+};
+
+/**
+ * Finish a login once the password has been verified
+ * Responds with a two-factor challenge instead of tokens when the user
+ * has 2FA enabled or must enroll because of the business policy
+ */
+const completeLogin = async (user, req, res, method = "password") => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication code required",
+      code: "TWO_FACTOR_REQUIRED",
+      data: {
+        requiresTwoFactor: true,
+        twoFactorToken: generateTwoFactorToken(user._id, "verify"),
+      },
+    });
+  }
+
+  if (await isTwoFactorEnforced(user)) {
+    return res.status(200).json({
+      success: true,
+      message:
+        "Your business requires two-factor authentication. Please set it up to continue.",
+      code: "TWO_FACTOR_SETUP_REQUIRED",
+      data: {
+        requiresTwoFactorSetup: true,
+        twoFactorToken: generateTwoFactorToken(user._id, "setup"),
+      },
+    });
+  }
+
+  return issueLoginTokens(user, req, res, {}, method);
+};
+
+/**
+ * Check a TOTP code against the user's active secret
+ * Rejects codes from a time step that was already used
+ */
+const checkTwoFactorCode = (user, code) => {
+  const step = verifyTotp(user.twoFactor.secret, code);
+
+  if (step === null) return false;
+  if (
+    user.twoFactor.lastUsedStep !== undefined &&
+    step <= user.twoFactor.lastUsedStep
+  ) {
+    return false;
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+/**
+ * Resolve the user enrolling in 2FA
+ * Either an authenticated user, or a user holding a "setup" challenge token
+ * because the business policy blocked their login until they enroll
+ */
+const resolveTwoFactorUser = async (req) => {
+  if (req.userId) {
+    const user = await User.findById(req.userId).select(TWO_FACTOR_FIELDS);
+    return { user, viaChallenge: false };
+  }
+
+  const { twoFactorToken } = req.body;
+  if (!twoFactorToken) {
+    return { user: null, viaChallenge: false };
+  }
+
+  const { valid, decoded } = verifyTwoFactorToken(twoFactorToken, "setup");
+  if (!valid) {
+    return { user: null, viaChallenge: false };
+  }
+
+  const user = await User.findById(decoded.userId).select(TWO_FACTOR_FIELDS);
+  return { user, viaChallenge: true };
+};
 
 /**
  * @route   POST /api/auth/register
@@ -50,245 +328,1136 @@ const register = async (req, res) => {
       isAdmin: false,
     });
 
-    // Generate email verification token
-    const verificationToken = crypto.randomBytes(32).toString("hex");
-    user.emailVerificationToken = crypto
-      .createHash("sha256")
-      .update(verificationToken)
-      .digest("hex");
-    user.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+    // Every owner gets a business their team members can be invited to
+    await Organization.ensureForUser(user);
+
+    // Generate email verification token (24 hours)
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-    // Generate JWT tokens
-    const tokens = generateTokens(user._id, user.email, user.role);
+    await sendSafely(
+      sendVerificationEmail(user, verificationToken),
+      "verification"
+    );
+
+    // Generate JWT tokens
+    const tokens = await createSession(user, req);
+
+    const userResponse = toUserResponse(user);
+
+    res.status(201).json({
+      success: true,
+      message: "User registered successfully",
+      data: {
+        user: userResponse,
+        tokens,
+      },
+      verificationToken:
+        process.env.NODE_ENV === "development" ? verificationToken : undefined,
+    });
+  } catch (error) {
+    console.error("Register error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error registering user",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Login user
+ * @access  Public
+ */
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Validate input
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide email and password",
+      });
+    }
+
+    // Find user and include password field
+    const user = await User.findOne({ email: email.toLowerCase() }).select(
+      "+password"
+    );
+
+    if (!user) {
+      await SecurityEvent.record("login_failed", {
+        req,
+        email,
+        metadata: { method: "password", reason: "unknown_email" },
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+      });
+    }
+
+    // Check if account is locked
+    if (user.isLocked) {
+      await SecurityEvent.record("login_failed", {
+        req,
+        user,
+        metadata: { method: "password", reason: "account_locked" },
+      });
+
+      return res.status(403).json({
+        success: false,
+        message:
+          "Account is locked due to multiple failed login attempts. Please try again later.",
+        lockUntil: user.lockUntil,
+      });
+    }
+
+    // Verify password
+    const isPasswordValid = await user.comparePassword(password);
+
+    if (!isPasswordValid) {
+      // Increment login attempts
+      await recordFailedLogin(user, req, "password");
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+      });
+    }
+
+    // Reset login attempts on successful login
+    if (user.loginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    if (await rejectInactiveAccount(user, req, res)) return;
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error logging in",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a one-time sign-in link
+ * @access  Public
+ */
+const requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide email",
+      });
+    }
+
+    const genericResponse = {
+      success: true,
+      message:
+        "If an account exists with this email, a sign-in link will be sent.",
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    // Don't reveal if user exists
+    if (!user || (await isLoginCodeThrottled(user, "email"))) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const { code } = await LoginCode.issue({
+      user: user._id,
+      channel: "email",
+      destination: user.email,
+      expiresInMinutes: MAGIC_LINK_EXPIRES_MINUTES,
+      ipAddress: req.ip,
+    });
+
+    await sendSafely(
+      sendMagicLinkEmail(user, code, MAGIC_LINK_EXPIRES_MINUTES),
+      "magic link"
+    );
+
+    res.status(200).json({
+      ...genericResponse,
+      magicLinkToken: process.env.NODE_ENV === "development" ? code : undefined,
+    });
+  } catch (error) {
+    console.error("Request magic link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error sending sign-in link",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/magic-link/verify
+ * @desc    Login with a sign-in link token
+ * @access  Public
+ */
+const verifyMagicLink = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Sign-in token is required",
+      });
+    }
+
+    const loginCode = await LoginCode.consumeMagicLink(token);
+
+    if (!loginCode) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired sign-in link",
+      });
+    }
+
+    const user = await User.findById(loginCode.user);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired sign-in link",
+      });
+    }
+
+    if (await rejectInactiveAccount(user, req, res)) return;
+
+    // Opening the link proves the user owns the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpires = undefined;
+      // Saved now: a 2FA challenge below responds without saving the user
+      await user.save();
+    }
+
+    await completeLogin(user, req, res, "magic_link");
+  } catch (error) {
+    console.error("Verify magic link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error logging in",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/otp/request
+ * @desc    Text a one-time login code to the registered phone
+ * @access  Public
+ */
+const requestPhoneCode = async (req, res) => {
+  try {
+    const phone = req.body.phone ? String(req.body.phone).trim() : "";
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide phone number",
+      });
+    }
+
+    const genericResponse = {
+      success: true,
+      message:
+        "If an account is registered with this phone number, a login code will be sent.",
+    };
+
+    // Placeholder numbers and numbers shared by several accounts
+    // cannot identify a single user
+    const users =
+      phone === "0000000000" ? [] : await User.find({ phone }).limit(2);
+
+    if (users.length !== 1 || (await isLoginCodeThrottled(users[0], "sms"))) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const user = users[0];
+    const { code } = await LoginCode.issue({
+      user: user._id,
+      channel: "sms",
+      destination: user.phone,
+      expiresInMinutes: PHONE_CODE_EXPIRES_MINUTES,
+      ipAddress: req.ip,
+    });
+
+    try {
+      await sendLoginCode(user.phone, code, PHONE_CODE_EXPIRES_MINUTES);
+    } catch (error) {
+      console.error("SMS delivery failed (login code):", error.message);
+    }
+
+    res.status(200).json({
+      ...genericResponse,
+      loginCode: process.env.NODE_ENV === "development" ? code : undefined,
+    });
+  } catch (error) {
+    console.error("Request phone code error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error sending login code",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/otp/verify
+ * @desc    Login with a one-time code sent by SMS
+ * @access  Public
+ */
+const verifyPhoneCode = async (req, res) => {
+  try {
+    const phone = req.body.phone ? String(req.body.phone).trim() : "";
+    const { code } = req.body;
+
+    if (!phone || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide phone number and code",
+      });
+    }
+
+    const loginCode = await LoginCode.findPendingForPhone(phone);
+
+    if (!loginCode) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired login code",
+      });
+    }
+
+    if (!(await loginCode.verifyCode(String(code).trim()))) {
+      await SecurityEvent.record("login_failed", {
+        req,
+        user: await User.findById(loginCode.user),
+        metadata: { method: "sms_code", reason: "invalid_code" },
+      });
+
+      const attemptsRemaining = Math.max(
+        loginCode.maxAttempts - loginCode.attempts,
+        0
+      );
+
+      return res.status(400).json({
+        success: false,
+        message:
+          attemptsRemaining > 0
+            ? "Invalid login code"
+            : "Too many incorrect attempts. Please request a new code.",
+        code:
+          attemptsRemaining > 0 ? "LOGIN_CODE_INVALID" : "LOGIN_CODE_LOCKED",
+        attemptsRemaining,
+      });
+    }
+
+    const user = await User.findById(loginCode.user);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired login code",
+      });
+    }
+
+    if (await rejectInactiveAccount(user, req, res)) return;
+
+    await completeLogin(user, req, res, "sms_code");
+  } catch (error) {
+    console.error("Verify phone code error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error logging in",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Revoke a session whose refresh token was presented after being rotated
+ */
+const rejectReusedRefreshToken = async (session, res) => {
+  await session.revoke("reuse_detected");
+  console.warn(
+    `⚠️  Refresh token reuse detected for session ${session._id} (user ${session.user})`
+  );
+
+  return res.status(401).json({
+    success: false,
+    message: "Refresh token has already been used. Please login again.",
+    code: "REFRESH_TOKEN_REUSED",
+  });
+};
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Refresh access token using refresh token
+ * @access  Public
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required",
+      });
+    }
+
+    // Verify refresh token
+    const { valid, expired, decoded } = verifyRefreshToken(refreshToken);
+
+    if (expired) {
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token expired. Please login again.",
+        code: "REFRESH_TOKEN_EXPIRED",
+      });
+    }
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid refresh token",
+      });
+    }
+
+    // Tokens issued before sessions were persisted cannot be rotated
+    if (!decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        message: "Session not found. Please login again.",
+        code: "SESSION_INVALID",
+      });
+    }
+
+    const session = await Session.findById(decoded.sid).select(
+      "+refreshTokenHash"
+    );
+
+    if (!session || session.user.toString() !== decoded.userId.toString()) {
+      return res.status(401).json({
+        success: false,
+        message: "Session not found. Please login again.",
+        code: "SESSION_INVALID",
+      });
+    }
+
+    if (session.revokedAt) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has been revoked. Please login again.",
+        code: "SESSION_REVOKED",
+      });
+    }
+
+    // A valid token that is no longer the current one was already rotated:
+    // someone is replaying it, so revoke the whole token family
+    if (!session.matchesToken(refreshToken)) {
+      return rejectReusedRefreshToken(session, res);
+    }
+
+    // Get user
+    const user = await User.findById(decoded.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Check account status - user must have paid (status must be active)
+    if (user.status === "pending") {
+      return res.status(403).json({
+        success: false,
+        message: "Please complete your premium plan payment to activate your account.",
+        code: "PAYMENT_PENDING",
+        requiresPayment: true,
+      });
+    }
+
+    if (user.status !== "active") {
+      return res.status(403).json({
+        success: false,
+        message: `Account is ${user.status}. Please contact support.`,
+      });
+    }
+
+    // Rotate: issue a new token pair and invalidate the presented token
+    const tokens = generateTokens(user._id, user.email, user.role, session._id);
+    const rotated = await session.rotate(
+      refreshToken,
+      tokens.refreshToken,
+      getTokenExpiry(tokens.refreshToken),
+      req.ip
+    );
+
+    // Another refresh with the same token won the race
+    if (!rotated) {
+      return rejectReusedRefreshToken(session, res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Token refreshed successfully",
+      data: {
+        tokens,
+      },
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error refreshing token",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Logout user and revoke the current session
+ * @access  Private
+ */
+const logout = async (req, res) => {
+  try {
+    // Revoking the session invalidates its refresh token and every access
+    // token issued for it
+    if (req.sessionId) {
+      const session = await Session.findById(req.sessionId);
+      if (session) {
+        await session.revoke("logout");
+      }
+    }
+
+    await SecurityEvent.record("logout", { req, user: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: "Logout successful",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error logging out",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Second login step: exchange a challenge token and TOTP or recovery code for tokens
+ * @access  Public
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    if (!twoFactorToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Please provide the two-factor token and an authentication or recovery code",
+      });
+    }
+
+    const { valid, expired, decoded } = verifyTwoFactorToken(
+      twoFactorToken,
+      "verify"
+    );
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: expired
+          ? "Two-factor challenge expired. Please login again."
+          : "Invalid two-factor challenge. Please login again.",
+        code: "TWO_FACTOR_TOKEN_INVALID",
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid two-factor challenge. Please login again.",
+        code: "TWO_FACTOR_TOKEN_INVALID",
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Account is locked due to multiple failed login attempts. Please try again later.",
+        lockUntil: user.lockUntil,
+      });
+    }
+
+    if (user.status !== "active") {
+      return res.status(403).json({
+        success: false,
+        message: `Account is ${user.status}. Please contact support.`,
+      });
+    }
+
+    const verified = code
+      ? checkTwoFactorCode(user, code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!verified) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await recordFailedLogin(user, req, code ? "two_factor" : "recovery_code");
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+        code: "TWO_FACTOR_CODE_INVALID",
+      });
+    }
+
+    if (user.loginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    await issueLoginTokens(
+      user,
+      req,
+      res,
+      recoveryCode
+        ? { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length }
+        : {},
+      recoveryCode ? "recovery_code" : "two_factor"
+    );
+  } catch (error) {
+    console.error("Verify two-factor login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error verifying two-factor code",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment: generate a secret, otpauth URI and QR code
+ * @access  Private (or with a "setup" two-factor token)
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const { user } = await resolveTwoFactorUser(req);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required.",
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const otpauthUrl = buildOtpAuthUrl({
+      secret,
+      accountName: user.email,
+      issuer: TWO_FACTOR_ISSUER,
+    });
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.status(200).json({
+      success: true,
+      message:
+        "Scan the QR code with your authenticator app, then confirm with a code",
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode,
+      },
+    });
+  } catch (error) {
+    console.error("Setup two-factor error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error setting up two-factor authentication",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/2fa/confirm
+ * @desc    Confirm enrollment with a code; enables 2FA and returns recovery codes
+ * @access  Private (or with a "setup" two-factor token)
+ */
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const { user, viaChallenge } = await resolveTwoFactorUser(req);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required.",
+      });
+    }
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Authentication code is required",
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Please start two-factor setup first",
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+        code: "TWO_FACTOR_CODE_INVALID",
+      });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+
+    await SecurityEvent.record("two_factor_enabled", { req, user });
+
+    // Enrollment forced at login completes the login
+    if (viaChallenge) {
+      return issueLoginTokens(
+        user,
+        req,
+        res,
+        { recoveryCodes },
+        "two_factor_setup"
+      );
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error("Confirm two-factor error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error enabling two-factor authentication",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA (requires password and a current code)
+ * @access  Private
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Please provide your password and an authentication or recovery code",
+      });
+    }
+
+    const user = await User.findById(req.userId).select(
+      `+password ${TWO_FACTOR_FIELDS}`
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (await isTwoFactorEnforced(user)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Your business requires two-factor authentication. It cannot be disabled.",
+        code: "TWO_FACTOR_ENFORCED",
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    const verified = code
+      ? checkTwoFactorCode(user, code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!isPasswordValid || !verified) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid password or authentication code",
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enabledAt = undefined;
+    await user.save();
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    await SecurityEvent.record("two_factor_disabled", { req, user });
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: "User registered successfully",
-      data: {
-        user: userResponse,
-        tokens,
-      },
-      verificationToken:
-        process.env.NODE_ENV === "development" ? verificationToken : undefined,
+      message: "Two-factor authentication disabled",
     });
   } catch (error) {
-    console.error("Register error:", error);
+    console.error("Disable two-factor error:", error);
     res.status(500).json({
       success: false,
-      message: "Error registering user",
+      message: "Error disabling two-factor authentication",
       error: error.message,
     });
   }
 };
 
 /**
- * @route   POST /api/auth/login
- * @desc    Login user
- * @access  Public
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate recovery codes (invalidates the previous set)
+ * @access  Private
  */
-const login = async (req, res) => {
+const regenerateRecoveryCodes = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { code } = req.body;
 
-    // Validate input
-    if (!email || !password) {
+    if (!code) {
       return res.status(400).json({
         success: false,
-        message: "Please provide email and password",
+        message: "Authentication code is required",
       });
     }
 
-    // Find user and include password field
-    const user = await User.findOne({ email: email.toLowerCase() }).select(
-      "+password"
-    );
+    const user = await User.findById(req.userId).select(TWO_FACTOR_FIELDS);
 
-    if (!user) {
-      return res.status(401).json({
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({
         success: false,
-        message: "Invalid email or password",
+        message: "Two-factor authentication is not enabled",
       });
     }
 
-    // Check if account is locked
-    if (user.isLocked) {
-      return res.status(403).json({
+    if (!checkTwoFactorCode(user, code)) {
+      return res.status(401).json({
         success: false,
-        message:
-          "Account is locked due to multiple failed login attempts. Please try again later.",
-        lockUntil: user.lockUntil,
+        message: "Invalid authentication code",
+        code: "TWO_FACTOR_CODE_INVALID",
       });
     }
 
-    // Verify password
-    const isPasswordValid = await user.comparePassword(password);
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
 
-    if (!isPasswordValid) {
-      // Increment login attempts
-      await user.incLoginAttempts();
+    res.status(200).json({
+      success: true,
+      message: "Recovery codes regenerated",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error regenerating recovery codes",
+      error: error.message,
+    });
+  }
+};
 
-      return res.status(401).json({
+/**
+ * @route   PUT /api/auth/2fa/policy
+ * @desc    Require two-factor authentication for every staff member (owner only)
+ * @access  Private/Owner
+ */
+const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { requireStaffTwoFactor } = req.body;
+
+    if (typeof requireStaffTwoFactor !== "boolean") {
+      return res.status(400).json({
         success: false,
-        message: "Invalid email or password",
+        message: "requireStaffTwoFactor must be true or false",
       });
     }
 
-    // Reset login attempts on successful login
-    if (user.loginAttempts > 0) {
-      await user.resetLoginAttempts();
-    }
-
-    // Check account status - user must have paid (status must be active)
-    if (user.status === "pending") {
+    if (req.user.role !== "owner") {
       return res.status(403).json({
         success: false,
-        message: "Please complete your premium plan payment to activate your account. If you've already paid, please wait a moment for verification.",
-        code: "PAYMENT_PENDING",
-        requiresPayment: true,
+        message: "Only the business owner can change the two-factor policy",
       });
     }
 
-    if (user.status !== "active") {
-      return res.status(403).json({
+    // The owner enforcing 2FA on staff should be using it too
+    if (requireStaffTwoFactor && !req.user.twoFactor.enabled) {
+      return res.status(400).json({
         success: false,
-        message: `Account is ${user.status}. Please contact support.`,
+        message:
+          "Enable two-factor authentication on your own account before requiring it for staff",
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
+    const user = await User.findById(req.userId);
+    user.settings.security.requireStaffTwoFactor = requireStaffTwoFactor;
     await user.save();
 
-    // Generate JWT tokens
-    const tokens = generateTokens(user._id, user.email, user.role);
+    res.status(200).json({
+      success: true,
+      message: requireStaffTwoFactor
+        ? "Two-factor authentication is now required for all staff"
+        : "Two-factor authentication is now optional for staff",
+      data: {
+        requireStaffTwoFactor,
+      },
+    });
+  } catch (error) {
+    console.error("Update two-factor policy error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating two-factor policy",
+      error: error.message,
+    });
+  }
+};
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (devices) of the current user
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.userId);
 
     res.status(200).json({
       success: true,
-      message: "Login successful",
       data: {
-        user: userResponse,
-        tokens,
+        sessions: sessions.map((session) => ({
+          id: session._id,
+          ipAddress: session.ipAddress,
+          userAgent: session.userAgent,
+          deviceId: session.deviceId,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current:
+            !!req.sessionId &&
+            session._id.toString() === req.sessionId.toString(),
+        })),
+        count: sessions.length,
       },
     });
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("Get sessions error:", error);
     res.status(500).json({
       success: false,
-      message: "Error logging in",
+      message: "Error fetching sessions",
       error: error.message,
     });
   }
 };
 
 /**
- * @route   POST /api/auth/refresh
- * @desc    Refresh access token using refresh token
- * @access  Public
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke (log out) one session
+ * @access  Private
  */
-const refreshToken = async (req, res) => {
+const revokeSession = async (req, res) => {
   try {
-    const { refreshToken } = req.body;
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.userId,
+    });
 
-    if (!refreshToken) {
-      return res.status(400).json({
+    if (!session) {
+      return res.status(404).json({
         success: false,
-        message: "Refresh token is required",
+        message: "Session not found",
       });
     }
 
-    // Verify refresh token
-    const { valid, expired, decoded } = verifyRefreshToken(refreshToken);
+    await session.revoke("manual");
 
-    if (expired) {
-      return res.status(401).json({
-        success: false,
-        message: "Refresh token expired. Please login again.",
-        code: "REFRESH_TOKEN_EXPIRED",
-      });
-    }
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking session",
+      error: error.message,
+    });
+  }
+};
 
-    if (!valid) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid refresh token",
-      });
-    }
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Log out all other devices (keeps the current session)
+ * @access  Private
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(
+      req.userId,
+      "manual",
+      req.sessionId
+    );
 
-    // Get user
-    const user = await User.findById(decoded.userId);
+    res.status(200).json({
+      success: true,
+      message: "Logged out of all other devices",
+      data: {
+        revokedCount: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    console.error("Revoke other sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking sessions",
+      error: error.message,
+    });
+  }
+};
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: "User not found",
-      });
-    }
+/**
+ * @route   GET /api/auth/security-events
+ * @desc    Get the security log of the current user
+ *          (owners can pass scope=organization for their whole team)
+ * @access  Private
+ */
+const getSecurityEvents = async (req, res) => {
+  try {
+    const { scope } = req.query;
+    const { options, message } = SecurityEvent.parseQueryOptions(req.query);
 
-    // Check account status - user must have paid (status must be active)
-    if (user.status === "pending") {
-      return res.status(403).json({
+    if (message) {
+      return res.status(400).json({
         success: false,
-        message: "Please complete your premium plan payment to activate your account.",
-        code: "PAYMENT_PENDING",
-        requiresPayment: true,
+        message,
       });
     }
 
-    if (user.status !== "active") {
-      return res.status(403).json({
-        success: false,
-        message: `Account is ${user.status}. Please contact support.`,
-      });
+    let filter = { user: req.userId };
+    if (scope === "organization") {
+      if (req.user.role !== "owner") {
+        return res.status(403).json({
+          success: false,
+          message: "Only the business owner can view the team security log",
+        });
+      }
+      filter = { organization: req.organizationId };
     }
 
-    // Generate new tokens
-    const tokens = generateTokens(user._id, user.email, user.role);
+    const result = await SecurityEvent.findPaginated(filter, options);
 
     res.status(200).json({
       success: true,
-      message: "Token refreshed successfully",
-      data: {
-        tokens,
-      },
+      data: result,
     });
   } catch (error) {
-    console.error("Refresh token error:", error);
+    console.error("Get security events error:", error);
     res.status(500).json({
       success: false,
-      message: "Error refreshing token",
+      message: "Error fetching security events",
       error: error.message,
     });
   }
 };
 
 /**
- * @route   POST /api/auth/logout
- * @desc    Logout user (client-side token removal)
+ * @route   GET /api/auth/permissions
+ * @desc    Get the permissions of the current user in their business
  * @access  Private
  */
-const logout = async (req, res) => {
+const getPermissions = async (req, res) => {
   try {
-    // In a JWT system, logout is primarily client-side (remove token)
-    // But we can log the logout event or invalidate refresh tokens if stored
-
     res.status(200).json({
       success: true,
-      message: "Logout successful",
+      data: {
+        role: req.user.role,
+        permissions: req.permissions,
+      },
     });
   } catch (error) {
-    console.error("Logout error:", error);
+    console.error("Get permissions error:", error);
     res.status(500).json({
       success: false,
-      message: "Error logging out",
+      message: "Error fetching permissions",
       error: error.message,
     });
   }
@@ -345,7 +1514,17 @@ const updateProfile = async (req, res) => {
     }
 
     // Update core fields
-    if (businessName) user.businessName = businessName.trim();
+    if (businessName) {
+      user.businessName = businessName.trim();
+
+      // Keep the business name shown to the team in sync
+      if (user.role === "owner" && user.organization) {
+        await Organization.updateOne(
+          { _id: user.organization },
+          { $set: { name: user.businessName } }
+        );
+      }
+    }
     if (phone) user.phone = phone.trim();
     
     // Update business profile info
@@ -366,6 +1545,16 @@ const updateProfile = async (req, res) => {
 
     await user.save();
 
+    await SecurityEvent.record("profile_updated", {
+      req,
+      user,
+      metadata: {
+        fields: ["businessName", "phone", "businessInfo", "settings"].filter(
+          (field) => req.body[field]
+        ),
+      },
+    });
+
     res.status(200).json({
       success: true,
       message: "Profile updated successfully",
@@ -430,6 +1619,20 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await Session.revokeAllForUser(
+      user._id,
+      "password_changed",
+      req.sessionId
+    );
+
+    await SecurityEvent.record("password_changed", { req, user });
+
+    await sendSafely(
+      sendPasswordChangedEmail(user, { ipAddress: req.ip }),
+      "password changed"
+    );
+
     res.status(200).json({
       success: true,
       message: "Password changed successfully",
@@ -480,9 +1683,12 @@ const forgotPassword = async (req, res) => {
     user.passwordResetExpires = Date.now() + 60 * 60 * 1000; // 1 hour
     await user.save();
 
-    // TODO: Send email with reset link
-    // const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
-    // await sendEmail(user.email, 'Password Reset', resetUrl);
+    await SecurityEvent.record("password_reset_requested", { req, user });
+
+    await sendSafely(
+      sendPasswordResetEmail(user, resetToken),
+      "password reset"
+    );
 
     res.status(200).json({
       success: true,
@@ -546,6 +1752,16 @@ const resetPassword = async (req, res) => {
     user.passwordResetExpires = undefined;
     await user.save();
 
+    // Whoever knew the old password must not stay signed in
+    await Session.revokeAllForUser(user._id, "password_changed");
+
+    await SecurityEvent.record("password_reset", { req, user });
+
+    await sendSafely(
+      sendPasswordChangedEmail(user, { ipAddress: req.ip }),
+      "password changed"
+    );
+
     res.status(200).json({
       success: true,
       message: "Password reset successful",
@@ -612,6 +1828,73 @@ const verifyEmail = async (req, res) => {
   }
 };
 
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Resend the email verification link
+ * @access  Public
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide email",
+      });
+    }
+
+    const genericResponse = {
+      success: true,
+      message:
+        "If an unverified account exists with this email, a verification link will be sent.",
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    // Don't reveal if user exists or is already verified
+    if (!user || user.emailVerified) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // One email per cooldown window, whichever IP asks for it
+    const nextAllowedAt = user.emailVerificationSentAt
+      ? user.emailVerificationSentAt.getTime() + VERIFICATION_RESEND_COOLDOWN_MS
+      : 0;
+    if (nextAllowedAt > Date.now()) {
+      return res.status(429).json({
+        success: false,
+        message:
+          "A verification email was sent recently. Please check your inbox or try again shortly.",
+        code: "VERIFICATION_RESEND_THROTTLED",
+        retryAfter: Math.ceil((nextAllowedAt - Date.now()) / 1000),
+      });
+    }
+
+    // A new token replaces the previous one
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    await sendSafely(
+      sendVerificationEmail(user, verificationToken),
+      "verification"
+    );
+
+    res.status(200).json({
+      ...genericResponse,
+      verificationToken:
+        process.env.NODE_ENV === "development" ? verificationToken : undefined,
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error resending verification email",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * @route   POST /api/auth/register-with-payment
  * @desc    Register a new user and initiate premium plan payment (200 Naira monthly or 2000 Naira yearly)
@@ -759,8 +2042,14 @@ const registerWithPayment = async (req, res) => {
 
     // Store payment reference in user
     user.plan.paymentReference = tx_ref;
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
+    await sendSafely(
+      sendVerificationEmail(user, verificationToken),
+      "verification"
+    );
+
     // Create subscription record
     const subscription = await Subscription.create({
       user: user._id,
@@ -791,9 +2080,7 @@ const registerWithPayment = async (req, res) => {
       },
     });
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    const userResponse = toUserResponse(user);
 
     res.status(201).json({
       success: true,
@@ -812,6 +2099,8 @@ const registerWithPayment = async (req, res) => {
           },
         },
       },
+      verificationToken:
+        process.env.NODE_ENV === "development" ? verificationToken : undefined,
     });
   } catch (error) {
     console.error("Register with payment error:", error);
@@ -902,19 +2191,13 @@ const verifySignupPayment = async (req, res) => {
     }
 
     // Check if payment was already verified
+    // No tokens here: the transaction reference is not a credential, so a
+    // replayed verification must go through the normal login (and 2FA)
     if (user.status === "active" && user.plan.status === "active") {
-      // Payment already verified, return success
-      const tokens = generateTokens(user._id, user.email, user.role);
-      const userResponse = user.toObject();
-      delete userResponse.password;
-
       return res.status(200).json({
         success: true,
-        message: "Payment already verified. Account is active.",
-        data: {
-          user: userResponse,
-          tokens,
-        },
+        message: "Payment already verified. Account is active. Please login.",
+        code: "PAYMENT_ALREADY_VERIFIED",
       });
     }
 
@@ -980,11 +2263,9 @@ const verifySignupPayment = async (req, res) => {
     await user.save();
 
     // Generate JWT tokens
-    const tokens = generateTokens(user._id, user.email, user.role);
+    const tokens = await createSession(user, req);
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    const userResponse = toUserResponse(user);
 
     res.status(200).json({
       success: true,
@@ -1009,12 +2290,28 @@ module.exports = {
   registerWithPayment,
   verifySignupPayment,
   login,
+  requestMagicLink,
+  verifyMagicLink,
+  requestPhoneCode,
+  verifyPhoneCode,
   refreshToken,
   logout,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  updateTwoFactorPolicy,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getSecurityEvents,
+  getPermissions,
   getProfile,
   updateProfile,
   changePassword,
   forgotPassword,
   resetPassword,
   verifyEmail,
+  resendVerification,
 };
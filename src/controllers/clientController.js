@@ -1,4 +1,5 @@
 const Client = require("../models/Client");
+const { buildClientStatement } = require("../services/statementService");
 
 /**
  * @route   POST /api/clients
@@ -10,6 +11,7 @@ const createClient = async (req, res) => {
     const clientData = {
       ...req.body,
       user: req.userId,
+      organization: req.organizationId,
     };
 
     const client = await Client.create(clientData);
@@ -31,7 +33,7 @@ const createClient = async (req, res) => {
 
 /**
  * @route   GET /api/clients
- * @desc    Get all clients for authenticated user
+ * @desc    Get all clients of the business
  * @access  Private
  */
 const getAllClients = async (req, res) => {
@@ -48,7 +50,7 @@ const getAllClients = async (req, res) => {
     } = req.query;
 
     // Build query
-    const query = { user: req.userId };
+    const query = { organization: req.organizationId };
 
     if (status) query.status = status;
     if (clientType) query.clientType = clientType;
@@ -103,7 +105,7 @@ const getClientById = async (req, res) => {
   try {
     const client = await Client.findOne({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
 
     if (!client) {
@@ -136,7 +138,7 @@ const updateClient = async (req, res) => {
   try {
     const client = await Client.findOne({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
 
     if (!client) {
@@ -148,7 +150,7 @@ const updateClient = async (req, res) => {
 
     // Update fields
     Object.keys(req.body).forEach((key) => {
-      if (key !== "user" && key !== "_id") {
+      if (key !== "user" && key !== "organization" && key !== "_id") {
         client[key] = req.body[key];
       }
     });
@@ -179,7 +181,7 @@ const deleteClient = async (req, res) => {
   try {
     const client = await Client.findOneAndDelete({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
 
     if (!client) {
@@ -219,7 +221,7 @@ const searchClients = async (req, res) => {
       });
     }
 
-    const clients = await Client.searchClients(req.userId, q);
+    const clients = await Client.searchClients(req.organizationId, q);
 
     res.status(200).json({
       success: true,
@@ -244,7 +246,7 @@ const getClientStats = async (req, res) => {
   try {
     const client = await Client.findOne({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
 
     if (!client) {
@@ -268,6 +270,8 @@ const getClientStats = async (req, res) => {
         .length,
       totalAmount: invoices.reduce((sum, inv) => sum + inv.total, 0),
       totalPaid: invoices.reduce((sum, inv) => sum + inv.amountPaid, 0),
+      totalCredited: invoices.reduce((sum, inv) => sum + inv.amountCredited, 0),
+      creditBalance: client.creditBalance,
       totalDue: invoices.reduce((sum, inv) => sum + inv.amountDue, 0),
     };
 
@@ -288,6 +292,45 @@ const getClientStats = async (req, res) => {
   }
 };
 
+/**
+ * @route   GET /api/clients/:id/statement
+ * @desc    Get the account statement of a client (invoices, payments,
+ *          refunds and credit notes with a running balance)
+ * @access  Private
+ */
+const getClientStatement = async (req, res) => {
+  try {
+    const client = await Client.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      });
+    }
+
+    const statement = await buildClientStatement(client, {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { statement },
+    });
+  } catch (error) {
+    console.error("Get client statement error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching client statement",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * @route   GET /api/clients/active
  * @desc    Get active clients only
@@ -295,7 +338,7 @@ const getClientStats = async (req, res) => {
  */
 const getActiveClients = async (req, res) => {
   try {
-    const clients = await Client.getActiveClients(req.userId);
+    const clients = await Client.getActiveClients(req.organizationId);
 
     res.status(200).json({
       success: true,
@@ -319,5 +362,6 @@ module.exports = {
   deleteClient,
   searchClients,
   getClientStats,
+  getClientStatement,
   getActiveClients,
 };
@@ -0,0 +1,232 @@
+const CreditNote = require("../models/CreditNote");
+const { CREDIT_NOTE_REASONS } = CreditNote;
+const { Invoice } = require("../models/Invoice");
+const {
+  prepareCreditNote,
+  issueCreditNote,
+} = require("../services/creditNoteService");
+
+/**
+ * @route   POST /api/credit-notes
+ * @desc    Issue a credit note against an invoice (full or selected lines)
+ * @access  Private
+ */
+const createCreditNote = async (req, res) => {
+  try {
+    const {
+      invoice: invoiceId,
+      type = "partial",
+      items,
+      restock,
+      reason = "other",
+      notes,
+    } = req.body;
+
+    if (!/^[0-9a-fA-F]{24}$/.test(String(invoiceId))) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid invoice is required",
+      });
+    }
+
+    if (!["full", "partial"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Credit note type must be full or partial",
+      });
+    }
+
+    if (!CREDIT_NOTE_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${CREDIT_NOTE_REASONS.join(", ")}`,
+      });
+    }
+
+    const invoice = await Invoice.findOne({
+      _id: invoiceId,
+      organization: req.organizationId,
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    if (invoice.status === "draft") {
+      return res.status(400).json({
+        success: false,
+        message: "Draft invoices can be edited directly",
+      });
+    }
+
+    if (invoice.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot credit a cancelled invoice",
+      });
+    }
+
+    const { creditNote, status, message } = await prepareCreditNote(invoice, {
+      type,
+      items,
+      restock: Boolean(restock),
+    });
+
+    if (!creditNote) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const issued = await issueCreditNote(invoice, creditNote, {
+      userId: req.userId,
+      createdBy: req.userId,
+      reason,
+      notes,
+    });
+
+    if (!issued) {
+      return res.status(409).json({
+        success: false,
+        message: "The invoice changed while issuing the credit note, try again",
+      });
+    }
+
+    const updatedInvoice = await Invoice.findById(invoice._id).select(
+      "invoiceNumber status paymentStatus total amountPaid amountCredited amountDue"
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Credit note ${issued.creditNoteNumber} issued`,
+      data: { creditNote: issued, invoice: updatedInvoice },
+    });
+  } catch (error) {
+    console.error("Create credit note error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error issuing credit note",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/credit-notes
+ * @desc    Get all credit notes of the business with filters
+ * @access  Private
+ */
+const getAllCreditNotes = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      invoice,
+      client,
+      reason,
+      startDate,
+      endDate,
+      search,
+      sortBy = "issueDate",
+      sortOrder = "desc",
+    } = req.query;
+
+    // Build query
+    const query = { organization: req.organizationId };
+
+    if (invoice) query.invoice = invoice;
+    if (client) query.client = client;
+    if (reason) query.reason = reason;
+
+    if (startDate || endDate) {
+      query.issueDate = {};
+      if (startDate) query.issueDate.$gte = new Date(startDate);
+      if (endDate) query.issueDate.$lte = new Date(endDate);
+    }
+
+    if (search) {
+      query.creditNoteNumber = { $regex: search, $options: "i" };
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    // Sorting
+    const sort = {};
+    sort[sortBy] = sortOrder === "desc" ? -1 : 1;
+
+    const creditNotes = await CreditNote.find(query)
+      .populate("client", "name email phone")
+      .populate("invoice", "invoiceNumber")
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await CreditNote.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        creditNotes,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get credit notes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching credit notes",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/credit-notes/:id
+ * @desc    Get credit note by ID
+ * @access  Private
+ */
+const getCreditNoteById = async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    })
+      .populate("client")
+      .populate(
+        "invoice",
+        "invoiceNumber status total amountPaid amountCredited amountDue"
+      );
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: "Credit note not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { creditNote },
+    });
+  } catch (error) {
+    console.error("Get credit note error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching credit note",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  createCreditNote,
+  getAllCreditNotes,
+  getCreditNoteById,
+};
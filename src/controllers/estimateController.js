@@ -0,0 +1,680 @@
+const Estimate = require("../models/Estimate");
+const { OPEN_STATUSES } = Estimate;
+const Client = require("../models/Client");
+const {
+  buildEstimateLinks,
+  sendEstimateEmail,
+  convertEstimate: convertEstimateToInvoice,
+} = require("../services/estimateService");
+const { resolveRecipient } = require("../services/invoiceDeliveryService");
+const { nextDocumentNumber } = require("../services/numberingService");
+const { validatePricing } = require("../utils/pricing");
+
+// Days an estimate stays valid when no expiry date is given
+const DEFAULT_VALIDITY_DAYS = 30;
+
+// Fields an estimate can be created or updated with
+const ESTIMATE_FIELDS = [
+  "title",
+  "items",
+  "taxRate",
+  "discount",
+  "discountType",
+  "taxInclusive",
+  "shippingFee",
+  "notes",
+  "termsAndConditions",
+];
+
+const validateItems = (items) =>
+  Array.isArray(items) &&
+  items.length > 0 &&
+  items.every((item) => item && item.description && item.quantity > 0);
+
+/**
+ * @route   POST /api/estimates
+ * @desc    Create a new estimate
+ * @access  Private
+ */
+const createEstimate = async (req, res) => {
+  try {
+    const { client, items, expiryDate } = req.body;
+
+    if (!validateItems(items)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "At least one item with a description and quantity is required",
+      });
+    }
+
+    const pricingError = validatePricing(req.body);
+    if (pricingError) {
+      return res.status(400).json({
+        success: false,
+        message: pricingError,
+      });
+    }
+
+    // Validate client exists and belongs to the business
+    const clientDoc = await Client.findOne({
+      _id: client,
+      organization: req.organizationId,
+    });
+    if (!clientDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      });
+    }
+
+    const expiry = expiryDate
+      ? new Date(expiryDate)
+      : new Date(Date.now() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Expiry date must be in the future",
+      });
+    }
+
+    const data = {};
+    ESTIMATE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const estimateNumber = await nextDocumentNumber(
+      req.organizationId,
+      "estimate"
+    );
+
+    const estimate = await Estimate.create({
+      ...data,
+      user: req.userId,
+      organization: req.organizationId,
+      createdBy: req.userId,
+      client,
+      estimateNumber,
+      expiryDate: expiry,
+    });
+
+    const populatedEstimate = await Estimate.findById(estimate._id).populate(
+      "client"
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Estimate created successfully",
+      data: { estimate: populatedEstimate },
+    });
+  } catch (error) {
+    console.error("Create estimate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating estimate",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/estimates
+ * @desc    Get all estimates of the business with filters
+ * @access  Private
+ */
+const getAllEstimates = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      client,
+      startDate,
+      endDate,
+      search,
+      sortBy = "issueDate",
+      sortOrder = "desc",
+    } = req.query;
+
+    // Build query
+    const query = { organization: req.organizationId };
+
+    if (status) {
+      query.status = status.includes(",") ? { $in: status.split(",") } : status;
+    }
+
+    if (client) query.client = client;
+
+    if (startDate || endDate) {
+      query.issueDate = {};
+      if (startDate) query.issueDate.$gte = new Date(startDate);
+      if (endDate) query.issueDate.$lte = new Date(endDate);
+    }
+
+    if (search) {
+      query.$or = [
+        { estimateNumber: { $regex: search, $options: "i" } },
+        { title: { $regex: search, $options: "i" } },
+      ];
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    // Sorting
+    const sort = {};
+    sort[sortBy] = sortOrder === "desc" ? -1 : 1;
+
+    const estimates = await Estimate.find(query)
+      .populate("client", "name email phone")
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Estimate.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        estimates,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get estimates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching estimates",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/estimates/:id
+ * @desc    Get estimate by ID
+ * @access  Private
+ */
+const getEstimateById = async (req, res) => {
+  try {
+    const estimate = await Estimate.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    })
+      .populate("client")
+      .populate("invoice", "invoiceNumber status total amountDue");
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        message: "Estimate not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { estimate },
+    });
+  } catch (error) {
+    console.error("Get estimate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching estimate",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/estimates/:id
+ * @desc    Update an estimate the client has not answered yet
+ * @access  Private
+ */
+const updateEstimate = async (req, res) => {
+  try {
+    const estimate = await Estimate.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        message: "Estimate not found",
+      });
+    }
+
+    if (
+      !OPEN_STATUSES.includes(estimate.status) &&
+      estimate.status !== "expired"
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `This estimate is already ${estimate.status} and cannot be edited`,
+      });
+    }
+
+    const { client, items, expiryDate } = req.body;
+
+    if (items !== undefined && !validateItems(items)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "At least one item with a description and quantity is required",
+      });
+    }
+
+    const pricingError = validatePricing({
+      ...req.body,
+      discountType: req.body.discountType || estimate.discountType,
+    });
+    if (pricingError) {
+      return res.status(400).json({
+        success: false,
+        message: pricingError,
+      });
+    }
+
+    if (client) {
+      const clientDoc = await Client.findOne({
+        _id: client,
+        organization: req.organizationId,
+      });
+      if (!clientDoc) {
+        return res.status(404).json({
+          success: false,
+          message: "Client not found",
+        });
+      }
+      estimate.client = client;
+    }
+
+    if (expiryDate) {
+      const expiry = new Date(expiryDate);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: "Expiry date must be in the future",
+        });
+      }
+      estimate.expiryDate = expiry;
+
+      // Extending an expired estimate opens it again
+      if (estimate.status === "expired") {
+        estimate.status = estimate.sentAt ? "sent" : "draft";
+      }
+    }
+
+    ESTIMATE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) estimate[field] = req.body[field];
+    });
+
+    await estimate.save();
+
+    const updatedEstimate = await Estimate.findById(estimate._id).populate(
+      "client"
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Estimate updated successfully",
+      data: { estimate: updatedEstimate },
+    });
+  } catch (error) {
+    console.error("Update estimate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating estimate",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/estimates/:id
+ * @desc    Delete estimate
+ * @access  Private
+ */
+const deleteEstimate = async (req, res) => {
+  try {
+    const estimate = await Estimate.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        message: "Estimate not found",
+      });
+    }
+
+    // Converted estimates are the record behind an invoice
+    if (estimate.status === "converted") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot delete an estimate that was converted to an invoice",
+      });
+    }
+
+    await estimate.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Estimate deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete estimate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting estimate",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/estimates/:id/send
+ * @desc    Email the estimate with a link to accept or decline it
+ * @access  Private
+ */
+const sendEstimate = async (req, res) => {
+  try {
+    const { to, message } = req.body;
+
+    const estimate = await Estimate.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    }).populate("client");
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        message: "Estimate not found",
+      });
+    }
+
+    if (!estimate.canRespond) {
+      return res.status(400).json({
+        success: false,
+        message: estimate.isExpired
+          ? "This estimate has expired. Extend its expiry date to send it."
+          : `This estimate is already ${estimate.status}`,
+      });
+    }
+
+    if (to && !/^\S+@\S+\.\S+$/.test(to)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid recipient email",
+      });
+    }
+
+    const recipient = resolveRecipient(estimate.client, to);
+    if (!recipient) {
+      return res.status(400).json({
+        success: false,
+        message: "The client has no email address to send the estimate to",
+      });
+    }
+
+    try {
+      await sendEstimateEmail(estimate, {
+        recipient,
+        message,
+        business: req.businessOwner,
+      });
+    } catch (error) {
+      console.error("Send estimate email error:", error.message);
+      return res.status(502).json({
+        success: false,
+        message: "Estimate email could not be delivered.",
+        error: error.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Estimate sent to ${recipient}`,
+      data: { estimate },
+    });
+  } catch (error) {
+    console.error("Send estimate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error sending estimate",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/estimates/:id/public-link
+ * @desc    Get the shareable link of an estimate (accept or decline online)
+ * @access  Private
+ */
+const getPublicLink = async (req, res) => {
+  try {
+    const estimate = await Estimate.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        message: "Estimate not found",
+      });
+    }
+
+    const { viewUrl } = buildEstimateLinks(estimate);
+
+    res.status(200).json({
+      success: true,
+      data: { url: viewUrl },
+    });
+  } catch (error) {
+    console.error("Get estimate public link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating estimate link",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/estimates/:id/public-link/revoke
+ * @desc    Revoke every shared link of an estimate and issue a new one
+ * @access  Private
+ */
+const revokePublicLink = async (req, res) => {
+  try {
+    const estimate = await Estimate.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        message: "Estimate not found",
+      });
+    }
+
+    await estimate.revokePublicLinks();
+
+    const { viewUrl } = buildEstimateLinks(estimate);
+
+    res.status(200).json({
+      success: true,
+      message: "Previous estimate links have been revoked",
+      data: { url: viewUrl },
+    });
+  } catch (error) {
+    console.error("Revoke estimate public link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking estimate links",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Record an answer given outside the public link (phone, in person)
+ */
+const respondToEstimate = (accepted) => async (req, res) => {
+  try {
+    const estimate = await Estimate.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        message: "Estimate not found",
+      });
+    }
+
+    if (!estimate.canRespond) {
+      return res.status(400).json({
+        success: false,
+        message: estimate.isExpired
+          ? "This estimate has expired"
+          : `This estimate is already ${estimate.status}`,
+      });
+    }
+
+    await estimate.respond(accepted, {
+      name: req.body.name,
+      reason: req.body.reason,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Estimate marked as ${estimate.status}`,
+      data: { estimate },
+    });
+  } catch (error) {
+    console.error("Respond to estimate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating estimate",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/estimates/:id/accept
+ * @desc    Mark an estimate as accepted by the client
+ * @access  Private
+ */
+const acceptEstimate = respondToEstimate(true);
+
+/**
+ * @route   POST /api/estimates/:id/decline
+ * @desc    Mark an estimate as declined by the client
+ * @access  Private
+ */
+const declineEstimate = respondToEstimate(false);
+
+/**
+ * @route   POST /api/estimates/:id/convert
+ * @desc    Create an invoice from an estimate (stock is reduced now)
+ * @access  Private
+ */
+const convertEstimate = async (req, res) => {
+  try {
+    const estimate = await Estimate.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        message: "Estimate not found",
+      });
+    }
+
+    if (estimate.status === "converted") {
+      return res.status(400).json({
+        success: false,
+        message: "Estimate has already been converted to an invoice",
+        data: { invoice: estimate.invoice },
+      });
+    }
+
+    if (estimate.status === "declined") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot convert a declined estimate",
+      });
+    }
+
+    if (estimate.status === "expired" || estimate.isExpired) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Cannot convert an expired estimate. Extend its expiry date first.",
+      });
+    }
+
+    const clientDoc = await Client.exists({
+      _id: estimate.client,
+      organization: req.organizationId,
+    });
+    if (!clientDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      });
+    }
+
+    const invoice = await convertEstimateToInvoice(estimate, req.userId, {
+      dueDate: req.body.dueDate,
+    });
+
+    if (!invoice) {
+      return res.status(409).json({
+        success: false,
+        message: "Estimate has already been converted to an invoice",
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Estimate converted to invoice ${invoice.invoiceNumber}`,
+      data: { invoice },
+    });
+  } catch (error) {
+    console.error("Convert estimate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error converting estimate",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  createEstimate,
+  getAllEstimates,
+  getEstimateById,
+  updateEstimate,
+  deleteEstimate,
+  sendEstimate,
+  getPublicLink,
+  revokePublicLink,
+  acceptEstimate,
+  declineEstimate,
+  convertEstimate,
+};
@@ -0,0 +1,206 @@
+const ExchangeRate = require("../models/ExchangeRate");
+const Organization = require("../models/Organization");
+const {
+  getCurrencySettings,
+  normalizeExchangeRate,
+  parseExchangeRatesCsv,
+} = require("../services/exchangeRateService");
+
+const loadBaseCurrency = async (organizationId) =>
+  getCurrencySettings(
+    await Organization.findById(organizationId).select(
+      "baseCurrency currencies"
+    )
+  ).baseCurrency;
+
+/**
+ * @route   GET /api/exchange-rates
+ * @desc    Get the exchange rates of the business, newest first
+ * @access  Private
+ */
+const getExchangeRates = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, currency, startDate, endDate } = req.query;
+
+    const baseCurrency = await loadBaseCurrency(req.organizationId);
+
+    // Build query
+    const query = { organization: req.organizationId, baseCurrency };
+
+    if (currency) query.currency = String(currency).toUpperCase();
+
+    if (startDate || endDate) {
+      query.effectiveDate = {};
+      if (startDate) query.effectiveDate.$gte = new Date(startDate);
+      if (endDate) query.effectiveDate.$lte = new Date(endDate);
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const exchangeRates = await ExchangeRate.find(query)
+      .populate("createdBy", "email")
+      .sort({ effectiveDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ExchangeRate.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        baseCurrency,
+        exchangeRates,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get exchange rates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching exchange rates",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/exchange-rates
+ * @desc    Enter an exchange rate (base currency units per 1 unit of the currency)
+ * @access  Private (settings:manage)
+ */
+const createExchangeRate = async (req, res) => {
+  try {
+    const { currency, rate, effectiveDate, notes } = req.body;
+
+    const baseCurrency = await loadBaseCurrency(req.organizationId);
+    const { exchangeRate, message } = normalizeExchangeRate(
+      { currency, rate, effectiveDate },
+      baseCurrency
+    );
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message,
+      });
+    }
+
+    const created = await ExchangeRate.create({
+      ...exchangeRate,
+      organization: req.organizationId,
+      createdBy: req.userId,
+      source: "manual",
+      notes,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Exchange rate added successfully",
+      data: { exchangeRate: created },
+    });
+  } catch (error) {
+    console.error("Create exchange rate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error adding exchange rate",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/exchange-rates/import
+ * @desc    Import exchange rates from a CSV file (currency,rate[,date] per line)
+ *          sent as the text/csv body or as { csv } in JSON
+ * @access  Private (settings:manage)
+ */
+const importExchangeRates = async (req, res) => {
+  try {
+    const csv = typeof req.body === "string" ? req.body : req.body?.csv;
+    if (typeof csv !== "string" || !csv.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Send the CSV file as the request body or as { csv }",
+      });
+    }
+
+    const baseCurrency = await loadBaseCurrency(req.organizationId);
+    const { exchangeRates, status, message } = parseExchangeRatesCsv(
+      csv,
+      baseCurrency
+    );
+    if (message) {
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    const imported = await ExchangeRate.insertMany(
+      exchangeRates.map((exchangeRate) => ({
+        ...exchangeRate,
+        organization: req.organizationId,
+        createdBy: req.userId,
+        source: "import",
+      }))
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${imported.length} exchange rates imported successfully`,
+      data: { count: imported.length, exchangeRates: imported },
+    });
+  } catch (error) {
+    console.error("Import exchange rates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error importing exchange rates",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/exchange-rates/:id
+ * @desc    Delete an exchange rate (invoices and payments keep their snapshot)
+ * @access  Private (settings:manage)
+ */
+const deleteExchangeRate = async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOneAndDelete({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: "Exchange rate not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Exchange rate deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete exchange rate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting exchange rate",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  createExchangeRate,
+  importExchangeRates,
+  deleteExchangeRate,
+};
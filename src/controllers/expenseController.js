@@ -17,6 +17,7 @@ const createExpense = async (req, res) => {
     }
     const expense = await Expense.create({
       user: userId,
+      organization: req.organizationId,
       amount,
       category,
       description,
@@ -40,7 +41,7 @@ const createExpense = async (req, res) => {
 const getExpenses = async (req, res) => {
   try {
     const { page = 1, limit = 50, startDate, endDate } = req.query;
-    const query = { user: req.userId };
+    const query = { organization: req.organizationId };
     if (startDate || endDate) {
       query.date = {};
       if (startDate) query.date.$gte = new Date(startDate);
@@ -82,7 +83,7 @@ const deleteExpense = async (req, res) => {
   try {
     const expense = await Expense.findOneAndDelete({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
     if (!expense)
       return res
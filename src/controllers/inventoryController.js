@@ -38,11 +38,12 @@ const createInventoryItem = async (req, res) => {
       images: req.body.images || [],
       tags: req.body.tags || [],
       user: req.userId,
+      organization: req.organizationId,
     };
 
-    // Check if SKU already exists for this user
+    // Check if SKU already exists for this business
     const existingItem = await Inventory.findOne({
-      user: req.userId,
+      organization: req.organizationId,
       sku: itemData.sku,
     });
 
@@ -89,7 +90,7 @@ const getAllInventory = async (req, res) => {
     } = req.query;
 
     // Build query
-    const query = { user: req.userId };
+    const query = { organization: req.organizationId };
 
     if (category) query.category = category.toLowerCase();
     if (status) query.status = status;
@@ -147,7 +148,7 @@ const getInventoryById = async (req, res) => {
   try {
     const item = await Inventory.findOne({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
 
     if (!item) {
@@ -180,7 +181,7 @@ const updateInventoryItem = async (req, res) => {
   try {
     const item = await Inventory.findOne({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
 
     if (!item) {
@@ -251,7 +252,7 @@ const deleteInventoryItem = async (req, res) => {
   try {
     const item = await Inventory.findOneAndDelete({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
 
     if (!item) {
@@ -298,7 +299,7 @@ const addStock = async (req, res) => {
 
     const item = await Inventory.findOne({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
 
     if (!item) {
@@ -343,7 +344,7 @@ const reduceStock = async (req, res) => {
 
     const item = await Inventory.findOne({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
 
     if (!item) {
@@ -388,7 +389,7 @@ const adjustStock = async (req, res) => {
 
     const item = await Inventory.findOne({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
 
     if (!item) {
@@ -433,7 +434,7 @@ const updateStock = async (req, res) => {
 
     const item = await Inventory.findOne({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
     if (!item) {
       return res
@@ -471,7 +472,7 @@ const updateStock = async (req, res) => {
  */
 const getLowStockItems = async (req, res) => {
   try {
-    const items = await Inventory.getLowStockItems(req.userId);
+    const items = await Inventory.getLowStockItems(req.organizationId);
 
     res.status(200).json({
       success: true,
@@ -497,7 +498,7 @@ const getLowStockItems = async (req, res) => {
  */
 const getItemsToReorder = async (req, res) => {
   try {
-    const items = await Inventory.getItemsToReorder(req.userId);
+    const items = await Inventory.getItemsToReorder(req.organizationId);
 
     res.status(200).json({
       success: true,
@@ -524,7 +525,7 @@ const getItemsToReorder = async (req, res) => {
 const getCategories = async (req, res) => {
   try {
     const categories = await Inventory.distinct("category", {
-      user: req.userId,
+      organization: req.organizationId,
     });
 
     res.status(200).json({
@@ -548,23 +549,23 @@ const getCategories = async (req, res) => {
  */
 const getInventoryStats = async (req, res) => {
   try {
-    const value = await Inventory.getTotalInventoryValue(req.userId);
+    const value = await Inventory.getTotalInventoryValue(req.organizationId);
 
     const lowStockCount = await Inventory.countDocuments({
-      user: req.userId,
+      organization: req.organizationId,
       trackInventory: true,
       lowStockAlert: true,
       $expr: { $lte: ["$quantity", "$reorderPoint"] },
     });
 
     const outOfStockCount = await Inventory.countDocuments({
-      user: req.userId,
+      organization: req.organizationId,
       trackInventory: true,
       quantity: 0,
     });
 
     const categoryBreakdown = await Inventory.aggregate([
-      { $match: { user: req.userId } },
+      { $match: { organization: req.organizationId } },
       {
         $group: {
           _id: "$category",
@@ -576,9 +577,11 @@ const getInventoryStats = async (req, res) => {
     ]);
 
     // Additional overview fields expected by frontend
-    const totalProducts = await Inventory.countDocuments({ user: req.userId });
+    const totalProducts = await Inventory.countDocuments({
+      organization: req.organizationId,
+    });
     const totalQuantityAgg = await Inventory.aggregate([
-      { $match: { user: req.userId } },
+      { $match: { organization: req.organizationId } },
       { $group: { _id: null, totalQty: { $sum: "$quantity" } } },
     ]);
     const totalQuantity =
@@ -588,7 +591,7 @@ const getInventoryStats = async (req, res) => {
     let totalRevenue = 0;
     try {
       const revAgg = await Sale.aggregate([
-        { $match: { user: req.userId } },
+        { $match: { organization: req.organizationId } },
         { $group: { _id: null, totalRevenue: { $sum: "$total" } } },
       ]);
       totalRevenue = (revAgg[0] && revAgg[0].totalRevenue) || 0;
@@ -600,7 +603,7 @@ const getInventoryStats = async (req, res) => {
     let topSelling = [];
     try {
       const topAgg = await Sale.aggregate([
-        { $match: { user: req.userId } },
+        { $match: { organization: req.organizationId } },
         { $unwind: "$items" },
         {
           $group: {
@@ -628,7 +631,12 @@ const getInventoryStats = async (req, res) => {
       const now = new Date();
       const start = new Date(now.getFullYear(), now.getMonth() - 11, 1);
       const monthlyAgg = await Sale.aggregate([
-        { $match: { user: req.userId, createdAt: { $gte: start } } },
+        {
+          $match: {
+            organization: req.organizationId,
+            createdAt: { $gte: start },
+          },
+        },
         {
           $group: {
             _id: { $dateToString: { format: "%Y-%m", date: "$createdAt" } },
@@ -704,7 +712,7 @@ const searchInventory = async (req, res) => {
 
     const items = await Inventory.find(
       {
-        user: req.userId,
+        organization: req.organizationId,
         $text: { $search: q },
       },
       {
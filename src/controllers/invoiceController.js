@@ -1,6 +1,57 @@
+const mongoose = require("mongoose");
 const { Invoice, InvoiceItem } = require("../models/Invoice");
 const Client = require("../models/Client");
-const Inventory = require("../models/Inventory");
+const Organization = require("../models/Organization");
+const { generateInvoicePdf } = require("../services/pdfService");
+const {
+  priceInvoice,
+  buildInvoiceFilter,
+  createInvoiceWithItems,
+} = require("../services/invoiceService");
+const {
+  DOCUMENT_TYPES,
+  getNumberingSettings: resolveNumberingSettings,
+  formatDocumentNumber,
+  validateNumberingSettings,
+} = require("../services/numberingService");
+const {
+  getCurrencySettings: resolveCurrencySettings,
+  validateCurrencySettings,
+  resolveInvoiceCurrency,
+  inBaseCurrency,
+} = require("../services/exchangeRateService");
+const { calculatePricing, validatePricing } = require("../utils/pricing");
+const { buildInstallments } = require("../services/installmentService");
+const InvoiceRevision = require("../models/InvoiceRevision");
+const {
+  findInvoiceLock,
+  isTracked,
+  snapshotInvoice,
+  diffSnapshots,
+  recordInvoiceChange,
+} = require("../services/invoiceRevisionService");
+const BulkJob = require("../models/BulkJob");
+const {
+  addInvoiceAttachment,
+  readAttachment,
+  removeInvoiceAttachment,
+  deleteInvoiceAttachmentFiles,
+  attachmentHeaders,
+} = require("../services/attachmentService");
+const {
+  ACTIONS: BULK_ACTIONS,
+  validateBulkOptions,
+  selectBulkInvoices,
+} = require("../services/bulkInvoiceService");
+const {
+  resolveRecipient,
+  deliverInvoice,
+  buildInvoiceLinks,
+} = require("../services/invoiceDeliveryService");
+const {
+  REMINDABLE_STATUSES,
+  sendInvoiceReminder,
+} = require("../services/invoiceReminderService");
 
 /**
  * @route   POST /api/invoices
@@ -12,17 +63,39 @@ const createInvoice = async (req, res) => {
     const {
       client,
       items,
+      currency,
+      exchangeRate,
       taxRate,
       discount,
       discountType,
+      taxInclusive,
       shippingFee,
       dueDate,
+      paymentSchedule,
       notes,
       termsAndConditions,
     } = req.body;
 
-    // Validate client exists and belongs to user
-    const clientDoc = await Client.findOne({ _id: client, user: req.userId });
+    const pricingError = validatePricing({
+      items,
+      taxRate,
+      discount,
+      discountType,
+      taxInclusive,
+      shippingFee,
+    });
+    if (pricingError) {
+      return res.status(400).json({
+        success: false,
+        message: pricingError,
+      });
+    }
+
+    // Validate client exists and belongs to the business
+    const clientDoc = await Client.findOne({
+      _id: client,
+      organization: req.organizationId,
+    });
     if (!clientDoc) {
       return res.status(404).json({
         success: false,
@@ -30,66 +103,60 @@ const createInvoice = async (req, res) => {
       });
     }
 
-    // Generate invoice number
-    const invoiceNumber = await Invoice.generateInvoiceNumber(req.userId);
+    // The currency must be one the business invoices in, with a known rate
+    const pricedIn = await resolveInvoiceCurrency(req.organizationId, {
+      currency,
+      exchangeRate,
+    });
+    if (pricedIn.message) {
+      return res.status(pricedIn.status).json({
+        success: false,
+        message: pricedIn.message,
+      });
+    }
 
-    // Calculate subtotal from items
-    let subtotal = 0;
-    if (items && items.length > 0) {
-      items.forEach((item) => {
-        const itemSubtotal = item.quantity * item.unitPrice;
-        subtotal += itemSubtotal;
+    // A payment schedule replaces the single due date with installments
+    let schedule = {};
+    if (paymentSchedule) {
+      const { total } = calculatePricing({
+        items: items || [],
+        taxRate,
+        discount,
+        discountType,
+        taxInclusive,
+        shippingFee,
+        currency: pricedIn.currency,
       });
+      schedule = buildInstallments(paymentSchedule, {
+        total,
+        currency: pricedIn.currency,
+      });
+      if (schedule.message) {
+        return res.status(schedule.status).json({
+          success: false,
+          message: schedule.message,
+        });
+      }
     }
 
-    // Create invoice
-    const invoice = await Invoice.create({
-      user: req.userId,
+    const invoice = await createInvoiceWithItems({
+      userId: req.userId,
+      organizationId: req.organizationId,
       client,
-      invoiceNumber,
-      subtotal,
-      taxRate: taxRate || 0,
-      discount: discount || 0,
-      discountType: discountType || "percentage",
-      shippingFee: shippingFee || 0,
-      dueDate: dueDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days default
+      items,
+      currency: pricedIn.currency,
+      exchangeRate: pricedIn.exchangeRate,
+      taxRate,
+      discount,
+      discountType,
+      taxInclusive,
+      shippingFee,
+      dueDate: schedule.dueDate || dueDate,
+      installments: schedule.installments,
       notes,
       termsAndConditions,
     });
 
-    // Create invoice items
-    if (items && items.length > 0) {
-      const invoiceItems = await InvoiceItem.insertMany(
-        items.map((item) => ({
-          invoice: invoice._id,
-          description: item.description,
-          quantity: item.quantity,
-          unitPrice: item.unitPrice,
-          unit: item.unit,
-          taxRate: item.taxRate,
-          discount: item.discount,
-          discountType: item.discountType,
-          inventoryItem: item.inventoryItem,
-        }))
-      );
-
-      // Update inventory if linked
-      for (const item of items) {
-        if (item.inventoryItem) {
-          const inventoryItem = await Inventory.findById(item.inventoryItem);
-          if (inventoryItem && inventoryItem.trackInventory) {
-            await inventoryItem.reduceStock(
-              item.quantity,
-              "sale",
-              invoice._id.toString(),
-              `Invoice ${invoiceNumber}`,
-              req.userId
-            );
-          }
-        }
-      }
-    }
-
     // Get populated invoice
     const populatedInvoice = await Invoice.findById(invoice._id)
       .populate("client")
@@ -112,7 +179,7 @@ const createInvoice = async (req, res) => {
 
 /**
  * @route   GET /api/invoices
- * @desc    Get all invoices for user with filters
+ * @desc    Get all invoices of the business with filters
  * @access  Private
  */
 const getAllInvoices = async (req, res) => {
@@ -132,36 +199,15 @@ const getAllInvoices = async (req, res) => {
     } = req.query;
 
     // Build query
-    const query = { user: req.userId };
-
-    if (status) {
-      if (status.includes(",")) {
-        query.status = { $in: status.split(",") };
-      } else {
-        query.status = status;
-      }
-    }
-
-    if (client) query.client = client;
-
-    if (startDate || endDate) {
-      query.issueDate = {};
-      if (startDate) query.issueDate.$gte = new Date(startDate);
-      if (endDate) query.issueDate.$lte = new Date(endDate);
-    }
-
-    if (minAmount || maxAmount) {
-      query.total = {};
-      if (minAmount) query.total.$gte = parseFloat(minAmount);
-      if (maxAmount) query.total.$lte = parseFloat(maxAmount);
-    }
-
-    if (search) {
-      query.$or = [
-        { invoiceNumber: { $regex: search, $options: "i" } },
-        { notes: { $regex: search, $options: "i" } },
-      ];
-    }
+    const query = buildInvoiceFilter(req.organizationId, {
+      status,
+      client,
+      startDate,
+      endDate,
+      minAmount,
+      maxAmount,
+      search,
+    });
 
     // Pagination
     const skip = (page - 1) * limit;
@@ -209,7 +255,7 @@ const getInvoiceById = async (req, res) => {
   try {
     const invoice = await Invoice.findOne({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     })
       .populate("client")
       .populate("items");
@@ -241,6 +287,44 @@ const getInvoiceById = async (req, res) => {
   }
 };
 
+/**
+ * @route   GET /api/invoices/:id/pdf
+ * @desc    Download invoice as PDF (?download=true saves instead of previewing)
+ * @access  Private
+ */
+const getInvoicePdf = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    }).populate("client");
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    const pdf = await generateInvoicePdf(invoice, req.businessOwner);
+    const disposition = req.query.download === "true" ? "attachment" : "inline";
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `${disposition}; filename="${invoice.invoiceNumber}.pdf"`,
+      "Content-Length": pdf.length,
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    console.error("Get invoice PDF error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating invoice PDF",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * @route   PUT /api/invoices/:id
  * @desc    Update invoice
@@ -250,7 +334,7 @@ const updateInvoice = async (req, res) => {
   try {
     const invoice = await Invoice.findOne({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
 
     if (!invoice) {
@@ -260,32 +344,172 @@ const updateInvoice = async (req, res) => {
       });
     }
 
-    // Don't allow editing paid invoices
-    if (invoice.status === "paid") {
+    // Locked invoices are only adjusted with credit notes
+    const organization = await Organization.findById(req.organizationId).select(
+      "invoiceLocking"
+    );
+    const locking = (organization && organization.invoiceLocking) || {};
+    const lock = findInvoiceLock(invoice, locking);
+    if (lock) {
       return res.status(400).json({
         success: false,
-        message: "Cannot edit paid invoices",
+        message: `${lock} Issue a credit note to adjust the invoice.`,
       });
     }
 
     const {
       client,
       items,
+      currency,
+      exchangeRate,
       taxRate,
       discount,
       discountType,
+      taxInclusive,
       shippingFee,
       dueDate,
+      paymentSchedule,
       notes,
       termsAndConditions,
       status,
+      reason,
     } = req.body;
 
+    if (
+      reason !== undefined &&
+      (typeof reason !== "string" || reason.trim().length > 500)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Reason must be text of at most 500 characters",
+      });
+    }
+
+    // Payments, credit notes, cancelling and sending move the status on
+    // through their own endpoints; here a draft can only be marked as sent
+    if (
+      status !== undefined &&
+      status !== invoice.status &&
+      !(invoice.status === "draft" && status === "sent")
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Only a draft invoice can be marked as sent here. Record a payment, issue a credit note or cancel the invoice instead.",
+      });
+    }
+
+    // Changes to an invoice the client has received are kept as revisions
+    const tracked = isTracked(invoice);
+    if (tracked && locking.requireReason && !(reason && reason.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: "Give a reason for changing an invoice that was sent",
+      });
+    }
+    const before = tracked ? await snapshotInvoice(invoice) : null;
+
+    const pricingError = validatePricing({
+      items,
+      taxRate,
+      discount,
+      discountType: discountType || invoice.discountType,
+      taxInclusive,
+      shippingFee,
+    });
+    if (pricingError) {
+      return res.status(400).json({
+        success: false,
+        message: pricingError,
+      });
+    }
+
+    // Credit notes point at the invoice lines and amounts, so once one is
+    // issued the invoice can only be adjusted with further credit notes
+    const changesPricing = [
+      items,
+      currency,
+      taxRate,
+      discount,
+      discountType,
+      taxInclusive,
+      shippingFee,
+    ].some((value) => value !== undefined);
+    const changesAmounts = client !== undefined || changesPricing;
+    if (invoice.amountCredited > 0 && changesAmounts) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "This invoice has credit notes. Issue another credit note to adjust it.",
+      });
+    }
+
+    // The due date of an invoice paid in installments is its last installment
+    const hasSchedule =
+      paymentSchedule !== undefined
+        ? Boolean(paymentSchedule)
+        : invoice.installments.length > 0;
+    if (dueDate && hasSchedule) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "This invoice is paid in installments, change the installment due dates instead",
+      });
+    }
+
+    // Payments were received at the rate the invoice was issued at
+    if (currency !== undefined || exchangeRate !== undefined) {
+      if (invoice.amountPaid > 0) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Payments have been recorded on this invoice, its currency and exchange rate can no longer change",
+        });
+      }
+
+      const pricedIn = await resolveInvoiceCurrency(req.organizationId, {
+        currency: currency || invoice.currency,
+        date: invoice.issueDate,
+        exchangeRate,
+      });
+      if (pricedIn.message) {
+        return res.status(pricedIn.status).json({
+          success: false,
+          message: pricedIn.message,
+        });
+      }
+
+      invoice.currency = pricedIn.currency;
+      invoice.baseCurrency = pricedIn.baseCurrency;
+      invoice.exchangeRate = pricedIn.exchangeRate;
+    }
+
+    // Validate the new client exists and belongs to the business
+    if (client) {
+      if (!mongoose.isValidObjectId(client)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid client id",
+        });
+      }
+      const clientDoc = await Client.findOne({
+        _id: client,
+        organization: req.organizationId,
+      });
+      if (!clientDoc) {
+        return res.status(404).json({
+          success: false,
+          message: "Client not found",
+        });
+      }
+    }
+
     // Update fields
     if (client) invoice.client = client;
     if (taxRate !== undefined) invoice.taxRate = taxRate;
     if (discount !== undefined) invoice.discount = discount;
     if (discountType) invoice.discountType = discountType;
+    if (taxInclusive !== undefined) invoice.taxInclusive = taxInclusive;
     if (shippingFee !== undefined) invoice.shippingFee = shippingFee;
     if (dueDate) invoice.dueDate = dueDate;
     if (notes !== undefined) invoice.notes = notes;
@@ -293,35 +517,61 @@ const updateInvoice = async (req, res) => {
       invoice.termsAndConditions = termsAndConditions;
     if (status) invoice.status = status;
 
-    // Update items if provided
-    if (items) {
-      // Delete old items
-      await InvoiceItem.deleteMany({ invoice: invoice._id });
+    // Reprice the lines whenever an amount changes, keeping the current
+    // lines when no new ones are given
+    let lines;
+    let pricedItems;
+    if (changesPricing) {
+      lines = items
+        ? items
+        : (await InvoiceItem.find({ invoice: invoice._id })).map((item) =>
+            item.toObject()
+          );
+      pricedItems = priceInvoice(invoice, lines);
+    }
 
-      // Create new items
-      let subtotal = 0;
-      for (const item of items) {
-        const itemSubtotal = item.quantity * item.unitPrice;
-        subtotal += itemSubtotal;
-
-        await InvoiceItem.create({
-          invoice: invoice._id,
-          description: item.description,
-          quantity: item.quantity,
-          unitPrice: item.unitPrice,
-          unit: item.unit,
-          taxRate: item.taxRate,
-          discount: item.discount,
-          discountType: item.discountType,
-          inventoryItem: item.inventoryItem,
+    // A new payment schedule is built on the repriced amounts, null removes
+    // it (a kept schedule follows the new amounts proportionally)
+    if (paymentSchedule !== undefined) {
+      if (paymentSchedule) {
+        const schedule = buildInstallments(paymentSchedule, {
+          total: invoice.chargedAmount(),
+          currency: invoice.currency,
+          issueDate: invoice.issueDate,
         });
+        if (schedule.message) {
+          return res.status(schedule.status).json({
+            success: false,
+            message: schedule.message,
+          });
+        }
+        invoice.installments = schedule.installments;
+        invoice.dueDate = schedule.dueDate;
+      } else {
+        invoice.installments = [];
       }
+    }
 
-      invoice.subtotal = subtotal;
+    if (changesPricing) {
+      await InvoiceItem.deleteMany({ invoice: invoice._id });
+      if (pricedItems.length > 0) {
+        await InvoiceItem.insertMany(
+          pricedItems.map((item, index) =>
+            items ? item : { ...item, _id: lines[index]._id }
+          )
+        );
+      }
     }
 
     await invoice.save();
 
+    if (before) {
+      await recordInvoiceChange(invoice, before, {
+        changedBy: req.userId,
+        reason: reason && reason.trim(),
+      });
+    }
+
     const updatedInvoice = await Invoice.findById(invoice._id)
       .populate("client")
       .populate("items");
@@ -350,7 +600,7 @@ const deleteInvoice = async (req, res) => {
   try {
     const invoice = await Invoice.findOne({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
 
     if (!invoice) {
@@ -368,12 +618,23 @@ const deleteInvoice = async (req, res) => {
       });
     }
 
+    // Keep the invoice its credit notes were issued against
+    if (invoice.amountCredited > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot delete invoices with credit notes",
+      });
+    }
+
     // Delete invoice items
     await InvoiceItem.deleteMany({ invoice: invoice._id });
 
     // Delete invoice
     await invoice.deleteOne();
 
+    // Delete attached files
+    await deleteInvoiceAttachmentFiles(invoice);
+
     res.status(200).json({
       success: true,
       message: "Invoice deleted successfully",
@@ -390,15 +651,17 @@ const deleteInvoice = async (req, res) => {
 
 /**
  * @route   POST /api/invoices/:id/send
- * @desc    Mark invoice as sent
+ * @desc    Email invoice (PDF attached, secure view link) to the client
  * @access  Private
  */
 const sendInvoice = async (req, res) => {
   try {
+    const { to, message } = req.body;
+
     const invoice = await Invoice.findOne({
       _id: req.params.id,
-      user: req.userId,
-    });
+      organization: req.organizationId,
+    }).populate("client");
 
     if (!invoice) {
       return res.status(404).json({
@@ -407,11 +670,50 @@ const sendInvoice = async (req, res) => {
       });
     }
 
-    await invoice.markAsSent();
+    if (invoice.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot send a cancelled invoice",
+      });
+    }
+
+    if (to && !/^\S+@\S+\.\S+$/.test(to)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid recipient email",
+      });
+    }
+
+    const recipient = resolveRecipient(invoice.client, to);
+    if (!recipient) {
+      return res.status(400).json({
+        success: false,
+        message: "The client has no email address to send the invoice to",
+      });
+    }
+
+    const result = await deliverInvoice(invoice, {
+      recipient,
+      requestedBy: req.userId,
+      message,
+      business: req.businessOwner,
+    });
+
+    if (!result.delivered) {
+      return res.status(502).json({
+        success: false,
+        message:
+          invoice.delivery.status === "retrying"
+            ? "Invoice email could not be delivered. It will be retried automatically."
+            : "Invoice email could not be delivered.",
+        error: result.error,
+        data: { invoice },
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: "Invoice marked as sent",
+      message: `Invoice sent to ${recipient}`,
       data: { invoice },
     });
   } catch (error) {
@@ -425,58 +727,1269 @@ const sendInvoice = async (req, res) => {
 };
 
 /**
- * @route   GET /api/invoices/overdue
- * @desc    Get overdue invoices
+ * @route   GET /api/invoices/:id/public-link
+ * @desc    Get the shareable link of an invoice (view and pay without login)
  * @access  Private
  */
-const getOverdueInvoices = async (req, res) => {
+const getPublicLink = async (req, res) => {
   try {
-    const invoices = await Invoice.getOverdueInvoices(req.userId);
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    if (invoice.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Cancelled invoices cannot be shared",
+      });
+    }
+
+    const { viewUrl, pdfUrl } = buildInvoiceLinks(invoice);
 
     res.status(200).json({
       success: true,
-      data: {
-        invoices,
-        count: invoices.length,
-      },
+      data: { url: viewUrl, pdfUrl },
     });
   } catch (error) {
-    console.error("Get overdue invoices error:", error);
+    console.error("Get invoice public link error:", error);
     res.status(500).json({
       success: false,
-      message: "Error fetching overdue invoices",
+      message: "Error creating invoice link",
       error: error.message,
     });
   }
 };
 
 /**
- * @route   GET /api/invoices/stats
- * @desc    Get invoice statistics
+ * @route   POST /api/invoices/:id/public-link/revoke
+ * @desc    Revoke every shared link of an invoice and issue a new one
  * @access  Private
  */
-const getInvoiceStats = async (req, res) => {
+const revokePublicLink = async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
 
-    const matchQuery = { user: req.userId };
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
 
-    if (startDate || endDate) {
-      matchQuery.issueDate = {};
-      if (startDate) matchQuery.issueDate.$gte = new Date(startDate);
-      if (endDate) matchQuery.issueDate.$lte = new Date(endDate);
+    await invoice.revokePublicLinks();
+
+    const { viewUrl, pdfUrl } = buildInvoiceLinks(invoice);
+
+    res.status(200).json({
+      success: true,
+      message: "Previous invoice links have been revoked",
+      data: invoice.status === "cancelled" ? {} : { url: viewUrl, pdfUrl },
+    });
+  } catch (error) {
+    console.error("Revoke invoice public link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking invoice links",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/invoices/:id/remind
+ * @desc    Email the client a payment reminder now
+ * @access  Private
+ */
+const sendReminder = async (req, res) => {
+  try {
+    const { to } = req.body;
+
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    }).populate("client");
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    if (
+      !REMINDABLE_STATUSES.includes(invoice.status) ||
+      invoice.amountDue <= 0
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Only sent invoices with a balance due can be reminded",
+      });
     }
 
+    if (to && !/^\S+@\S+\.\S+$/.test(to)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid recipient email",
+      });
+    }
+
+    const recipient = resolveRecipient(invoice.client, to);
+    if (!recipient) {
+      return res.status(400).json({
+        success: false,
+        message: "The client has no email address to send the reminder to",
+      });
+    }
+
+    let reminded;
+    try {
+      reminded = await sendInvoiceReminder(invoice, {
+        recipient,
+        business: req.businessOwner,
+      });
+    } catch (error) {
+      return res.status(502).json({
+        success: false,
+        message: "Reminder email could not be delivered.",
+        error: error.message,
+      });
+    }
+
+    if (!reminded) {
+      return res.status(409).json({
+        success: false,
+        message: "A reminder was just sent for this invoice",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Reminder sent to ${recipient}`,
+      data: {
+        remindersSent: invoice.remindersSent,
+        lastReminderAt: invoice.lastReminderAt,
+      },
+    });
+  } catch (error) {
+    console.error("Send invoice reminder error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error sending reminder",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/invoices/reminders/settings
+ * @desc    Get the payment reminder schedule of the business
+ * @access  Private
+ */
+const getReminderSettings = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organizationId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        // Switched on and off with the owner's invoiceDue notification
+        enabled:
+          req.businessOwner?.settings?.notifications?.invoiceDue !== false,
+        schedule: organization.invoiceReminders,
+      },
+    });
+  } catch (error) {
+    console.error("Get reminder settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching reminder settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/invoices/reminders/settings
+ * @desc    Change when payment reminders are sent
+ * @access  Private (settings:manage)
+ */
+const updateReminderSettings = async (req, res) => {
+  try {
+    const { daysBefore, onDueDate, repeatAfterDays, maxReminders } = req.body;
+
+    const isWholeNumber = (value, min, max) =>
+      Number.isInteger(value) && value >= min && value <= max;
+
+    if (
+      daysBefore !== undefined &&
+      !(
+        Array.isArray(daysBefore) &&
+        daysBefore.length <= 5 &&
+        daysBefore.every((days) => isWholeNumber(days, 1, 30))
+      )
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "daysBefore must be up to 5 whole numbers between 1 and 30",
+      });
+    }
+
+    if (onDueDate !== undefined && typeof onDueDate !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "onDueDate must be true or false",
+      });
+    }
+
+    if (
+      repeatAfterDays !== undefined &&
+      !isWholeNumber(repeatAfterDays, 0, 90)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "repeatAfterDays must be a whole number between 0 and 90",
+      });
+    }
+
+    if (maxReminders !== undefined && !isWholeNumber(maxReminders, 1, 20)) {
+      return res.status(400).json({
+        success: false,
+        message: "maxReminders must be a whole number between 1 and 20",
+      });
+    }
+
+    const organization = await Organization.findById(req.organizationId);
+    const schedule = organization.invoiceReminders;
+
+    if (daysBefore !== undefined) {
+      schedule.daysBefore = [...new Set(daysBefore)].sort((a, b) => b - a);
+    }
+    if (onDueDate !== undefined) schedule.onDueDate = onDueDate;
+    if (repeatAfterDays !== undefined) {
+      schedule.repeatAfterDays = repeatAfterDays;
+    }
+    if (maxReminders !== undefined) schedule.maxReminders = maxReminders;
+
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Reminder settings updated successfully",
+      data: {
+        enabled:
+          req.businessOwner?.settings?.notifications?.invoiceDue !== false,
+        schedule: organization.invoiceReminders,
+      },
+    });
+  } catch (error) {
+    console.error("Update reminder settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating reminder settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/invoices/late-fees/settings
+ * @desc    Get the late fee rule of the business
+ * @access  Private
+ */
+const getLateFeeSettings = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organizationId);
+
+    res.status(200).json({
+      success: true,
+      data: { lateFees: organization.lateFees },
+    });
+  } catch (error) {
+    console.error("Get late fee settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching late fee settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/invoices/late-fees/settings
+ * @desc    Change the late fee charged on overdue invoices
+ * @access  Private (settings:manage)
+ */
+const updateLateFeeSettings = async (req, res) => {
+  try {
+    const {
+      enabled,
+      feeType,
+      amount,
+      frequency,
+      periodDays,
+      graceDays,
+      maxTotal,
+    } = req.body;
+
+    const isWholeNumber = (value, min, max) =>
+      Number.isInteger(value) && value >= min && value <= max;
+
+    if (enabled !== undefined && typeof enabled !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "enabled must be true or false",
+      });
+    }
+
+    if (feeType !== undefined && !["flat", "percentage"].includes(feeType)) {
+      return res.status(400).json({
+        success: false,
+        message: "feeType must be flat or percentage",
+      });
+    }
+
+    if (frequency !== undefined && !["once", "recurring"].includes(frequency)) {
+      return res.status(400).json({
+        success: false,
+        message: "frequency must be once or recurring",
+      });
+    }
+
+    if (periodDays !== undefined && !isWholeNumber(periodDays, 1, 365)) {
+      return res.status(400).json({
+        success: false,
+        message: "periodDays must be a whole number between 1 and 365",
+      });
+    }
+
+    if (graceDays !== undefined && !isWholeNumber(graceDays, 0, 365)) {
+      return res.status(400).json({
+        success: false,
+        message: "graceDays must be a whole number between 0 and 365",
+      });
+    }
+
+    if (
+      maxTotal !== undefined &&
+      !(typeof maxTotal === "number" && maxTotal >= 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "maxTotal must be 0 (no cap) or more",
+      });
+    }
+
+    const organization = await Organization.findById(req.organizationId);
+    const rule = organization.lateFees;
+
+    const nextType = feeType || rule.feeType;
+    const nextAmount = amount !== undefined ? amount : rule.amount;
+    if (
+      typeof nextAmount !== "number" ||
+      nextAmount < 0 ||
+      (nextType === "percentage" && nextAmount > 100)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          nextType === "percentage"
+            ? "Percentage must be between 0 and 100"
+            : "Amount cannot be negative",
+      });
+    }
+
+    if ((enabled ?? rule.enabled) && !(nextAmount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Set a late fee amount before enabling late fees",
+      });
+    }
+
+    if (enabled !== undefined) rule.enabled = enabled;
+    rule.feeType = nextType;
+    rule.amount = nextAmount;
+    if (frequency !== undefined) rule.frequency = frequency;
+    if (periodDays !== undefined) rule.periodDays = periodDays;
+    if (graceDays !== undefined) rule.graceDays = graceDays;
+    if (maxTotal !== undefined) rule.maxTotal = maxTotal;
+
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Late fee settings updated successfully",
+      data: { lateFees: organization.lateFees },
+    });
+  } catch (error) {
+    console.error("Update late fee settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating late fee settings",
+      error: error.message,
+    });
+  }
+};
+
+// Numbering settings of every document type, with an example number
+const numberingSettingsOf = (organization) =>
+  Object.keys(DOCUMENT_TYPES).reduce((numbering, type) => {
+    const settings = resolveNumberingSettings(organization, type);
+    numbering[type] = {
+      ...settings,
+      example: formatDocumentNumber(settings, settings.start),
+    };
+    return numbering;
+  }, {});
+
+/**
+ * @route   GET /api/invoices/numbering/settings
+ * @desc    Get how invoices, receipts, estimates and credit notes are numbered
+ * @access  Private
+ */
+const getNumberingSettings = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organizationId);
+
+    res.status(200).json({
+      success: true,
+      data: { numbering: numberingSettingsOf(organization) },
+    });
+  } catch (error) {
+    console.error("Get numbering settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching numbering settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/invoices/numbering/settings
+ * @desc    Change the numbering of one or more document types
+ * @access  Private (settings:manage)
+ */
+const updateNumberingSettings = async (req, res) => {
+  try {
+    const types = Object.keys(req.body);
+    const unknown = types.find((type) => !DOCUMENT_TYPES[type]);
+    if (types.length === 0 || unknown) {
+      return res.status(400).json({
+        success: false,
+        message: `Send settings for any of: ${Object.keys(DOCUMENT_TYPES).join(
+          ", "
+        )}`,
+      });
+    }
+
+    const organization = await Organization.findById(req.organizationId);
+
+    const updates = {};
+    for (const type of types) {
+      const changes = req.body[type];
+      if (!changes || typeof changes !== "object") {
+        return res.status(400).json({
+          success: false,
+          message: `Settings for ${type} must be an object`,
+        });
+      }
+
+      const current = resolveNumberingSettings(organization, type);
+      const settings = Object.keys(current).reduce((merged, field) => {
+        merged[field] = changes[field] ?? current[field];
+        return merged;
+      }, {});
+
+      const invalid = validateNumberingSettings(settings);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: `${type}: ${invalid}`,
+        });
+      }
+      updates[type] = settings;
+    }
+
+    Object.keys(updates).forEach((type) => {
+      organization.set(`numbering.${type}`, updates[type]);
+    });
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Numbering settings updated successfully",
+      data: { numbering: numberingSettingsOf(organization) },
+    });
+  } catch (error) {
+    console.error("Update numbering settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating numbering settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/invoices/currency/settings
+ * @desc    Get the base currency of the business and the currencies it invoices in
+ * @access  Private
+ */
+const getCurrencySettings = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organizationId);
+
+    res.status(200).json({
+      success: true,
+      data: { currency: resolveCurrencySettings(organization) },
+    });
+  } catch (error) {
+    console.error("Get currency settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching currency settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/invoices/currency/settings
+ * @desc    Change the base currency or the currencies the business invoices in
+ * @access  Private (settings:manage)
+ */
+const updateCurrencySettings = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organizationId);
+    const current = resolveCurrencySettings(organization);
+
+    const settings = {
+      baseCurrency:
+        req.body.baseCurrency !== undefined
+          ? String(req.body.baseCurrency).trim().toUpperCase()
+          : current.baseCurrency,
+      currencies: Array.isArray(req.body.currencies)
+        ? req.body.currencies.map((currency) =>
+            String(currency).trim().toUpperCase()
+          )
+        : req.body.currencies ?? current.currencies,
+    };
+
+    const invalid = validateCurrencySettings(settings);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid,
+      });
+    }
+
+    // Invoices and payments hold rates to the base currency they were issued in
+    if (
+      settings.baseCurrency !== current.baseCurrency &&
+      (await Invoice.exists({ organization: req.organizationId }))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "The base currency cannot change once the business has issued invoices",
+      });
+    }
+
+    organization.baseCurrency = settings.baseCurrency;
+    organization.currencies = [...new Set(settings.currencies)].filter(
+      (currency) => currency !== settings.baseCurrency
+    );
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Currency settings updated successfully",
+      data: { currency: resolveCurrencySettings(organization) },
+    });
+  } catch (error) {
+    console.error("Update currency settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating currency settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/invoices/locking/settings
+ * @desc    Get when invoices stop being editable and whether changes need a reason
+ * @access  Private
+ */
+const getLockingSettings = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organizationId);
+
+    res.status(200).json({
+      success: true,
+      data: { invoiceLocking: organization.invoiceLocking },
+    });
+  } catch (error) {
+    console.error("Get locking settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching locking settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/invoices/locking/settings
+ * @desc    Change when invoices stop being editable and whether changes need a reason
+ * @access  Private (settings:manage)
+ */
+const updateLockingSettings = async (req, res) => {
+  try {
+    const { lockAfter, requireReason } = req.body;
+
+    if (
+      lockAfter !== undefined &&
+      !["paid", "payment", "sent"].includes(lockAfter)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "lockAfter must be paid, payment or sent",
+      });
+    }
+
+    if (requireReason !== undefined && typeof requireReason !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "requireReason must be true or false",
+      });
+    }
+
+    const organization = await Organization.findById(req.organizationId);
+
+    if (lockAfter !== undefined)
+      organization.invoiceLocking.lockAfter = lockAfter;
+    if (requireReason !== undefined)
+      organization.invoiceLocking.requireReason = requireReason;
+
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Locking settings updated successfully",
+      data: { invoiceLocking: organization.invoiceLocking },
+    });
+  } catch (error) {
+    console.error("Update locking settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating locking settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/invoices/:id/late-fees
+ * @desc    Get the late fees charged on an invoice, waived ones included
+ * @access  Private
+ */
+const getLateFees = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    })
+      .select("invoiceNumber lateFees lateFeeTotal total amountDue")
+      .populate("lateFees.waivedBy", "businessName email");
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lateFees: invoice.lateFees,
+        lateFeeTotal: invoice.lateFeeTotal,
+      },
+    });
+  } catch (error) {
+    console.error("Get late fees error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching late fees",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/invoices/:id/late-fees/:feeId/waive
+ * @desc    Waive a late fee (kept in the history, removed from the total)
+ * @access  Private
+ */
+const waiveLateFee = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    const fee = invoice.lateFees.id(req.params.feeId);
+    if (!fee) {
+      return res.status(404).json({
+        success: false,
+        message: "Late fee not found",
+      });
+    }
+
+    if (fee.waived) {
+      return res.status(400).json({
+        success: false,
+        message: "This late fee has already been waived",
+      });
+    }
+
+    // A fee that was already paid can only be given back with a credit note
+    if (fee.amount > invoice.amountDue) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "This late fee has already been paid. Issue a credit note instead.",
+      });
+    }
+
+    fee.waived = true;
+    fee.waivedAt = new Date();
+    fee.waivedBy = req.userId;
+    fee.waiveReason = req.body.reason;
+
+    await invoice.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Late fee waived",
+      data: {
+        lateFees: invoice.lateFees,
+        lateFeeTotal: invoice.lateFeeTotal,
+        total: invoice.total,
+        amountDue: invoice.amountDue,
+      },
+    });
+  } catch (error) {
+    console.error("Waive late fee error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error waiving late fee",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/invoices/:id/revisions
+ * @desc    Get the revision history of an invoice, newest first
+ * @access  Private
+ */
+const getRevisions = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    }).select("invoiceNumber revision");
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    const revisions = await InvoiceRevision.find({ invoice: invoice._id })
+      .select("-snapshot")
+      .populate("changedBy", "businessName email")
+      .sort({ revision: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { revision: invoice.revision, revisions },
+    });
+  } catch (error) {
+    console.error("Get invoice revisions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching invoice revisions",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/invoices/:id/revisions/:revision
+ * @desc    Get one revision of an invoice with its header and lines
+ * @access  Private
+ */
+const getRevision = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    }).select("_id");
+    const number = parseInt(req.params.revision);
+
+    const revision =
+      invoice && number >= 1
+        ? await InvoiceRevision.findOne({
+            invoice: invoice._id,
+            revision: number,
+          }).populate("changedBy", "businessName email")
+        : null;
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: invoice ? "Revision not found" : "Invoice not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { revision },
+    });
+  } catch (error) {
+    console.error("Get invoice revision error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching invoice revision",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/invoices/:id/revisions/diff
+ * @desc    Compare two revisions of an invoice (?from=&to=, by default the latest and the one before it)
+ * @access  Private
+ */
+const getRevisionDiff = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    }).select("revision");
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    const to =
+      req.query.to !== undefined ? parseInt(req.query.to) : invoice.revision;
+    const from =
+      req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+
+    if (!(from >= 1 && to >= 1) || from === to) {
+      return res.status(400).json({
+        success: false,
+        message:
+          invoice.revision < 2
+            ? "This invoice has no changes to compare"
+            : "from and to must be two different revision numbers",
+      });
+    }
+
+    const revisions = await InvoiceRevision.find({
+      invoice: invoice._id,
+      revision: { $in: [from, to] },
+    });
+    const older = revisions.find((revision) => revision.revision === from);
+    const newer = revisions.find((revision) => revision.revision === to);
+
+    if (!older || !newer) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision ${older ? to : from} not found`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        diff: diffSnapshots(older.snapshot, newer.snapshot),
+      },
+    });
+  } catch (error) {
+    console.error("Get invoice revision diff error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error comparing invoice revisions",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/invoices/:id/attachments
+ * @desc    Attach a file to an invoice (multipart/form-data, "file" field)
+ * @access  Private
+ */
+const uploadAttachment = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    const { attachment, status, message } = await addInvoiceAttachment(
+      invoice,
+      req.file,
+      req.userId
+    );
+    if (message) {
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "File attached successfully",
+      data: { attachment },
+    });
+  } catch (error) {
+    console.error("Upload invoice attachment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error attaching file",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/invoices/:id/attachments/:attachmentId
+ * @desc    Download a file attached to an invoice
+ * @access  Private
+ */
+const downloadAttachment = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    }).select("attachments");
+
+    const attachment =
+      invoice && invoice.attachments.id(req.params.attachmentId);
+    const data = attachment ? await readAttachment(attachment) : null;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: invoice ? "Attachment not found" : "Invoice not found",
+      });
+    }
+
+    res.set(attachmentHeaders(attachment, data));
+    res.status(200).send(data);
+  } catch (error) {
+    console.error("Download invoice attachment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error downloading attachment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/invoices/:id/attachments/:attachmentId
+ * @desc    Remove a file attached to an invoice
+ * @access  Private
+ */
+const deleteAttachment = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    const removed = await removeInvoiceAttachment(
+      invoice,
+      req.params.attachmentId
+    );
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Attachment deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete invoice attachment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting attachment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/invoices/bulk
+ * @desc    Send, remind, mark paid, cancel or export (PDF zip) many invoices, picked by ids or by the invoice list filters, as a background job
+ * @access  Private
+ */
+const createBulkJob = async (req, res) => {
+  try {
+    const { action, ids, filters } = req.body;
+
+    const checked = validateBulkOptions(action, req.body.options);
+    if (checked.message) {
+      return res.status(checked.status).json({
+        success: false,
+        message: checked.message,
+      });
+    }
+
+    // Each action needs the permission of doing it on a single invoice
+    const { permission } = BULK_ACTIONS[action];
+    if (!(req.permissions || []).includes(permission)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Insufficient permissions.",
+        requiredPermissions: [permission],
+        userRole: req.user.role,
+        code: "PERMISSION_DENIED",
+      });
+    }
+
+    if (["send", "remind"].includes(action) && !req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Email verification required. Please verify your email to continue.",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+
+    const selected = await selectBulkInvoices(req.organizationId, {
+      ids,
+      filters,
+    });
+    if (selected.message) {
+      return res.status(selected.status).json({
+        success: false,
+        message: selected.message,
+      });
+    }
+
+    const job = await BulkJob.create({
+      organization: req.organizationId,
+      createdBy: req.userId,
+      action,
+      options: checked.options,
+      invoices: selected.invoices,
+      total: selected.invoices.length,
+    });
+
+    // Picked up by the bulk-invoice-jobs background job; poll
+    // GET /api/invoices/bulk/:jobId
+    res.status(202).json({
+      success: true,
+      message: `Bulk ${action} queued for ${job.total} invoices`,
+      data: { job },
+    });
+  } catch (error) {
+    console.error("Create bulk job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error starting bulk action",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/invoices/bulk/:jobId
+ * @desc    Get the progress of a bulk job and its result for each invoice
+ * @access  Private
+ */
+const getBulkJob = async (req, res) => {
+  try {
+    const job = await BulkJob.findOne({
+      _id: req.params.jobId,
+      organization: req.organizationId,
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Bulk job not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { job },
+    });
+  } catch (error) {
+    console.error("Get bulk job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching bulk job",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/invoices/bulk/:jobId/download
+ * @desc    Download the PDF zip of a finished export job
+ * @access  Private
+ */
+const downloadBulkExport = async (req, res) => {
+  try {
+    const job = await BulkJob.findOne({
+      _id: req.params.jobId,
+      organization: req.organizationId,
+    }).select("+export.data");
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Bulk job not found",
+      });
+    }
+
+    if (!job.export || !job.export.data) {
+      return res.status(404).json({
+        success: false,
+        message:
+          job.action === "export_pdf" && job.status !== "completed"
+            ? "The export is not ready yet"
+            : "This job has no export to download",
+      });
+    }
+
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="${job.export.filename}"`,
+      "Content-Length": job.export.data.length,
+    });
+    res.status(200).send(job.export.data);
+  } catch (error) {
+    console.error("Download bulk export error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error downloading export",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/invoices/overdue
+ * @desc    Get overdue invoices
+ * @access  Private
+ */
+const getOverdueInvoices = async (req, res) => {
+  try {
+    const invoices = await Invoice.getOverdueInvoices(req.organizationId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoices,
+        count: invoices.length,
+      },
+    });
+  } catch (error) {
+    console.error("Get overdue invoices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching overdue invoices",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/invoices/stats
+ * @desc    Get invoice statistics
+ * @access  Private
+ */
+const getInvoiceStats = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const matchQuery = { organization: req.organizationId };
+
+    if (startDate || endDate) {
+      matchQuery.issueDate = {};
+      if (startDate) matchQuery.issueDate.$gte = new Date(startDate);
+      if (endDate) matchQuery.issueDate.$lte = new Date(endDate);
+    }
+
+    const organization = await Organization.findById(req.organizationId);
+    const { baseCurrency } = resolveCurrencySettings(organization);
+
+    // Amounts are added up in the base currency
     const stats = await Invoice.aggregate([
       { $match: matchQuery },
       {
         $group: {
           _id: null,
           totalInvoices: { $sum: 1 },
-          totalAmount: { $sum: "$total" },
-          totalPaid: { $sum: "$amountPaid" },
-          totalDue: { $sum: "$amountDue" },
-          averageAmount: { $avg: "$total" },
+          totalAmount: { $sum: inBaseCurrency("$total") },
+          totalPaid: { $sum: inBaseCurrency("$amountPaid") },
+          totalCredited: { $sum: inBaseCurrency("$amountCredited") },
+          totalDue: { $sum: inBaseCurrency("$amountDue") },
+          averageAmount: { $avg: inBaseCurrency("$total") },
         },
       },
     ]);
@@ -487,7 +2000,7 @@ const getInvoiceStats = async (req, res) => {
         $group: {
           _id: "$status",
           count: { $sum: 1 },
-          total: { $sum: "$total" },
+          total: { $sum: inBaseCurrency("$total") },
         },
       },
     ]);
@@ -495,10 +2008,12 @@ const getInvoiceStats = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
+        baseCurrency,
         overview: stats[0] || {
           totalInvoices: 0,
           totalAmount: 0,
           totalPaid: 0,
+          totalCredited: 0,
           totalDue: 0,
           averageAmount: 0,
         },
@@ -519,9 +2034,34 @@ module.exports = {
   createInvoice,
   getAllInvoices,
   getInvoiceById,
+  getInvoicePdf,
   updateInvoice,
   deleteInvoice,
   sendInvoice,
+  getPublicLink,
+  revokePublicLink,
+  sendReminder,
+  getReminderSettings,
+  updateReminderSettings,
+  getLateFeeSettings,
+  updateLateFeeSettings,
+  getNumberingSettings,
+  updateNumberingSettings,
+  getCurrencySettings,
+  updateCurrencySettings,
+  getLockingSettings,
+  updateLockingSettings,
+  getLateFees,
+  waiveLateFee,
+  getRevisions,
+  getRevision,
+  getRevisionDiff,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+  createBulkJob,
+  getBulkJob,
+  downloadBulkExport,
   getOverdueInvoices,
   getInvoiceStats,
 };
@@ -1,6 +1,10 @@
 const Payment = require("../models/Payment");
 const { Invoice } = require("../models/Invoice");
-const axios = require("axios");
+const config = require("../config/env");
+const {
+  initializeInvoicePayment,
+  verifyPayment,
+} = require("../services/flutterwaveService");
 
 /**
  * @route   POST /api/payments
@@ -19,13 +23,26 @@ const createPayment = async (req, res) => {
       cardDetails,
       mobileMoneyDetails,
       notes,
+      exchangeRate,
     } = req.body;
 
+    // Rate actually received, when it differs from the exchange rate table
+    if (
+      exchangeRate !== undefined &&
+      !(Number.isFinite(Number(exchangeRate)) && Number(exchangeRate) > 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Exchange rate must be a number greater than 0",
+      });
+    }
+
     // Validate invoice if provided
+    let invoiceDoc = null;
     if (invoice) {
-      const invoiceDoc = await Invoice.findOne({
+      invoiceDoc = await Invoice.findOne({
         _id: invoice,
-        user: req.userId,
+        organization: req.organizationId,
       });
 
       if (!invoiceDoc) {
@@ -50,9 +67,14 @@ const createPayment = async (req, res) => {
     // Create payment
     const payment = await Payment.create({
       user: req.userId,
+      organization: req.organizationId,
+      createdBy: req.userId,
       invoice,
       client,
       amount,
+      // A payment is made in the currency of the invoice it settles
+      currency: invoiceDoc ? invoiceDoc.currency : undefined,
+      exchangeRate,
       method,
       transactionRef,
       bankDetails,
@@ -99,7 +121,7 @@ const initializeFlutterwavePayment = async (req, res) => {
     // Validate invoice
     const invoiceDoc = await Invoice.findOne({
       _id: invoice,
-      user: req.userId,
+      organization: req.organizationId,
     }).populate("client");
 
     if (!invoiceDoc) {
@@ -109,62 +131,20 @@ const initializeFlutterwavePayment = async (req, res) => {
       });
     }
 
-    // Generate transaction reference
-    const transactionRef = Payment.generateTransactionRef();
-
-    // Flutterwave payment payload
-    const payload = {
-      tx_ref: transactionRef,
-      amount: amount,
-      currency: "NGN",
-      redirect_url: `${process.env.FRONTEND_URL}/payments/verify`,
-      customer: {
-        email: email || invoiceDoc.client.email,
-        phone_number: phone || invoiceDoc.client.phone,
-        name: name || invoiceDoc.client.name,
-      },
-      customizations: {
-        title: `Payment for Invoice ${invoiceDoc.invoiceNumber}`,
-        description: `Invoice payment`,
-        logo: process.env.BUSINESS_LOGO || "",
-      },
-      meta: {
-        invoice_id: invoice,
-        user_id: req.userId.toString(),
-      },
-    };
-
-    // Call Flutterwave API
-    const response = await axios.post(
-      "https://api.flutterwave.com/v3/payments",
-      payload,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.FLUTTERWAVE_SECRET_KEY}`,
-          "Content-Type": "application/json",
-        },
-      }
-    );
-
-    // Create pending payment record
-    await Payment.create({
-      user: req.userId,
-      invoice,
-      client: invoiceDoc.client._id,
+    const { paymentLink, transactionRef } = await initializeInvoicePayment({
+      invoice: invoiceDoc,
       amount,
-      method: "flutterwave",
-      gateway: "flutterwave",
-      transactionRef,
-      externalRef: response.data.data.id,
-      status: "pending",
-      gatewayResponse: response.data,
+      customer: { email, phone, name },
+      redirectUrl: `${config.frontendUrl}/payments/verify`,
+      user: req.userId,
+      createdBy: req.userId,
     });
 
     res.status(200).json({
       success: true,
       message: "Payment initialized successfully",
       data: {
-        paymentLink: response.data.data.link,
+        paymentLink,
         transactionRef,
       },
     });
@@ -194,20 +174,11 @@ const verifyFlutterwavePayment = async (req, res) => {
       });
     }
 
-    // Verify with Flutterwave
-    const response = await axios.get(
-      `https://api.flutterwave.com/v3/transactions/${transaction_id}/verify`,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.FLUTTERWAVE_SECRET_KEY}`,
-        },
-      }
-    );
-
-    const { data } = response.data;
-
     // Find payment record
-    const payment = await Payment.findOne({ transactionRef: tx_ref });
+    const payment = await Payment.findOne({
+      transactionRef: tx_ref,
+      organization: req.organizationId,
+    });
 
     if (!payment) {
       return res.status(404).json({
@@ -216,35 +187,22 @@ const verifyFlutterwavePayment = async (req, res) => {
       });
     }
 
-    // Update payment based on verification
-    if (data.status === "successful" && data.amount >= payment.amount) {
-      payment.status = "completed";
-      payment.gatewayResponse = response.data;
-      payment.externalRef = data.id;
-
-      // Extract card details if available
-      if (data.card) {
-        payment.cardDetails = {
-          last4: data.card.last_4digits,
-          cardType: data.card.type,
-          cardBrand: data.card.issuer,
-        };
-      }
-
-      await payment.markAsCompleted();
+    // Verify with Flutterwave
+    const completed = await verifyPayment(payment, transaction_id);
 
+    if (completed) {
       res.status(200).json({
         success: true,
         message: "Payment verified and completed successfully",
         data: { payment },
       });
     } else {
-      payment.status = "failed";
-      await payment.save();
-
       res.status(400).json({
         success: false,
-        message: "Payment verification failed",
+        message:
+          payment.status === "pending"
+            ? "Payment is still being processed"
+            : "Payment verification failed",
         data: { payment },
       });
     }
@@ -260,7 +218,7 @@ const verifyFlutterwavePayment = async (req, res) => {
 
 /**
  * @route   GET /api/payments
- * @desc    Get all payments for user
+ * @desc    Get all payments of the business
  * @access  Private
  */
 const getAllPayments = async (req, res) => {
@@ -279,7 +237,7 @@ const getAllPayments = async (req, res) => {
     } = req.query;
 
     // Build query
-    const query = { user: req.userId };
+    const query = { organization: req.organizationId };
 
     if (status) query.status = status;
     if (method) query.method = method;
@@ -339,7 +297,7 @@ const getPaymentById = async (req, res) => {
   try {
     const payment = await Payment.findOne({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     })
       .populate("invoice")
       .populate("client");
@@ -387,7 +345,7 @@ const updatePaymentStatus = async (req, res) => {
 
     const payment = await Payment.findOne({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
 
     if (!payment) {
@@ -432,7 +390,7 @@ const refundPayment = async (req, res) => {
 
     const payment = await Payment.findOne({
       _id: req.params.id,
-      user: req.userId,
+      organization: req.organizationId,
     });
 
     if (!payment) {
@@ -469,7 +427,7 @@ const getPaymentStats = async (req, res) => {
     const { startDate, endDate } = req.query;
 
     const stats = await Payment.getPaymentStats(
-      req.userId,
+      req.organizationId,
       startDate ? new Date(startDate) : undefined,
       endDate ? new Date(endDate) : undefined
     );
@@ -0,0 +1,208 @@
+const Estimate = require("../models/Estimate");
+const { verifyEstimateViewToken } = require("../utils/jwt");
+const { loadBusinessOwner } = require("../services/invoiceDeliveryService");
+const { notifyEstimateResponse } = require("../services/estimateService");
+
+/**
+ * Find the estimate a public link points to
+ * Links stop working once the estimate's link version moves on (revoked)
+ * @returns {Promise<{estimate?: Object, status?: number, message?: string}>}
+ */
+const findEstimateByToken = async (token) => {
+  const { valid, decoded } = verifyEstimateViewToken(token);
+  if (!valid) {
+    return {
+      status: 404,
+      message: "This estimate link is invalid or has expired",
+    };
+  }
+
+  const estimate = await Estimate.findById(decoded.estimateId).populate(
+    "client"
+  );
+  if (!estimate) {
+    return {
+      status: 404,
+      message: "This estimate link is invalid or has expired",
+    };
+  }
+
+  if (estimate.publicLinkVersion !== decoded.v) {
+    return {
+      status: 410,
+      message: "This estimate link is no longer available",
+    };
+  }
+
+  return { estimate };
+};
+
+// Details of the estimate safe to show to anyone holding the link
+const toPublicEstimate = (estimate, business) => ({
+  estimateNumber: estimate.estimateNumber,
+  title: estimate.title,
+  status: estimate.isExpired ? "expired" : estimate.status,
+  issueDate: estimate.issueDate,
+  expiryDate: estimate.expiryDate,
+  currency: estimate.currency,
+  items: estimate.items.map((item) => ({
+    description: item.description,
+    quantity: item.quantity,
+    unit: item.unit,
+    unitPrice: item.unitPrice,
+    discount: item.discount,
+    discountType: item.discountType,
+    taxRate: item.taxRate,
+    taxes: item.taxes.map((tax) => ({ name: tax.name, rate: tax.rate })),
+    subtotal: item.subtotal,
+    taxAmount: item.taxAmount,
+  })),
+  subtotal: estimate.subtotal,
+  discount: estimate.discount,
+  discountType: estimate.discountType,
+  discountAmount: estimate.discountAmount,
+  taxRate: estimate.taxRate,
+  taxInclusive: estimate.taxInclusive,
+  taxAmount: estimate.taxAmount,
+  taxBreakdown: estimate.taxBreakdown.map((tax) => ({
+    name: tax.name,
+    rate: tax.rate,
+    taxableAmount: tax.taxableAmount,
+    taxAmount: tax.taxAmount,
+  })),
+  shippingFee: estimate.shippingFee,
+  total: estimate.total,
+  notes: estimate.notes,
+  termsAndConditions: estimate.termsAndConditions,
+  canRespond: estimate.canRespond,
+  client: estimate.client
+    ? {
+        name: estimate.client.name,
+        email: estimate.client.email,
+        phone: estimate.client.phone,
+        address: estimate.client.fullAddress,
+      }
+    : null,
+  business: business
+    ? {
+        name: business.businessName,
+        email: business.email,
+        phone: business.phone,
+        address: business.businessInfo?.address,
+        website: business.businessInfo?.website,
+        logo: business.businessInfo?.logo,
+      }
+    : null,
+});
+
+/**
+ * @route   GET /public/estimates/:token
+ * @desc    Open an estimate from a shared link
+ * @access  Public (signed link)
+ */
+const viewEstimate = async (req, res) => {
+  try {
+    const { estimate, status, message } = await findEstimateByToken(
+      req.params.token
+    );
+
+    if (!estimate) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await estimate.markAsViewed();
+
+    const business = await loadBusinessOwner(estimate);
+
+    res.set("Cache-Control", "no-store");
+    res.status(200).json({
+      success: true,
+      data: { estimate: toPublicEstimate(estimate, business) },
+    });
+  } catch (error) {
+    console.error("View public estimate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error loading estimate",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Accept or decline an estimate from its public link
+ */
+const respondToEstimate = (accepted) => async (req, res) => {
+  try {
+    const { estimate, status, message } = await findEstimateByToken(
+      req.params.token
+    );
+
+    if (!estimate) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!estimate.canRespond) {
+      return res.status(409).json({
+        success: false,
+        message:
+          estimate.isExpired || estimate.status === "expired"
+            ? "This estimate has expired"
+            : "This estimate has already been answered",
+      });
+    }
+
+    const { name, email, reason } = req.body;
+
+    if (accepted && !name) {
+      return res.status(400).json({
+        success: false,
+        message: "Please enter your name to accept the estimate",
+      });
+    }
+
+    await estimate.respond(accepted, {
+      name,
+      email,
+      reason: accepted ? undefined : reason,
+      ipAddress: req.ip,
+    });
+
+    await notifyEstimateResponse(estimate);
+
+    res.status(200).json({
+      success: true,
+      message: accepted
+        ? "Thank you, the estimate has been accepted"
+        : "The estimate has been declined",
+      data: { status: estimate.status },
+    });
+  } catch (error) {
+    console.error("Respond to public estimate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error saving your answer",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /public/estimates/:token/accept
+ * @desc    Accept an estimate
+ * @access  Public (signed link)
+ */
+const acceptEstimate = respondToEstimate(true);
+
+/**
+ * @route   POST /public/estimates/:token/decline
+ * @desc    Decline an estimate, optionally with a reason
+ * @access  Public (signed link)
+ */
+const declineEstimate = respondToEstimate(false);
+
+module.exports = {
+  viewEstimate,
+  acceptEstimate,
+  declineEstimate,
+};
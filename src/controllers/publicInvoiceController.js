@@ -0,0 +1,450 @@
+const mongoose = require("mongoose");
+const { Invoice, InvoiceItem } = require("../models/Invoice");
+const Payment = require("../models/Payment");
+const { verifyInvoiceViewToken } = require("../utils/jwt");
+const { generateInvoicePdf } = require("../services/pdfService");
+const {
+  loadBusinessOwner,
+  buildInvoiceLinks,
+} = require("../services/invoiceDeliveryService");
+const {
+  initializeInvoicePayment,
+  verifyPayment,
+} = require("../services/flutterwaveService");
+const {
+  readAttachment,
+  attachmentHeaders,
+} = require("../services/attachmentService");
+const config = require("../config/env");
+const { roundMoney } = require("../utils/money");
+
+// 1x1 transparent GIF returned by the open tracking pixel
+const TRACKING_PIXEL = Buffer.from(
+  "R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7",
+  "base64"
+);
+
+/**
+ * Find the invoice a public link points to
+ * Links stop working once the invoice's link version moves on (revoked, or
+ * the invoice was cancelled)
+ * @returns {Promise<{invoice?: Object, status?: number, message?: string}>}
+ */
+const findInvoiceByToken = async (token) => {
+  const { valid, decoded } = verifyInvoiceViewToken(token);
+  if (!valid) {
+    return {
+      status: 404,
+      message: "This invoice link is invalid or has expired",
+    };
+  }
+
+  const invoice = await Invoice.findById(decoded.invoiceId).populate("client");
+  if (!invoice) {
+    return {
+      status: 404,
+      message: "This invoice link is invalid or has expired",
+    };
+  }
+
+  if (invoice.status === "cancelled") {
+    return { status: 410, message: "This invoice has been cancelled" };
+  }
+  if (invoice.publicLinkVersion !== decoded.v) {
+    return { status: 410, message: "This invoice link is no longer available" };
+  }
+
+  return { invoice };
+};
+
+// Details of the invoice safe to show to anyone holding the link
+const toPublicInvoice = (invoice, items, business, token) => ({
+  invoiceNumber: invoice.invoiceNumber,
+  status: invoice.status,
+  issueDate: invoice.issueDate,
+  dueDate: invoice.dueDate,
+  currency: invoice.currency,
+  items: items.map((item) => ({
+    description: item.description,
+    quantity: item.quantity,
+    unit: item.unit,
+    unitPrice: item.unitPrice,
+    discount: item.discount,
+    discountType: item.discountType,
+    taxRate: item.taxRate,
+    taxes: item.taxes.map((tax) => ({ name: tax.name, rate: tax.rate })),
+    subtotal: item.subtotal,
+    taxAmount: item.taxAmount,
+  })),
+  subtotal: invoice.subtotal,
+  discount: invoice.discount,
+  discountType: invoice.discountType,
+  discountAmount: invoice.discountAmount,
+  taxRate: invoice.taxRate,
+  taxInclusive: invoice.taxInclusive,
+  taxAmount: invoice.taxAmount,
+  taxBreakdown: invoice.taxBreakdown.map((tax) => ({
+    name: tax.name,
+    rate: tax.rate,
+    taxableAmount: tax.taxableAmount,
+    taxAmount: tax.taxAmount,
+  })),
+  shippingFee: invoice.shippingFee,
+  lateFees: invoice.lateFees
+    .filter((fee) => !fee.waived)
+    .map((fee) => ({
+      description: fee.description,
+      amount: fee.amount,
+      appliedAt: fee.appliedAt,
+    })),
+  lateFeeTotal: invoice.lateFeeTotal,
+  total: invoice.total,
+  amountPaid: invoice.amountPaid,
+  amountCredited: invoice.amountCredited,
+  amountDue: invoice.amountDue,
+  paymentStatus: invoice.paymentStatus,
+  installments: invoice.installments.map((installment) => ({
+    label: installment.label,
+    isDeposit: installment.isDeposit,
+    amount: installment.amount,
+    dueDate: installment.dueDate,
+    amountPaid: installment.amountPaid,
+    status: installment.status,
+  })),
+  notes: invoice.notes,
+  termsAndConditions: invoice.termsAndConditions,
+  attachments: invoice.attachments
+    .filter((attachment) => attachment.key)
+    .map((attachment) => ({
+      id: attachment._id,
+      name: attachment.name,
+      type: attachment.type,
+      size: attachment.size,
+      url: `${config.apiUrl}/public/invoices/${token}/attachments/${attachment._id}`,
+    })),
+  client: invoice.client
+    ? {
+        name: invoice.client.name,
+        email: invoice.client.email,
+        phone: invoice.client.phone,
+        address: invoice.client.fullAddress,
+      }
+    : null,
+  business: business
+    ? {
+        name: business.businessName,
+        email: business.email,
+        phone: business.phone,
+        address: business.businessInfo?.address,
+        website: business.businessInfo?.website,
+        logo: business.businessInfo?.logo,
+      }
+    : null,
+});
+
+/**
+ * What the client is asked to pay: the next installment of a payment
+ * schedule unless paying in full, otherwise the whole balance
+ */
+const amountToCollect = (invoice, payInFull = false) => {
+  const installment = invoice.nextInstallment();
+  if (!installment || payInFull) {
+    return { amount: invoice.amountDue, installment: null };
+  }
+
+  return {
+    amount: roundMoney(
+      Math.min(installment.amount - installment.amountPaid, invoice.amountDue),
+      invoice.currency
+    ),
+    installment,
+  };
+};
+
+/**
+ * @route   GET /public/invoices/:token
+ * @desc    Open an invoice from a shared link
+ * @access  Public (signed link)
+ */
+const viewInvoice = async (req, res) => {
+  try {
+    const { invoice, status, message } = await findInvoiceByToken(
+      req.params.token
+    );
+
+    if (!invoice) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await invoice.markAsViewed();
+
+    const [items, business] = await Promise.all([
+      InvoiceItem.find({ invoice: invoice._id }).sort({ createdAt: 1, _id: 1 }),
+      loadBusinessOwner(invoice),
+    ]);
+
+    const { amount, installment } = amountToCollect(invoice);
+
+    res.set("Cache-Control", "no-store");
+    res.status(200).json({
+      success: true,
+      data: {
+        invoice: toPublicInvoice(invoice, items, business, req.params.token),
+        payment: {
+          available: invoice.amountDue > 0,
+          amountDue: invoice.amountDue,
+          // Next installment of a payment schedule
+          amountDueNow: amount,
+          installment: installment
+            ? { label: installment.label, dueDate: installment.dueDate }
+            : null,
+          currency: invoice.currency,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("View public invoice error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error loading invoice",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /public/invoices/:token/pdf
+ * @desc    Download the PDF of a shared invoice
+ * @access  Public (signed link)
+ */
+const getInvoicePdf = async (req, res) => {
+  try {
+    const { invoice, status, message } = await findInvoiceByToken(
+      req.params.token
+    );
+
+    if (!invoice) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await invoice.markAsViewed();
+
+    const business = await loadBusinessOwner(invoice);
+    const pdf = await generateInvoicePdf(invoice, business);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="${invoice.invoiceNumber}.pdf"`,
+      "Content-Length": pdf.length,
+      "Cache-Control": "no-store",
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    console.error("Public invoice PDF error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating invoice PDF",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /public/invoices/:token/pay
+ * @desc    Start a Flutterwave payment of the next installment, or of the whole balance with payInFull
+ * @access  Public (signed link)
+ */
+const payInvoice = async (req, res) => {
+  try {
+    const { invoice, status, message } = await findInvoiceByToken(
+      req.params.token
+    );
+
+    if (!invoice) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (invoice.amountDue <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This invoice has already been paid",
+      });
+    }
+
+    const { email, phone, name, payInFull } = req.body;
+    const { amount, installment } = amountToCollect(
+      invoice,
+      payInFull === true || payInFull === "true"
+    );
+
+    const { paymentLink, transactionRef } = await initializeInvoicePayment({
+      invoice,
+      amount,
+      customer: { email, phone, name },
+      // The payer comes back to the public invoice page, which verifies
+      redirectUrl: buildInvoiceLinks(invoice).viewUrl,
+      meta: { source: "public_link" },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Payment initialized successfully",
+      data: {
+        paymentLink,
+        transactionRef,
+        amount,
+        installment: installment ? installment.label : null,
+        currency: invoice.currency,
+      },
+    });
+  } catch (error) {
+    console.error("Public invoice payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error initializing payment",
+      error: error.response?.data?.message || error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /public/invoices/:token/pay/verify
+ * @desc    Confirm a Flutterwave payment made from the public invoice page
+ * @access  Public (signed link)
+ */
+const verifyInvoicePayment = async (req, res) => {
+  try {
+    const { transaction_id, tx_ref } = req.body;
+
+    if (!transaction_id || !tx_ref) {
+      return res.status(400).json({
+        success: false,
+        message: "Transaction ID and reference are required",
+      });
+    }
+
+    const { invoice, status, message } = await findInvoiceByToken(
+      req.params.token
+    );
+
+    if (!invoice) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    // Only payments started for this invoice can be confirmed through its link
+    const payment = await Payment.findOne({
+      transactionRef: tx_ref,
+      invoice: invoice._id,
+      gateway: "flutterwave",
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment record not found",
+      });
+    }
+
+    const completed = await verifyPayment(payment, transaction_id);
+    const updatedInvoice = await Invoice.findById(invoice._id);
+
+    res.status(completed ? 200 : 400).json({
+      success: completed,
+      message: completed
+        ? "Payment received, thank you"
+        : payment.status === "pending"
+        ? "Payment is still being processed"
+        : "Payment verification failed",
+      data: {
+        status: payment.status,
+        amount: payment.amount,
+        amountDue: updatedInvoice.amountDue,
+        paymentStatus: updatedInvoice.paymentStatus,
+      },
+    });
+  } catch (error) {
+    console.error("Verify public invoice payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error verifying payment",
+      error: error.response?.data?.message || error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /public/invoices/:token/open.gif
+ * @desc    Tracking pixel embedded in the invoice email
+ * @access  Public (signed link)
+ */
+const trackInvoiceOpen = async (req, res) => {
+  try {
+    const { invoice } = await findInvoiceByToken(req.params.token);
+    if (invoice) {
+      await invoice.markAsViewed();
+    }
+  } catch (error) {
+    // The image is returned regardless, tracking is best effort
+    console.error("Track invoice open error:", error);
+  }
+
+  res.set({
+    "Content-Type": "image/gif",
+    "Content-Length": TRACKING_PIXEL.length,
+    "Cache-Control": "no-store, no-cache, must-revalidate, private",
+    // Mail clients load the image from another origin
+    "Cross-Origin-Resource-Policy": "cross-origin",
+  });
+  res.status(200).send(TRACKING_PIXEL);
+};
+
+/**
+ * @route   GET /public/invoices/:token/attachments/:attachmentId
+ * @desc    Download a file attached to the invoice of a public link
+ * @access  Public (signed link)
+ */
+const getAttachment = async (req, res) => {
+  try {
+    const { invoice, status, message } = await findInvoiceByToken(
+      req.params.token
+    );
+
+    if (!invoice) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const attachment = mongoose.isValidObjectId(req.params.attachmentId)
+      ? invoice.attachments.id(req.params.attachmentId)
+      : null;
+    const data = attachment ? await readAttachment(attachment) : null;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment not found",
+      });
+    }
+
+    res.set({
+      ...attachmentHeaders(attachment, data),
+      "Cache-Control": "no-store",
+    });
+    res.status(200).send(data);
+  } catch (error) {
+    console.error("Public invoice attachment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error downloading attachment",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  viewInvoice,
+  getInvoicePdf,
+  getAttachment,
+  payInvoice,
+  verifyInvoicePayment,
+  trackInvoiceOpen,
+};
@@ -0,0 +1,552 @@
+const RecurringInvoice = require("../models/RecurringInvoice");
+const { RECURRING_INTERVALS } = RecurringInvoice;
+const Client = require("../models/Client");
+const { validatePricing } = require("../utils/pricing");
+
+// Template fields a schedule can be created or updated with
+const TEMPLATE_FIELDS = [
+  "name",
+  "items",
+  "taxRate",
+  "discount",
+  "discountType",
+  "taxInclusive",
+  "shippingFee",
+  "notes",
+  "termsAndConditions",
+  "paymentTermsDays",
+  "interval",
+  "endDate",
+  "maxOccurrences",
+  "autoSend",
+];
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+/**
+ * Check the schedule and template fields that are set in the body
+ * @returns {string|null} Error message
+ */
+const validateSchedule = (fields) => {
+  const { items, interval, maxOccurrences } = fields;
+  if (
+    items !== undefined &&
+    (!Array.isArray(items) ||
+      items.length === 0 ||
+      items.some((item) => !item || !item.description || !(item.quantity > 0)))
+  ) {
+    return "At least one item with a description and quantity is required";
+  }
+
+  const pricingError = validatePricing(fields);
+  if (pricingError) return pricingError;
+
+  if (interval !== undefined && !RECURRING_INTERVALS.includes(interval)) {
+    return `Interval must be one of: ${RECURRING_INTERVALS.join(", ")}`;
+  }
+
+  if (
+    maxOccurrences !== undefined &&
+    maxOccurrences !== null &&
+    !(Number.isInteger(maxOccurrences) && maxOccurrences > 0)
+  ) {
+    return "Number of occurrences must be a positive whole number";
+  }
+
+  return null;
+};
+
+/**
+ * Reject auto-send for users who could not send the invoices themselves
+ * @returns {boolean} Whether a response was sent
+ */
+const rejectAutoSend = (req, res) => {
+  if (!(req.permissions || []).includes("invoices:send")) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied. Insufficient permissions.",
+      requiredPermissions: ["invoices:send"],
+      code: "PERMISSION_DENIED",
+    });
+    return true;
+  }
+
+  if (!req.user.emailVerified) {
+    res.status(403).json({
+      success: false,
+      message:
+        "Email verification required. Please verify your email to continue.",
+      code: "EMAIL_NOT_VERIFIED",
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * @route   POST /api/recurring-invoices
+ * @desc    Create a recurring invoice schedule
+ * @access  Private
+ */
+const createRecurringInvoice = async (req, res) => {
+  try {
+    const { client, items, interval, startDate } = req.body;
+
+    if (!items || !interval) {
+      return res.status(400).json({
+        success: false,
+        message: "Items and interval are required",
+      });
+    }
+
+    const invalid = validateSchedule(req.body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid,
+      });
+    }
+
+    // Validate client exists and belongs to the business
+    const clientDoc = await Client.findOne({
+      _id: client,
+      organization: req.organizationId,
+    });
+    if (!clientDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      });
+    }
+
+    const start = startDate ? new Date(startDate) : new Date();
+    if (isNaN(start.getTime()) || start < startOfToday()) {
+      return res.status(400).json({
+        success: false,
+        message: "Start date must be today or later",
+      });
+    }
+
+    if (req.body.autoSend && rejectAutoSend(req, res)) return;
+
+    const data = {};
+    TEMPLATE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const recurringInvoice = await RecurringInvoice.create({
+      ...data,
+      user: req.userId,
+      organization: req.organizationId,
+      createdBy: req.userId,
+      client,
+      startDate: start,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Recurring invoice created successfully",
+      data: { recurringInvoice },
+    });
+  } catch (error) {
+    console.error("Create recurring invoice error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating recurring invoice",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/recurring-invoices
+ * @desc    Get all recurring invoice schedules of the business
+ * @access  Private
+ */
+const getAllRecurringInvoices = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, client } = req.query;
+
+    // Build query
+    const query = { organization: req.organizationId };
+
+    if (status) query.status = status;
+    if (client) query.client = client;
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const recurringInvoices = await RecurringInvoice.find(query)
+      .select("-history")
+      .populate("client", "name email phone")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await RecurringInvoice.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recurringInvoices,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get recurring invoices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching recurring invoices",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/recurring-invoices/:id
+ * @desc    Get recurring invoice schedule by ID
+ * @access  Private
+ */
+const getRecurringInvoiceById = async (req, res) => {
+  try {
+    const recurringInvoice = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    })
+      .select("-history")
+      .populate("client");
+
+    if (!recurringInvoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Recurring invoice not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { recurringInvoice },
+    });
+  } catch (error) {
+    console.error("Get recurring invoice error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching recurring invoice",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/recurring-invoices/:id
+ * @desc    Update a recurring invoice schedule (applies to future invoices)
+ * @access  Private
+ */
+const updateRecurringInvoice = async (req, res) => {
+  try {
+    const recurringInvoice = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!recurringInvoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Recurring invoice not found",
+      });
+    }
+
+    if (recurringInvoice.status === "completed") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot edit a completed recurring invoice",
+      });
+    }
+
+    const invalid = validateSchedule({
+      ...req.body,
+      discountType: req.body.discountType || recurringInvoice.discountType,
+    });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid,
+      });
+    }
+
+    const { client, startDate } = req.body;
+
+    if (client) {
+      const clientDoc = await Client.findOne({
+        _id: client,
+        organization: req.organizationId,
+      });
+      if (!clientDoc) {
+        return res.status(404).json({
+          success: false,
+          message: "Client not found",
+        });
+      }
+      recurringInvoice.client = client;
+    }
+
+    // The start date can only move before the first invoice is generated
+    if (startDate) {
+      const start = new Date(startDate);
+      if (recurringInvoice.occurrencesCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Start date cannot be changed once invoices have been generated",
+        });
+      }
+      if (isNaN(start.getTime()) || start < startOfToday()) {
+        return res.status(400).json({
+          success: false,
+          message: "Start date must be today or later",
+        });
+      }
+      recurringInvoice.startDate = start;
+      recurringInvoice.nextRunAt = start;
+    }
+
+    if (
+      req.body.autoSend &&
+      !recurringInvoice.autoSend &&
+      rejectAutoSend(req, res)
+    ) {
+      return;
+    }
+
+    TEMPLATE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined)
+        recurringInvoice[field] = req.body[field];
+    });
+
+    // A shorter end date or fewer occurrences may end the schedule now
+    if (
+      (recurringInvoice.maxOccurrences &&
+        recurringInvoice.occurrencesCount >= recurringInvoice.maxOccurrences) ||
+      (recurringInvoice.endDate &&
+        recurringInvoice.nextRunAt > recurringInvoice.endDate)
+    ) {
+      recurringInvoice.status = "completed";
+      recurringInvoice.nextRunAt = undefined;
+    }
+
+    await recurringInvoice.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Recurring invoice updated successfully",
+      data: { recurringInvoice },
+    });
+  } catch (error) {
+    console.error("Update recurring invoice error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating recurring invoice",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/recurring-invoices/:id
+ * @desc    Delete a recurring invoice schedule (generated invoices are kept)
+ * @access  Private
+ */
+const deleteRecurringInvoice = async (req, res) => {
+  try {
+    const recurringInvoice = await RecurringInvoice.findOneAndDelete({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!recurringInvoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Recurring invoice not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Recurring invoice deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete recurring invoice error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting recurring invoice",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/recurring-invoices/:id/pause
+ * @desc    Pause a recurring invoice schedule
+ * @access  Private
+ */
+const pauseRecurringInvoice = async (req, res) => {
+  try {
+    const recurringInvoice = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    }).select("-history");
+
+    if (!recurringInvoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Recurring invoice not found",
+      });
+    }
+
+    if (recurringInvoice.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot pause a ${recurringInvoice.status} recurring invoice`,
+      });
+    }
+
+    await recurringInvoice.pause();
+
+    res.status(200).json({
+      success: true,
+      message: "Recurring invoice paused",
+      data: { recurringInvoice },
+    });
+  } catch (error) {
+    console.error("Pause recurring invoice error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error pausing recurring invoice",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/recurring-invoices/:id/resume
+ * @desc    Resume a paused schedule (runs missed while paused are skipped)
+ * @access  Private
+ */
+const resumeRecurringInvoice = async (req, res) => {
+  try {
+    const recurringInvoice = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    }).select("-history");
+
+    if (!recurringInvoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Recurring invoice not found",
+      });
+    }
+
+    if (recurringInvoice.status !== "paused") {
+      return res.status(400).json({
+        success: false,
+        message: "Only paused recurring invoices can be resumed",
+      });
+    }
+
+    // The client may have been removed while the schedule was paused
+    const clientExists = await Client.exists({
+      _id: recurringInvoice.client,
+      organization: req.organizationId,
+    });
+    if (!clientExists) {
+      return res.status(400).json({
+        success: false,
+        message: "The client of this schedule no longer exists",
+      });
+    }
+
+    await recurringInvoice.resume();
+
+    res.status(200).json({
+      success: true,
+      message:
+        recurringInvoice.status === "completed"
+          ? "Recurring invoice has no runs left and is now completed"
+          : "Recurring invoice resumed",
+      data: { recurringInvoice },
+    });
+  } catch (error) {
+    console.error("Resume recurring invoice error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error resuming recurring invoice",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/recurring-invoices/:id/history
+ * @desc    Get the invoices generated by a schedule, newest first
+ * @access  Private
+ */
+const getRecurringInvoiceHistory = async (req, res) => {
+  try {
+    const recurringInvoice = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    })
+      .select("history occurrencesCount")
+      .populate(
+        "history.invoice",
+        "invoiceNumber status paymentStatus total amountDue dueDate"
+      );
+
+    if (!recurringInvoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Recurring invoice not found",
+      });
+    }
+
+    const history = [...recurringInvoice.history].sort(
+      (a, b) => b.generatedAt - a.generatedAt
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        history,
+        occurrencesCount: recurringInvoice.occurrencesCount,
+      },
+    });
+  } catch (error) {
+    console.error("Get recurring invoice history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching recurring invoice history",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  createRecurringInvoice,
+  getAllRecurringInvoices,
+  getRecurringInvoiceById,
+  updateRecurringInvoice,
+  deleteRecurringInvoice,
+  pauseRecurringInvoice,
+  resumeRecurringInvoice,
+  getRecurringInvoiceHistory,
+};
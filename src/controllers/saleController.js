@@ -1,23 +1,25 @@
 const Sale = require("../models/Sale");
 const Inventory = require("../models/Inventory");
+const { calculatePricing, validatePricing } = require("../utils/pricing");
+const { roundMoney } = require("../utils/money");
 
 /**
  * Create a sale
- * Decrements inventory quantities using Inventory.reduceStock
+ * Totals are priced from the items; decrements inventory quantities using
+ * Inventory.reduceStock
  */
 const createSale = async (req, res) => {
   try {
     const userId = req.userId;
     const {
       items = [],
-      subtotal = 0,
       discount = 0,
-      tax = 0,
-      total = 0,
+      discountType = "fixed",
+      taxRate = 0,
+      taxInclusive = false,
       paymentMethod = "cash",
       paymentStatus = "pending",
       amountPaid = 0,
-      amountDue = 0,
       customerName = "",
       notes = "",
     } = req.body;
@@ -30,19 +32,38 @@ const createSale = async (req, res) => {
 
     // Validate items and prepare updates
     for (const it of items) {
-      if (!it.sku || !it.qty) {
+      if (!it || !it.sku || !it.qty) {
         return res
           .status(400)
           .json({ success: false, message: "Each item must have sku and qty" });
       }
     }
 
+    const lines = items.map((it) => ({ ...it, quantity: Number(it.qty) }));
+    const pricingError = validatePricing({
+      items: lines,
+      taxRate,
+      discount,
+      discountType,
+      taxInclusive,
+    });
+    if (pricingError) {
+      return res.status(400).json({ success: false, message: pricingError });
+    }
+    const pricing = calculatePricing({
+      items: lines,
+      taxRate,
+      discount,
+      discountType,
+      taxInclusive: Boolean(taxInclusive),
+    });
+
     // Attempt to deduct inventory for each item
     // Not using transactions for simplicity; if one fails we'll return error
     for (const it of items) {
       const inv = await Inventory.findOne({
         $or: [{ sku: it.sku }, { _id: it._id }],
-        user: userId,
+        organization: req.organizationId,
       });
       if (!inv) {
         return res
@@ -64,15 +85,32 @@ const createSale = async (req, res) => {
 
     const sale = await Sale.create({
       user: userId,
-      items,
-      subtotal,
+      organization: req.organizationId,
+      items: pricing.items.map((it) => ({
+        sku: it.sku,
+        name: it.name,
+        qty: it.qty,
+        unitPrice: it.unitPrice,
+        discount: it.discount,
+        discountType: it.discountType,
+        taxRate: it.taxRate,
+        taxes: it.taxes,
+        lineTotal: it.subtotal,
+        taxAmount: it.taxAmount,
+      })),
+      subtotal: pricing.subtotal,
       discount,
-      tax,
-      total,
+      discountType,
+      discountAmount: pricing.discountAmount,
+      taxRate,
+      taxInclusive: Boolean(taxInclusive),
+      tax: pricing.taxAmount,
+      taxBreakdown: pricing.taxBreakdown,
+      total: pricing.total,
       paymentMethod,
       paymentStatus,
       amountPaid,
-      amountDue,
+      amountDue: Math.max(0, roundMoney(pricing.total - amountPaid)),
       customerName,
       notes,
       createdBy: req.userId,
@@ -94,7 +132,7 @@ const createSale = async (req, res) => {
 const getAllSales = async (req, res) => {
   try {
     const { page = 1, limit = 20, startDate, endDate } = req.query;
-    const query = { user: req.userId };
+    const query = { organization: req.organizationId };
     if (startDate || endDate) {
       query.createdAt = {};
       if (startDate) query.createdAt.$gte = new Date(startDate);
@@ -135,7 +173,10 @@ const getAllSales = async (req, res) => {
 
 const getSaleById = async (req, res) => {
   try {
-    const sale = await Sale.findOne({ _id: req.params.id, user: req.userId });
+    const sale = await Sale.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
     if (!sale)
       return res
         .status(404)
@@ -156,7 +197,10 @@ const getSaleById = async (req, res) => {
 const updateSalePayment = async (req, res) => {
   try {
     const { paymentStatus, amountPaid } = req.body;
-    const sale = await Sale.findOne({ _id: req.params.id, user: req.userId });
+    const sale = await Sale.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
     if (!sale)
       return res
         .status(404)
@@ -180,7 +224,10 @@ const updateSalePayment = async (req, res) => {
 
 const cancelSale = async (req, res) => {
   try {
-    const sale = await Sale.findOne({ _id: req.params.id, user: req.userId });
+    const sale = await Sale.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
     if (!sale)
       return res
         .status(404)
@@ -193,7 +240,7 @@ const cancelSale = async (req, res) => {
       try {
         const inv = await Inventory.findOne({
           $or: [{ sku: it.sku }, { _id: it._id }],
-          user: req.userId,
+          organization: req.organizationId,
         });
         if (inv)
           await inv.addStock(
@@ -0,0 +1,586 @@
+const User = require("../models/User");
+const Session = require("../models/Session");
+const Organization = require("../models/Organization");
+const Invitation = require("../models/Invitation");
+const { sendSafely, sendInvitationEmail } = require("../services/emailService");
+const {
+  PERMISSIONS,
+  CUSTOMIZABLE_ROLES,
+  findUnknownPermissions,
+} = require("../config/permissions");
+
+// Roles that can be given to invited team members
+const TEAM_ROLES = ["admin", "manager", "staff"];
+
+/**
+ * Only the owner can create or promote admins
+ */
+const canAssignRole = (req, role) => {
+  return role !== "admin" || req.user.role === "owner";
+};
+
+/**
+ * @route   GET /api/team
+ * @desc    Get the business and its owner
+ * @access  Private
+ */
+const getOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(
+      req.organizationId
+    ).populate("owner", "businessName email phone businessInfo");
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: "Business not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { organization },
+    });
+  } catch (error) {
+    console.error("Get organization error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching business",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/team/members
+ * @desc    Get all team members of the business
+ * @access  Private
+ */
+const getMembers = async (req, res) => {
+  try {
+    const { status, role } = req.query;
+
+    const query = { organization: req.organizationId };
+    if (status) query.status = status;
+    if (role) query.role = role;
+
+    const members = await User.find(query)
+      .select("email phone role status lastLogin invitedBy createdAt")
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { members },
+    });
+  } catch (error) {
+    console.error("Get team members error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching team members",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/team/members/:id/role
+ * @desc    Change the role of a team member
+ * @access  Private (team:manage)
+ */
+const updateMemberRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!TEAM_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${TEAM_ROLES.join(", ")}`,
+      });
+    }
+
+    if (!canAssignRole(req, role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the business owner can assign the admin role",
+      });
+    }
+
+    const member = await User.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Team member not found",
+      });
+    }
+
+    if (member.role === "owner") {
+      return res.status(400).json({
+        success: false,
+        message: "The owner's role cannot be changed",
+      });
+    }
+
+    // Admins cannot demote each other
+    if (member.role === "admin" && req.user.role !== "owner") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the business owner can change an admin's role",
+      });
+    }
+
+    member.role = role;
+    await member.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Team member role updated successfully",
+      data: {
+        member: {
+          id: member._id,
+          email: member.email,
+          role: member.role,
+          status: member.status,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Update team member role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating team member role",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/team/members/:id
+ * @desc    Remove a team member (deactivates the account and signs it out)
+ * @access  Private (team:manage)
+ */
+const removeMember = async (req, res) => {
+  try {
+    if (req.params.id === req.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot remove yourself from the team",
+      });
+    }
+
+    const member = await User.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Team member not found",
+      });
+    }
+
+    if (member.role === "owner") {
+      return res.status(400).json({
+        success: false,
+        message: "The business owner cannot be removed",
+      });
+    }
+
+    if (member.role === "admin" && req.user.role !== "owner") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the business owner can remove an admin",
+      });
+    }
+
+    // Soft delete - records they created keep pointing at them
+    member.status = "inactive";
+    await member.save();
+    await Session.revokeAllForUser(member._id, "manual");
+
+    res.status(200).json({
+      success: true,
+      message: "Team member removed successfully",
+    });
+  } catch (error) {
+    console.error("Remove team member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error removing team member",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/team/invitations
+ * @desc    Get invitations of the business
+ * @access  Private (team:manage)
+ */
+const getInvitations = async (req, res) => {
+  try {
+    const { status = "pending" } = req.query;
+
+    const query = { organization: req.organizationId };
+    if (status !== "all") query.status = status;
+
+    const invitations = await Invitation.find(query)
+      .populate("invitedBy", "email")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { invitations },
+    });
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching invitations",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/team/invitations
+ * @desc    Invite someone to the team by email
+ * @access  Private (team:manage)
+ */
+const inviteMember = async (req, res) => {
+  try {
+    const { email, role = "staff" } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide email",
+      });
+    }
+
+    if (!TEAM_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${TEAM_ROLES.join(", ")}`,
+      });
+    }
+
+    if (!canAssignRole(req, role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the business owner can invite admins",
+      });
+    }
+
+    // Team members are a plan feature of the business owner
+    const plan = req.businessOwner.plan;
+    if (plan.status !== "active" || !plan.features.multiUser) {
+      return res.status(403).json({
+        success: false,
+        message: `Team members are not available in your ${plan.type} plan.`,
+        requiredFeature: "multiUser",
+        currentPlan: plan.type,
+        code: "FEATURE_NOT_AVAILABLE",
+      });
+    }
+
+    // An account belongs to a single business
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: "A user with this email already exists",
+      });
+    }
+
+    const { invitation, token } = await Invitation.issue({
+      organization: req.organizationId,
+      email,
+      role,
+      invitedBy: req.userId,
+    });
+
+    await sendSafely(
+      sendInvitationEmail(invitation, token, {
+        businessName: req.businessOwner.businessName,
+        inviter: req.user,
+      }),
+      "team invitation"
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation sent successfully",
+      data: { invitation },
+      inviteToken: process.env.NODE_ENV === "development" ? token : undefined,
+    });
+  } catch (error) {
+    console.error("Invite team member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error sending invitation",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/team/invitations/:id
+ * @desc    Revoke a pending invitation
+ * @access  Private (team:manage)
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({
+      _id: req.params.id,
+      organization: req.organizationId,
+      status: "pending",
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    await invitation.revoke();
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking invitation",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/team/invitations/accept
+ * @desc    Accept an invitation and create the team member account
+ * @access  Public
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token, password, phone } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide invitation token and password",
+      });
+    }
+
+    const invitation = await Invitation.findPendingByToken(token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation",
+      });
+    }
+
+    const organization = await Organization.findById(invitation.organization);
+    if (!organization || organization.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        message: "This business is no longer accepting team members",
+      });
+    }
+
+    const existingUser = await User.findOne({ email: invitation.email });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: "A user with this email already exists",
+      });
+    }
+
+    // The invitation link proves ownership of the email address
+    const user = await User.create({
+      businessName: organization.name,
+      email: invitation.email,
+      phone: phone ? phone.trim() : "0000000000",
+      password,
+      role: invitation.role,
+      isAdmin: false,
+      organization: organization._id,
+      invitedBy: invitation.invitedBy,
+      status: "active",
+      emailVerified: true,
+    });
+
+    await invitation.accept(user._id);
+
+    user.password = undefined;
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation accepted. You can now log in.",
+      data: { user },
+    });
+  } catch (error) {
+    console.error("Accept invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error accepting invitation",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/team/permissions
+ * @desc    Get the permission matrix of the business
+ * @access  Private
+ */
+const getPermissionMatrix = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organizationId);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: "Business not found",
+      });
+    }
+
+    const roles = {};
+    ["owner", ...CUSTOMIZABLE_ROLES].forEach((role) => {
+      roles[role] = {
+        permissions: organization.permissionsFor(role),
+        customized: organization.permissions.has(role),
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        permissions: PERMISSIONS,
+        roles,
+      },
+    });
+  } catch (error) {
+    console.error("Get permission matrix error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching permissions",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/team/permissions/:role
+ * @desc    Replace the permissions of a role in the business
+ * @access  Private (settings:manage)
+ */
+const updateRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    if (!CUSTOMIZABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${CUSTOMIZABLE_ROLES.join(", ")}`,
+      });
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: "Permissions must be an array",
+      });
+    }
+
+    const unknown = findUnknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${unknown.join(", ")}`,
+      });
+    }
+
+    const organization = await Organization.findById(req.organizationId);
+    organization.permissions.set(role, [...new Set(permissions)]);
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Role permissions updated successfully",
+      data: {
+        role,
+        permissions: organization.permissionsFor(role),
+      },
+    });
+  } catch (error) {
+    console.error("Update role permissions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating role permissions",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/team/permissions/:role
+ * @desc    Restore the default permissions of a role
+ * @access  Private (settings:manage)
+ */
+const resetRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+
+    if (!CUSTOMIZABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${CUSTOMIZABLE_ROLES.join(", ")}`,
+      });
+    }
+
+    const organization = await Organization.findById(req.organizationId);
+    organization.permissions.delete(role);
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Role permissions reset to defaults",
+      data: {
+        role,
+        permissions: organization.permissionsFor(role),
+      },
+    });
+  } catch (error) {
+    console.error("Reset role permissions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error resetting role permissions",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getOrganization,
+  getMembers,
+  updateMemberRole,
+  removeMember,
+  getInvitations,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  getPermissionMatrix,
+  updateRolePermissions,
+  resetRolePermissions,
+};
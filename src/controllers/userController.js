@@ -1,4 +1,19 @@
+const mongoose = require("mongoose");
 const User = require("../models/User");
+const SecurityEvent = require("../models/SecurityEvent");
+
+/**
+ * Check whether the authenticated user may manage another account
+ * Platform admins manage everyone; business owners only their own team
+ */
+const canManageUser = (req, target) => {
+  if (req.user.isAdmin) return true;
+  return (
+    req.user.role === "owner" &&
+    target.organization &&
+    target.organization.toString() === req.organizationId.toString()
+  );
+};
 
 /**
  * @route   GET /api/users
@@ -66,18 +81,6 @@ const getUserById = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Check if user can access this profile
-    if (
-      id !== req.userId.toString() &&
-      !req.user.isAdmin &&
-      req.user.role !== "owner"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Access denied. You can only view your own profile.",
-      });
-    }
-
     const user = await User.findById(id).select("-password");
 
     if (!user) {
@@ -87,6 +90,14 @@ const getUserById = async (req, res) => {
       });
     }
 
+    // Check if user can access this profile
+    if (id !== req.userId.toString() && !canManageUser(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You can only view your own profile.",
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: { user },
@@ -110,18 +121,6 @@ const updateUser = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Check if user can update this profile
-    if (
-      id !== req.userId.toString() &&
-      !req.user.isAdmin &&
-      req.user.role !== "owner"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Access denied. You can only update your own profile.",
-      });
-    }
-
     const { name, phone, businessInfo, settings, role, status, isAdmin } =
       req.body;
 
@@ -134,6 +133,14 @@ const updateUser = async (req, res) => {
       });
     }
 
+    // Check if user can update this profile
+    if (id !== req.userId.toString() && !canManageUser(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You can only update your own profile.",
+      });
+    }
+
     // Update basic fields
     if (name) user.name = name;
     if (phone) user.phone = phone;
@@ -153,14 +160,47 @@ const updateUser = async (req, res) => {
     }
 
     // Only admins can update role, status, and isAdmin
-    if (req.user.isAdmin || req.user.role === "owner") {
+    // Business owners can change role and status of their team members
+    const previous = {
+      role: user.role,
+      status: user.status,
+      isAdmin: user.isAdmin,
+    };
+    if (req.user.isAdmin) {
       if (role) user.role = role;
       if (status) user.status = status;
       if (isAdmin !== undefined) user.isAdmin = isAdmin;
+    } else if (canManageUser(req, user) && user.role !== "owner") {
+      if (role && role !== "owner") user.role = role;
+      if (status) user.status = status;
     }
 
     await user.save();
 
+    const changes = Object.keys(previous)
+      .filter((field) => previous[field] !== user[field])
+      .map((field) => ({ field, from: previous[field], to: user[field] }));
+    const fields = ["name", "phone", "businessInfo", "settings"].filter(
+      (field) => req.body[field]
+    );
+
+    if (changes.length > 0) {
+      await SecurityEvent.record("user_updated", {
+        req,
+        user,
+        actor: req.userId,
+        metadata: { changes },
+      });
+    }
+    if (fields.length > 0) {
+      await SecurityEvent.record("profile_updated", {
+        req,
+        user,
+        actor: req.userId,
+        metadata: { fields },
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: "User updated successfully",
@@ -206,6 +246,12 @@ const deleteUser = async (req, res) => {
     user.status = "inactive";
     await user.save();
 
+    await SecurityEvent.record("user_deactivated", {
+      req,
+      user,
+      actor: req.userId,
+    });
+
     res.status(200).json({
       success: true,
       message: "User deleted successfully",
@@ -239,6 +285,11 @@ const updateUserPlan = async (req, res) => {
       });
     }
 
+    const previousPlan = {
+      type: user.plan.type,
+      status: user.plan.status,
+    };
+
     // Update plan
     user.plan.type = planType;
     user.plan.startDate = new Date();
@@ -294,6 +345,17 @@ const updateUserPlan = async (req, res) => {
 
     await user.save();
 
+    await SecurityEvent.record("plan_changed", {
+      req,
+      user,
+      actor: req.userId,
+      metadata: {
+        from: previousPlan,
+        to: { type: user.plan.type, status: user.plan.status },
+        features: user.plan.features,
+      },
+    });
+
     res.status(200).json({
       success: true,
       message: "User plan updated successfully",
@@ -309,6 +371,66 @@ const updateUserPlan = async (req, res) => {
   }
 };
 
+/**
+ * @route   GET /api/users/security-events
+ * @desc    Query the security log of all users (Admin only)
+ * @access  Private/Admin
+ */
+const getSecurityEvents = async (req, res) => {
+  try {
+    const { userId, organizationId, email, ipAddress } = req.query;
+    const { options, message } = SecurityEvent.parseQueryOptions(req.query);
+
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message,
+      });
+    }
+
+    const filters = { userId, organizationId, email, ipAddress };
+    const repeated = Object.keys(filters).find(
+      (key) => filters[key] !== undefined && typeof filters[key] !== "string"
+    );
+    if (repeated) {
+      return res.status(400).json({
+        success: false,
+        message: `${repeated} must be a single value`,
+      });
+    }
+
+    const invalidId = ["userId", "organizationId"].find(
+      (key) => filters[key] && !mongoose.isValidObjectId(filters[key])
+    );
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidId}`,
+      });
+    }
+
+    const filter = {};
+    if (userId) filter.user = userId;
+    if (organizationId) filter.organization = organizationId;
+    if (email) filter.email = email.toLowerCase();
+    if (ipAddress) filter.ipAddress = ipAddress;
+
+    const result = await SecurityEvent.findPaginated(filter, options);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Get security events error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching security events",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * @route   GET /api/users/stats
  * @desc    Get user statistics (Admin only)
@@ -382,4 +504,5 @@ module.exports = {
   deleteUser,
   updateUserPlan,
   getUserStats,
+  getSecurityEvents,
 };
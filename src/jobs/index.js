@@ -0,0 +1,89 @@
+const {
+  retryPendingDeliveries,
+} = require("../services/invoiceDeliveryService");
+const { processDueSchedules } = require("../services/recurringInvoiceService");
+const {
+  processInvoiceReminders,
+} = require("../services/invoiceReminderService");
+const { applyLateFees } = require("../services/lateFeeService");
+const { processBulkJobs } = require("../services/bulkInvoiceService");
+
+/**
+ * Background jobs
+ * In-process intervals started by server.js once the database is connected.
+ * A job skips its tick while the previous run is still going. Set
+ * ENABLE_JOBS=false on extra instances so a job runs on one process only.
+ */
+const jobs = [
+  {
+    name: "invoice-delivery-retry",
+    intervalMs: 60 * 1000,
+    run: () => retryPendingDeliveries(),
+  },
+  {
+    name: "recurring-invoices",
+    intervalMs: 5 * 60 * 1000,
+    run: () => processDueSchedules(),
+  },
+  {
+    name: "invoice-reminders",
+    intervalMs: 60 * 60 * 1000,
+    run: () => processInvoiceReminders(),
+  },
+  {
+    name: "late-fees",
+    intervalMs: 60 * 60 * 1000,
+    run: () => applyLateFees(),
+  },
+  {
+    name: "bulk-invoice-jobs",
+    intervalMs: 10 * 1000,
+    run: () => processBulkJobs(),
+  },
+];
+
+const timers = [];
+
+/**
+ * Run a job once, logging failures instead of crashing the server
+ */
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Job ${job.name} error:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start every job
+ */
+const startJobs = () => {
+  if (process.env.ENABLE_JOBS === "false") {
+    console.log("⏸️  Background jobs disabled (ENABLE_JOBS=false)");
+    return;
+  }
+
+  jobs.forEach((job) => {
+    timers.push(setInterval(() => runJob(job), job.intervalMs));
+  });
+  console.log(`⏱️  Started ${jobs.length} background job(s)`);
+};
+
+/**
+ * Stop every job (graceful shutdown)
+ */
+const stopJobs = () => {
+  timers.splice(0).forEach((timer) => clearInterval(timer));
+};
+
+module.exports = {
+  startJobs,
+  stopJobs,
+  runJob,
+};
@@ -1,12 +1,91 @@
 const { verifyAccessToken, extractTokenFromHeader } = require("../utils/jwt");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const Organization = require("../models/Organization");
+const ApiKey = require("../models/ApiKey");
+const { resolvePermissions } = require("../config/permissions");
+const { apiKeyLimiter } = require("../config/rateLimiter");
+
+/**
+ * Attach the business context of an authenticated user
+ * Sets req.organizationId, req.permissions and req.businessOwner (whose plan
+ * applies to the whole team)
+ */
+const attachOrganization = async (req, user) => {
+  req.organizationId = await Organization.ensureForUser(user);
+  req.businessOwner = user;
+  req.permissions = resolvePermissions(user.role);
+
+  if (user.role !== "owner") {
+    const { organization, owner } = await Organization.getContext(
+      req.organizationId
+    );
+    if (owner) {
+      req.businessOwner = owner;
+    }
+    if (organization) {
+      req.permissions = organization.permissionsFor(user.role);
+    }
+  }
+};
+
+/**
+ * Authenticate an integration from the X-API-Key header
+ * The request acts as the business owner, limited to the key's scopes
+ */
+const authenticateApiKey = async (req, res, next) => {
+  const apiKey = await ApiKey.findActiveByKey(req.headers["x-api-key"]);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or revoked API key.",
+      code: "API_KEY_INVALID",
+    });
+  }
+
+  // Not from the cached organization context: the request acts as the
+  // owner, so it gets its own copy and sees status changes right away
+  const organization = await Organization.findById(
+    apiKey.organization
+  ).populate("owner", "-password");
+  const owner = organization ? organization.owner : null;
+
+  if (!owner || owner.status !== "active") {
+    return res.status(403).json({
+      success: false,
+      message: "The business account for this API key is not active.",
+    });
+  }
+
+  req.user = owner;
+  req.userId = owner._id;
+  req.apiKey = apiKey;
+  req.sessionId = null;
+  req.organizationId = organization._id;
+  req.businessOwner = owner;
+  req.permissions = apiKey.scopes;
+
+  apiKey
+    .touch(req.ip)
+    .catch((err) =>
+      console.warn("Failed to update API key usage:", err.message)
+    );
+
+  apiKeyLimiter(req, res, next);
+};
 
 /**
  * Authenticate user from JWT token
  * Attaches user object to req.user
+ * Integrations can send an API key in the X-API-Key header instead
  */
 const authenticate = async (req, res, next) => {
   try {
+    if (req.headers["x-api-key"]) {
+      return await authenticateApiKey(req, res, next);
+    }
+
     // Extract token from header
     const authHeader = req.headers.authorization;
     const token = extractTokenFromHeader(authHeader);
@@ -37,6 +116,20 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Reject tokens whose session was revoked (logout, reuse detection)
+    let session = null;
+    if (decoded.sid) {
+      session = await Session.findById(decoded.sid);
+
+      if (!session || session.revokedAt) {
+        return res.status(401).json({
+          success: false,
+          message: "Session has been revoked. Please login again.",
+          code: "SESSION_REVOKED",
+        });
+      }
+    }
+
     // Get user from database
     const user = await User.findById(decoded.userId).select("-password");
 
@@ -68,6 +161,17 @@ const authenticate = async (req, res, next) => {
     req.user = user;
     req.userId = user._id;
     req.token = token;
+    req.sessionId = session ? session._id : null;
+    await attachOrganization(req, user);
+
+    // Keep "last used" on the session list current
+    if (session) {
+      session
+        .touch(req.ip)
+        .catch((err) =>
+          console.warn("Failed to update session activity:", err.message)
+        );
+    }
 
     next();
   } catch (error) {
@@ -96,10 +200,17 @@ const optionalAuthenticate = async (req, res, next) => {
     const { valid, decoded } = verifyAccessToken(token);
 
     if (valid && decoded) {
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+      if (decoded.sid && (!session || session.revokedAt)) {
+        return next();
+      }
+
       const user = await User.findById(decoded.userId).select("-password");
       if (user && user.status === "active") {
         req.user = user;
         req.userId = user._id;
+        req.sessionId = session ? session._id : null;
+        await attachOrganization(req, user);
       }
     }
 
@@ -110,6 +221,23 @@ const optionalAuthenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Reject requests authenticated with an API key
+ * Used on account routes (sessions, password, profile) that only a person
+ * signed in with their own credentials may call
+ */
+const rejectApiKey = (req, res, next) => {
+  if (req.headers["x-api-key"]) {
+    return res.status(403).json({
+      success: false,
+      message: "API keys cannot be used for account management.",
+      code: "API_KEY_NOT_ALLOWED",
+    });
+  }
+
+  next();
+};
+
 /**
  * Require specific role(s)
  * Must be used after authenticate middleware
@@ -147,7 +275,8 @@ const requireAdmin = (req, res, next) => {
     });
   }
 
-  if (!req.user.isAdmin && req.user.role !== "owner") {
+  // Business owners are not platform admins: their scope is their own team
+  if (!req.user.isAdmin) {
     return res.status(403).json({
       success: false,
       message: "Access denied. Admin privileges required.",
@@ -243,8 +372,11 @@ const requirePlanFeature = (feature) => {
       });
     }
 
+    // Team members use the plan of the business owner
+    const plan = (req.businessOwner || req.user).plan;
+
     // Check if plan is active
-    if (req.user.plan.status !== "active") {
+    if (plan.status !== "active") {
       return res.status(403).json({
         success: false,
         message:
@@ -254,12 +386,12 @@ const requirePlanFeature = (feature) => {
     }
 
     // Check specific feature
-    if (feature && !req.user.plan.features[feature]) {
+    if (feature && !plan.features[feature]) {
       return res.status(403).json({
         success: false,
-        message: `This feature is not available in your ${req.user.plan.type} plan.`,
+        message: `This feature is not available in your ${plan.type} plan.`,
         requiredFeature: feature,
-        currentPlan: req.user.plan.type,
+        currentPlan: plan.type,
         code: "FEATURE_NOT_AVAILABLE",
       });
     }
@@ -280,7 +412,8 @@ const checkPlanLimit = (resourceType, countField) => {
       });
     }
 
-    const limit = req.user.plan.features[resourceType];
+    const plan = (req.businessOwner || req.user).plan;
+    const limit = plan.features[resourceType];
 
     // -1 or undefined means unlimited
     if (limit === -1 || limit === undefined) {
@@ -293,7 +426,7 @@ const checkPlanLimit = (resourceType, countField) => {
     if (currentCount >= limit) {
       return res.status(403).json({
         success: false,
-        message: `You have reached the limit of ${limit} ${resourceType} for your ${req.user.plan.type} plan.`,
+        message: `You have reached the limit of ${limit} ${resourceType} for your ${plan.type} plan.`,
         limit: limit,
         current: currentCount,
         resourceType: resourceType,
@@ -308,6 +441,7 @@ const checkPlanLimit = (resourceType, countField) => {
 module.exports = {
   authenticate,
   optionalAuthenticate,
+  rejectApiKey,
   requireRole,
   requireAdmin,
   requireVerifiedEmail,
@@ -0,0 +1,45 @@
+const { PERMISSIONS } = require("../config/permissions");
+
+/**
+ * Require permission(s) from the permission matrix
+ * Must be used after authenticate middleware (which resolves req.permissions
+ * from the user's role and the business overrides)
+ */
+const requirePermission = (...requiredPermissions) => {
+  // Catch typos in route definitions at startup rather than per request
+  requiredPermissions.forEach((permission) => {
+    if (!PERMISSIONS[permission]) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+  });
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required.",
+      });
+    }
+
+    const granted = req.permissions || [];
+    const missing = requiredPermissions.filter(
+      (permission) => !granted.includes(permission)
+    );
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Insufficient permissions.",
+        requiredPermissions: missing,
+        userRole: req.user.role,
+        code: "PERMISSION_DENIED",
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  requirePermission,
+};
@@ -0,0 +1,100 @@
+const express = require("express");
+const config = require("../config/env");
+const { parseMultipart } = require("../utils/multipart");
+const { sniffMimeType } = require("../utils/fileType");
+
+// Room in the body for the multipart headers and other fields
+const FORM_OVERHEAD_BYTES = 64 * 1024;
+
+const readBody = express.raw({
+  type: "multipart/form-data",
+  limit: config.uploads.maxFileSize + FORM_OVERHEAD_BYTES,
+});
+
+const sizeLimitMessage = () => {
+  const bytes = config.uploads.maxFileSize;
+  const size =
+    bytes >= 1024 * 1024
+      ? `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`
+      : `${Math.ceil(bytes / 1024)} KB`;
+  return `Files cannot be larger than ${size}`;
+};
+
+/**
+ * Accept one file sent as multipart/form-data
+ * The file type is detected from its contents and must be one of
+ * ALLOWED_FILE_TYPES; the name and type sent by the client are not trusted.
+ * Sets req.file ({ originalName, mimeType, size, buffer }) and puts the other
+ * form fields in req.body.
+ * @param {string} field - Form field holding the file
+ */
+const uploadSingleFile = (field) => (req, res, next) => {
+  if (!req.is("multipart/form-data")) {
+    return res.status(400).json({
+      success: false,
+      message: `Send the file as multipart/form-data in the "${field}" field`,
+    });
+  }
+
+  readBody(req, res, (error) => {
+    if (error) {
+      return res.status(error.status === 413 ? 413 : 400).json({
+        success: false,
+        message:
+          error.status === 413
+            ? sizeLimitMessage()
+            : "Could not read the upload",
+      });
+    }
+
+    let form;
+    try {
+      form = parseMultipart(req.body, req.headers["content-type"]);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message,
+      });
+    }
+
+    const file = form.files.find((upload) => upload.field === field);
+    if (!file || file.data.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Attach a file in the "${field}" field`,
+      });
+    }
+
+    if (file.data.length > config.uploads.maxFileSize) {
+      return res.status(413).json({
+        success: false,
+        message: sizeLimitMessage(),
+      });
+    }
+
+    const mimeType = sniffMimeType(file.data, file.filename);
+    if (!mimeType || !config.uploads.allowedFileTypes.includes(mimeType)) {
+      return res.status(415).json({
+        success: false,
+        message: `This type of file is not allowed. Allowed types: ${config.uploads.allowedFileTypes.join(
+          ", "
+        )}`,
+      });
+    }
+
+    req.file = {
+      // Path parts some browsers send are dropped
+      originalName: file.filename.split(/[\\/]/).pop().trim() || "file",
+      mimeType,
+      size: file.data.length,
+      buffer: file.data,
+    };
+    req.body = form.fields;
+
+    next();
+  });
+};
+
+module.exports = {
+  uploadSingleFile,
+};
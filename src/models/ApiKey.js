@@ -0,0 +1,153 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Visible part of every key, so leaked keys are easy to recognise
+const KEY_PREFIX = "sbm_";
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    // Business the key acts for
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization reference is required"],
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      maxlength: [100, "API key name cannot exceed 100 characters"],
+    },
+
+    // First characters of the key, shown in listings to tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 hash of the full key (the key itself is never stored)
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+
+    // Permissions granted to the key (subset of API_KEY_SCOPES)
+    scopes: {
+      type: [String],
+      default: [],
+    },
+
+    // Requests allowed per rate limit window (falls back to the
+    // RATE_LIMIT_API_KEY_MAX_REQUESTS default)
+    rateLimit: {
+      max: {
+        type: Number,
+        min: [1, "Rate limit must be at least 1 request"],
+      },
+    },
+
+    // Usage tracking
+    lastUsedAt: Date,
+    lastUsedIp: String,
+
+    // Lifecycle
+    expiresAt: Date,
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+apiKeySchema.index({ organization: 1, revokedAt: 1 });
+
+// Virtual for active status
+apiKeySchema.virtual("isActive").get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+// Static method to hash a key before storing or looking it up
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+};
+
+// Static method to generate a new key
+// Returns the document and the plain key, which is only shown once
+apiKeySchema.statics.generate = async function ({
+  organization,
+  createdBy,
+  name,
+  scopes,
+  expiresAt,
+  rateLimit,
+}) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+
+  const apiKey = await this.create({
+    organization,
+    createdBy,
+    name,
+    scopes,
+    expiresAt,
+    rateLimit,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: this.hashKey(key),
+  });
+
+  return { apiKey, key };
+};
+
+// Static method to find an active key by its plain value
+apiKeySchema.statics.findActiveByKey = function (key) {
+  return this.findOne({
+    keyHash: this.hashKey(key),
+    revokedAt: { $exists: false },
+    $or: [
+      { expiresAt: { $exists: false } },
+      { expiresAt: null },
+      { expiresAt: { $gt: new Date() } },
+    ],
+  });
+};
+
+// Method to record usage without loading the key again
+// Writes at most once a minute to keep integrations cheap
+apiKeySchema.methods.touch = function (ipAddress) {
+  const oneMinute = 60 * 1000;
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt < oneMinute) {
+    return Promise.resolve();
+  }
+
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress } }
+  );
+};
+
+// Method to revoke the key
+apiKeySchema.methods.revoke = function (userId) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedBy = userId;
+  }
+  return this.save();
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+module.exports = ApiKey;
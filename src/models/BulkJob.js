@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+
+const BULK_ACTIONS = ["send", "remind", "mark_paid", "cancel", "export_pdf"];
+
+// Outcome of the action on one invoice
+const bulkResultSchema = new mongoose.Schema(
+  {
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      required: true,
+    },
+    invoiceNumber: String,
+    status: {
+      type: String,
+      enum: ["succeeded", "failed"],
+      required: true,
+    },
+    message: String,
+  },
+  { _id: false }
+);
+
+// Action run on many invoices in the background, see
+// services/bulkInvoiceService
+const bulkJobSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization reference is required"],
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    action: {
+      type: String,
+      enum: BULK_ACTIONS,
+      required: [true, "Action is required"],
+    },
+    // Action settings, e.g. { method } for mark_paid
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+    // Invoices the action runs on, in order
+    invoices: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Invoice",
+      },
+    ],
+    total: {
+      type: Number,
+      default: 0,
+    },
+    succeeded: {
+      type: Number,
+      default: 0,
+    },
+    failed: {
+      type: Number,
+      default: 0,
+    },
+    results: [bulkResultSchema],
+    // Why the whole job failed
+    error: String,
+    startedAt: Date,
+    completedAt: Date,
+
+    // ZIP of the PDFs made by export_pdf (loaded only for downloads)
+    export: {
+      filename: String,
+      size: Number,
+      data: {
+        type: Buffer,
+        select: false,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+bulkJobSchema.index({ organization: 1, createdAt: -1 });
+bulkJobSchema.index({ status: 1, createdAt: 1 });
+
+const BulkJob = mongoose.model("BulkJob", bulkJobSchema);
+
+module.exports = BulkJob;
+module.exports.BULK_ACTIONS = BULK_ACTIONS;
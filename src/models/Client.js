@@ -9,6 +9,13 @@ const clientSchema = new mongoose.Schema({
     index: true
   },
 
+  // Business the client belongs to (shared by the whole team)
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+
   // Basic Information
   name: {
     type: String,
@@ -110,6 +117,12 @@ const clientSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Credit from credit notes that exceeded what the invoice still owed
+  creditBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit balance cannot be negative']
+  },
   totalPaid: {
     type: Number,
     default: 0,
@@ -191,6 +204,8 @@ clientSchema.index({ user: 1, email: 1 });
 clientSchema.index({ user: 1, status: 1 });
 clientSchema.index({ user: 1, name: 1 });
 clientSchema.index({ user: 1, 'address.city': 1 });
+clientSchema.index({ organization: 1, status: 1 });
+clientSchema.index({ organization: 1, name: 1 });
 
 // Text index for search
 clientSchema.index({
@@ -247,21 +262,21 @@ clientSchema.methods.updateFinancials = async function(invoiceAmount, paymentAmo
   return this.save();
 };
 
-// Static method to find clients by user with filters
-clientSchema.statics.findByUser = function(userId, filters = {}) {
-  const query = { user: userId, ...filters };
+// Static method to find clients of a business with filters
+clientSchema.statics.findByOrganization = function(organizationId, filters = {}) {
+  const query = { organization: organizationId, ...filters };
   return this.find(query).sort({ name: 1 });
 };
 
 // Static method to get active clients
-clientSchema.statics.getActiveClients = function(userId) {
-  return this.find({ user: userId, status: 'active' }).sort({ name: 1 });
+clientSchema.statics.getActiveClients = function(organizationId) {
+  return this.find({ organization: organizationId, status: 'active' }).sort({ name: 1 });
 };
 
 // Static method to search clients
-clientSchema.statics.searchClients = function(userId, searchTerm) {
+clientSchema.statics.searchClients = function(organizationId, searchTerm) {
   return this.find({
-    user: userId,
+    organization: organizationId,
     $text: { $search: searchTerm }
   }, {
     score: { $meta: 'textScore' }
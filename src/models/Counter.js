@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// Last sequence number issued per business, document type and period
+const counterSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization reference is required"],
+    },
+    // Document type, e.g. invoice or receipt
+    key: {
+      type: String,
+      required: [true, "Counter key is required"],
+    },
+    // Year for sequences that reset yearly, "all" for those that never reset
+    period: {
+      type: String,
+      required: [true, "Counter period is required"],
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+counterSchema.index({ organization: 1, key: 1, period: 1 }, { unique: true });
+
+// Static method to take the next number of a sequence atomically
+// The sequence never goes below `floor` (numbers already in use) or below
+// `start` (the first number to issue). Returns null when the counter does not
+// exist yet, unless upsert is set.
+counterSchema.statics.nextSequence = async function (
+  organizationId,
+  key,
+  period,
+  { start = 1, floor = 0, upsert = false } = {}
+) {
+  const counter = await this.findOneAndUpdate(
+    { organization: organizationId, key, period },
+    [
+      {
+        $set: {
+          seq: {
+            $add: [{ $max: [{ $ifNull: ["$seq", floor] }, start - 1] }, 1],
+          },
+        },
+      },
+    ],
+    { new: true, upsert }
+  );
+  return counter ? counter.seq : null;
+};
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+module.exports = Counter;
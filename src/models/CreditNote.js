@@ -0,0 +1,210 @@
+const mongoose = require("mongoose");
+
+const CREDIT_NOTE_REASONS = [
+  "returned_goods",
+  "overbilled",
+  "damaged_goods",
+  "goodwill",
+  "other",
+];
+
+// Credited invoice line
+const creditNoteItemSchema = new mongoose.Schema(
+  {
+    invoiceItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InvoiceItem",
+      required: true,
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      min: [0.01, "Quantity must be greater than 0"],
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: [0, "Unit price cannot be negative"],
+    },
+    unit: {
+      type: String,
+      trim: true,
+      default: "unit",
+    },
+    subtotal: {
+      type: Number,
+      min: [0, "Subtotal cannot be negative"],
+      default: 0,
+    },
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+    },
+    // Returned goods go back into stock when asked
+    restock: {
+      type: Boolean,
+      default: false,
+    },
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const creditNoteSchema = new mongoose.Schema(
+  {
+    // References
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+      index: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
+    // Team member who issued the credit note
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      required: [true, "Invoice reference is required"],
+      index: true,
+    },
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: [true, "Client reference is required"],
+    },
+
+    // Credit Note Details
+    creditNoteNumber: {
+      type: String,
+      required: [true, "Credit note number is required"],
+      trim: true,
+    },
+    // Full credits the rest of the invoice, partial selected lines only
+    type: {
+      type: String,
+      enum: ["full", "partial"],
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: CREDIT_NOTE_REASONS,
+      default: "other",
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Notes cannot exceed 1000 characters"],
+    },
+    items: [creditNoteItemSchema],
+
+    // Financial Details (the invoice tax, discount and shipping are
+    // credited in proportion to the credited lines)
+    subtotal: {
+      type: Number,
+      min: [0, "Subtotal cannot be negative"],
+      default: 0,
+    },
+    taxAmount: {
+      type: Number,
+      min: [0, "Tax amount cannot be negative"],
+      default: 0,
+    },
+    discountAmount: {
+      type: Number,
+      min: [0, "Discount cannot be negative"],
+      default: 0,
+    },
+    shippingFee: {
+      type: Number,
+      min: [0, "Shipping fee cannot be negative"],
+      default: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: [0.01, "Total must be greater than 0"],
+    },
+    // How the total was used: off the invoice balance, the rest as credit
+    // for the client
+    appliedToInvoice: {
+      type: Number,
+      min: [0, "Applied amount cannot be negative"],
+      default: 0,
+    },
+    clientCredit: {
+      type: Number,
+      min: [0, "Client credit cannot be negative"],
+      default: 0,
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+      uppercase: true,
+    },
+    // Exchange rate of the invoice credited, so reports convert it alike
+    exchangeRate: {
+      type: Number,
+      min: [0, "Exchange rate cannot be negative"],
+    },
+
+    issueDate: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+creditNoteSchema.index(
+  { organization: 1, creditNoteNumber: 1 },
+  { unique: true }
+);
+creditNoteSchema.index({ organization: 1, client: 1, issueDate: 1 });
+creditNoteSchema.index({ organization: 1, issueDate: -1 });
+
+// Static method to get the quantity already credited per invoice line
+creditNoteSchema.statics.getCreditedQuantities = async function (invoiceId) {
+  const creditNotes = await this.find({ invoice: invoiceId }).select(
+    "items shippingFee"
+  );
+
+  const quantities = new Map();
+  let shippingFee = 0;
+
+  creditNotes.forEach((creditNote) => {
+    shippingFee += creditNote.shippingFee;
+    creditNote.items.forEach((item) => {
+      const key = item.invoiceItem.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    });
+  });
+
+  return { quantities, shippingFee };
+};
+
+const CreditNote = mongoose.model("CreditNote", creditNoteSchema);
+
+module.exports = CreditNote;
+module.exports.CREDIT_NOTE_REASONS = CREDIT_NOTE_REASONS;
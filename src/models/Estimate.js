@@ -0,0 +1,337 @@
+const mongoose = require("mongoose");
+const { generateEstimateViewToken } = require("../utils/jwt");
+const { calculatePricing } = require("../utils/pricing");
+const { lineTaxSchema } = require("./Invoice");
+
+// Estimates the client can still accept or decline
+const OPEN_STATUSES = ["draft", "sent", "viewed"];
+
+// Estimate line, copied onto the invoice on conversion
+const estimateItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, "Item description is required"],
+    trim: true,
+    maxlength: [500, "Description cannot exceed 500 characters"],
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [0.01, "Quantity must be greater than 0"],
+    default: 1,
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, "Unit price is required"],
+    min: [0, "Unit price cannot be negative"],
+  },
+  // Quantity x unit price less the line discount
+  subtotal: {
+    type: Number,
+    min: [0, "Subtotal cannot be negative"],
+    default: 0,
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+  },
+  unit: {
+    type: String,
+    trim: true,
+    default: "unit",
+  },
+  taxRate: {
+    type: Number,
+    min: [0, "Tax rate cannot be negative"],
+    max: [100, "Tax rate cannot exceed 100%"],
+    default: 0,
+  },
+  taxes: [lineTaxSchema],
+  discount: {
+    type: Number,
+    min: [0, "Discount cannot be negative"],
+    default: 0,
+  },
+  discountType: {
+    type: String,
+    enum: ["percentage", "fixed"],
+    default: "percentage",
+  },
+  // Stock is only reduced once the estimate becomes an invoice
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Inventory",
+  },
+});
+
+const estimateSchema = new mongoose.Schema(
+  {
+    // References
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+      index: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
+    // Team member who prepared the estimate
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: [true, "Client reference is required"],
+      index: true,
+    },
+    // Invoice created from the estimate
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+    },
+
+    // Estimate Details
+    estimateNumber: {
+      type: String,
+      required: [true, "Estimate number is required"],
+      trim: true,
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    items: {
+      type: [estimateItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "At least one item is required",
+      },
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Notes cannot exceed 1000 characters"],
+    },
+    termsAndConditions: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Terms cannot exceed 2000 characters"],
+    },
+
+    // Financial Details
+    subtotal: {
+      type: Number,
+      min: [0, "Subtotal cannot be negative"],
+      default: 0,
+    },
+    taxRate: {
+      type: Number,
+      min: [0, "Tax rate cannot be negative"],
+      max: [100, "Tax rate cannot exceed 100%"],
+      default: 0,
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Tax totals per name and rate
+    taxBreakdown: [
+      {
+        _id: false,
+        name: String,
+        rate: Number,
+        taxableAmount: Number,
+        taxAmount: Number,
+      },
+    ],
+    // Unit prices already include tax
+    taxInclusive: {
+      type: Boolean,
+      default: false,
+    },
+    discount: {
+      type: Number,
+      min: [0, "Discount cannot be negative"],
+      default: 0,
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      default: "percentage",
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+    },
+    shippingFee: {
+      type: Number,
+      min: [0, "Shipping fee cannot be negative"],
+      default: 0,
+    },
+    total: {
+      type: Number,
+      min: [0, "Total cannot be negative"],
+      default: 0,
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+      uppercase: true,
+    },
+
+    // Dates
+    issueDate: {
+      type: Date,
+      required: [true, "Issue date is required"],
+      default: Date.now,
+    },
+    expiryDate: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+
+    // Status
+    status: {
+      type: String,
+      enum: [
+        "draft",
+        "sent",
+        "viewed",
+        "accepted",
+        "declined",
+        "expired",
+        "converted",
+      ],
+      default: "draft",
+      index: true,
+    },
+
+    // Tracking
+    sentAt: Date,
+    viewedAt: Date,
+    acceptedAt: Date,
+    declinedAt: Date,
+    convertedAt: Date,
+    // Who answered from the public link
+    response: {
+      name: String,
+      email: String,
+      ipAddress: String,
+      reason: String,
+    },
+
+    // Public link; bumping the version revokes every link sent so far
+    publicLinkVersion: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+estimateSchema.index({ organization: 1, estimateNumber: 1 }, { unique: true });
+estimateSchema.index({ organization: 1, status: 1 });
+estimateSchema.index({ organization: 1, client: 1 });
+estimateSchema.index({ expiryDate: 1 });
+
+// Virtual for expired status
+estimateSchema.virtual("isExpired").get(function () {
+  if (!OPEN_STATUSES.includes(this.status)) return false;
+  return new Date() > new Date(this.expiryDate);
+});
+
+// Virtual for the answer still being open
+estimateSchema.virtual("canRespond").get(function () {
+  return OPEN_STATUSES.includes(this.status) && !this.isExpired;
+});
+
+// Pre-validate middleware to calculate line and estimate totals
+estimateSchema.pre("validate", function (next) {
+  // Same pricing as invoices, so the converted invoice matches the estimate
+  const pricing = calculatePricing({
+    items: this.items.map((item) => item.toObject()),
+    taxRate: this.taxRate,
+    discount: this.discount,
+    discountType: this.discountType,
+    taxInclusive: this.taxInclusive,
+    shippingFee: this.shippingFee,
+    currency: this.currency,
+  });
+
+  this.items.forEach((item, index) => {
+    const priced = pricing.items[index];
+    item.subtotal = priced.subtotal;
+    item.taxAmount = priced.taxAmount;
+  });
+
+  this.subtotal = pricing.subtotal;
+  this.discountAmount = pricing.discountAmount;
+  this.taxAmount = pricing.taxAmount;
+  this.taxBreakdown = pricing.taxBreakdown;
+  this.total = pricing.total;
+
+  // Update expired status
+  if (this.isExpired) {
+    this.status = "expired";
+  }
+
+  next();
+});
+
+// Method to mark as sent
+estimateSchema.methods.markAsSent = function () {
+  if (this.status === "draft") {
+    this.status = "sent";
+  }
+  this.sentAt = new Date();
+  return this.save();
+};
+
+// Method to mark as viewed
+estimateSchema.methods.markAsViewed = function () {
+  if (!this.viewedAt) {
+    this.viewedAt = new Date();
+    if (this.status === "sent") {
+      this.status = "viewed";
+    }
+  }
+  return this.save();
+};
+
+// Method to record the client's answer (accepted or declined)
+estimateSchema.methods.respond = function (
+  accepted,
+  { name, email, ipAddress, reason } = {}
+) {
+  this.status = accepted ? "accepted" : "declined";
+  this[accepted ? "acceptedAt" : "declinedAt"] = new Date();
+  this.response = { name, email, ipAddress, reason };
+  return this.save();
+};
+
+// Method to get the signed token of the public link
+estimateSchema.methods.getPublicToken = function () {
+  return generateEstimateViewToken(this._id, this.publicLinkVersion);
+};
+
+// Method to revoke every public link sent so far
+estimateSchema.methods.revokePublicLinks = function () {
+  this.publicLinkVersion += 1;
+  return this.save();
+};
+
+const Estimate = mongoose.model("Estimate", estimateSchema);
+
+module.exports = Estimate;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+// Rate of a foreign currency in a business's base currency from a given date
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization reference is required"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    currency: {
+      type: String,
+      required: [true, "Currency is required"],
+      uppercase: true,
+      trim: true,
+    },
+    baseCurrency: {
+      type: String,
+      required: [true, "Base currency is required"],
+      uppercase: true,
+      trim: true,
+    },
+    // Units of the base currency per 1 unit of the currency
+    rate: {
+      type: Number,
+      required: [true, "Rate is required"],
+      min: [0.000001, "Rate must be greater than 0"],
+    },
+    // The rate applies from this date until a newer one
+    effectiveDate: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    source: {
+      type: String,
+      enum: ["manual", "import"],
+      default: "manual",
+    },
+    notes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+exchangeRateSchema.index({
+  organization: 1,
+  currency: 1,
+  baseCurrency: 1,
+  effectiveDate: -1,
+});
+
+// Static method to get the rate in force on a date
+exchangeRateSchema.statics.findRate = function (
+  organizationId,
+  currency,
+  baseCurrency,
+  date = new Date()
+) {
+  return this.findOne({
+    organization: organizationId,
+    currency,
+    baseCurrency,
+    effectiveDate: { $lte: date },
+  }).sort({ effectiveDate: -1, createdAt: -1 });
+};
+
+const ExchangeRate = mongoose.model("ExchangeRate", exchangeRateSchema);
+
+module.exports = ExchangeRate;
@@ -8,6 +8,11 @@ const expenseSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
     amount: { type: Number, required: true, min: 0 },
     category: { type: String, trim: true, default: "other" },
     description: { type: String, trim: true },
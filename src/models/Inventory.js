@@ -10,6 +10,13 @@ const inventorySchema = new mongoose.Schema(
       index: true,
     },
 
+    // Business the item belongs to (shared by the whole team)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
+
     // Product Identification
     sku: {
       type: String,
@@ -266,11 +273,19 @@ const inventorySchema = new mongoose.Schema(
 );
 
 // Compound indexes
-inventorySchema.index({ user: 1, sku: 1 }, { unique: true });
+// SKUs are unique per business (legacy records get their organization on
+// the owner's next request, see Organization.ensureForUser)
+inventorySchema.index(
+  { organization: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { organization: { $exists: true } } }
+);
+inventorySchema.index({ user: 1, sku: 1 });
 inventorySchema.index({ user: 1, barcode: 1 }, { sparse: true });
 inventorySchema.index({ user: 1, category: 1 });
 inventorySchema.index({ user: 1, status: 1 });
 inventorySchema.index({ user: 1, quantity: 1 });
+inventorySchema.index({ organization: 1, category: 1 });
+inventorySchema.index({ organization: 1, status: 1 });
 
 // Text index for search
 inventorySchema.index({
@@ -456,9 +471,9 @@ inventorySchema.methods.needsReorder = function () {
 };
 
 // Static method to get low stock items
-inventorySchema.statics.getLowStockItems = function (userId) {
+inventorySchema.statics.getLowStockItems = function (organizationId) {
   return this.find({
-    user: userId,
+    organization: organizationId,
     trackInventory: true,
     lowStockAlert: true,
     $expr: { $lte: ["$quantity", "$reorderPoint"] },
@@ -467,8 +482,8 @@ inventorySchema.statics.getLowStockItems = function (userId) {
 };
 
 // Static method to get items needing reorder
-inventorySchema.statics.getItemsToReorder = function (userId) {
-  return this.getLowStockItems(userId).then((items) => {
+inventorySchema.statics.getItemsToReorder = function (organizationId) {
+  return this.getLowStockItems(organizationId).then((items) => {
     return items.map((item) => ({
       id: item._id,
       name: item.name,
@@ -482,14 +497,18 @@ inventorySchema.statics.getItemsToReorder = function (userId) {
 };
 
 // Static method to calculate total inventory value
-inventorySchema.statics.getTotalInventoryValue = async function (userId) {
-  // Ensure we pass an ObjectId when userId is a string. Some mongoose versions
+inventorySchema.statics.getTotalInventoryValue = async function (
+  organizationId
+) {
+  // Ensure we pass an ObjectId when the id is a string. Some mongoose versions
   // require `new mongoose.Types.ObjectId(...)` instead of calling as a function.
-  const matchUser =
-    typeof userId === "string" ? new mongoose.Types.ObjectId(userId) : userId;
+  const matchOrganization =
+    typeof organizationId === "string"
+      ? new mongoose.Types.ObjectId(organizationId)
+      : organizationId;
 
   const result = await this.aggregate([
-    { $match: { user: matchUser, status: "active" } },
+    { $match: { organization: matchOrganization, status: "active" } },
     {
       $group: {
         _id: null,
@@ -0,0 +1,132 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const invitationSchema = new mongoose.Schema(
+  {
+    // Business the invitee will join
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization reference is required"],
+      index: true,
+    },
+
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, "Please provide a valid email"],
+    },
+    role: {
+      type: String,
+      enum: ["admin", "manager", "staff"],
+      default: "staff",
+    },
+
+    // SHA-256 hash of the token sent in the invitation link
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Lifecycle
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "revoked", "expired"],
+      default: "pending",
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: Date,
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+invitationSchema.index({ organization: 1, email: 1, status: 1 });
+invitationSchema.index({ tokenHash: 1 });
+
+// Virtual for expiry status
+invitationSchema.virtual("isExpired").get(function () {
+  return this.expiresAt < Date.now();
+});
+
+// Static method to hash an invitation token
+invitationSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Static method to create an invitation and return its plain token
+// Any earlier pending invitation for the same email is revoked
+invitationSchema.statics.issue = async function ({
+  organization,
+  email,
+  role,
+  invitedBy,
+  expiresInDays = 7,
+}) {
+  await this.updateMany(
+    { organization, email: email.toLowerCase(), status: "pending" },
+    { $set: { status: "revoked", revokedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const invitation = await this.create({
+    organization,
+    email,
+    role,
+    invitedBy,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  return { invitation, token };
+};
+
+// Static method to find a pending invitation by its plain token
+invitationSchema.statics.findPendingByToken = function (token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    status: "pending",
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Method to mark the invitation as accepted
+invitationSchema.methods.accept = function (userId) {
+  this.status = "accepted";
+  this.acceptedAt = new Date();
+  this.acceptedBy = userId;
+  return this.save();
+};
+
+// Method to revoke the invitation
+invitationSchema.methods.revoke = function () {
+  this.status = "revoked";
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+
+module.exports = Invitation;
@@ -1,4 +1,93 @@
 const mongoose = require("mongoose");
+const { generateInvoiceViewToken } = require("../utils/jwt");
+const { roundMoney } = require("../utils/money");
+
+// Tax charged on a line, e.g. { name: "VAT", rate: 7.5 }
+const lineTaxSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Tax name cannot exceed 50 characters"],
+      default: "Tax",
+    },
+    rate: {
+      type: Number,
+      required: [true, "Tax rate is required"],
+      min: [0, "Tax rate cannot be negative"],
+      max: [100, "Tax rate cannot exceed 100%"],
+    },
+  },
+  { _id: false }
+);
+
+// Part of an invoice due on its own date, e.g. a deposit or an installment
+// Payments settle installments in order (see allocateInstallments)
+const installmentSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, "Label cannot exceed 100 characters"],
+  },
+  isDeposit: {
+    type: Boolean,
+    default: false,
+  },
+  amount: {
+    type: Number,
+    required: [true, "Installment amount is required"],
+    min: [0, "Installment amount cannot be negative"],
+  },
+  dueDate: {
+    type: Date,
+    required: [true, "Installment due date is required"],
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: [0, "Amount paid cannot be negative"],
+  },
+  status: {
+    type: String,
+    enum: ["pending", "partial", "paid", "overdue"],
+    default: "pending",
+  },
+  paidDate: Date,
+  remindersSent: {
+    type: Number,
+    default: 0,
+  },
+  lastReminderAt: Date,
+});
+
+// File attached to an invoice, kept by services/storageService
+const attachmentSchema = new mongoose.Schema({
+  // Original file name
+  name: {
+    type: String,
+    required: [true, "Attachment name is required"],
+    trim: true,
+    maxlength: [255, "Attachment name cannot exceed 255 characters"],
+  },
+  // Storage key of the file
+  key: String,
+  // Download path in the invoices API
+  url: String,
+  size: Number,
+  // MIME type detected from the file contents ("type" needs the object form
+  // or mongoose reads it as the type of the whole entry)
+  type: {
+    type: String,
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
 
 // Invoice Item Schema
 const invoiceItemSchema = new mongoose.Schema(
@@ -26,23 +115,42 @@ const invoiceItemSchema = new mongoose.Schema(
       required: [true, "Unit price is required"],
       min: [0, "Unit price cannot be negative"],
     },
+    // Amounts below are set by the pricing engine (utils/pricing)
+    // Quantity x unit price less the line discount
     subtotal: {
       type: Number,
       required: true,
       min: [0, "Subtotal cannot be negative"],
     },
+    // Share of the invoice discount
+    allocatedDiscount: {
+      type: Number,
+      min: [0, "Discount cannot be negative"],
+    },
+    taxAmount: {
+      type: Number,
+      min: [0, "Tax amount cannot be negative"],
+    },
+    // What the line adds to the invoice total
+    total: {
+      type: Number,
+      min: [0, "Total cannot be negative"],
+    },
     // Optional fields
     unit: {
       type: String,
       trim: true,
       default: "unit",
     },
+    // Line rate; without one the invoice tax rate applies
     taxRate: {
       type: Number,
       min: [0, "Tax rate cannot be negative"],
       max: [100, "Tax rate cannot exceed 100%"],
       default: 0,
     },
+    // Several taxes on the line (replaces taxRate when set)
+    taxes: [lineTaxSchema],
     discount: {
       type: Number,
       min: [0, "Discount cannot be negative"],
@@ -64,23 +172,6 @@ const invoiceItemSchema = new mongoose.Schema(
   }
 );
 
-// Calculate subtotal before saving
-invoiceItemSchema.pre("save", function (next) {
-  let subtotal = this.quantity * this.unitPrice;
-
-  // Apply discount
-  if (this.discount > 0) {
-    if (this.discountType === "percentage") {
-      subtotal -= (subtotal * this.discount) / 100;
-    } else {
-      subtotal -= this.discount;
-    }
-  }
-
-  this.subtotal = Math.max(0, subtotal);
-  next();
-});
-
 // Invoice Schema
 const invoiceSchema = new mongoose.Schema(
   {
@@ -91,18 +182,34 @@ const invoiceSchema = new mongoose.Schema(
       required: [true, "User reference is required"],
       index: true,
     },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
     client: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Client",
       required: [true, "Client reference is required"],
       index: true,
     },
+    // Recurring schedule that generated the invoice
+    recurringInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RecurringInvoice",
+      index: true,
+    },
+    // Estimate the invoice was converted from
+    estimate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Estimate",
+    },
 
     // Invoice Details
+    // Unique per business (see indexes), from services/numberingService
     invoiceNumber: {
       type: String,
       required: [true, "Invoice number is required"],
-      unique: true,
       trim: true,
     },
     title: {
@@ -121,13 +228,15 @@ const invoiceSchema = new mongoose.Schema(
       maxlength: [2000, "Terms cannot exceed 2000 characters"],
     },
 
-    // Financial Details
+    // Financial Details (priced by utils/pricing)
+    // Sum of the lines after their own discounts
     subtotal: {
       type: Number,
       required: true,
       min: [0, "Subtotal cannot be negative"],
       default: 0,
     },
+    // Default rate of lines without their own tax
     taxRate: {
       type: Number,
       min: [0, "Tax rate cannot be negative"],
@@ -139,6 +248,21 @@ const invoiceSchema = new mongoose.Schema(
       min: [0, "Tax amount cannot be negative"],
       default: 0,
     },
+    // Tax totals per name and rate
+    taxBreakdown: [
+      {
+        _id: false,
+        name: String,
+        rate: Number,
+        taxableAmount: Number,
+        taxAmount: Number,
+      },
+    ],
+    // Unit prices already include tax
+    taxInclusive: {
+      type: Boolean,
+      default: false,
+    },
     discount: {
       type: Number,
       min: [0, "Discount cannot be negative"],
@@ -149,21 +273,72 @@ const invoiceSchema = new mongoose.Schema(
       enum: ["percentage", "fixed"],
       default: "percentage",
     },
+    // Invoice discount in currency (unset on invoices priced before the
+    // pricing engine)
+    discountAmount: {
+      type: Number,
+      min: [0, "Discount cannot be negative"],
+    },
     shippingFee: {
       type: Number,
       min: [0, "Shipping fee cannot be negative"],
       default: 0,
     },
+    // Late fees charged while overdue; waived fees stay for the history
+    lateFees: [
+      {
+        amount: {
+          type: Number,
+          required: true,
+          min: [0, "Late fee cannot be negative"],
+        },
+        description: {
+          type: String,
+          trim: true,
+        },
+        // Fee period counted from the end of the grace days (0 = first)
+        period: {
+          type: Number,
+          default: 0,
+        },
+        appliedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        waived: {
+          type: Boolean,
+          default: false,
+        },
+        waivedAt: Date,
+        waivedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        waiveReason: String,
+      },
+    ],
+    lateFeeTotal: {
+      type: Number,
+      min: [0, "Late fee total cannot be negative"],
+      default: 0,
+    },
     total: {
       type: Number,
       required: true,
       min: [0, "Total cannot be negative"],
+      default: 0,
     },
     amountPaid: {
       type: Number,
       default: 0,
       min: [0, "Amount paid cannot be negative"],
     },
+    // Total of the credit notes issued against the invoice
+    amountCredited: {
+      type: Number,
+      default: 0,
+      min: [0, "Amount credited cannot be negative"],
+    },
     amountDue: {
       type: Number,
       default: 0,
@@ -182,6 +357,10 @@ const invoiceSchema = new mongoose.Schema(
     },
     paidDate: Date,
 
+    // Payment schedule (deposit and installments, in due date order); the
+    // due date of the invoice is the date of the last installment
+    installments: [installmentSchema],
+
     // Status
     status: {
       type: String,
@@ -220,6 +399,55 @@ const invoiceSchema = new mongoose.Schema(
     // Tracking
     sentAt: Date,
     viewedAt: Date,
+    // Latest revision recorded since the invoice was sent (0 = none), see
+    // models/InvoiceRevision
+    revision: {
+      type: Number,
+      default: 0,
+    },
+
+    // Public view link; bumping the version revokes every link sent so far
+    publicLinkVersion: {
+      type: Number,
+      default: 0,
+    },
+
+    // Email delivery (retried until delivered or out of attempts)
+    delivery: {
+      status: {
+        type: String,
+        enum: ["pending", "retrying", "delivered", "failed"],
+      },
+      recipient: String,
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      lastAttemptAt: Date,
+      nextAttemptAt: Date,
+      lastError: String,
+      deliveredAt: Date,
+      requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      message: String,
+    },
+    deliveryAttempts: [
+      {
+        recipient: String,
+        status: {
+          type: String,
+          enum: ["sent", "failed"],
+        },
+        messageId: String,
+        error: String,
+        attemptedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     remindersSent: {
       type: Number,
       default: 0,
@@ -232,16 +460,20 @@ const invoiceSchema = new mongoose.Schema(
       default: "NGN",
       uppercase: true,
     },
+    // Base currency of the business and units of it per 1 unit of the
+    // invoice currency when issued (unset on invoices from before
+    // multi-currency, which are in the base currency)
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+    },
+    exchangeRate: {
+      type: Number,
+      min: [0, "Exchange rate cannot be negative"],
+    },
 
     // Attachments
-    attachments: [
-      {
-        name: String,
-        url: String,
-        size: Number,
-        type: String,
-      },
-    ],
+    attachments: [attachmentSchema],
 
     // Custom Fields
     customFields: {
@@ -257,10 +489,17 @@ const invoiceSchema = new mongoose.Schema(
 );
 
 // Compound indexes
-invoiceSchema.index({ user: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index(
+  { organization: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { organization: { $exists: true } } }
+);
 invoiceSchema.index({ user: 1, status: 1 });
 invoiceSchema.index({ user: 1, client: 1 });
 invoiceSchema.index({ user: 1, dueDate: 1 });
+invoiceSchema.index({ organization: 1, status: 1 });
+invoiceSchema.index({ organization: 1, client: 1 });
+invoiceSchema.index({ organization: 1, dueDate: 1 });
+invoiceSchema.index({ "delivery.status": 1, "delivery.nextAttemptAt": 1 });
 invoiceSchema.index({ issueDate: -1 });
 invoiceSchema.index({ dueDate: 1 });
 
@@ -281,48 +520,79 @@ invoiceSchema.virtual("daysUntilDue").get(function () {
   return diffDays;
 });
 
-// Virtual for is overdue
+// Virtual for is overdue (an installment past its due date makes the whole
+// invoice overdue)
 invoiceSchema.virtual("isOverdue").get(function () {
   if (this.status === "paid" || this.status === "cancelled") return false;
-  return new Date() > new Date(this.dueDate);
+  const now = new Date();
+  return (
+    now > new Date(this.dueDate) ||
+    (this.installments || []).some(
+      (installment) =>
+        installment.status !== "paid" && now > new Date(installment.dueDate)
+    )
+  );
 });
 
 // Virtual for balance
 invoiceSchema.virtual("balance").get(function () {
-  return this.total - this.amountPaid;
+  return this.total - this.amountPaid - this.amountCredited;
+});
+
+// Virtual for credit notes issued against the invoice
+invoiceSchema.virtual("creditNotes", {
+  ref: "CreditNote",
+  localField: "_id",
+  foreignField: "invoice",
 });
 
 // Pre-save middleware to calculate totals
+// Subtotal, discount and tax come from the pricing engine; this adds up the
+// total, including any late fees.
 invoiceSchema.pre("save", function (next) {
-  // Calculate tax amount
-  this.taxAmount = this.subtotal * (this.taxRate / 100);
-
-  // Calculate total after discount
-  let total = this.subtotal + this.taxAmount + this.shippingFee;
-
-  if (this.discount > 0) {
-    if (this.discountType === "percentage") {
-      total -= (this.subtotal * this.discount) / 100;
-    } else {
-      total -= this.discount;
-    }
+  // Invoices priced before the pricing engine only had invoice-level rates
+  if (this.discountAmount === undefined) {
+    this.taxAmount = this.subtotal * (this.taxRate / 100);
+    this.discountAmount =
+      this.discountType === "percentage"
+        ? (this.subtotal * this.discount) / 100
+        : this.discount;
   }
 
-  this.total = Math.max(0, total);
-  this.amountDue = Math.max(0, this.total - this.amountPaid);
-
-  // Update payment status
-  if (this.amountPaid === 0) {
+  // Late fees that were not waived are added on top
+  this.lateFeeTotal = this.lateFees
+    .filter((fee) => !fee.waived)
+    .reduce((sum, fee) => sum + fee.amount, 0);
+
+  this.total = Math.max(
+    0,
+    roundMoney(this.chargedAmount() + this.lateFeeTotal, this.currency)
+  );
+  this.amountDue = Math.max(
+    0,
+    roundMoney(
+      this.total - this.amountPaid - this.amountCredited,
+      this.currency
+    )
+  );
+
+  this.allocateInstallments();
+
+  // Update payment status (a cancelled invoice stays cancelled). Credit
+  // notes settle the invoice the same way payments do.
+  const cancelled = this.status === "cancelled";
+  const settled = this.amountPaid + this.amountCredited;
+  if (settled === 0) {
     this.paymentStatus = "unpaid";
-  } else if (this.amountPaid >= this.total) {
+  } else if (settled >= this.total) {
     this.paymentStatus = "paid";
-    this.status = "paid";
+    if (!cancelled) this.status = "paid";
     if (!this.paidDate) {
       this.paidDate = new Date();
     }
   } else {
     this.paymentStatus = "partial";
-    this.status = "partial";
+    if (!cancelled) this.status = "partial";
   }
 
   // Update overdue status
@@ -330,13 +600,107 @@ invoiceSchema.pre("save", function (next) {
     this.status = "overdue";
   }
 
+  // Cancelling an invoice expires its public links for good
+  if (!this.isNew && this.isModified("status") && this.status === "cancelled") {
+    this.publicLinkVersion += 1;
+  }
+
   next();
 });
 
+// Method to get what the invoice charges before late fees
+invoiceSchema.methods.chargedAmount = function () {
+  // Invoices priced before the pricing engine keep their saved total
+  if (this.discountAmount === undefined) {
+    return Math.max(
+      0,
+      roundMoney(this.total - this.lateFeeTotal, this.currency)
+    );
+  }
+
+  return Math.max(
+    0,
+    roundMoney(
+      this.subtotal -
+        this.discountAmount +
+        (this.taxInclusive ? 0 : this.taxAmount) +
+        this.shippingFee,
+      this.currency
+    )
+  );
+};
+
+// Method to spread what was paid and credited over the installments in order
+// Installments share what the invoice charges; late fees are owed on top and
+// settled after them. When the invoice is repriced the installments keep
+// their proportions, the last one taking the rounding difference.
+invoiceSchema.methods.allocateInstallments = function (now = new Date()) {
+  if (!this.installments || this.installments.length === 0) return;
+
+  const round = (amount) => roundMoney(amount, this.currency);
+  const charged = this.chargedAmount();
+  const scheduled = round(
+    this.installments.reduce((sum, installment) => sum + installment.amount, 0)
+  );
+
+  if (scheduled !== charged) {
+    let assigned = 0;
+    this.installments.forEach((installment, index) => {
+      if (index === this.installments.length - 1) {
+        installment.amount = Math.max(0, round(charged - assigned));
+        return;
+      }
+      installment.amount =
+        scheduled > 0
+          ? round((installment.amount * charged) / scheduled)
+          : round(charged / this.installments.length);
+      assigned += installment.amount;
+    });
+  }
+
+  let settled = this.amountPaid + this.amountCredited;
+  this.installments.forEach((installment) => {
+    installment.amountPaid = round(
+      Math.min(installment.amount, Math.max(0, settled))
+    );
+    settled -= installment.amount;
+
+    if (installment.amountPaid >= installment.amount) {
+      installment.status = "paid";
+      if (!installment.paidDate) installment.paidDate = now;
+      return;
+    }
+
+    installment.paidDate = undefined;
+    if (now > new Date(installment.dueDate)) {
+      installment.status = "overdue";
+    } else {
+      installment.status = installment.amountPaid > 0 ? "partial" : "pending";
+    }
+  });
+};
+
+// Method to get the first installment not yet paid (null without a schedule)
+invoiceSchema.methods.nextInstallment = function () {
+  return (
+    (this.installments || []).find(
+      (installment) => installment.status !== "paid"
+    ) || null
+  );
+};
+
+// Method to get the date payment is next due (the next installment's date
+// on a payment schedule)
+invoiceSchema.methods.nextDueDate = function () {
+  const installment = this.nextInstallment();
+  return installment ? installment.dueDate : this.dueDate;
+};
+
 // Method to add payment
+// The pre-save hook settles the installments in order
 invoiceSchema.methods.addPayment = function (amount) {
   this.amountPaid += amount;
-  if (this.amountPaid >= this.total) {
+  if (this.amountPaid + this.amountCredited >= this.total) {
     this.status = "paid";
     this.paymentStatus = "paid";
     this.paidDate = new Date();
@@ -344,7 +708,10 @@ invoiceSchema.methods.addPayment = function (amount) {
     this.status = "partial";
     this.paymentStatus = "partial";
   }
-  this.amountDue = Math.max(0, this.total - this.amountPaid);
+  this.amountDue = Math.max(
+    0,
+    this.total - this.amountPaid - this.amountCredited
+  );
   return this.save();
 };
 
@@ -357,41 +724,49 @@ invoiceSchema.methods.markAsSent = function () {
   return this.save();
 };
 
-// Method to mark as viewed
-invoiceSchema.methods.markAsViewed = function () {
-  if (!this.viewedAt) {
-    this.viewedAt = new Date();
-    if (this.status === "sent") {
-      this.status = "viewed";
-    }
+// Method to mark as viewed (first view only)
+// A conditional update rather than save(): views, PDF downloads and the
+// tracking pixel must not re-run the pre-save pricing on a stale document
+invoiceSchema.methods.markAsViewed = async function () {
+  if (this.viewedAt) return this;
+
+  const viewedAt = new Date();
+  await this.constructor.updateOne({ _id: this._id, viewedAt: null }, [
+    {
+      $set: {
+        viewedAt,
+        status: {
+          $cond: [{ $eq: ["$status", "sent"] }, "viewed", "$status"],
+        },
+      },
+    },
+  ]);
+
+  // Reflect the change without leaving the document dirty
+  this.viewedAt = viewedAt;
+  if (this.status === "sent") {
+    this.status = "viewed";
   }
-  return this.save();
+  this.unmarkModified("viewedAt");
+  this.unmarkModified("status");
+  return this;
 };
 
-// Static method to generate invoice number
-invoiceSchema.statics.generateInvoiceNumber = async function (userId) {
-  const year = new Date().getFullYear();
-  const prefix = `INV-${year}-`;
-
-  // Find last invoice for this user
-  const lastInvoice = await this.findOne({
-    user: userId,
-    invoiceNumber: new RegExp(`^${prefix}`),
-  }).sort({ invoiceNumber: -1 });
-
-  let nextNumber = 1;
-  if (lastInvoice) {
-    const lastNumber = parseInt(lastInvoice.invoiceNumber.split("-").pop());
-    nextNumber = lastNumber + 1;
-  }
+// Method to get the signed token of the public view link
+invoiceSchema.methods.getPublicToken = function () {
+  return generateInvoiceViewToken(this._id, this.publicLinkVersion);
+};
 
-  return `${prefix}${String(nextNumber).padStart(4, "0")}`;
+// Method to revoke every public link sent so far
+invoiceSchema.methods.revokePublicLinks = function () {
+  this.publicLinkVersion += 1;
+  return this.save();
 };
 
 // Static method to get overdue invoices
-invoiceSchema.statics.getOverdueInvoices = function (userId) {
+invoiceSchema.statics.getOverdueInvoices = function (organizationId) {
   return this.find({
-    user: userId,
+    organization: organizationId,
     status: { $nin: ["paid", "cancelled"] },
     dueDate: { $lt: new Date() },
   }).populate("client");
@@ -400,4 +775,4 @@ invoiceSchema.statics.getOverdueInvoices = function (userId) {
 const Invoice = mongoose.model("Invoice", invoiceSchema);
 const InvoiceItem = mongoose.model("InvoiceItem", invoiceItemSchema);
 
-module.exports = { Invoice, InvoiceItem };
+module.exports = { Invoice, InvoiceItem, lineTaxSchema };
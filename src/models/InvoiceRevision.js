@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// Numbered snapshot of an invoice taken each time it is changed after being
+// sent; revision 1 is the invoice as the client first received it
+const invoiceRevisionSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      required: [true, "Invoice reference is required"],
+    },
+    revision: {
+      type: Number,
+      required: true,
+      min: [1, "Revision must be at least 1"],
+    },
+    // Who made the change (unset on the revision recorded as sent)
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    // Header fields changed since the previous revision ("items" for lines)
+    changes: [String],
+    // Header fields and lines, see services/invoiceRevisionService
+    snapshot: {
+      header: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+      },
+      items: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: [],
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+invoiceRevisionSchema.index({ invoice: 1, revision: 1 }, { unique: true });
+
+const InvoiceRevision = mongoose.model(
+  "InvoiceRevision",
+  invoiceRevisionSchema
+);
+
+module.exports = InvoiceRevision;
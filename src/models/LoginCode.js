@@ -0,0 +1,192 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const loginCodeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+      index: true,
+    },
+
+    // email: magic link token, sms: numeric one-time code
+    channel: {
+      type: String,
+      enum: ["email", "sms"],
+      required: true,
+    },
+    // Email address or phone number the code was sent to
+    destination: {
+      type: String,
+      required: true,
+    },
+
+    // SHA-256 hash of the code, the plain code is only ever sent out
+    codeHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    // Wrong guesses, the code is burned once maxAttempts is reached
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+
+    // Lifecycle
+    status: {
+      type: String,
+      enum: ["pending", "used", "replaced", "locked"],
+      default: "pending",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+    requestedIp: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+loginCodeSchema.index({ channel: 1, destination: 1, status: 1 });
+loginCodeSchema.index({ codeHash: 1 });
+// Let MongoDB purge codes a day after they expire
+loginCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Virtual for usable status
+loginCodeSchema.virtual("isUsable").get(function () {
+  return this.status === "pending" && this.expiresAt > Date.now();
+});
+
+// Static method to hash a code before storing or comparing it
+loginCodeSchema.statics.hashCode = function (code) {
+  return crypto.createHash("sha256").update(String(code)).digest("hex");
+};
+
+// Static method to create a login code and return it in plain text
+// Earlier pending codes of the same user and channel stop working
+loginCodeSchema.statics.issue = async function ({
+  user,
+  channel,
+  destination,
+  expiresInMinutes,
+  ipAddress,
+}) {
+  await this.updateMany(
+    { user, channel, status: "pending" },
+    { $set: { status: "replaced" } }
+  );
+
+  const code =
+    channel === "sms"
+      ? String(crypto.randomInt(0, 1000000)).padStart(6, "0")
+      : crypto.randomBytes(32).toString("hex");
+
+  const loginCode = await this.create({
+    user,
+    channel,
+    destination,
+    codeHash: this.hashCode(code),
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+    requestedIp: ipAddress,
+  });
+
+  return { loginCode, code };
+};
+
+// Static method to get when a user was last sent a code on a channel
+loginCodeSchema.statics.lastIssuedAt = async function (user, channel) {
+  const latest = await this.findOne({ user, channel })
+    .sort({ createdAt: -1 })
+    .select("createdAt");
+  return latest ? latest.createdAt : null;
+};
+
+// Static method to redeem a magic link by its plain token
+// Atomic so the same link cannot sign in twice
+loginCodeSchema.statics.consumeMagicLink = function (token) {
+  return this.findOneAndUpdate(
+    {
+      channel: "email",
+      codeHash: this.hashCode(token),
+      status: "pending",
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { status: "used", usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to find the usable SMS code sent to a phone number
+loginCodeSchema.statics.findPendingForPhone = function (phone) {
+  return this.findOne({
+    channel: "sms",
+    destination: phone,
+    status: "pending",
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ createdAt: -1 })
+    .select("+codeHash");
+};
+
+// Method to check a guessed code
+// Every guess first claims an attempt atomically, so parallel guesses cannot
+// go past maxAttempts; the code is burned once they are used up
+loginCodeSchema.methods.verifyCode = async function (code) {
+  const claimed = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: "pending",
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ["$attempts", "$maxAttempts"] },
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    this.attempts = this.maxAttempts;
+    return false;
+  }
+  this.attempts = claimed.attempts;
+
+  const candidate = Buffer.from(this.constructor.hashCode(code));
+  const current = Buffer.from(this.codeHash || "");
+  const matches =
+    candidate.length === current.length &&
+    crypto.timingSafeEqual(candidate, current);
+
+  if (matches) {
+    // Single use, even when the same right code arrives twice at once
+    const used = await this.constructor.findOneAndUpdate(
+      { _id: this._id, status: "pending" },
+      { $set: { status: "used", usedAt: new Date() } },
+      { new: true }
+    );
+    return !!used;
+  }
+
+  if (this.attempts >= this.maxAttempts) {
+    await this.constructor.updateOne(
+      { _id: this._id, status: "pending" },
+      { $set: { status: "locked" } }
+    );
+  }
+  return false;
+};
+
+const LoginCode = mongoose.model("LoginCode", loginCodeSchema);
+
+module.exports = LoginCode;
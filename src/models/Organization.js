@@ -0,0 +1,280 @@
+const mongoose = require("mongoose");
+const { resolvePermissions } = require("../config/permissions");
+
+// Models whose records belong to a business rather than a single user
+const SCOPED_MODELS = [
+  "Client",
+  "Invoice",
+  "Inventory",
+  "Payment",
+  "Sale",
+  "Expense",
+];
+
+// Business context of team members (organization and owner), cached briefly
+// so authenticated requests don't load both every time
+const CONTEXT_TTL_MS = 30 * 1000;
+const contextCache = new Map();
+
+// How one document type is numbered; unset fields use the defaults in
+// services/numberingService
+const numberingSchema = new mongoose.Schema(
+  {
+    prefix: {
+      type: String,
+      trim: true,
+      maxlength: [20, "Prefix cannot exceed 20 characters"],
+    },
+    // Tokens: {PREFIX}, {YYYY}, {YY}, {MM} and {SEQ}
+    pattern: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Pattern cannot exceed 50 characters"],
+    },
+    // Digits {SEQ} is padded to
+    padding: {
+      type: Number,
+      min: [1, "Padding must be at least 1"],
+      max: [10, "Padding cannot exceed 10"],
+    },
+    reset: {
+      type: String,
+      enum: ["yearly", "never"],
+    },
+    // First number of each sequence
+    start: {
+      type: Number,
+      min: [1, "Start must be at least 1"],
+    },
+  },
+  { _id: false }
+);
+
+const organizationSchema = new mongoose.Schema(
+  {
+    // Business name (mirrors the owner's businessName at creation)
+    name: {
+      type: String,
+      required: [true, "Business name is required"],
+      trim: true,
+      maxlength: [100, "Business name cannot exceed 100 characters"],
+    },
+
+    // Account that created the business and pays for the plan
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Owner reference is required"],
+      unique: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["active", "suspended"],
+      default: "active",
+    },
+
+    // Custom permission lists keyed by role (roles not listed use defaults)
+    permissions: {
+      type: Map,
+      of: [String],
+      default: {},
+    },
+
+    // Payment reminders emailed to clients, in days relative to the due
+    // date (sent only while the owner keeps invoiceDue notifications on)
+    invoiceReminders: {
+      daysBefore: {
+        type: [Number],
+        default: [3],
+      },
+      onDueDate: {
+        type: Boolean,
+        default: true,
+      },
+      // Repeat every N days once overdue (0 = no reminders after the due date)
+      repeatAfterDays: {
+        type: Number,
+        min: [0, "Repeat interval cannot be negative"],
+        default: 7,
+      },
+      maxReminders: {
+        type: Number,
+        min: [1, "At least one reminder must be allowed"],
+        max: [20, "Cannot send more than 20 reminders per invoice"],
+        default: 5,
+      },
+    },
+
+    // Late fee added to overdue invoices as separate fee lines
+    lateFees: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Flat amount, or percentage of the overdue balance
+      feeType: {
+        type: String,
+        enum: ["flat", "percentage"],
+        default: "percentage",
+      },
+      amount: {
+        type: Number,
+        min: [0, "Late fee cannot be negative"],
+        default: 0,
+      },
+      // Charged once, or again every periodDays while the invoice is unpaid
+      frequency: {
+        type: String,
+        enum: ["once", "recurring"],
+        default: "once",
+      },
+      periodDays: {
+        type: Number,
+        min: [1, "Period must be at least 1 day"],
+        default: 30,
+      },
+      // Days after the due date before the first fee
+      graceDays: {
+        type: Number,
+        min: [0, "Grace days cannot be negative"],
+        default: 0,
+      },
+      // Most an invoice can be charged in late fees (0 = no cap)
+      maxTotal: {
+        type: Number,
+        min: [0, "Cap cannot be negative"],
+        default: 0,
+      },
+    },
+
+    // When invoices stop being editable; from then on they are only adjusted
+    // with credit notes (paid invoices are always locked)
+    invoiceLocking: {
+      lockAfter: {
+        type: String,
+        enum: ["paid", "payment", "sent"],
+        default: "paid",
+      },
+      // Changes to sent invoices must say why
+      requireReason: {
+        type: Boolean,
+        default: false,
+      },
+    },
+
+    // Numbering of the documents the business issues
+    numbering: {
+      invoice: numberingSchema,
+      receipt: numberingSchema,
+      estimate: numberingSchema,
+      creditNote: numberingSchema,
+    },
+
+    // Currency the business reports in (unset uses the CURRENCY default of
+    // services/exchangeRateService) and the others it can invoice in
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    currencies: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for team members
+organizationSchema.virtual("members", {
+  ref: "User",
+  localField: "_id",
+  foreignField: "organization",
+});
+
+// Method to get the permissions of a role in this business
+organizationSchema.methods.permissionsFor = function (role) {
+  return resolvePermissions(role, this.permissions);
+};
+
+// Static method to get (or lazily create) the organization of a user
+// Accounts created before businesses existed become the owner of a new
+// organization, and the records they created are moved under it.
+organizationSchema.statics.ensureForUser = async function (user) {
+  if (user.organization) {
+    return user.organization;
+  }
+
+  const organization = await this.findOneAndUpdate(
+    { owner: user._id },
+    { $setOnInsert: { name: user.businessName, owner: user._id } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  await mongoose
+    .model("User")
+    .updateOne({ _id: user._id }, { $set: { organization: organization._id } });
+  user.organization = organization._id;
+
+  await Promise.all(
+    SCOPED_MODELS.filter((name) => mongoose.modelNames().includes(name)).map(
+      (name) =>
+        mongoose
+          .model(name)
+          .updateMany(
+            { user: user._id, organization: { $exists: false } },
+            { $set: { organization: organization._id } }
+          )
+    )
+  );
+
+  return organization._id;
+};
+
+// Static method to get an organization with its owner (password excluded)
+// Cached for a short time; saving the organization drops its entry
+organizationSchema.statics.getContext = async function (organizationId) {
+  const key = organizationId.toString();
+  const cached = contextCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached;
+  }
+
+  const organization = await this.findById(organizationId).populate(
+    "owner",
+    "-password"
+  );
+  const context = {
+    organization,
+    owner: organization ? organization.owner : null,
+    expiresAt: Date.now() + CONTEXT_TTL_MS,
+  };
+
+  if (contextCache.size >= 1000) {
+    contextCache.clear();
+  }
+  contextCache.set(key, context);
+
+  return context;
+};
+
+// Static method to drop the cached context of an organization
+organizationSchema.statics.clearContext = function (organizationId) {
+  if (organizationId) {
+    contextCache.delete(organizationId.toString());
+  }
+};
+
+// Permission overrides and settings apply to the team right away
+organizationSchema.post("save", function (doc) {
+  contextCache.delete(doc._id.toString());
+});
+
+const Organization = mongoose.model("Organization", organizationSchema);
+
+module.exports = Organization;
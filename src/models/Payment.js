@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { nextDocumentNumber } = require("../services/numberingService");
+const { paymentExchangeRate } = require("../services/exchangeRateService");
 
 const paymentSchema = new mongoose.Schema(
   {
@@ -9,6 +11,16 @@ const paymentSchema = new mongoose.Schema(
       required: [true, "User reference is required"],
       index: true,
     },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
+    // Team member who recorded the payment
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     invoice: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Invoice",
@@ -32,6 +44,23 @@ const paymentSchema = new mongoose.Schema(
       uppercase: true,
     },
 
+    // Exchange rate when received (base currency units per 1 unit of the
+    // payment currency), the amount in the base currency and the gain (or
+    // loss, negative) against the rate the invoice was issued at
+    exchangeRate: {
+      type: Number,
+      min: [0, "Exchange rate cannot be negative"],
+    },
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+    },
+    baseAmount: Number,
+    fxGainLoss: {
+      type: Number,
+      default: 0,
+    },
+
     // Payment Method
     method: {
       type: String,
@@ -74,11 +103,8 @@ const paymentSchema = new mongoose.Schema(
       type: String, // Reference from payment gateway
       sparse: true,
     },
-    receiptNumber: {
-      type: String,
-      unique: true,
-      sparse: true,
-    },
+    // Unique per business (see indexes)
+    receiptNumber: String,
 
     // Status
     status: {
@@ -237,8 +263,16 @@ paymentSchema.index({ user: 1, paymentDate: -1 });
 paymentSchema.index({ user: 1, status: 1 });
 paymentSchema.index({ user: 1, invoice: 1 });
 paymentSchema.index({ user: 1, client: 1 });
+paymentSchema.index({ organization: 1, paymentDate: -1 });
+paymentSchema.index({ organization: 1, status: 1 });
 paymentSchema.index({ transactionRef: 1 }, { unique: true, sparse: true });
-paymentSchema.index({ receiptNumber: 1 }, { unique: true, sparse: true });
+paymentSchema.index(
+  { organization: 1, receiptNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { receiptNumber: { $type: "string" } },
+  }
+);
 
 // Virtual for payment age
 paymentSchema.virtual("ageInDays").get(function () {
@@ -259,7 +293,7 @@ paymentSchema.virtual("isSuccessful").get(function () {
 });
 
 // Pre-save middleware
-paymentSchema.pre("save", function (next) {
+paymentSchema.pre("save", async function () {
   // Calculate net amount
   if (this.fees && this.fees.total) {
     this.netAmount = this.amount - this.fees.total;
@@ -267,9 +301,12 @@ paymentSchema.pre("save", function (next) {
     this.netAmount = this.amount;
   }
 
-  // Generate receipt number if completed and not exists
+  // Generate receipt number if completed and not exists, from the business's
+  // receipt sequence (payments without a business keep the old format)
   if (this.status === "completed" && !this.receiptNumber) {
-    this.receiptNumber = this.generateReceiptNumber();
+    this.receiptNumber = this.organization
+      ? await nextDocumentNumber(this.organization, "receipt")
+      : this.generateReceiptNumber();
   }
 
   // Set completion date
@@ -281,8 +318,6 @@ paymentSchema.pre("save", function (next) {
   if (this.status === "failed" && !this.failedAt) {
     this.failedAt = new Date();
   }
-
-  next();
 });
 
 // Method to generate transaction reference
@@ -306,14 +341,20 @@ paymentSchema.methods.markAsCompleted = async function () {
   this.completedAt = new Date();
 
   // Update invoice if linked
+  let invoice = null;
   if (this.invoice) {
     const Invoice = mongoose.model("Invoice");
-    const invoice = await Invoice.findById(this.invoice);
+    invoice = await Invoice.findById(this.invoice);
     if (invoice) {
       await invoice.addPayment(this.amount);
     }
   }
 
+  // Snapshot the exchange rate and realize any gain or loss on the invoice
+  if (this.organization && this.baseAmount === undefined) {
+    Object.assign(this, await paymentExchangeRate(this, invoice));
+  }
+
   // Update client financials if linked
   if (this.client) {
     const Client = mongoose.model("Client");
@@ -396,12 +437,12 @@ paymentSchema.statics.generateTransactionRef = function () {
 
 // Static method to get payments by date range
 paymentSchema.statics.getPaymentsByDateRange = function (
-  userId,
+  organizationId,
   startDate,
   endDate
 ) {
   return this.find({
-    user: userId,
+    organization: organizationId,
     paymentDate: {
       $gte: startDate,
       $lte: endDate,
@@ -413,12 +454,12 @@ paymentSchema.statics.getPaymentsByDateRange = function (
 
 // Static method to get payment statistics
 paymentSchema.statics.getPaymentStats = async function (
-  userId,
+  organizationId,
   startDate,
   endDate
 ) {
   const match = {
-    user: mongoose.Types.ObjectId(userId),
+    organization: new mongoose.Types.ObjectId(organizationId),
     status: "completed",
   };
 
@@ -426,14 +467,18 @@ paymentSchema.statics.getPaymentStats = async function (
     match.paymentDate = { $gte: startDate, $lte: endDate };
   }
 
+  // Amounts in the base currency (face value when no rate is known)
+  const baseAmount = { $ifNull: ["$baseAmount", "$amount"] };
+
   const stats = await this.aggregate([
     { $match: match },
     {
       $group: {
         _id: null,
-        totalAmount: { $sum: "$amount" },
+        totalAmount: { $sum: baseAmount },
         totalTransactions: { $sum: 1 },
-        averageAmount: { $avg: "$amount" },
+        averageAmount: { $avg: baseAmount },
+        fxGainLoss: { $sum: { $ifNull: ["$fxGainLoss", 0] } },
         totalFees: { $sum: "$fees.total" },
         netAmount: { $sum: "$netAmount" },
       },
@@ -446,7 +491,7 @@ paymentSchema.statics.getPaymentStats = async function (
       $group: {
         _id: "$method",
         count: { $sum: 1 },
-        total: { $sum: "$amount" },
+        total: { $sum: baseAmount },
       },
     },
     { $sort: { total: -1 } },
@@ -457,6 +502,7 @@ paymentSchema.statics.getPaymentStats = async function (
       totalAmount: 0,
       totalTransactions: 0,
       averageAmount: 0,
+      fxGainLoss: 0,
       totalFees: 0,
       netAmount: 0,
     },
@@ -0,0 +1,311 @@
+const mongoose = require("mongoose");
+const { lineTaxSchema } = require("./Invoice");
+
+const RECURRING_INTERVALS = ["weekly", "monthly", "quarterly", "yearly"];
+
+// Months added by each month based interval
+const INTERVAL_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+// Line copied onto every generated invoice
+const recurringItemSchema = new mongoose.Schema(
+  {
+    description: {
+      type: String,
+      required: [true, "Item description is required"],
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      min: [0.01, "Quantity must be greater than 0"],
+      default: 1,
+    },
+    unitPrice: {
+      type: Number,
+      required: [true, "Unit price is required"],
+      min: [0, "Unit price cannot be negative"],
+    },
+    unit: {
+      type: String,
+      trim: true,
+      default: "unit",
+    },
+    taxRate: {
+      type: Number,
+      min: [0, "Tax rate cannot be negative"],
+      max: [100, "Tax rate cannot exceed 100%"],
+      default: 0,
+    },
+    taxes: [lineTaxSchema],
+    discount: {
+      type: Number,
+      min: [0, "Discount cannot be negative"],
+      default: 0,
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      default: "percentage",
+    },
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+    },
+  },
+  { _id: false }
+);
+
+const recurringInvoiceSchema = new mongoose.Schema(
+  {
+    // References
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+      index: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
+    // Team member who set up the schedule
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: [true, "Client reference is required"],
+      index: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Name cannot exceed 200 characters"],
+    },
+
+    // Invoice template
+    items: {
+      type: [recurringItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "At least one item is required",
+      },
+    },
+    taxRate: {
+      type: Number,
+      min: [0, "Tax rate cannot be negative"],
+      max: [100, "Tax rate cannot exceed 100%"],
+      default: 0,
+    },
+    // Unit prices already include tax
+    taxInclusive: {
+      type: Boolean,
+      default: false,
+    },
+    discount: {
+      type: Number,
+      min: [0, "Discount cannot be negative"],
+      default: 0,
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      default: "percentage",
+    },
+    shippingFee: {
+      type: Number,
+      min: [0, "Shipping fee cannot be negative"],
+      default: 0,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Notes cannot exceed 1000 characters"],
+    },
+    termsAndConditions: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Terms cannot exceed 2000 characters"],
+    },
+    // Days between an invoice's issue date and due date
+    paymentTermsDays: {
+      type: Number,
+      min: [0, "Payment terms cannot be negative"],
+      default: 30,
+    },
+
+    // Schedule
+    interval: {
+      type: String,
+      enum: RECURRING_INTERVALS,
+      required: [true, "Interval is required"],
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: Date,
+    // Stop after this many invoices (no limit when empty)
+    maxOccurrences: {
+      type: Number,
+      min: [1, "Occurrences must be at least 1"],
+    },
+    // Email each invoice to the client as soon as it is generated
+    autoSend: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Lifecycle
+    status: {
+      type: String,
+      enum: ["active", "paused", "completed"],
+      default: "active",
+      index: true,
+    },
+    nextRunAt: Date,
+    lastRunAt: Date,
+    pausedAt: Date,
+    occurrencesCount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Invoices generated so far (and runs that failed)
+    history: [
+      {
+        invoice: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Invoice",
+        },
+        invoiceNumber: String,
+        scheduledFor: Date,
+        generatedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        status: {
+          type: String,
+          enum: ["generated", "failed"],
+        },
+        total: Number,
+        // Delivery result when the schedule auto-sends
+        sent: Boolean,
+        error: String,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+recurringInvoiceSchema.index({ status: 1, nextRunAt: 1 });
+recurringInvoiceSchema.index({ organization: 1, status: 1 });
+
+// Virtual for remaining invoices (null when unlimited)
+recurringInvoiceSchema.virtual("remainingOccurrences").get(function () {
+  if (!this.maxOccurrences) return null;
+  return Math.max(0, this.maxOccurrences - this.occurrencesCount);
+});
+
+// Validate the schedule bounds
+recurringInvoiceSchema.pre("validate", function (next) {
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate("endDate", "End date must be after the start date");
+  }
+  next();
+});
+
+// Set the first run when the schedule is created
+recurringInvoiceSchema.pre("save", function (next) {
+  if (this.isNew && !this.nextRunAt) {
+    this.nextRunAt = this.startDate;
+  }
+  next();
+});
+
+// Method to get the run that follows a date
+// Month based intervals keep the day of the start date, falling back to the
+// last day of shorter months (31 Jan, 28 Feb, 31 Mar...)
+recurringInvoiceSchema.methods.getNextDate = function (from) {
+  const date = new Date(from);
+
+  if (this.interval === "weekly") {
+    date.setUTCDate(date.getUTCDate() + 7);
+    return date;
+  }
+
+  const anchorDay = new Date(this.startDate).getUTCDate();
+  const month = date.getUTCMonth() + INTERVAL_MONTHS[this.interval];
+  const lastDay = new Date(
+    Date.UTC(date.getUTCFullYear(), month + 1, 0)
+  ).getUTCDate();
+
+  date.setUTCDate(1);
+  date.setUTCMonth(month);
+  date.setUTCDate(Math.min(anchorDay, lastDay));
+  return date;
+};
+
+// Method to get the run after a given one, or null when the schedule is over
+// (end date passed or occurrences used up once `occurrences` invoices exist)
+recurringInvoiceSchema.methods.getRunAfter = function (
+  from,
+  occurrences = this.occurrencesCount
+) {
+  if (this.maxOccurrences && occurrences >= this.maxOccurrences) return null;
+
+  const next = this.getNextDate(from);
+  if (this.endDate && next > this.endDate) return null;
+
+  return next;
+};
+
+// Method to pause the schedule
+recurringInvoiceSchema.methods.pause = function () {
+  this.status = "paused";
+  this.pausedAt = new Date();
+  return this.save();
+};
+
+// Method to resume the schedule
+// Runs missed while paused are skipped, not generated retroactively
+recurringInvoiceSchema.methods.resume = function () {
+  const now = new Date();
+  let nextRunAt = this.nextRunAt;
+
+  while (nextRunAt && nextRunAt < now) {
+    nextRunAt = this.getRunAfter(nextRunAt);
+  }
+
+  this.status = nextRunAt ? "active" : "completed";
+  this.nextRunAt = nextRunAt || undefined;
+  this.pausedAt = undefined;
+  return this.save();
+};
+
+// Static method to find active schedules whose next run is due
+recurringInvoiceSchema.statics.findDue = function (limit = 20) {
+  return this.find({
+    status: "active",
+    nextRunAt: { $lte: new Date() },
+  })
+    .sort({ nextRunAt: 1 })
+    .limit(limit);
+};
+
+const RecurringInvoice = mongoose.model(
+  "RecurringInvoice",
+  recurringInvoiceSchema
+);
+
+module.exports = RecurringInvoice;
+module.exports.RECURRING_INTERVALS = RECURRING_INTERVALS;
@@ -1,11 +1,22 @@
 const mongoose = require("mongoose");
+const { lineTaxSchema } = require("./Invoice");
 
 const saleItemSchema = new mongoose.Schema({
   sku: { type: String, required: true },
   name: { type: String, required: true },
   qty: { type: Number, required: true, min: 1 },
   unitPrice: { type: Number, required: true, min: 0 },
+  discount: { type: Number, default: 0, min: 0 },
+  discountType: {
+    type: String,
+    enum: ["percentage", "fixed"],
+    default: "percentage",
+  },
+  taxRate: { type: Number, default: 0, min: 0, max: 100 },
+  taxes: [lineTaxSchema],
+  // Quantity x unit price less the line discount
   lineTotal: { type: Number, required: true, min: 0 },
+  taxAmount: { type: Number, default: 0, min: 0 },
 });
 
 const saleSchema = new mongoose.Schema(
@@ -16,10 +27,35 @@ const saleSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
     items: { type: [saleItemSchema], default: [] },
+    // Amounts are priced by utils/pricing
     subtotal: { type: Number, required: true, min: 0 },
     discount: { type: Number, default: 0, min: 0 },
+    // Sale discounts have always been amounts, so fixed by default
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      default: "fixed",
+    },
+    discountAmount: { type: Number, default: 0, min: 0 },
+    // Default rate of items without their own tax
+    taxRate: { type: Number, default: 0, min: 0, max: 100 },
+    taxInclusive: { type: Boolean, default: false },
     tax: { type: Number, default: 0, min: 0 },
+    taxBreakdown: [
+      {
+        _id: false,
+        name: String,
+        rate: Number,
+        taxableAmount: Number,
+        taxAmount: Number,
+      },
+    ],
     total: { type: Number, required: true, min: 0 },
     paymentMethod: { type: String, default: "cash" },
     paymentStatus: {
@@ -0,0 +1,204 @@
+const mongoose = require("mongoose");
+
+const SECURITY_EVENT_TYPES = [
+  "login_success",
+  "login_failed",
+  "account_locked",
+  "logout",
+  "password_changed",
+  "password_reset_requested",
+  "password_reset",
+  "two_factor_enabled",
+  "two_factor_disabled",
+  "profile_updated",
+  "user_updated",
+  "user_deactivated",
+  "plan_changed",
+];
+
+const securityEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: SECURITY_EVENT_TYPES,
+      required: [true, "Event type is required"],
+    },
+
+    // Account the event is about (missing for logins to unknown emails)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
+    // Who performed the action when it was not the user (admin, owner)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Email as entered, kept for failed logins
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+
+    // Request details
+    ipAddress: String,
+    userAgent: String,
+
+    // Event specific details (login method, changed fields, old/new plan)
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ organization: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ ipAddress: 1, createdAt: -1 });
+
+// The log is append-only: existing events can never be changed or removed
+const rejectChange = function (next) {
+  next(new Error("Security events are append-only"));
+};
+
+securityEventSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+securityEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+
+// Static method to record an event
+// Takes the request for IP and user agent; never throws so auditing can
+// not break the action being audited
+securityEventSchema.statics.record = async function (
+  type,
+  { req, user, actor, email, metadata } = {}
+) {
+  try {
+    return await this.create({
+      type,
+      user: user ? user._id : undefined,
+      organization: user ? user.organization : undefined,
+      actor:
+        actor && (!user || actor.toString() !== user._id.toString())
+          ? actor
+          : undefined,
+      email: email || (user ? user.email : undefined),
+      ipAddress: req ? req.ip : undefined,
+      userAgent: req ? req.headers["user-agent"] : undefined,
+      metadata,
+    });
+  } catch (error) {
+    console.error(`Security event error (${type}):`, error.message);
+    return null;
+  }
+};
+
+// Static method to read the type, date range and paging of a query string
+// Returns { options } for findPaginated, or { message } when a value is not
+// valid (repeated parameters arrive as arrays and are rejected too)
+securityEventSchema.statics.parseQueryOptions = function (query) {
+  const { type, startDate, endDate, page, limit } = query;
+  const values = { type, startDate, endDate, page, limit };
+
+  const repeated = Object.keys(values).find(
+    (key) => values[key] !== undefined && typeof values[key] !== "string"
+  );
+  if (repeated) {
+    return { message: `${repeated} must be a single value` };
+  }
+
+  if (type && !this.schema.path("type").enumValues.includes(type)) {
+    return { message: "Invalid event type" };
+  }
+
+  const dates = {};
+  for (const [key, value] of Object.entries({ startDate, endDate })) {
+    if (!value) continue;
+    dates[key] = new Date(value);
+    if (isNaN(dates[key])) {
+      return { message: `${key} must be a valid date` };
+    }
+  }
+
+  const pageNumber = page === undefined ? 1 : Number(page);
+  const pageSize = limit === undefined ? 20 : Number(limit);
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    return { message: "page must be a positive whole number" };
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100) {
+    return { message: "limit must be a whole number from 1 to 100" };
+  }
+
+  return {
+    options: { type, ...dates, page: pageNumber, limit: pageSize },
+  };
+};
+
+// Static method to page through events, newest first
+// Adds the type and date range filters shared by the user and admin views
+securityEventSchema.statics.findPaginated = async function (
+  filter,
+  { type, startDate, endDate, page = 1, limit = 20 } = {}
+) {
+  const query = { ...filter };
+
+  if (type) query.type = type;
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = startDate;
+    if (endDate) query.createdAt.$lte = endDate;
+  }
+
+  const [events, total] = await Promise.all([
+    this.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("actor", "email businessName"),
+    this.countDocuments(query),
+  ]);
+
+  return {
+    events,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+const SecurityEvent = mongoose.model("SecurityEvent", securityEventSchema);
+
+module.exports = SecurityEvent;
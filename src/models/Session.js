@@ -0,0 +1,162 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    // User reference
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+      index: true,
+    },
+
+    // Hash of the refresh token currently valid for this session.
+    // Every rotation replaces it, so any older token of the same family
+    // presented again is treated as reuse.
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    rotationCount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Device Info (captured at login, refreshed on token rotation)
+    ipAddress: String,
+    userAgent: String,
+    deviceId: String,
+
+    // Lifecycle
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ["logout", "reuse_detected", "password_changed", "manual"],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB purge sessions a week after they expire
+sessionSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+);
+
+// Virtual for active status
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Static method to hash a refresh token before storing or comparing it
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Method to check whether a refresh token is the current one for this session
+sessionSchema.methods.matchesToken = function (token) {
+  const candidate = Buffer.from(this.constructor.hashToken(token));
+  const current = Buffer.from(this.refreshTokenHash || "");
+  return (
+    candidate.length === current.length &&
+    crypto.timingSafeEqual(candidate, current)
+  );
+};
+
+// Method to rotate the refresh token
+// Compare-and-swap on the presented token: of two concurrent refreshes with
+// the same token only one wins, the other gets null and is treated as reuse
+sessionSchema.methods.rotate = function (
+  presentedToken,
+  token,
+  expiresAt,
+  ipAddress
+) {
+  const updates = {
+    refreshTokenHash: this.constructor.hashToken(token),
+    expiresAt,
+    lastUsedAt: new Date(),
+  };
+  if (ipAddress) {
+    updates.ipAddress = ipAddress;
+  }
+
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      refreshTokenHash: this.constructor.hashToken(presentedToken),
+      revokedAt: { $exists: false },
+    },
+    { $set: updates, $inc: { rotationCount: 1 } },
+    { new: true }
+  );
+};
+
+// Method to record activity without loading the session again
+// Writes at most once every 5 minutes to keep authenticated requests cheap
+sessionSchema.methods.touch = function (ipAddress) {
+  const fiveMinutes = 5 * 60 * 1000;
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt < fiveMinutes) {
+    return Promise.resolve();
+  }
+
+  const updates = { lastUsedAt: new Date() };
+  if (ipAddress) {
+    updates.ipAddress = ipAddress;
+  }
+  return this.constructor.updateOne({ _id: this._id }, { $set: updates });
+};
+
+// Static method to get active sessions of a user (most recent first)
+sessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function (reason = "logout") {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function (
+  userId,
+  reason = "manual",
+  exceptSessionId = null
+) {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { encrypt, decrypt, hmac } = require("../utils/encryption");
 
 const userSchema = new mongoose.Schema(
   {
@@ -50,7 +52,7 @@ const userSchema = new mongoose.Schema(
       },
       taxId: String,
       website: String,
-      logo: String, // URL to logo image
+      logo: String, // Logo URL or PNG/JPEG data URI (PDFs only use data URIs)
       industry: {
         type: String,
         enum: [
@@ -77,6 +79,17 @@ const userSchema = new mongoose.Schema(
       default: false,
     },
 
+    // Business this account belongs to (owners create it, staff are invited)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
     // Subscription Plan
     plan: {
       type: {
@@ -119,11 +132,45 @@ const userSchema = new mongoose.Schema(
     },
     emailVerificationToken: String,
     emailVerificationExpires: Date,
+    emailVerificationSentAt: Date,
 
     // Password Reset
     passwordResetToken: String,
     passwordResetExpires: Date,
 
+    // Two-Factor Authentication (TOTP)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // TOTP secrets are encrypted at rest (read back decrypted)
+      secret: {
+        type: String,
+        select: false,
+        set: encrypt,
+        get: decrypt,
+      },
+      // Secret generated during enrollment, promoted once a code is confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+        set: encrypt,
+        get: decrypt,
+      },
+      // HMAC-SHA256 hashes of unused recovery codes (utils/encryption)
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: Date,
+    },
+
     // Login tracking
     lastLogin: Date,
     loginAttempts: {
@@ -156,6 +203,10 @@ const userSchema = new mongoose.Schema(
         lowStock: { type: Boolean, default: true },
         invoiceDue: { type: Boolean, default: true },
       },
+      security: {
+        // Owner policy: every staff member must use two-factor authentication
+        requireStaffTwoFactor: { type: Boolean, default: false },
+      },
     },
   },
   {
@@ -190,6 +241,18 @@ userSchema.pre("save", async function (next) {
   }
 });
 
+// Post-save middleware so team members see the owner's changes (plan,
+// settings) right away
+userSchema.post("save", function (doc) {
+  if (
+    doc.role === "owner" &&
+    doc.organization &&
+    mongoose.modelNames().includes("Organization")
+  ) {
+    mongoose.model("Organization").clearContext(doc.organization);
+  }
+});
+
 // Method to compare passwords
 userSchema.methods.comparePassword = async function (candidatePassword) {
   try {
@@ -230,6 +293,55 @@ userSchema.methods.resetLoginAttempts = function () {
   });
 };
 
+// Method to generate fresh recovery codes
+// Stores only hashes and returns the plain codes to show the user once
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  this.twoFactor.recoveryCodes = codes.map((code) => hmac(code));
+
+  return codes;
+};
+
+// Method to consume a recovery code (single use)
+userSchema.methods.useRecoveryCode = function (code) {
+  if (!code || !this.twoFactor.recoveryCodes) return false;
+
+  const normalized = String(code).trim().toLowerCase();
+  const keyed = hmac(normalized);
+  // Codes generated before they were keyed are plain SHA-256 hashes
+  const legacy = crypto.createHash("sha256").update(normalized).digest("hex");
+  const index = this.twoFactor.recoveryCodes.findIndex(
+    (hashed) => hashed === keyed || hashed === legacy
+  );
+
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Method to issue an email verification token
+// Stores only the hash and returns the plain token for the verification link
+userSchema.methods.createEmailVerificationToken = function (
+  expiresInHours = 24
+) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(token)
+    .digest("hex");
+  this.emailVerificationExpires = Date.now() + expiresInHours * 60 * 60 * 1000;
+  this.emailVerificationSentAt = new Date();
+
+  return token;
+};
+
 // Static method to check plan limits
 userSchema.statics.checkPlanLimit = async function (userId, limitType) {
   const user = await this.findById(userId);
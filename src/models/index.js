@@ -4,16 +4,40 @@
 const User = require("./User");
 const Client = require("./Client");
 const { Invoice, InvoiceItem } = require("./Invoice");
+const RecurringInvoice = require("./RecurringInvoice");
+const Estimate = require("./Estimate");
+const CreditNote = require("./CreditNote");
 const Inventory = require("./Inventory");
 const Payment = require("./Payment");
 const Subscription = require("./Subscription");
+const Session = require("./Session");
+const Organization = require("./Organization");
+const Invitation = require("./Invitation");
+const ApiKey = require("./ApiKey");
+const LoginCode = require("./LoginCode");
+const SecurityEvent = require("./SecurityEvent");
+const Counter = require("./Counter");
+const ExchangeRate = require("./ExchangeRate");
+const InvoiceRevision = require("./InvoiceRevision");
 
 module.exports = {
   User,
   Client,
   Invoice,
   InvoiceItem,
+  RecurringInvoice,
+  Estimate,
+  CreditNote,
   Inventory,
   Payment,
   Subscription,
+  Session,
+  Organization,
+  Invitation,
+  ApiKey,
+  LoginCode,
+  SecurityEvent,
+  Counter,
+  ExchangeRate,
+  InvoiceRevision,
 };
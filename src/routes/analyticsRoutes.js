@@ -9,6 +9,7 @@ const {
   getInventoryAnalytics,
 } = require("../controllers/analyticsController");
 const { authenticate, requirePlanFeature } = require("../middlewares/authMiddleware");
+const { requirePermission } = require("../middlewares/roleMiddleware");
 const { analyticsLimiter } = require("../config/rateLimiter");
 const { validateDateRange } = require("../middlewares/validationMiddleware");
 
@@ -16,6 +17,7 @@ const { validateDateRange } = require("../middlewares/validationMiddleware");
 router.get(
   "/dashboard",
   authenticate,
+  requirePermission("reports:view"),
   analyticsLimiter,
   validateDateRange,
   getDashboardStats
@@ -23,18 +25,32 @@ router.get(
 router.get(
   "/revenue",
   authenticate,
+  requirePermission("reports:view"),
   analyticsLimiter,
   validateDateRange,
   getRevenueAnalytics
 );
-router.get("/clients", authenticate, analyticsLimiter, getClientAnalytics);
+router.get(
+  "/clients",
+  authenticate,
+  requirePermission("reports:view"),
+  analyticsLimiter,
+  getClientAnalytics
+);
 router.get(
   "/invoices",
   authenticate,
+  requirePermission("reports:view"),
   analyticsLimiter,
   validateDateRange,
   getInvoiceAnalytics
 );
-router.get("/inventory", authenticate, analyticsLimiter, getInventoryAnalytics);
+router.get(
+  "/inventory",
+  authenticate,
+  requirePermission("reports:view"),
+  analyticsLimiter,
+  getInventoryAnalytics
+);
 
 module.exports = router;
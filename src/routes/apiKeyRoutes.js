@@ -0,0 +1,23 @@
+// ==================== apiKeyRoutes.js ====================
+const express = require("express");
+const router = express.Router();
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+} = require("../controllers/apiKeyController");
+const { authenticate, rejectApiKey } = require("../middlewares/authMiddleware");
+const { requirePermission } = require("../middlewares/roleMiddleware");
+const {
+  validateObjectId,
+  sanitizeInput,
+} = require("../middlewares/validationMiddleware");
+
+// Keys are managed from a signed-in account, never with another key
+router.use(rejectApiKey, authenticate, requirePermission("apikeys:manage"));
+
+router.get("/", getApiKeys);
+router.post("/", sanitizeInput, createApiKey);
+router.delete("/:id", validateObjectId("id"), revokeApiKey);
+
+module.exports = router;
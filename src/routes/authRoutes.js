@@ -5,17 +5,45 @@ const {
   registerWithPayment,
   verifySignupPayment,
   login,
+  requestMagicLink,
+  verifyMagicLink,
+  requestPhoneCode,
+  verifyPhoneCode,
   refreshToken,
   logout,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  updateTwoFactorPolicy,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getSecurityEvents,
+  getPermissions,
   getProfile,
   updateProfile,
   changePassword,
   forgotPassword,
   resetPassword,
   verifyEmail,
+  resendVerification,
 } = require("../controllers/authController");
-const { authenticate } = require("../middlewares/authMiddleware");
+const {
+  authenticate,
+  optionalAuthenticate,
+  rejectApiKey,
+} = require("../middlewares/authMiddleware");
 const { authLimiter } = require("../config/rateLimiter");
+const {
+  validateObjectId,
+  validatePagination,
+  validateDateRange,
+} = require("../middlewares/validationMiddleware");
+
+// Account routes are for people, not integrations
+router.use(rejectApiKey);
 
 /**
  * Public Routes
@@ -41,8 +69,48 @@ router.post("/verify-signup-payment", authLimiter, verifySignupPayment);
 // @access  Public
 router.post("/login", authLimiter, login);
 
+// @route   POST /api/auth/magic-link
+// @desc    Email a one-time sign-in link
+// @access  Public
+router.post("/magic-link", authLimiter, requestMagicLink);
+
+// @route   POST /api/auth/magic-link/verify
+// @desc    Login with a sign-in link token
+// @access  Public
+router.post("/magic-link/verify", authLimiter, verifyMagicLink);
+
+// @route   POST /api/auth/otp/request
+// @desc    Text a one-time login code to the registered phone
+// @access  Public
+router.post("/otp/request", authLimiter, requestPhoneCode);
+
+// @route   POST /api/auth/otp/verify
+// @desc    Login with a one-time code sent by SMS
+// @access  Public
+router.post("/otp/verify", authLimiter, verifyPhoneCode);
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete login with a two-factor or recovery code
+// @access  Public
+router.post("/2fa/verify", authLimiter, verifyTwoFactorLogin);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment (also used when login requires enrollment)
+// @access  Private or two-factor setup token
+router.post("/2fa/setup", optionalAuthenticate, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm two-factor enrollment and receive recovery codes
+// @access  Private or two-factor setup token
+router.post(
+  "/2fa/confirm",
+  authLimiter,
+  optionalAuthenticate,
+  confirmTwoFactor
+);
+
 // @route   POST /api/auth/refresh
-// @desc    Refresh access token
+// @desc    Refresh access token (rotates the refresh token)
 // @access  Public
 router.post("/refresh", refreshToken);
 
@@ -61,15 +129,71 @@ router.post("/reset-password", authLimiter, resetPassword);
 // @access  Public
 router.post("/verify-email", verifyEmail);
 
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Public
+router.post("/resend-verification", authLimiter, resendVerification);
+
 /**
  * Protected Routes (require authentication)
  */
 
 // @route   POST /api/auth/logout
-// @desc    Logout user
+// @desc    Logout user and revoke the current session
 // @access  Private
 router.post("/logout", authenticate, logout);
 
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post("/2fa/disable", authenticate, authLimiter, disableTwoFactor);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate two-factor recovery codes
+// @access  Private
+router.post("/2fa/recovery-codes", authenticate, regenerateRecoveryCodes);
+
+// @route   PUT /api/auth/2fa/policy
+// @desc    Require two-factor authentication for all staff
+// @access  Private/Owner
+router.put("/2fa/policy", authenticate, updateTwoFactorPolicy);
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (devices)
+// @access  Private
+router.get("/sessions", authenticate, getSessions);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Log out all other devices
+// @access  Private
+router.delete("/sessions", authenticate, revokeOtherSessions);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a single session
+// @access  Private
+router.delete(
+  "/sessions/:id",
+  authenticate,
+  validateObjectId("id"),
+  revokeSession
+);
+
+// @route   GET /api/auth/security-events
+// @desc    Get the security log of the current user (or the team, for owners)
+// @access  Private
+router.get(
+  "/security-events",
+  authenticate,
+  validatePagination,
+  validateDateRange,
+  getSecurityEvents
+);
+
+// @route   GET /api/auth/permissions
+// @desc    Get permissions of the current user (for hiding UI actions)
+// @access  Private
+router.get("/permissions", authenticate, getPermissions);
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
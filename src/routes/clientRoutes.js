@@ -9,33 +9,85 @@ const {
   deleteClient,
   searchClients,
   getClientStats,
+  getClientStatement,
   getActiveClients,
 } = require("../controllers/clientController");
 const { authenticate } = require("../middlewares/authMiddleware");
+const { requirePermission } = require("../middlewares/roleMiddleware");
 const {
   validateObjectId,
   validatePagination,
+  validateDateRange,
   sanitizeInput,
 } = require("../middlewares/validationMiddleware");
 
 // Search & special routes (before :id)
-router.get("/search", authenticate, searchClients);
-router.get("/active", authenticate, getActiveClients);
+router.get(
+  "/search",
+  authenticate,
+  requirePermission("clients:read"),
+  searchClients
+);
+router.get(
+  "/active",
+  authenticate,
+  requirePermission("clients:read"),
+  getActiveClients
+);
 
 // CRUD routes
-router.post("/", authenticate, sanitizeInput, createClient);
-router.get("/", authenticate, validatePagination, getAllClients);
-router.get("/:id", authenticate, validateObjectId("id"), getClientById);
+router.post(
+  "/",
+  authenticate,
+  requirePermission("clients:write"),
+  sanitizeInput,
+  createClient
+);
+router.get(
+  "/",
+  authenticate,
+  requirePermission("clients:read"),
+  validatePagination,
+  getAllClients
+);
+router.get(
+  "/:id",
+  authenticate,
+  requirePermission("clients:read"),
+  validateObjectId("id"),
+  getClientById
+);
 router.put(
   "/:id",
   authenticate,
+  requirePermission("clients:write"),
   validateObjectId("id"),
   sanitizeInput,
   updateClient
 );
-router.delete("/:id", authenticate, validateObjectId("id"), deleteClient);
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("clients:delete"),
+  validateObjectId("id"),
+  deleteClient
+);
 
 // Stats
-router.get("/:id/stats", authenticate, validateObjectId("id"), getClientStats);
+router.get(
+  "/:id/stats",
+  authenticate,
+  requirePermission("clients:read"),
+  validateObjectId("id"),
+  getClientStats
+);
+router.get(
+  "/:id/statement",
+  authenticate,
+  requirePermission("clients:read"),
+  validateObjectId("id"),
+  validateDateRange,
+  getClientStatement
+);
 
 module.exports = router;
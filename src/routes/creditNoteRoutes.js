@@ -0,0 +1,45 @@
+// ==================== creditNoteRoutes.js ====================
+const express = require("express");
+const router = express.Router();
+const {
+  createCreditNote,
+  getAllCreditNotes,
+  getCreditNoteById,
+} = require("../controllers/creditNoteController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { requirePermission } = require("../middlewares/roleMiddleware");
+const { invoiceLimiter } = require("../config/rateLimiter");
+const {
+  validateObjectId,
+  validatePagination,
+  validateDateRange,
+  sanitizeInput,
+} = require("../middlewares/validationMiddleware");
+
+// Credit notes are never edited or deleted, a mistake is corrected by
+// crediting the invoice again or issuing a new invoice
+router.post(
+  "/",
+  authenticate,
+  requirePermission("invoices:update"),
+  invoiceLimiter,
+  sanitizeInput,
+  createCreditNote
+);
+router.get(
+  "/",
+  authenticate,
+  requirePermission("invoices:read"),
+  validatePagination,
+  validateDateRange,
+  getAllCreditNotes
+);
+router.get(
+  "/:id",
+  authenticate,
+  requirePermission("invoices:read"),
+  validateObjectId("id"),
+  getCreditNoteById
+);
+
+module.exports = router;
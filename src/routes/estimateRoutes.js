@@ -0,0 +1,118 @@
+// ==================== estimateRoutes.js ====================
+const express = require("express");
+const router = express.Router();
+const {
+  createEstimate,
+  getAllEstimates,
+  getEstimateById,
+  updateEstimate,
+  deleteEstimate,
+  sendEstimate,
+  getPublicLink,
+  revokePublicLink,
+  acceptEstimate,
+  declineEstimate,
+  convertEstimate,
+} = require("../controllers/estimateController");
+const {
+  authenticate,
+  requireVerifiedEmail,
+} = require("../middlewares/authMiddleware");
+const { requirePermission } = require("../middlewares/roleMiddleware");
+const { invoiceLimiter } = require("../config/rateLimiter");
+const {
+  validateObjectId,
+  validatePagination,
+  validateDateRange,
+  sanitizeInput,
+} = require("../middlewares/validationMiddleware");
+
+// CRUD routes
+router.post(
+  "/",
+  authenticate,
+  requirePermission("invoices:create"),
+  invoiceLimiter,
+  sanitizeInput,
+  createEstimate
+);
+router.get(
+  "/",
+  authenticate,
+  requirePermission("invoices:read"),
+  validatePagination,
+  validateDateRange,
+  getAllEstimates
+);
+router.get(
+  "/:id",
+  authenticate,
+  requirePermission("invoices:read"),
+  validateObjectId("id"),
+  getEstimateById
+);
+router.put(
+  "/:id",
+  authenticate,
+  requirePermission("invoices:update"),
+  validateObjectId("id"),
+  sanitizeInput,
+  updateEstimate
+);
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("invoices:delete"),
+  validateObjectId("id"),
+  deleteEstimate
+);
+
+// Actions
+router.post(
+  "/:id/send",
+  authenticate,
+  requirePermission("invoices:send"),
+  requireVerifiedEmail,
+  validateObjectId("id"),
+  sanitizeInput,
+  sendEstimate
+);
+router.get(
+  "/:id/public-link",
+  authenticate,
+  requirePermission("invoices:send"),
+  validateObjectId("id"),
+  getPublicLink
+);
+router.post(
+  "/:id/public-link/revoke",
+  authenticate,
+  requirePermission("invoices:send"),
+  validateObjectId("id"),
+  revokePublicLink
+);
+router.post(
+  "/:id/accept",
+  authenticate,
+  requirePermission("invoices:update"),
+  validateObjectId("id"),
+  sanitizeInput,
+  acceptEstimate
+);
+router.post(
+  "/:id/decline",
+  authenticate,
+  requirePermission("invoices:update"),
+  validateObjectId("id"),
+  sanitizeInput,
+  declineEstimate
+);
+router.post(
+  "/:id/convert",
+  authenticate,
+  requirePermission("invoices:create"),
+  validateObjectId("id"),
+  convertEstimate
+);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+// ==================== exchangeRateRoutes.js ====================
+const express = require("express");
+const router = express.Router();
+const {
+  getExchangeRates,
+  createExchangeRate,
+  importExchangeRates,
+  deleteExchangeRate,
+} = require("../controllers/exchangeRateController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { requirePermission } = require("../middlewares/roleMiddleware");
+const {
+  validateObjectId,
+  validatePagination,
+  validateDateRange,
+  sanitizeInput,
+} = require("../middlewares/validationMiddleware");
+
+const canManageRates = requirePermission("settings:manage");
+
+// Special routes (before :id)
+// The rates file can be posted as is, so CSV bodies are read as text
+router.post(
+  "/import",
+  authenticate,
+  canManageRates,
+  express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }),
+  importExchangeRates
+);
+
+// CRUD routes
+router.get(
+  "/",
+  authenticate,
+  requirePermission("invoices:read"),
+  validatePagination,
+  validateDateRange,
+  getExchangeRates
+);
+router.post(
+  "/",
+  authenticate,
+  canManageRates,
+  sanitizeInput,
+  createExchangeRate
+);
+router.delete(
+  "/:id",
+  authenticate,
+  canManageRates,
+  validateObjectId("id"),
+  deleteExchangeRate
+);
+
+module.exports = router;
@@ -1,10 +1,26 @@
 const express = require("express");
 const router = express.Router();
 const { authenticate } = require("../middlewares/authMiddleware");
+const { requirePermission } = require("../middlewares/roleMiddleware");
 const expenseController = require("../controllers/expenseController");
 
-router.post("/", authenticate, expenseController.createExpense);
-router.get("/", authenticate, expenseController.getExpenses);
-router.delete("/:id", authenticate, expenseController.deleteExpense);
+router.post(
+  "/",
+  authenticate,
+  requirePermission("expenses:write"),
+  expenseController.createExpense
+);
+router.get(
+  "/",
+  authenticate,
+  requirePermission("expenses:read"),
+  expenseController.getExpenses
+);
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("expenses:delete"),
+  expenseController.deleteExpense
+);
 
 module.exports = router;
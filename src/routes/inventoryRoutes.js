@@ -18,6 +18,7 @@ const {
   updateStock,
 } = require("../controllers/inventoryController");
 const { authenticate } = require("../middlewares/authMiddleware");
+const { requirePermission } = require("../middlewares/roleMiddleware");
 const {
   validateObjectId,
   validatePagination,
@@ -25,19 +26,63 @@ const {
 } = require("../middlewares/validationMiddleware");
 
 // Special routes (before :id)
-router.get("/search", authenticate, searchInventory);
-router.get("/low-stock", authenticate, getLowStockItems);
-router.get("/reorder", authenticate, getItemsToReorder);
-router.get("/categories", authenticate, getCategories);
-router.get("/stats", authenticate, getInventoryStats);
+router.get(
+  "/search",
+  authenticate,
+  requirePermission("inventory:read"),
+  searchInventory
+);
+router.get(
+  "/low-stock",
+  authenticate,
+  requirePermission("inventory:read"),
+  getLowStockItems
+);
+router.get(
+  "/reorder",
+  authenticate,
+  requirePermission("inventory:read"),
+  getItemsToReorder
+);
+router.get(
+  "/categories",
+  authenticate,
+  requirePermission("inventory:read"),
+  getCategories
+);
+router.get(
+  "/stats",
+  authenticate,
+  requirePermission("reports:view"),
+  getInventoryStats
+);
 
 // CRUD routes
-router.post("/", authenticate, sanitizeInput, createInventoryItem);
-router.get("/", authenticate, validatePagination, getAllInventory);
-router.get("/:id", authenticate, validateObjectId("id"), getInventoryById);
+router.post(
+  "/",
+  authenticate,
+  requirePermission("inventory:write"),
+  sanitizeInput,
+  createInventoryItem
+);
+router.get(
+  "/",
+  authenticate,
+  requirePermission("inventory:read"),
+  validatePagination,
+  getAllInventory
+);
+router.get(
+  "/:id",
+  authenticate,
+  requirePermission("inventory:read"),
+  validateObjectId("id"),
+  getInventoryById
+);
 router.put(
   "/:id",
   authenticate,
+  requirePermission("inventory:write"),
   validateObjectId("id"),
   sanitizeInput,
   updateInventoryItem
@@ -45,25 +90,40 @@ router.put(
 router.delete(
   "/:id",
   authenticate,
+  requirePermission("inventory:delete"),
   validateObjectId("id"),
   deleteInventoryItem
 );
 
 // Stock management
-router.post("/:id/stock/add", authenticate, validateObjectId("id"), addStock);
+router.post(
+  "/:id/stock/add",
+  authenticate,
+  requirePermission("inventory:adjust"),
+  validateObjectId("id"),
+  addStock
+);
 router.post(
   "/:id/stock/reduce",
   authenticate,
+  requirePermission("inventory:adjust"),
   validateObjectId("id"),
   reduceStock
 );
 router.post(
   "/:id/stock/adjust",
   authenticate,
+  requirePermission("inventory:adjust"),
   validateObjectId("id"),
   adjustStock
 );
 // Backwards-compatible endpoint used by frontend: PATCH /api/products/:id/stock
-router.patch("/:id/stock", authenticate, validateObjectId("id"), updateStock);
+router.patch(
+  "/:id/stock",
+  authenticate,
+  requirePermission("inventory:adjust"),
+  validateObjectId("id"),
+  updateStock
+);
 
 module.exports = router;
@@ -5,14 +5,44 @@ const {
   createInvoice,
   getAllInvoices,
   getInvoiceById,
+  getInvoicePdf,
   updateInvoice,
   deleteInvoice,
   sendInvoice,
+  getPublicLink,
+  revokePublicLink,
+  sendReminder,
+  getReminderSettings,
+  updateReminderSettings,
+  getLateFeeSettings,
+  updateLateFeeSettings,
+  getNumberingSettings,
+  updateNumberingSettings,
+  getCurrencySettings,
+  updateCurrencySettings,
+  getLockingSettings,
+  updateLockingSettings,
+  getLateFees,
+  waiveLateFee,
+  getRevisions,
+  getRevision,
+  getRevisionDiff,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+  createBulkJob,
+  getBulkJob,
+  downloadBulkExport,
   getOverdueInvoices,
   getInvoiceStats,
 } = require("../controllers/invoiceController");
-const { authenticate } = require("../middlewares/authMiddleware");
+const {
+  authenticate,
+  requireVerifiedEmail,
+} = require("../middlewares/authMiddleware");
+const { requirePermission } = require("../middlewares/roleMiddleware");
 const { invoiceLimiter } = require("../config/rateLimiter");
+const { uploadSingleFile } = require("../middlewares/uploadMiddleware");
 const {
   validateObjectId,
   validatePagination,
@@ -21,29 +51,249 @@ const {
 } = require("../middlewares/validationMiddleware");
 
 // Special routes (before :id)
-router.get("/overdue", authenticate, getOverdueInvoices);
-router.get("/stats", authenticate, validateDateRange, getInvoiceStats);
+router.get(
+  "/overdue",
+  authenticate,
+  requirePermission("invoices:read"),
+  getOverdueInvoices
+);
+router.get(
+  "/stats",
+  authenticate,
+  requirePermission("reports:view"),
+  validateDateRange,
+  getInvoiceStats
+);
+router.get(
+  "/reminders/settings",
+  authenticate,
+  requirePermission("invoices:read"),
+  getReminderSettings
+);
+router.put(
+  "/reminders/settings",
+  authenticate,
+  requirePermission("settings:manage"),
+  sanitizeInput,
+  updateReminderSettings
+);
+router.get(
+  "/late-fees/settings",
+  authenticate,
+  requirePermission("invoices:read"),
+  getLateFeeSettings
+);
+router.put(
+  "/late-fees/settings",
+  authenticate,
+  requirePermission("settings:manage"),
+  sanitizeInput,
+  updateLateFeeSettings
+);
+router.get(
+  "/numbering/settings",
+  authenticate,
+  requirePermission("invoices:read"),
+  getNumberingSettings
+);
+router.put(
+  "/numbering/settings",
+  authenticate,
+  requirePermission("settings:manage"),
+  sanitizeInput,
+  updateNumberingSettings
+);
+router.get(
+  "/currency/settings",
+  authenticate,
+  requirePermission("invoices:read"),
+  getCurrencySettings
+);
+router.put(
+  "/currency/settings",
+  authenticate,
+  requirePermission("settings:manage"),
+  sanitizeInput,
+  updateCurrencySettings
+);
+router.get(
+  "/locking/settings",
+  authenticate,
+  requirePermission("invoices:read"),
+  getLockingSettings
+);
+router.put(
+  "/locking/settings",
+  authenticate,
+  requirePermission("settings:manage"),
+  sanitizeInput,
+  updateLockingSettings
+);
+
+// Bulk actions (each action also checks its own permission)
+router.post(
+  "/bulk",
+  authenticate,
+  requirePermission("invoices:read"),
+  invoiceLimiter,
+  sanitizeInput,
+  createBulkJob
+);
+router.get(
+  "/bulk/:jobId",
+  authenticate,
+  requirePermission("invoices:read"),
+  validateObjectId("jobId"),
+  getBulkJob
+);
+router.get(
+  "/bulk/:jobId/download",
+  authenticate,
+  requirePermission("invoices:read"),
+  validateObjectId("jobId"),
+  downloadBulkExport
+);
 
 // CRUD routes
-router.post("/", authenticate, invoiceLimiter, sanitizeInput, createInvoice);
+router.post(
+  "/",
+  authenticate,
+  requirePermission("invoices:create"),
+  invoiceLimiter,
+  sanitizeInput,
+  createInvoice
+);
 router.get(
   "/",
   authenticate,
+  requirePermission("invoices:read"),
   validatePagination,
   validateDateRange,
   getAllInvoices
 );
-router.get("/:id", authenticate, validateObjectId("id"), getInvoiceById);
+router.get(
+  "/:id",
+  authenticate,
+  requirePermission("invoices:read"),
+  validateObjectId("id"),
+  getInvoiceById
+);
+router.get(
+  "/:id/pdf",
+  authenticate,
+  requirePermission("invoices:read"),
+  validateObjectId("id"),
+  getInvoicePdf
+);
 router.put(
   "/:id",
   authenticate,
+  requirePermission("invoices:update"),
   validateObjectId("id"),
   sanitizeInput,
   updateInvoice
 );
-router.delete("/:id", authenticate, validateObjectId("id"), deleteInvoice);
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("invoices:delete"),
+  validateObjectId("id"),
+  deleteInvoice
+);
 
 // Actions
-router.post("/:id/send", authenticate, validateObjectId("id"), sendInvoice);
+router.post(
+  "/:id/send",
+  authenticate,
+  requirePermission("invoices:send"),
+  requireVerifiedEmail,
+  validateObjectId("id"),
+  sanitizeInput,
+  sendInvoice
+);
+router.post(
+  "/:id/remind",
+  authenticate,
+  requirePermission("invoices:send"),
+  requireVerifiedEmail,
+  validateObjectId("id"),
+  sanitizeInput,
+  sendReminder
+);
+router.get(
+  "/:id/late-fees",
+  authenticate,
+  requirePermission("invoices:read"),
+  validateObjectId("id"),
+  getLateFees
+);
+router.post(
+  "/:id/late-fees/:feeId/waive",
+  authenticate,
+  requirePermission("invoices:update"),
+  validateObjectId("id"),
+  validateObjectId("feeId"),
+  sanitizeInput,
+  waiveLateFee
+);
+router.get(
+  "/:id/revisions",
+  authenticate,
+  requirePermission("invoices:read"),
+  validateObjectId("id"),
+  getRevisions
+);
+router.get(
+  "/:id/revisions/diff",
+  authenticate,
+  requirePermission("invoices:read"),
+  validateObjectId("id"),
+  getRevisionDiff
+);
+router.get(
+  "/:id/revisions/:revision",
+  authenticate,
+  requirePermission("invoices:read"),
+  validateObjectId("id"),
+  getRevision
+);
+router.post(
+  "/:id/attachments",
+  authenticate,
+  requirePermission("invoices:update"),
+  validateObjectId("id"),
+  uploadSingleFile("file"),
+  uploadAttachment
+);
+router.get(
+  "/:id/attachments/:attachmentId",
+  authenticate,
+  requirePermission("invoices:read"),
+  validateObjectId("id"),
+  validateObjectId("attachmentId"),
+  downloadAttachment
+);
+router.delete(
+  "/:id/attachments/:attachmentId",
+  authenticate,
+  requirePermission("invoices:update"),
+  validateObjectId("id"),
+  validateObjectId("attachmentId"),
+  deleteAttachment
+);
+router.get(
+  "/:id/public-link",
+  authenticate,
+  requirePermission("invoices:send"),
+  validateObjectId("id"),
+  getPublicLink
+);
+router.post(
+  "/:id/public-link/revoke",
+  authenticate,
+  requirePermission("invoices:send"),
+  validateObjectId("id"),
+  revokePublicLink
+);
 
 module.exports = router;
@@ -11,7 +11,12 @@ const {
   refundPayment,
   getPaymentStats,
 } = require("../controllers/paymentController");
-const { authenticate, optionalAuthenticate } = require("../middlewares/authMiddleware");
+const {
+  authenticate,
+  optionalAuthenticate,
+  requireVerifiedEmail,
+} = require("../middlewares/authMiddleware");
+const { requirePermission } = require("../middlewares/roleMiddleware");
 const { paymentLimiter } = require("../config/rateLimiter");
 const {
   validateObjectId,
@@ -20,14 +25,24 @@ const {
   sanitizeInput,
 } = require("../middlewares/validationMiddleware");
 
+const canCollectPayments = requirePermission("payments:create");
+const canManageBilling = requirePermission("billing:manage");
+
 // Flutterwave routes
 router.post(
   "/flutterwave/initialize",
   authenticate,
+  canCollectPayments,
+  requireVerifiedEmail,
   paymentLimiter,
   initializeFlutterwavePayment
 );
-router.post("/flutterwave/verify", authenticate, verifyFlutterwavePayment);
+router.post(
+  "/flutterwave/verify",
+  authenticate,
+  canCollectPayments,
+  verifyFlutterwavePayment
+);
 
 // Compatibility route for /api/payments/initialize
 // This handles payment initialization requests
@@ -44,12 +59,18 @@ router.post(
       if (req.userId && (subscription || planType)) {
         // Authenticated subscription payment
         const subscriptionController = require("../controllers/subscriptionController");
-        return subscriptionController.initializeSubscription(req, res);
+        return canManageBilling(req, res, () =>
+          subscriptionController.initializeSubscription(req, res)
+        );
       }
       
       if (req.userId) {
         // Authenticated invoice payment
-        return initializeFlutterwavePayment(req, res);
+        return canCollectPayments(req, res, () =>
+          requireVerifiedEmail(req, res, () =>
+            initializeFlutterwavePayment(req, res)
+          )
+        );
       }
       
       // Not authenticated - return helpful error
@@ -69,26 +90,53 @@ router.post(
 );
 
 // Stats route
-router.get("/stats", authenticate, validateDateRange, getPaymentStats);
+router.get(
+  "/stats",
+  authenticate,
+  requirePermission("reports:view"),
+  validateDateRange,
+  getPaymentStats
+);
 
 // CRUD routes
-router.post("/", authenticate, paymentLimiter, sanitizeInput, createPayment);
+router.post(
+  "/",
+  authenticate,
+  canCollectPayments,
+  paymentLimiter,
+  sanitizeInput,
+  createPayment
+);
 router.get(
   "/",
   authenticate,
+  requirePermission("payments:read"),
   validatePagination,
   validateDateRange,
   getAllPayments
 );
-router.get("/:id", authenticate, validateObjectId("id"), getPaymentById);
+router.get(
+  "/:id",
+  authenticate,
+  requirePermission("payments:read"),
+  validateObjectId("id"),
+  getPaymentById
+);
 router.put(
   "/:id/status",
   authenticate,
+  requirePermission("payments:update"),
   validateObjectId("id"),
   updatePaymentStatus
 );
 
 // Actions
-router.post("/:id/refund", authenticate, validateObjectId("id"), refundPayment);
+router.post(
+  "/:id/refund",
+  authenticate,
+  requirePermission("payments:refund"),
+  validateObjectId("id"),
+  refundPayment
+);
 
 module.exports = router;
@@ -0,0 +1,40 @@
+// ==================== publicRoutes.js ====================
+// Pages and assets opened by clients from links, without an account
+const express = require("express");
+const router = express.Router();
+const {
+  viewInvoice,
+  getInvoicePdf,
+  payInvoice,
+  verifyInvoicePayment,
+  trackInvoiceOpen,
+  getAttachment,
+} = require("../controllers/publicInvoiceController");
+const {
+  viewEstimate,
+  acceptEstimate,
+  declineEstimate,
+} = require("../controllers/publicEstimateController");
+const { paymentLimiter } = require("../config/rateLimiter");
+const { sanitizeInput } = require("../middlewares/validationMiddleware");
+
+router.get("/invoices/:token/open.gif", trackInvoiceOpen);
+router.get("/invoices/:token/pdf", getInvoicePdf);
+router.get("/invoices/:token/attachments/:attachmentId", getAttachment);
+router.get("/invoices/:token", viewInvoice);
+
+// Online payment of the outstanding balance
+router.post("/invoices/:token/pay", paymentLimiter, sanitizeInput, payInvoice);
+router.post(
+  "/invoices/:token/pay/verify",
+  paymentLimiter,
+  sanitizeInput,
+  verifyInvoicePayment
+);
+
+// Estimates the client can accept or decline
+router.get("/estimates/:token", viewEstimate);
+router.post("/estimates/:token/accept", sanitizeInput, acceptEstimate);
+router.post("/estimates/:token/decline", sanitizeInput, declineEstimate);
+
+module.exports = router;
@@ -0,0 +1,85 @@
+// ==================== recurringInvoiceRoutes.js ====================
+const express = require("express");
+const router = express.Router();
+const {
+  createRecurringInvoice,
+  getAllRecurringInvoices,
+  getRecurringInvoiceById,
+  updateRecurringInvoice,
+  deleteRecurringInvoice,
+  pauseRecurringInvoice,
+  resumeRecurringInvoice,
+  getRecurringInvoiceHistory,
+} = require("../controllers/recurringInvoiceController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { requirePermission } = require("../middlewares/roleMiddleware");
+const { invoiceLimiter } = require("../config/rateLimiter");
+const {
+  validateObjectId,
+  validatePagination,
+  sanitizeInput,
+} = require("../middlewares/validationMiddleware");
+
+// CRUD routes
+router.post(
+  "/",
+  authenticate,
+  requirePermission("invoices:create"),
+  invoiceLimiter,
+  sanitizeInput,
+  createRecurringInvoice
+);
+router.get(
+  "/",
+  authenticate,
+  requirePermission("invoices:read"),
+  validatePagination,
+  getAllRecurringInvoices
+);
+router.get(
+  "/:id",
+  authenticate,
+  requirePermission("invoices:read"),
+  validateObjectId("id"),
+  getRecurringInvoiceById
+);
+router.put(
+  "/:id",
+  authenticate,
+  requirePermission("invoices:update"),
+  validateObjectId("id"),
+  sanitizeInput,
+  updateRecurringInvoice
+);
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("invoices:delete"),
+  validateObjectId("id"),
+  deleteRecurringInvoice
+);
+
+// Actions
+router.post(
+  "/:id/pause",
+  authenticate,
+  requirePermission("invoices:update"),
+  validateObjectId("id"),
+  pauseRecurringInvoice
+);
+router.post(
+  "/:id/resume",
+  authenticate,
+  requirePermission("invoices:update"),
+  validateObjectId("id"),
+  resumeRecurringInvoice
+);
+router.get(
+  "/:id/history",
+  authenticate,
+  requirePermission("invoices:read"),
+  validateObjectId("id"),
+  getRecurringInvoiceHistory
+);
+
+module.exports = router;
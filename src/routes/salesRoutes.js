@@ -1,12 +1,38 @@
 const express = require("express");
 const router = express.Router();
 const { authenticate } = require("../middlewares/authMiddleware");
+const { requirePermission } = require("../middlewares/roleMiddleware");
 const saleController = require("../controllers/saleController");
 
-router.post("/", authenticate, saleController.createSale);
-router.get("/", authenticate, saleController.getAllSales);
-router.get("/:id", authenticate, saleController.getSaleById);
-router.patch("/:id/payment", authenticate, saleController.updateSalePayment);
-router.patch("/:id/cancel", authenticate, saleController.cancelSale);
+router.post(
+  "/",
+  authenticate,
+  requirePermission("sales:write"),
+  saleController.createSale
+);
+router.get(
+  "/",
+  authenticate,
+  requirePermission("sales:read"),
+  saleController.getAllSales
+);
+router.get(
+  "/:id",
+  authenticate,
+  requirePermission("sales:read"),
+  saleController.getSaleById
+);
+router.patch(
+  "/:id/payment",
+  authenticate,
+  requirePermission("sales:write"),
+  saleController.updateSalePayment
+);
+router.patch(
+  "/:id/cancel",
+  authenticate,
+  requirePermission("sales:write"),
+  saleController.cancelSale
+);
 
 module.exports = router;
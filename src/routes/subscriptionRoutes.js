@@ -9,6 +9,7 @@ const {
   getSubscriptionStatus,
 } = require("../controllers/subscriptionController");
 const { authenticate } = require("../middlewares/authMiddleware");
+const { requirePermission } = require("../middlewares/roleMiddleware");
 const { paymentLimiter } = require("../config/rateLimiter");
 const {
   validateObjectId,
@@ -16,7 +17,9 @@ const {
 } = require("../middlewares/validationMiddleware");
 
 // All routes require authentication
-router.use(authenticate);
+// The plan belongs to the business, so only billing managers (the owner by
+// default) can see or change it
+router.use(authenticate, requirePermission("billing:manage"));
 
 // Get current subscription
 router.get("/current", getCurrentSubscription);
@@ -0,0 +1,96 @@
+// ==================== teamRoutes.js ====================
+const express = require("express");
+const router = express.Router();
+const {
+  getOrganization,
+  getMembers,
+  updateMemberRole,
+  removeMember,
+  getInvitations,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  getPermissionMatrix,
+  updateRolePermissions,
+  resetRolePermissions,
+} = require("../controllers/teamController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { requirePermission } = require("../middlewares/roleMiddleware");
+const {
+  validateObjectId,
+  sanitizeInput,
+} = require("../middlewares/validationMiddleware");
+const { authLimiter } = require("../config/rateLimiter");
+
+// Public routes
+router.post("/invitations/accept", authLimiter, acceptInvitation);
+
+// Team overview
+router.get("/", authenticate, requirePermission("team:view"), getOrganization);
+router.get(
+  "/members",
+  authenticate,
+  requirePermission("team:view"),
+  getMembers
+);
+
+// Member management
+router.put(
+  "/members/:id/role",
+  authenticate,
+  requirePermission("team:manage"),
+  validateObjectId("id"),
+  updateMemberRole
+);
+router.delete(
+  "/members/:id",
+  authenticate,
+  requirePermission("team:manage"),
+  validateObjectId("id"),
+  removeMember
+);
+
+// Invitations
+router.get(
+  "/invitations",
+  authenticate,
+  requirePermission("team:manage"),
+  getInvitations
+);
+router.post(
+  "/invitations",
+  authenticate,
+  requirePermission("team:manage"),
+  sanitizeInput,
+  inviteMember
+);
+router.delete(
+  "/invitations/:id",
+  authenticate,
+  requirePermission("team:manage"),
+  validateObjectId("id"),
+  revokeInvitation
+);
+
+// Permission matrix
+router.get(
+  "/permissions",
+  authenticate,
+  requirePermission("team:view"),
+  getPermissionMatrix
+);
+router.put(
+  "/permissions/:role",
+  authenticate,
+  requirePermission("settings:manage"),
+  sanitizeInput,
+  updateRolePermissions
+);
+router.delete(
+  "/permissions/:role",
+  authenticate,
+  requirePermission("settings:manage"),
+  resetRolePermissions
+);
+
+module.exports = router;
@@ -8,16 +8,33 @@ const {
   deleteUser,
   updateUserPlan,
   getUserStats,
+  getSecurityEvents,
 } = require("../controllers/userController");
-const { authenticate, requireAdmin } = require("../middlewares/authMiddleware");
+const {
+  authenticate,
+  requireAdmin,
+  rejectApiKey,
+} = require("../middlewares/authMiddleware");
 const {
   validateObjectId,
   validatePagination,
+  validateDateRange,
 } = require("../middlewares/validationMiddleware");
 
+// Account routes are for people, not integrations
+router.use(rejectApiKey);
+
 // Admin only routes
 router.get("/", authenticate, requireAdmin, validatePagination, getAllUsers);
 router.get("/stats", authenticate, requireAdmin, getUserStats);
+router.get(
+  "/security-events",
+  authenticate,
+  requireAdmin,
+  validatePagination,
+  validateDateRange,
+  getSecurityEvents
+);
 router.put(
   "/:id/plan",
   authenticate,
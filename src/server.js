@@ -1,6 +1,7 @@
 const app = require("./app.js");
 const { connectDB } = require("./config/database.js");
 const config = require("./config/env");
+const { startJobs, stopJobs } = require("./jobs");
 
 /**
  * Start the server
@@ -15,6 +16,9 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Start background jobs (invoice delivery retries, ...)
+    startJobs();
+
     // Start Express server
     const server = app.listen(config.port, () => {
       console.log("\n" + "=".repeat(60));
@@ -50,6 +54,7 @@ const startServer = async () => {
     // Graceful shutdown handler
     const gracefulShutdown = async (signal) => {
       console.log(`\n\n⚠️  ${signal} signal received: closing HTTP server`);
+      stopJobs();
 
       server.close(async () => {
         console.log("🔌 HTTP server closed");
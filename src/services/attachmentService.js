@@ -0,0 +1,115 @@
+const crypto = require("crypto");
+const { saveFile, readFile, deleteFile } = require("./storageService");
+
+// Most files one invoice can have
+const MAX_ATTACHMENTS = 10;
+
+/**
+ * Attach an uploaded file to an invoice
+ * The file is stored first and removed again when the invoice can't be saved.
+ * @param {Object} invoice - Invoice document
+ * @param {Object} file - req.file from middlewares/uploadMiddleware
+ * @param {string} userId - User uploading the file
+ * @returns {Promise<{attachment?: Object, status?: number, message?: string}>}
+ */
+const addInvoiceAttachment = async (invoice, file, userId) => {
+  if (invoice.attachments.length >= MAX_ATTACHMENTS) {
+    return {
+      status: 400,
+      message: `An invoice can have at most ${MAX_ATTACHMENTS} attachments`,
+    };
+  }
+
+  const attachment = invoice.attachments.create({
+    name: file.originalName.slice(0, 255),
+    key: `invoices/${invoice.organization || invoice.user}/${
+      invoice._id
+    }/${crypto.randomUUID()}`,
+    size: file.size,
+    type: file.mimeType,
+    uploadedBy: userId,
+  });
+  attachment.url = `/api/invoices/${invoice._id}/attachments/${attachment._id}`;
+
+  await saveFile(attachment.key, file.buffer, { contentType: file.mimeType });
+
+  try {
+    invoice.attachments.push(attachment);
+    await invoice.save();
+  } catch (error) {
+    await deleteFile(attachment.key).catch(() => {});
+    throw error;
+  }
+
+  return { attachment: invoice.attachments.id(attachment._id) };
+};
+
+/**
+ * Read the file of an attachment
+ * @returns {Promise<Buffer|null>} Contents, null when the file is missing
+ */
+const readAttachment = (attachment) =>
+  attachment.key ? readFile(attachment.key) : Promise.resolve(null);
+
+/**
+ * Remove an attachment from an invoice and delete its file
+ * A file that can't be deleted is only logged; the invoice no longer lists it.
+ * @returns {Promise<boolean>} false when the invoice has no such attachment
+ */
+const removeInvoiceAttachment = async (invoice, attachmentId) => {
+  const attachment = invoice.attachments.id(attachmentId);
+  if (!attachment) return false;
+
+  const { key } = attachment;
+  invoice.attachments.pull(attachment._id);
+  await invoice.save();
+
+  if (key) {
+    try {
+      await deleteFile(key);
+    } catch (error) {
+      console.error(`Attachment file delete failed (${key}):`, error.message);
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Delete the files of all attachments of an invoice (when it is deleted)
+ * Failures are only logged so the invoice delete still goes through.
+ */
+const deleteInvoiceAttachmentFiles = async (invoice) => {
+  for (const { key } of invoice.attachments || []) {
+    if (!key) continue;
+    try {
+      await deleteFile(key);
+    } catch (error) {
+      console.error(`Attachment file delete failed (${key}):`, error.message);
+    }
+  }
+};
+
+/**
+ * Response headers to download an attachment under its original name
+ */
+const attachmentHeaders = (attachment, data) => {
+  const fallback = attachment.name.replace(/[^\x20-\x7e]|["\\]/g, "_");
+
+  return {
+    "Content-Type": attachment.type || "application/octet-stream",
+    "Content-Disposition": `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(
+      attachment.name
+    )}`,
+    "Content-Length": data.length,
+  };
+};
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  addInvoiceAttachment,
+  readAttachment,
+  removeInvoiceAttachment,
+  deleteInvoiceAttachmentFiles,
+  attachmentHeaders,
+};
@@ -0,0 +1,461 @@
+const mongoose = require("mongoose");
+const { Invoice } = require("../models/Invoice");
+const Payment = require("../models/Payment");
+const BulkJob = require("../models/BulkJob");
+const Organization = require("../models/Organization");
+const { buildInvoiceFilter } = require("./invoiceService");
+const {
+  resolveRecipient,
+  deliverInvoice,
+} = require("./invoiceDeliveryService");
+const {
+  REMINDABLE_STATUSES,
+  sendInvoiceReminder,
+} = require("./invoiceReminderService");
+const {
+  findInvoiceLock,
+  isTracked,
+  snapshotInvoice,
+  recordInvoiceChange,
+} = require("./invoiceRevisionService");
+const { generateInvoicePdf } = require("./pdfService");
+const { formatMoney } = require("../utils/formatters");
+const { createZip } = require("../utils/zip");
+
+// Most invoices one bulk action can run on
+const MAX_BULK_INVOICES = 500;
+
+// Largest PDF export kept with a job (documents are limited to 16 MB)
+const MAX_EXPORT_BYTES = 15 * 1024 * 1024;
+
+// A running job saves after every invoice; one that has not for this long
+// was cut off by a restart
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+const PAYMENT_METHODS = Payment.schema.path("method").enumValues;
+const INVOICE_STATUSES = Invoice.schema.path("status").enumValues;
+
+/**
+ * Email an invoice to its client
+ */
+const sendOne = async (invoice, { userId, business, options }) => {
+  if (invoice.status === "cancelled") {
+    throw new Error("Cannot send a cancelled invoice");
+  }
+
+  const recipient = resolveRecipient(invoice.client);
+  if (!recipient) {
+    throw new Error("The client has no email address to send the invoice to");
+  }
+
+  const result = await deliverInvoice(invoice, {
+    recipient,
+    requestedBy: userId,
+    message: options.message,
+    business,
+  });
+
+  if (!result.delivered) {
+    throw new Error(
+      invoice.delivery.status === "retrying"
+        ? "Invoice email could not be delivered. It will be retried automatically."
+        : `Invoice email could not be delivered: ${result.error}`
+    );
+  }
+
+  return `Sent to ${recipient}`;
+};
+
+/**
+ * Email a payment reminder for an invoice
+ */
+const remindOne = async (invoice, { business }) => {
+  if (!REMINDABLE_STATUSES.includes(invoice.status) || invoice.amountDue <= 0) {
+    throw new Error("Only sent invoices with a balance due can be reminded");
+  }
+
+  const recipient = resolveRecipient(invoice.client);
+  if (!recipient) {
+    throw new Error("The client has no email address to send the reminder to");
+  }
+
+  const reminded = await sendInvoiceReminder(invoice, { recipient, business });
+  if (!reminded) {
+    throw new Error("A reminder was just sent for this invoice");
+  }
+
+  return `Reminder sent to ${recipient}`;
+};
+
+/**
+ * Record a payment of the whole balance of an invoice
+ */
+const markPaidOne = async (invoice, { userId, options }) => {
+  if (invoice.status === "cancelled") {
+    throw new Error("Cannot record a payment on a cancelled invoice");
+  }
+  if (invoice.amountDue <= 0) {
+    throw new Error("The invoice has no balance due");
+  }
+
+  const payment = await Payment.create({
+    user: userId,
+    organization: invoice.organization,
+    createdBy: userId,
+    invoice: invoice._id,
+    client: invoice.client && invoice.client._id,
+    amount: invoice.amountDue,
+    currency: invoice.currency,
+    method: options.method,
+    transactionRef: Payment.generateTransactionRef(),
+    notes: options.notes,
+    status: "pending",
+  });
+  await payment.markAsCompleted();
+
+  return `Paid ${formatMoney(payment.amount, payment.currency)} (${
+    payment.receiptNumber
+  })`;
+};
+
+/**
+ * Cancel an invoice, recording the change when it was sent
+ */
+const cancelOne = async (invoice, { userId, locking, options }) => {
+  if (invoice.status === "cancelled") {
+    throw new Error("The invoice is already cancelled");
+  }
+
+  const lock = findInvoiceLock(invoice, locking);
+  if (lock) {
+    throw new Error(`${lock} Issue a credit note to adjust the invoice.`);
+  }
+
+  const tracked = isTracked(invoice);
+  if (tracked && locking.requireReason && !options.reason) {
+    throw new Error("Give a reason for changing an invoice that was sent");
+  }
+
+  const before = tracked ? await snapshotInvoice(invoice) : null;
+  invoice.status = "cancelled";
+  await invoice.save();
+
+  if (before) {
+    await recordInvoiceChange(invoice, before, {
+      changedBy: userId,
+      reason: options.reason,
+    });
+  }
+
+  return "Cancelled";
+};
+
+/**
+ * Render the PDF of an invoice into the export
+ */
+const exportOne = async (invoice, { business, files }) => {
+  const data = await generateInvoicePdf(invoice, business);
+  files.push({
+    name: `${invoice.invoiceNumber.replace(/[^\w.-]+/g, "_")}.pdf`,
+    data,
+  });
+
+  return "Added to the export";
+};
+
+// What each action does to one invoice and the permission it needs
+const ACTIONS = {
+  send: { permission: "invoices:send", run: sendOne },
+  remind: { permission: "invoices:send", run: remindOne },
+  mark_paid: { permission: "payments:create", run: markPaidOne },
+  cancel: { permission: "invoices:update", run: cancelOne },
+  export_pdf: { permission: "invoices:read", run: exportOne },
+};
+
+/**
+ * Check the settings of a bulk action
+ * @param {string} action - One of BulkJob BULK_ACTIONS
+ * @param {Object} options - { message } for send, { method, notes } for
+ * mark_paid, { reason } for cancel
+ * @returns {{options?: Object, status?: number, message?: string}}
+ */
+const validateBulkOptions = (action, options = {}) => {
+  const invalid = (message) => ({ status: 400, message });
+  const isText = (value, max) =>
+    value === undefined || (typeof value === "string" && value.length <= max);
+
+  if (!ACTIONS[action]) {
+    return invalid(`Action must be one of: ${Object.keys(ACTIONS).join(", ")}`);
+  }
+  if (typeof options !== "object" || Array.isArray(options)) {
+    return invalid("Options must be an object");
+  }
+
+  if (action === "send") {
+    if (!isText(options.message, 2000)) {
+      return invalid("Message must be text of at most 2000 characters");
+    }
+    return { options: { message: options.message } };
+  }
+
+  if (action === "mark_paid") {
+    if (!PAYMENT_METHODS.includes(options.method)) {
+      return invalid(
+        `Payment method must be one of: ${PAYMENT_METHODS.join(", ")}`
+      );
+    }
+    if (!isText(options.notes, 500)) {
+      return invalid("Notes must be text of at most 500 characters");
+    }
+    return { options: { method: options.method, notes: options.notes } };
+  }
+
+  if (action === "cancel") {
+    if (!isText(options.reason, 500)) {
+      return invalid("Reason must be text of at most 500 characters");
+    }
+    return {
+      options: { reason: options.reason ? options.reason.trim() : undefined },
+    };
+  }
+
+  return { options: {} };
+};
+
+/**
+ * Find the invoices a bulk action runs on, from a list of ids or from the
+ * filters of the invoice list
+ * Ids are kept in the order given; ids of other businesses end up as
+ * "Invoice not found" results.
+ * @param {string} organizationId - Business running the action
+ * @param {Object} selection - { ids } or { filters }
+ * @returns {Promise<{invoices?: Array, status?: number, message?: string}>}
+ */
+const selectBulkInvoices = async (organizationId, { ids, filters }) => {
+  const invalid = (message) => ({ status: 400, message });
+  const tooMany = `At most ${MAX_BULK_INVOICES} invoices can be changed at once`;
+  // Filters come from a JSON body, so unlike query strings they can be any type
+  const isText = (value, max) =>
+    value === undefined || (typeof value === "string" && value.length <= max);
+  const isDate = (value) =>
+    typeof value === "string" && !Number.isNaN(new Date(value).getTime());
+  const isAmount = (value) =>
+    (typeof value === "number" || typeof value === "string") &&
+    Number.isFinite(Number(value)) &&
+    String(value).trim() !== "";
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return invalid("ids must be a list of invoice ids");
+    }
+    const unique = [...new Set(ids.map(String))];
+    const wrong = unique.find((id) => !mongoose.isValidObjectId(id));
+    if (wrong) {
+      return invalid(`Invalid invoice id: ${wrong}`);
+    }
+    if (unique.length > MAX_BULK_INVOICES) {
+      return invalid(tooMany);
+    }
+    return { invoices: unique };
+  }
+
+  if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+    return invalid("Send the invoice ids or the filters that select them");
+  }
+
+  const { status, client, startDate, endDate, minAmount, maxAmount, search } =
+    filters;
+  const statuses = Array.isArray(status) ? status : [status];
+  if (
+    status !== undefined &&
+    (statuses.length === 0 ||
+      statuses.some((value) => !INVOICE_STATUSES.includes(value)))
+  ) {
+    return invalid(
+      `Status must be one or more of: ${INVOICE_STATUSES.join(", ")}`
+    );
+  }
+  if (
+    client !== undefined &&
+    (typeof client !== "string" || !mongoose.isValidObjectId(client))
+  ) {
+    return invalid("Invalid client id");
+  }
+  if (
+    [startDate, endDate].some((date) => date !== undefined && !isDate(date))
+  ) {
+    return invalid("Dates must be valid dates");
+  }
+  if (
+    [minAmount, maxAmount].some(
+      (amount) => amount !== undefined && !isAmount(amount)
+    )
+  ) {
+    return invalid("Amounts must be numbers");
+  }
+  if (!isText(search, 100)) {
+    return invalid("Search must be text of at most 100 characters");
+  }
+
+  const query = buildInvoiceFilter(organizationId, {
+    status: status !== undefined ? statuses.join(",") : undefined,
+    client,
+    startDate,
+    endDate,
+    minAmount,
+    maxAmount,
+    search,
+  });
+
+  const found = await Invoice.find(query)
+    .select("_id")
+    .sort({ issueDate: 1, _id: 1 })
+    .limit(MAX_BULK_INVOICES + 1);
+
+  if (found.length === 0) {
+    return invalid("No invoices match the filters");
+  }
+  if (found.length > MAX_BULK_INVOICES) {
+    return invalid(`${tooMany}, narrow the filters`);
+  }
+
+  return { invoices: found.map((invoice) => invoice._id) };
+};
+
+/**
+ * Run a claimed bulk job over its invoices one by one
+ * Each invoice gets a result; a failure on one invoice doesn't stop the
+ * others. Progress is saved after every invoice so the job can be polled.
+ * @param {Object} job - BulkJob document
+ * @param {Object} context - { userId, business, locking }
+ * @returns {Promise<Object>} Finished job
+ */
+const runBulkJob = async (job, { userId, business, locking = {} }) => {
+  const { run } = ACTIONS[job.action];
+  const files = [];
+
+  try {
+    for (const invoiceId of job.invoices) {
+      const invoice = await Invoice.findOne({
+        _id: invoiceId,
+        organization: job.organization,
+      }).populate("client");
+
+      const result = {
+        invoice: invoiceId,
+        invoiceNumber: invoice ? invoice.invoiceNumber : undefined,
+      };
+
+      if (!invoice) {
+        Object.assign(result, {
+          status: "failed",
+          message: "Invoice not found",
+        });
+      } else {
+        try {
+          result.message = await run(invoice, {
+            userId,
+            business,
+            locking,
+            options: job.options || {},
+            files,
+          });
+          result.status = "succeeded";
+        } catch (error) {
+          result.status = "failed";
+          result.message = error.message;
+        }
+      }
+
+      job.results.push(result);
+      job[result.status] += 1;
+      await job.save();
+    }
+
+    if (job.action === "export_pdf" && files.length > 0) {
+      const data = createZip(files);
+      if (data.length > MAX_EXPORT_BYTES) {
+        throw new Error(
+          "The export is larger than 15 MB, export fewer invoices at a time"
+        );
+      }
+      job.export = {
+        filename: `invoices-${job._id}.zip`,
+        size: data.length,
+        data,
+      };
+    }
+
+    job.status = "completed";
+  } catch (error) {
+    console.error(`Bulk job ${job._id} error:`, error);
+    job.status = "failed";
+    job.error = error.message;
+  }
+
+  job.completedAt = new Date();
+  return job.save();
+};
+
+/**
+ * Run the queued bulk jobs (background job)
+ * Each job is claimed atomically so only one process runs it. Jobs cut off
+ * by a restart are failed rather than run again, since some of their
+ * invoices may already be sent or paid; their results show which.
+ * @returns {Promise<{processed: number, interrupted: number}>}
+ */
+const processBulkJobs = async () => {
+  const stale = await BulkJob.updateMany(
+    {
+      status: "running",
+      updatedAt: { $lt: new Date(Date.now() - STALE_JOB_MS) },
+    },
+    {
+      $set: {
+        status: "failed",
+        error:
+          "The job was interrupted. Check the results before running the remaining invoices again.",
+        completedAt: new Date(),
+      },
+    }
+  );
+
+  let processed = 0;
+  for (;;) {
+    const job = await BulkJob.findOneAndUpdate(
+      { status: "queued" },
+      { $set: { status: "running", startedAt: new Date() } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    if (!job) break;
+
+    const { organization, owner } = await Organization.getContext(
+      job.organization
+    );
+    if (!organization || !owner) {
+      job.status = "failed";
+      job.error = "The business of this job no longer exists";
+      job.completedAt = new Date();
+      await job.save();
+      continue;
+    }
+
+    await runBulkJob(job, {
+      userId: job.createdBy,
+      business: owner,
+      locking: organization.invoiceLocking || {},
+    });
+    processed += 1;
+  }
+
+  return { processed, interrupted: stale.modifiedCount };
+};
+
+module.exports = {
+  MAX_BULK_INVOICES,
+  ACTIONS,
+  validateBulkOptions,
+  selectBulkInvoices,
+  runBulkJob,
+  processBulkJobs,
+};
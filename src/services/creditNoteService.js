@@ -0,0 +1,285 @@
+const CreditNote = require("../models/CreditNote");
+const { Invoice, InvoiceItem } = require("../models/Invoice");
+const Client = require("../models/Client");
+const Inventory = require("../models/Inventory");
+const { roundMoney } = require("../utils/money");
+const { nextDocumentNumber } = require("./numberingService");
+
+/**
+ * Work out the lines and amounts of a credit note
+ * Credited quantities take the same share of their line's subtotal, tax and
+ * invoice discount as they were invoiced with. A full credit note takes every
+ * line still open plus the shipping fee, and always equals what is left to
+ * credit.
+ * @param {Object} invoice - Invoice document
+ * @param {Object} request - { type, items: [{ invoiceItem, quantity, restock }], restock }
+ * @returns {Promise<{creditNote?: Object, status?: number, message?: string}>}
+ */
+const prepareCreditNote = async (invoice, { type, items, restock = false }) => {
+  const creditable = roundMoney(
+    invoice.total - invoice.amountCredited,
+    invoice.currency
+  );
+  if (creditable <= 0) {
+    return {
+      status: 400,
+      message: "This invoice has already been fully credited",
+    };
+  }
+
+  const invoiceItems = await InvoiceItem.find({ invoice: invoice._id });
+  const credited = await CreditNote.getCreditedQuantities(invoice._id);
+
+  const remainingQuantity = (invoiceItem) =>
+    invoiceItem.quantity -
+    (credited.quantities.get(invoiceItem._id.toString()) || 0);
+
+  const lines = [];
+  let shippingFee = 0;
+
+  if (type === "full") {
+    invoiceItems.forEach((invoiceItem) => {
+      const quantity = remainingQuantity(invoiceItem);
+      if (quantity > 0) {
+        lines.push({ invoiceItem, quantity, restock });
+      }
+    });
+    shippingFee = Math.max(0, invoice.shippingFee - credited.shippingFee);
+  } else {
+    if (!Array.isArray(items) || items.length === 0) {
+      return {
+        status: 400,
+        message: "Select at least one invoice line to credit",
+      };
+    }
+
+    const seen = new Set();
+    for (const item of items) {
+      const invoiceItem = invoiceItems.find(
+        (line) => line._id.toString() === String(item.invoiceItem)
+      );
+
+      if (!invoiceItem) {
+        return {
+          status: 400,
+          message: "Credited lines must belong to the invoice",
+        };
+      }
+
+      if (seen.has(invoiceItem._id.toString())) {
+        return {
+          status: 400,
+          message: `"${invoiceItem.description}" is listed more than once`,
+        };
+      }
+      seen.add(invoiceItem._id.toString());
+
+      const quantity = Number(item.quantity ?? remainingQuantity(invoiceItem));
+      if (!(quantity > 0) || quantity > remainingQuantity(invoiceItem)) {
+        return {
+          status: 400,
+          message: `Quantity for "${
+            invoiceItem.description
+          }" must be between 0 and ${remainingQuantity(invoiceItem)}`,
+        };
+      }
+
+      lines.push({
+        invoiceItem,
+        quantity,
+        restock: item.restock ?? restock,
+      });
+    }
+  }
+
+  // Lines priced by the pricing engine carry their own tax and discount
+  // share; older invoices only had invoice-level rates, shared by line value
+  const linePriced = invoiceItems.every((item) => item.total !== undefined);
+
+  let subtotal = 0;
+  let taxAmount = 0;
+  let discountAmount = 0;
+  let linesTotal = 0;
+  const creditItems = lines.map(({ invoiceItem, quantity, restock }) => {
+    const ratio = quantity / invoiceItem.quantity;
+    const lineSubtotal = linePriced
+      ? roundMoney(invoiceItem.subtotal * ratio, invoice.currency)
+      : roundMoney(quantity * invoiceItem.unitPrice, invoice.currency);
+    subtotal += lineSubtotal;
+
+    if (linePriced) {
+      taxAmount += invoiceItem.taxAmount * ratio;
+      discountAmount += invoiceItem.allocatedDiscount * ratio;
+      linesTotal += invoiceItem.total * ratio;
+    }
+
+    return {
+      invoiceItem: invoiceItem._id,
+      description: invoiceItem.description,
+      quantity,
+      unitPrice: invoiceItem.unitPrice,
+      unit: invoiceItem.unit,
+      subtotal: lineSubtotal,
+      inventoryItem: invoiceItem.inventoryItem,
+      restock: Boolean(restock && invoiceItem.inventoryItem),
+    };
+  });
+
+  if (!linePriced) {
+    const invoiceDiscount = Math.max(
+      0,
+      invoice.subtotal +
+        invoice.taxAmount +
+        invoice.shippingFee +
+        invoice.lateFeeTotal -
+        invoice.total
+    );
+    const share = invoice.subtotal > 0 ? subtotal / invoice.subtotal : 0;
+    taxAmount = invoice.taxAmount * share;
+    discountAmount = invoiceDiscount * share;
+    linesTotal = subtotal + taxAmount - discountAmount;
+  }
+
+  taxAmount = roundMoney(taxAmount, invoice.currency);
+  discountAmount = roundMoney(discountAmount, invoice.currency);
+  let total = roundMoney(linesTotal + shippingFee, invoice.currency);
+  if (type === "full" || total > creditable) {
+    total = creditable;
+  }
+
+  if (total <= 0) {
+    return {
+      status: 400,
+      message: "There is nothing left to credit on the selected lines",
+    };
+  }
+
+  return {
+    creditNote: {
+      type: type === "full" ? "full" : "partial",
+      items: creditItems,
+      subtotal: roundMoney(subtotal, invoice.currency),
+      taxAmount,
+      discountAmount,
+      shippingFee,
+      total,
+    },
+  };
+};
+
+/**
+ * Issue a credit note against an invoice
+ * The invoice is claimed on its credited amount so two credit notes can't
+ * both credit the same balance. What the invoice still owed is reduced; the
+ * rest becomes credit for the client. Linked inventory is restocked for the
+ * lines marked to restock.
+ * @param {Object} invoice - Invoice document
+ * @param {Object} creditNote - Lines and amounts from prepareCreditNote
+ * @param {Object} details - { userId, createdBy, reason, notes }
+ * @returns {Promise<Object|null>} Credit note, null when the invoice changed meanwhile
+ */
+const issueCreditNote = async (
+  invoice,
+  creditNote,
+  { userId, createdBy, reason, notes }
+) => {
+  // What the invoice still owes, the claim below guarantees it is current
+  const outstanding = Math.max(
+    0,
+    invoice.total - invoice.amountPaid - invoice.amountCredited
+  );
+  const appliedToInvoice = roundMoney(
+    Math.min(creditNote.total, outstanding),
+    invoice.currency
+  );
+  const clientCredit = roundMoney(
+    creditNote.total - appliedToInvoice,
+    invoice.currency
+  );
+
+  const claimed = await Invoice.findOneAndUpdate(
+    {
+      _id: invoice._id,
+      amountCredited: invoice.amountCredited,
+      status: { $nin: ["draft", "cancelled"] },
+    },
+    { $inc: { amountCredited: creditNote.total } },
+    { new: true }
+  );
+
+  if (!claimed) return null;
+
+  let issued;
+  try {
+    const creditNoteNumber = await nextDocumentNumber(
+      invoice.organization,
+      "creditNote"
+    );
+
+    issued = await CreditNote.create({
+      ...creditNote,
+      user: userId,
+      organization: invoice.organization,
+      createdBy,
+      invoice: invoice._id,
+      client: invoice.client,
+      creditNoteNumber,
+      reason,
+      notes,
+      appliedToInvoice,
+      clientCredit,
+      currency: invoice.currency,
+      exchangeRate: invoice.exchangeRate,
+    });
+  } catch (error) {
+    // Give the credited amount back so the credit note can be issued again
+    await Invoice.updateOne(
+      { _id: invoice._id },
+      { $inc: { amountCredited: -creditNote.total } }
+    );
+    throw error;
+  }
+
+  // Recalculate the balance and payment status
+  await claimed.save();
+
+  if (clientCredit > 0) {
+    await Client.updateOne(
+      { _id: invoice.client },
+      { $inc: { creditBalance: clientCredit } }
+    );
+  }
+
+  // Put returned goods back into stock
+  let restocked = false;
+  for (const item of issued.items) {
+    if (!item.restock) continue;
+
+    const inventoryItem = await Inventory.findOne({
+      _id: item.inventoryItem,
+      organization: invoice.organization,
+    });
+    if (inventoryItem && inventoryItem.trackInventory) {
+      await inventoryItem.addStock(
+        item.quantity,
+        "return",
+        issued._id.toString(),
+        `Credit note ${issued.creditNoteNumber}`,
+        userId
+      );
+      item.restocked = true;
+      restocked = true;
+    }
+  }
+
+  if (restocked) {
+    await issued.save();
+  }
+
+  return issued;
+};
+
+module.exports = {
+  prepareCreditNote,
+  issueCreditNote,
+};
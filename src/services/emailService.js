@@ -0,0 +1,221 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+const config = require("../config/env");
+const { renderTemplate } = require("../templates/emailTemplates");
+
+/**
+ * Transports
+ * A transport is an object with `send(message)` resolving to
+ * { messageId }. SMTP is used in production; console and file transports
+ * keep development and tests free of a mail server and are refused in
+ * production.
+ */
+const transportFactories = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: config.email.host,
+      port: config.email.port,
+      secure: config.email.secure,
+      auth: config.email.user
+        ? { user: config.email.user, pass: config.email.password }
+        : undefined,
+    });
+
+    return {
+      name: "smtp",
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      },
+    };
+  },
+
+  console: () => ({
+    name: "console",
+    send: async (message) => {
+      const messageId = `<${crypto.randomUUID()}@console>`;
+      // Only the envelope: bodies hold reset and verification links (use the
+      // file transport to read them)
+      console.log(`📧 Email to ${message.to}: ${message.subject}`);
+      return { messageId };
+    },
+  }),
+
+  file: () => ({
+    name: "file",
+    send: async (message) => {
+      const messageId = `<${crypto.randomUUID()}@file>`;
+      const outputDir = path.resolve(config.email.outputDir);
+      await fs.promises.mkdir(outputDir, { recursive: true });
+
+      const fileName = `${Date.now()}-${crypto
+        .randomBytes(4)
+        .toString("hex")}.json`;
+      await fs.promises.writeFile(
+        path.join(outputDir, fileName),
+        JSON.stringify(
+          {
+            messageId,
+            ...message,
+            // Attachment content is replaced by its size to keep files small
+            attachments: (message.attachments || []).map((attachment) => ({
+              filename: attachment.filename,
+              contentType: attachment.contentType,
+              size: attachment.content ? attachment.content.length : 0,
+            })),
+          },
+          null,
+          2
+        )
+      );
+      return { messageId };
+    },
+  }),
+};
+
+let transport = null;
+
+/**
+ * Get the active transport (created on first use)
+ */
+const getTransport = () => {
+  if (!transport) {
+    const factory = transportFactories[config.email.transport];
+    if (!factory) {
+      throw new Error(`Unknown email transport: ${config.email.transport}`);
+    }
+    if (config.env === "production" && config.email.transport !== "smtp") {
+      throw new Error(
+        `Email transport "${config.email.transport}" is not allowed in production`
+      );
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. a custom provider or a test double)
+ * @param {{send: Function}} customTransport
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email
+ * @param {Object} options - { to, subject, html, text, attachments, replyTo }
+ * @returns {Promise<{messageId: string}>}
+ */
+const sendEmail = async ({ to, subject, html, text, attachments, replyTo }) => {
+  if (!to) {
+    throw new Error("Email recipient is required");
+  }
+
+  return getTransport().send({
+    from: config.email.from,
+    to,
+    subject,
+    html,
+    text,
+    attachments,
+    replyTo,
+  });
+};
+
+/**
+ * Render a template and send it
+ * @param {string} templateName - Name from templates/emailTemplates.js
+ * @param {string} to - Recipient address
+ * @param {Object} data - Template variables
+ * @param {Object} options - Extra message options (attachments, replyTo)
+ */
+const sendTemplate = async (templateName, to, data = {}, options = {}) => {
+  const { subject, html, text } = renderTemplate(templateName, data);
+  return sendEmail({ to, subject, html, text, ...options });
+};
+
+/**
+ * Build a link to the frontend
+ */
+const frontendUrl = (pathname) => `${config.frontendUrl}${pathname}`;
+
+/**
+ * Send the email verification link
+ */
+const sendVerificationEmail = (user, token) => {
+  return sendTemplate("verifyEmail", user.email, {
+    name: user.businessName,
+    verifyUrl: frontendUrl(`/verify-email/${token}`),
+  });
+};
+
+/**
+ * Send the password reset link
+ */
+const sendPasswordResetEmail = (user, token) => {
+  return sendTemplate("passwordReset", user.email, {
+    name: user.businessName,
+    resetUrl: frontendUrl(`/reset-password/${token}`),
+  });
+};
+
+/**
+ * Notify a user that their password changed
+ */
+const sendPasswordChangedEmail = (user, { ipAddress } = {}) => {
+  return sendTemplate("passwordChanged", user.email, {
+    name: user.businessName,
+    changedAt: new Date(),
+    ipAddress,
+  });
+};
+
+/**
+ * Send a passwordless sign-in link
+ */
+const sendMagicLinkEmail = (user, token, expiresInMinutes) => {
+  return sendTemplate("magicLink", user.email, {
+    name: user.businessName,
+    loginUrl: frontendUrl(`/magic-link/${token}`),
+    expiresInMinutes,
+  });
+};
+
+/**
+ * Send a team invitation
+ */
+const sendInvitationEmail = (invitation, token, { businessName, inviter }) => {
+  return sendTemplate("teamInvitation", invitation.email, {
+    businessName,
+    inviterEmail: inviter.email,
+    role: invitation.role,
+    inviteUrl: frontendUrl(`/invitations/${token}`),
+  });
+};
+
+/**
+ * Run an email send without failing the request that triggered it
+ * Auth flows must succeed even when the mail server is down
+ */
+const sendSafely = (promise, context) => {
+  return promise.catch((error) => {
+    console.error(`Email delivery failed (${context}):`, error.message);
+    return null;
+  });
+};
+
+module.exports = {
+  sendEmail,
+  sendTemplate,
+  setTransport,
+  getTransport,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendMagicLinkEmail,
+  sendInvitationEmail,
+  sendSafely,
+};
@@ -0,0 +1,133 @@
+const Estimate = require("../models/Estimate");
+const { OPEN_STATUSES } = Estimate;
+const config = require("../config/env");
+const { sendTemplate, sendSafely } = require("./emailService");
+const { createInvoiceWithItems } = require("./invoiceService");
+const { loadBusinessOwner } = require("./invoiceDeliveryService");
+const { formatMoney, formatDate } = require("../utils/formatters");
+
+/**
+ * Public link of an estimate (frontend page to review, accept or decline)
+ */
+const buildEstimateLinks = (estimate) => {
+  const token = estimate.getPublicToken();
+
+  return {
+    token,
+    viewUrl: `${config.frontendUrl}/estimates/public/${token}`,
+  };
+};
+
+/**
+ * Email an estimate with its public link and mark it as sent
+ * @param {Object} estimate - Estimate document with client populated
+ * @param {Object} options - { recipient, message, business }
+ */
+const sendEstimateEmail = async (
+  estimate,
+  { recipient, message, business }
+) => {
+  const owner = business || (await loadBusinessOwner(estimate));
+  const { viewUrl } = buildEstimateLinks(estimate);
+
+  await sendTemplate(
+    "estimate",
+    recipient,
+    {
+      businessName: owner.businessName,
+      clientName: estimate.client.name,
+      estimateNumber: estimate.estimateNumber,
+      total: formatMoney(estimate.total, estimate.currency),
+      expiryDate: formatDate(estimate.expiryDate),
+      viewUrl,
+      message,
+    },
+    { replyTo: owner.email }
+  );
+
+  return estimate.markAsSent();
+};
+
+/**
+ * Tell the business that a client answered an estimate
+ * Never fails the client's request
+ */
+const notifyEstimateResponse = (estimate) =>
+  sendSafely(
+    loadBusinessOwner(estimate).then((owner) => {
+      if (!owner) return null;
+
+      return sendTemplate("estimateResponse", owner.email, {
+        estimateNumber: estimate.estimateNumber,
+        clientName: estimate.client?.name || "Your client",
+        accepted: estimate.status === "accepted",
+        reason: estimate.response?.reason,
+        estimateUrl: `${config.frontendUrl}/estimates/${estimate._id}`,
+      });
+    }),
+    `estimate response ${estimate.estimateNumber}`
+  );
+
+/**
+ * Turn an estimate into an invoice with the same items
+ * The estimate is claimed first so it can only be converted once; stock is
+ * reduced by the invoice, never by the estimate.
+ * @param {Object} estimate - Estimate document
+ * @param {string} userId - User converting the estimate
+ * @param {Object} [options] - { dueDate }
+ * @returns {Promise<Object|null>} Invoice, null when already converted
+ */
+const convertEstimate = async (estimate, userId, { dueDate } = {}) => {
+  const previousStatus = estimate.status;
+
+  const claimed = await Estimate.findOneAndUpdate(
+    {
+      _id: estimate._id,
+      status: { $in: [...OPEN_STATUSES, "accepted"] },
+      invoice: { $exists: false },
+    },
+    { $set: { status: "converted", convertedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!claimed) return null;
+
+  try {
+    const invoice = await createInvoiceWithItems({
+      userId,
+      organizationId: claimed.organization,
+      client: claimed.client,
+      items: claimed.items,
+      taxRate: claimed.taxRate,
+      discount: claimed.discount,
+      discountType: claimed.discountType,
+      taxInclusive: claimed.taxInclusive,
+      shippingFee: claimed.shippingFee,
+      dueDate,
+      notes: claimed.notes,
+      termsAndConditions: claimed.termsAndConditions,
+      estimate: claimed._id,
+    });
+
+    await Estimate.updateOne(
+      { _id: claimed._id },
+      { $set: { invoice: invoice._id } }
+    );
+
+    return invoice;
+  } catch (error) {
+    // Give the estimate back so the conversion can be tried again
+    await Estimate.updateOne(
+      { _id: claimed._id },
+      { $set: { status: previousStatus }, $unset: { convertedAt: 1 } }
+    );
+    throw error;
+  }
+};
+
+module.exports = {
+  buildEstimateLinks,
+  sendEstimateEmail,
+  notifyEstimateResponse,
+  convertEstimate,
+};
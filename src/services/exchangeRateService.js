@@ -0,0 +1,289 @@
+const config = require("../config/env");
+const ExchangeRate = require("../models/ExchangeRate");
+const Organization = require("../models/Organization");
+const { roundMoney } = require("../utils/money");
+
+// Most rates one import can hold
+const MAX_IMPORT_ROWS = 1000;
+
+const isCurrencyCode = (value) =>
+  typeof value === "string" && /^[A-Z]{3}$/.test(value);
+
+const toCurrencyCode = (value) =>
+  String(value || "")
+    .trim()
+    .toUpperCase();
+
+/**
+ * Base currency of a business and the currencies it can invoice in
+ * The base currency is always allowed.
+ * @param {Object|null} organization - Organization with its currency settings
+ * @returns {{baseCurrency: string, currencies: string[]}}
+ */
+const getCurrencySettings = (organization) => {
+  const baseCurrency =
+    (organization && organization.baseCurrency) ||
+    toCurrencyCode(config.business.currency || "NGN");
+
+  return {
+    baseCurrency,
+    currencies: [
+      ...new Set([
+        baseCurrency,
+        ...((organization && organization.currencies) || []),
+      ]),
+    ],
+  };
+};
+
+const loadCurrencySettings = async (organizationId) =>
+  getCurrencySettings(
+    await Organization.findById(organizationId).select(
+      "baseCurrency currencies"
+    )
+  );
+
+/**
+ * Check the currency settings of a business
+ * @param {Object} settings - { baseCurrency, currencies }
+ * @returns {string|null} Error message
+ */
+const validateCurrencySettings = ({ baseCurrency, currencies }) => {
+  if (!isCurrencyCode(baseCurrency)) {
+    return "Base currency must be a 3 letter currency code, e.g. NGN";
+  }
+  if (
+    !Array.isArray(currencies) ||
+    currencies.some((currency) => !isCurrencyCode(currency))
+  ) {
+    return "Currencies must be a list of 3 letter currency codes";
+  }
+
+  return null;
+};
+
+/**
+ * Check and tidy an exchange rate before it is saved
+ * @param {Object} input - { currency, rate, effectiveDate }
+ * @param {string} baseCurrency - Base currency of the business
+ * @returns {{exchangeRate?: Object, message?: string}}
+ */
+const normalizeExchangeRate = (
+  { currency, rate, effectiveDate },
+  baseCurrency
+) => {
+  const code = toCurrencyCode(currency);
+  if (!isCurrencyCode(code)) {
+    return { message: "Currency must be a 3 letter currency code, e.g. USD" };
+  }
+  if (code === baseCurrency) {
+    return {
+      message: `${code} is the base currency, its rate is always 1`,
+    };
+  }
+  if (!(Number.isFinite(Number(rate)) && Number(rate) > 0)) {
+    return { message: "Rate must be a number greater than 0" };
+  }
+
+  const date =
+    effectiveDate === undefined || effectiveDate === ""
+      ? new Date()
+      : new Date(effectiveDate);
+  if (isNaN(date.getTime())) {
+    return { message: "Effective date must be a valid date" };
+  }
+
+  return {
+    exchangeRate: {
+      currency: code,
+      baseCurrency,
+      rate: Number(rate),
+      effectiveDate: date,
+    },
+  };
+};
+
+/**
+ * Read exchange rates from CSV text
+ * One rate per line as currency,rate[,date], with or without a header row.
+ * Rates are in units of the base currency per 1 unit of the currency.
+ * @param {string} text - File contents
+ * @param {string} baseCurrency - Base currency of the business
+ * @returns {{exchangeRates?: Array, status?: number, message?: string}}
+ */
+const parseExchangeRatesCsv = (text, baseCurrency) => {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim());
+  const splitLine = (line) =>
+    line.split(",").map((cell) => cell.trim().replace(/^"(.*)"$/, "$1"));
+
+  let columns = ["currency", "rate", "date"];
+  let first = lines.findIndex(Boolean);
+  if (first === -1) {
+    return { status: 400, message: "The file has no exchange rates" };
+  }
+
+  const header = splitLine(lines[first]).map((cell) => cell.toLowerCase());
+  if (header.includes("currency") && header.includes("rate")) {
+    columns = header.map((cell) =>
+      ["effectivedate", "effective_date", "effective date"].includes(cell)
+        ? "date"
+        : cell
+    );
+    first += 1;
+  }
+
+  const exchangeRates = [];
+  for (let index = first; index < lines.length; index++) {
+    if (!lines[index]) continue;
+
+    const cells = splitLine(lines[index]);
+    const row = columns.reduce((values, column, position) => {
+      values[column] = cells[position];
+      return values;
+    }, {});
+
+    const { exchangeRate, message } = normalizeExchangeRate(
+      { currency: row.currency, rate: row.rate, effectiveDate: row.date },
+      baseCurrency
+    );
+    if (message) {
+      return { status: 400, message: `Line ${index + 1}: ${message}` };
+    }
+    exchangeRates.push(exchangeRate);
+  }
+
+  if (exchangeRates.length === 0) {
+    return { status: 400, message: "The file has no exchange rates" };
+  }
+  if (exchangeRates.length > MAX_IMPORT_ROWS) {
+    return {
+      status: 400,
+      message: `A file can hold at most ${MAX_IMPORT_ROWS} exchange rates`,
+    };
+  }
+
+  return { exchangeRates };
+};
+
+/**
+ * Currency of a new invoice and the exchange rate it is issued at
+ * A rate sent with the invoice is used as is; otherwise the rate in force on
+ * the issue date is taken from the business's exchange rates.
+ * @param {string} organizationId - Business issuing the invoice
+ * @param {Object} options
+ * @param {string} [options.currency] - Invoice currency (base currency by default)
+ * @param {Date} [options.date] - Issue date
+ * @param {number} [options.exchangeRate] - Rate to use instead of the table
+ * @returns {Promise<{currency?: string, baseCurrency?: string, exchangeRate?: number, status?: number, message?: string}>}
+ */
+const resolveInvoiceCurrency = async (
+  organizationId,
+  { currency, date, exchangeRate }
+) => {
+  const { baseCurrency, currencies } = await loadCurrencySettings(
+    organizationId
+  );
+  const code = currency ? toCurrencyCode(currency) : baseCurrency;
+
+  if (!currencies.includes(code)) {
+    return {
+      status: 400,
+      message: `Currency must be one of: ${currencies.join(", ")}`,
+    };
+  }
+  if (code === baseCurrency) {
+    return { currency: code, baseCurrency, exchangeRate: 1 };
+  }
+
+  if (exchangeRate !== undefined && exchangeRate !== null) {
+    if (!(Number.isFinite(Number(exchangeRate)) && Number(exchangeRate) > 0)) {
+      return {
+        status: 400,
+        message: "Exchange rate must be a number greater than 0",
+      };
+    }
+    return { currency: code, baseCurrency, exchangeRate: Number(exchangeRate) };
+  }
+
+  const on = date ? new Date(date) : new Date();
+  const found = await ExchangeRate.findRate(
+    organizationId,
+    code,
+    baseCurrency,
+    on
+  );
+  if (!found) {
+    return {
+      status: 400,
+      message: `No ${code} to ${baseCurrency} exchange rate on or before ${on
+        .toISOString()
+        .slice(0, 10)}. Add one or send the exchange rate to use.`,
+    };
+  }
+
+  return { currency: code, baseCurrency, exchangeRate: found.rate };
+};
+
+/**
+ * Exchange rate of a payment when it is received, its amount in the base
+ * currency and the gain or loss against the rate its invoice was issued at
+ * A rate entered with the payment is kept; otherwise the rate in force on the
+ * payment date is used, falling back to the invoice's own rate (no gain or
+ * loss) when none is recorded.
+ * @param {Object} payment - Payment document
+ * @param {Object|null} invoice - Invoice the payment settles
+ * @returns {Promise<Object>} { baseCurrency, exchangeRate, baseAmount, fxGainLoss }, empty when no rate is known
+ */
+const paymentExchangeRate = async (payment, invoice) => {
+  const { baseCurrency } = await loadCurrencySettings(payment.organization);
+  const invoiceRate =
+    invoice && invoice.currency === payment.currency
+      ? invoice.exchangeRate
+      : undefined;
+
+  let rate = payment.exchangeRate;
+  if (!rate) {
+    if (payment.currency === baseCurrency) {
+      rate = 1;
+    } else {
+      const found = await ExchangeRate.findRate(
+        payment.organization,
+        payment.currency,
+        baseCurrency,
+        payment.paymentDate || new Date()
+      );
+      rate = found ? found.rate : invoiceRate;
+    }
+  }
+  if (!rate) return {};
+
+  return {
+    baseCurrency,
+    exchangeRate: rate,
+    baseAmount: roundMoney(payment.amount * rate, baseCurrency),
+    fxGainLoss: invoiceRate
+      ? roundMoney(payment.amount * (rate - invoiceRate), baseCurrency)
+      : 0,
+  };
+};
+
+/**
+ * Aggregation expression of an amount field in the base currency
+ * Documents from before multi-currency have no rate and are already in it.
+ * @param {string} field - e.g. "$total"
+ */
+const inBaseCurrency = (field) => ({
+  $multiply: [field, { $ifNull: ["$exchangeRate", 1] }],
+});
+
+module.exports = {
+  getCurrencySettings,
+  validateCurrencySettings,
+  normalizeExchangeRate,
+  parseExchangeRatesCsv,
+  resolveInvoiceCurrency,
+  paymentExchangeRate,
+  inBaseCurrency,
+};
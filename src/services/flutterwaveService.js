@@ -0,0 +1,162 @@
+const axios = require("axios");
+const Payment = require("../models/Payment");
+const config = require("../config/env");
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${config.flutterwave.secretKey}`,
+});
+
+/**
+ * Start a Flutterwave checkout for an invoice and record a pending payment
+ * Used by the dashboard and by the public invoice page
+ * @param {Object} options
+ * @param {Object} options.invoice - Invoice document with client populated
+ * @param {number} options.amount - Amount to collect
+ * @param {Object} [options.customer] - { email, phone, name } overrides
+ * @param {string} options.redirectUrl - Where Flutterwave sends the payer back
+ * @param {Object} [options.meta] - Extra metadata stored with the transaction
+ * @param {string} [options.user] - User the payment is filed under (invoice owner by default)
+ * @param {string} [options.createdBy] - Team member starting the payment
+ * @returns {Promise<{paymentLink: string, transactionRef: string, payment: Object}>}
+ */
+const initializeInvoicePayment = async ({
+  invoice,
+  amount,
+  customer = {},
+  redirectUrl,
+  meta = {},
+  user = invoice.user,
+  createdBy,
+}) => {
+  const client = invoice.client || {};
+  const transactionRef = Payment.generateTransactionRef();
+
+  // Flutterwave payment payload
+  const payload = {
+    tx_ref: transactionRef,
+    amount,
+    currency: invoice.currency || "NGN",
+    redirect_url: redirectUrl,
+    customer: {
+      email: customer.email || client.email,
+      phone_number: customer.phone || client.phone,
+      name: customer.name || client.name,
+    },
+    customizations: {
+      title: `Payment for Invoice ${invoice.invoiceNumber}`,
+      description: `Invoice payment`,
+      logo: process.env.BUSINESS_LOGO || "",
+    },
+    meta: {
+      invoice_id: invoice._id.toString(),
+      user_id: user.toString(),
+      ...meta,
+    },
+  };
+
+  const response = await axios.post(
+    `${config.flutterwave.baseUrl}/payments`,
+    payload,
+    {
+      headers: { ...authHeaders(), "Content-Type": "application/json" },
+    }
+  );
+
+  // Create pending payment record
+  const payment = await Payment.create({
+    user,
+    organization: invoice.organization,
+    createdBy,
+    invoice: invoice._id,
+    client: client._id,
+    amount,
+    currency: invoice.currency,
+    method: "flutterwave",
+    gateway: "flutterwave",
+    transactionRef,
+    externalRef: response.data.data.id,
+    status: "pending",
+    gatewayResponse: response.data,
+  });
+
+  return {
+    paymentLink: response.data.data.link,
+    transactionRef,
+    payment,
+  };
+};
+
+/**
+ * Check a transaction with Flutterwave and settle the matching payment
+ * The payment is claimed atomically (pending -> processing) before it is
+ * settled, so when the redirect and a manual verify arrive together only one
+ * of them adds the money to the invoice. A transaction the gateway still
+ * reports as pending leaves the payment pending.
+ * @param {Object} payment - Payment document (status is kept in sync)
+ * @param {string} transactionId - Flutterwave transaction id
+ * @returns {Promise<boolean>} Whether the payment is completed
+ */
+const verifyPayment = async (payment, transactionId) => {
+  if (payment.status === "completed") return true;
+
+  const response = await axios.get(
+    `${config.flutterwave.baseUrl}/transactions/${transactionId}/verify`,
+    { headers: authHeaders() }
+  );
+
+  const { data } = response.data;
+
+  if (data.status === "pending") return false;
+
+  if (
+    data.status !== "successful" ||
+    data.tx_ref !== payment.transactionRef ||
+    // Invoices can be in any currency: the amount only counts in the
+    // payment's own currency
+    String(data.currency).toUpperCase() !==
+      String(payment.currency).toUpperCase() ||
+    data.amount < payment.amount
+  ) {
+    // Never overwrite a payment another request has settled meanwhile
+    await Payment.updateOne(
+      { _id: payment._id, status: "pending" },
+      { $set: { status: "failed", failedAt: new Date() } }
+    );
+    const current = await Payment.findById(payment._id).select("status");
+    payment.status = current ? current.status : "failed";
+    return payment.status === "completed";
+  }
+
+  // Claim the payment; whoever loses the race leaves it to the winner
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ["pending", "failed"] } },
+    { $set: { status: "processing" } }
+  );
+  if (!claimed) {
+    const current = await Payment.findById(payment._id).select("status");
+    payment.status = current ? current.status : payment.status;
+    return ["processing", "completed"].includes(payment.status);
+  }
+
+  payment.gatewayResponse = response.data;
+  payment.externalRef = data.id;
+
+  // Extract card details if available
+  if (data.card) {
+    payment.cardDetails = {
+      last4: data.card.last_4digits,
+      cardType: data.card.type,
+      cardBrand: data.card.issuer,
+    };
+  }
+
+  // A failure below leaves the payment "processing" for a manual check
+  // rather than releasing it to be counted again
+  await payment.markAsCompleted();
+  return true;
+};
+
+module.exports = {
+  initializeInvoicePayment,
+  verifyPayment,
+};
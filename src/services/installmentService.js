@@ -0,0 +1,143 @@
+const { roundMoney } = require("../utils/money");
+const { formatMoney } = require("../utils/formatters");
+
+// Most installments a payment schedule can have (deposit not counted)
+const MAX_INSTALLMENTS = 24;
+
+const isNumber = (value) => Number.isFinite(Number(value));
+
+/**
+ * Build the installments of an invoice's payment schedule
+ * An optional deposit takes a percentage of the total, due on the issue date
+ * unless given its own date. Each installment then takes a fixed amount, a
+ * percentage of the total, or an even share of what is left.
+ * @param {Object} schedule - { depositPercentage, depositDueDate, installments: [{ dueDate, amount, percentage, label }] }
+ * @param {Object} invoice - { total, currency, issueDate } where total excludes late fees
+ * @returns {{installments?: Array, dueDate?: Date, status?: number, message?: string}}
+ */
+const buildInstallments = (
+  schedule,
+  { total, currency, issueDate = new Date() }
+) => {
+  const invalid = (message) => ({ status: 400, message });
+  const round = (amount) => roundMoney(amount, currency);
+
+  if (!schedule || typeof schedule !== "object") {
+    return invalid("Payment schedule must be an object");
+  }
+
+  const { depositPercentage = 0, depositDueDate, installments } = schedule;
+
+  if (
+    !isNumber(depositPercentage) ||
+    Number(depositPercentage) < 0 ||
+    Number(depositPercentage) >= 100
+  ) {
+    return invalid("Deposit percentage must be at least 0 and below 100");
+  }
+  if (
+    !Array.isArray(installments) ||
+    installments.length === 0 ||
+    installments.length > MAX_INSTALLMENTS
+  ) {
+    return invalid(`Add between 1 and ${MAX_INSTALLMENTS} installments`);
+  }
+
+  const built = [];
+
+  if (Number(depositPercentage) > 0) {
+    const dueDate = new Date(depositDueDate || issueDate);
+    if (isNaN(dueDate.getTime())) {
+      return invalid("Deposit due date must be a valid date");
+    }
+    built.push({
+      label: "Deposit",
+      isDeposit: true,
+      amount: round((total * Number(depositPercentage)) / 100),
+      dueDate,
+    });
+  }
+
+  const lines = [];
+  for (let index = 0; index < installments.length; index++) {
+    const entry = installments[index] || {};
+    const name = `Installment ${index + 1}`;
+
+    const dueDate = new Date(entry.dueDate);
+    if (!entry.dueDate || isNaN(dueDate.getTime())) {
+      return invalid(`${name} needs a valid due date`);
+    }
+    const previous = lines[lines.length - 1] || built[0];
+    if (previous && dueDate < previous.dueDate) {
+      return invalid(`${name} cannot be due before the payment before it`);
+    }
+
+    let amount = null;
+    if (entry.amount !== undefined) {
+      if (!isNumber(entry.amount) || Number(entry.amount) <= 0) {
+        return invalid(`${name} amount must be greater than 0`);
+      }
+      amount = round(entry.amount);
+    } else if (entry.percentage !== undefined) {
+      if (
+        !isNumber(entry.percentage) ||
+        Number(entry.percentage) <= 0 ||
+        Number(entry.percentage) > 100
+      ) {
+        return invalid(`${name} percentage must be above 0 and at most 100`);
+      }
+      amount = round((total * Number(entry.percentage)) / 100);
+    }
+
+    lines.push({
+      label: entry.label ? String(entry.label).trim() : name,
+      amount,
+      dueDate,
+    });
+  }
+
+  // What the deposit and the fixed installments leave for the others
+  const left = round(
+    total -
+      [...built, ...lines].reduce((sum, line) => sum + (line.amount || 0), 0)
+  );
+  const shared = lines.filter((line) => line.amount === null);
+
+  if (left < 0) {
+    return invalid(
+      `The payment schedule adds up to more than the invoice total (${formatMoney(
+        total,
+        currency
+      )})`
+    );
+  }
+  if (shared.length === 0 && left !== 0) {
+    return invalid(
+      `The payment schedule must add up to the invoice total (${formatMoney(
+        total,
+        currency
+      )}), ${formatMoney(left, currency)} is not scheduled`
+    );
+  }
+
+  // Even shares, the last one taking the rounding difference
+  let assigned = 0;
+  shared.forEach((line, index) => {
+    line.amount =
+      index === shared.length - 1
+        ? round(left - assigned)
+        : round(left / shared.length);
+    assigned += line.amount;
+  });
+
+  const all = [...built, ...lines];
+  return {
+    installments: all,
+    dueDate: all[all.length - 1].dueDate,
+  };
+};
+
+module.exports = {
+  MAX_INSTALLMENTS,
+  buildInstallments,
+};
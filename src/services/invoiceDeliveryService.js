@@ -0,0 +1,204 @@
+const { Invoice } = require("../models/Invoice");
+const Client = require("../models/Client");
+const User = require("../models/User");
+const Organization = require("../models/Organization");
+const config = require("../config/env");
+const { sendTemplate } = require("./emailService");
+const { generateInvoicePdf } = require("./pdfService");
+const { formatMoney, formatDate } = require("../utils/formatters");
+
+// Attempts before a delivery is given up, and the wait after each failure
+const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+
+/**
+ * Pick the address an invoice goes to
+ * An explicit address wins, then the client's contact person, then the client
+ */
+const resolveRecipient = (client, override) => {
+  if (override) return String(override).trim().toLowerCase();
+  if (!client) return null;
+  return client.contactPerson?.email || client.email || null;
+};
+
+/**
+ * Public links of an invoice
+ * The view page lives in the frontend and loads the invoice from the API;
+ * the PDF and the email open tracking pixel are served by the API itself.
+ */
+const buildInvoiceLinks = (invoice) => {
+  const token = invoice.getPublicToken();
+  const base = `${config.apiUrl}/public/invoices/${token}`;
+
+  return {
+    token,
+    viewUrl: `${config.frontendUrl}/invoices/public/${token}`,
+    pdfUrl: `${base}/pdf`,
+    pixelUrl: `${base}/open.gif`,
+  };
+};
+
+/**
+ * Load the owner of the business an invoice belongs to (name, logo, address)
+ */
+const loadBusinessOwner = async (invoice) => {
+  const organization = invoice.organization
+    ? await Organization.findById(invoice.organization)
+    : null;
+
+  return User.findById(organization ? organization.owner : invoice.user).select(
+    "-password"
+  );
+};
+
+/**
+ * Email the invoice once and record the attempt
+ * Marks the invoice as sent only when the email was accepted; failures are
+ * scheduled for a retry until MAX_DELIVERY_ATTEMPTS is reached.
+ * @param {Object} invoice - Invoice document with delivery.recipient set
+ * @param {Object} [business] - Business owner (loaded when not given)
+ * @returns {Promise<{delivered: boolean, error?: string}>}
+ */
+const attemptDelivery = async (invoice, business) => {
+  const recipient = invoice.delivery.recipient;
+  const now = new Date();
+
+  try {
+    const owner = business || (await loadBusinessOwner(invoice));
+    const client =
+      invoice.client && invoice.client.name
+        ? invoice.client
+        : await Client.findById(invoice.client);
+
+    const pdf = await generateInvoicePdf(invoice, owner);
+    const { viewUrl, pixelUrl } = buildInvoiceLinks(invoice);
+
+    const { messageId } = await sendTemplate(
+      "invoice",
+      recipient,
+      {
+        businessName: owner.businessName,
+        clientName: client ? client.name : "",
+        invoiceNumber: invoice.invoiceNumber,
+        amountDue: formatMoney(invoice.amountDue, invoice.currency),
+        dueDate: formatDate(invoice.dueDate),
+        viewUrl,
+        pixelUrl,
+        message: invoice.delivery.message,
+      },
+      {
+        replyTo: owner.email,
+        attachments: [
+          {
+            filename: `${invoice.invoiceNumber}.pdf`,
+            content: pdf,
+            contentType: "application/pdf",
+          },
+        ],
+      }
+    );
+
+    invoice.deliveryAttempts.push({
+      recipient,
+      status: "sent",
+      messageId,
+      attemptedAt: now,
+    });
+    invoice.delivery.attempts += 1;
+    invoice.delivery.status = "delivered";
+    invoice.delivery.lastAttemptAt = now;
+    invoice.delivery.deliveredAt = now;
+    invoice.delivery.nextAttemptAt = undefined;
+    invoice.delivery.lastError = undefined;
+
+    // Saves the invoice along with the delivery record
+    await invoice.markAsSent();
+
+    return { delivered: true };
+  } catch (error) {
+    console.error(
+      `Invoice delivery failed (${invoice.invoiceNumber}):`,
+      error.message
+    );
+
+    invoice.deliveryAttempts.push({
+      recipient,
+      status: "failed",
+      error: error.message,
+      attemptedAt: now,
+    });
+    invoice.delivery.attempts += 1;
+    invoice.delivery.lastAttemptAt = now;
+    invoice.delivery.lastError = error.message;
+
+    if (invoice.delivery.attempts >= MAX_DELIVERY_ATTEMPTS) {
+      invoice.delivery.status = "failed";
+      invoice.delivery.nextAttemptAt = undefined;
+    } else {
+      const delay =
+        RETRY_DELAYS_MINUTES[
+          Math.min(invoice.delivery.attempts, RETRY_DELAYS_MINUTES.length) - 1
+        ];
+      invoice.delivery.status = "retrying";
+      invoice.delivery.nextAttemptAt = new Date(
+        now.getTime() + delay * 60 * 1000
+      );
+    }
+
+    await invoice.save();
+
+    return { delivered: false, error: error.message };
+  }
+};
+
+/**
+ * Start a new delivery of an invoice and make the first attempt
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options - { recipient, requestedBy, message, business }
+ */
+const deliverInvoice = (
+  invoice,
+  { recipient, requestedBy, message, business }
+) => {
+  invoice.delivery = {
+    status: "pending",
+    recipient,
+    attempts: 0,
+    requestedBy,
+    message,
+  };
+
+  return attemptDelivery(invoice, business);
+};
+
+/**
+ * Retry deliveries whose next attempt is due (run by the scheduler)
+ * @returns {Promise<{processed: number, delivered: number}>}
+ */
+const retryPendingDeliveries = async (limit = 20) => {
+  const invoices = await Invoice.find({
+    "delivery.status": "retrying",
+    "delivery.nextAttemptAt": { $lte: new Date() },
+    status: { $ne: "cancelled" },
+  })
+    .sort({ "delivery.nextAttemptAt": 1 })
+    .limit(limit);
+
+  let delivered = 0;
+  for (const invoice of invoices) {
+    const result = await attemptDelivery(invoice);
+    if (result.delivered) delivered += 1;
+  }
+
+  return { processed: invoices.length, delivered };
+};
+
+module.exports = {
+  MAX_DELIVERY_ATTEMPTS,
+  resolveRecipient,
+  buildInvoiceLinks,
+  loadBusinessOwner,
+  deliverInvoice,
+  attemptDelivery,
+  retryPendingDeliveries,
+};
@@ -0,0 +1,316 @@
+const { Invoice } = require("../models/Invoice");
+const Client = require("../models/Client");
+const Organization = require("../models/Organization");
+const { sendTemplate } = require("./emailService");
+const {
+  resolveRecipient,
+  buildInvoiceLinks,
+  loadBusinessOwner,
+} = require("./invoiceDeliveryService");
+const { formatMoney, formatDate } = require("../utils/formatters");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Invoices that went out to the client and still wait for payment
+const REMINDABLE_STATUSES = ["sent", "viewed", "partial", "overdue"];
+
+/**
+ * Mark unpaid invoices past their due date, or with an unpaid installment past
+ * its due date, as overdue
+ * @returns {Promise<number>} Number of invoices that became overdue
+ */
+const markOverdueInvoices = async (now = new Date()) => {
+  const lateInstallment = {
+    dueDate: { $lt: now },
+    status: { $in: ["pending", "partial"] },
+  };
+
+  const result = await Invoice.updateMany(
+    {
+      status: { $in: ["sent", "viewed", "partial"] },
+      amountDue: { $gt: 0 },
+      $or: [
+        { dueDate: { $lt: now } },
+        { installments: { $elemMatch: lateInstallment } },
+      ],
+    },
+    { $set: { status: "overdue" } }
+  );
+
+  // Installments are tracked as overdue one by one
+  await Invoice.updateMany(
+    { amountDue: { $gt: 0 }, installments: { $elemMatch: lateInstallment } },
+    { $set: { "installments.$[late].status": "overdue" } },
+    {
+      arrayFilters: [
+        {
+          "late.dueDate": lateInstallment.dueDate,
+          "late.status": lateInstallment.status,
+        },
+      ],
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * What a reminder is about: the next unpaid installment of an invoice with a
+ * payment schedule, otherwise the invoice itself
+ * @param {Object} invoice - Invoice document
+ * @returns {Object} { installment, dueDate, remindersSent, lastReminderAt }
+ */
+const reminderTarget = (invoice) => {
+  const installment =
+    invoice.installments && invoice.installments.length > 0
+      ? invoice.nextInstallment()
+      : null;
+  const source = installment || invoice;
+
+  return {
+    installment,
+    dueDate: source.dueDate,
+    remindersSent: source.remindersSent || 0,
+    lastReminderAt: source.lastReminderAt,
+  };
+};
+
+/**
+ * Find the reminder an invoice is due for under a business's schedule
+ * Only the latest reminder date that passed since the last reminder (or since
+ * the invoice was sent) counts, so a missed run never sends a burst of emails.
+ * With a payment schedule the reminders follow the next unpaid installment.
+ * @param {Object} invoice - Invoice document
+ * @param {Object} schedule - { daysBefore, onDueDate, repeatAfterDays, maxReminders }
+ * @returns {Date|null} Reminder date, null when no reminder is due
+ */
+const findDueReminder = (invoice, schedule, now = new Date()) => {
+  const target = reminderTarget(invoice);
+  if (target.remindersSent >= schedule.maxReminders) return null;
+
+  const due = new Date(target.dueDate).getTime();
+  const dates = schedule.daysBefore.map((days) => due - days * DAY_MS);
+
+  if (schedule.onDueDate) dates.push(due);
+
+  // Most recent repeat after the due date
+  if (schedule.repeatAfterDays > 0) {
+    const interval = schedule.repeatAfterDays * DAY_MS;
+    const repeats = Math.floor((now.getTime() - due) / interval);
+    if (repeats >= 1) dates.push(due + repeats * interval);
+  }
+
+  const passed = dates.filter((date) => date <= now.getTime());
+  if (passed.length === 0) return null;
+
+  const latest = Math.max(...passed);
+  const since = target.lastReminderAt || invoice.sentAt || invoice.issueDate;
+  if (since && latest <= new Date(since).getTime()) return null;
+
+  return new Date(latest);
+};
+
+/**
+ * Email a payment reminder for an invoice and count it
+ * The reminder is counted before sending so two runs can't both remind the
+ * client; the count is given back when the email fails. With a payment
+ * schedule the email asks for the next unpaid installment.
+ * @param {Object} invoice - Invoice document
+ * @param {Object} [options] - { recipient, business }
+ * @returns {Promise<Object|null>} Invoice, null when another reminder went out meanwhile
+ */
+const sendInvoiceReminder = async (invoice, { recipient, business } = {}) => {
+  const owner = business || (await loadBusinessOwner(invoice));
+  const client =
+    invoice.client && invoice.client.name
+      ? invoice.client
+      : await Client.findById(invoice.client);
+
+  const to = recipient || resolveRecipient(client);
+  if (!to) {
+    throw new Error("The client has no email address to remind");
+  }
+
+  const now = new Date();
+  const { installment } = reminderTarget(invoice);
+
+  const claimed = await Invoice.findOneAndUpdate(
+    installment
+      ? {
+          _id: invoice._id,
+          installments: {
+            $elemMatch: {
+              _id: installment._id,
+              remindersSent: installment.remindersSent,
+            },
+          },
+        }
+      : { _id: invoice._id, remindersSent: invoice.remindersSent },
+    installment
+      ? {
+          $inc: { "installments.$.remindersSent": 1, remindersSent: 1 },
+          $set: { "installments.$.lastReminderAt": now, lastReminderAt: now },
+        }
+      : { $inc: { remindersSent: 1 }, $set: { lastReminderAt: now } },
+    { new: true }
+  );
+
+  if (!claimed) return null;
+
+  const dueDate = installment ? installment.dueDate : invoice.dueDate;
+  const amountDue = installment
+    ? Math.min(invoice.amountDue, installment.amount - installment.amountPaid)
+    : invoice.amountDue;
+
+  try {
+    const { viewUrl } = buildInvoiceLinks(invoice);
+
+    await sendTemplate(
+      "invoiceReminder",
+      to,
+      {
+        businessName: owner.businessName,
+        clientName: client ? client.name : "",
+        invoiceNumber: invoice.invoiceNumber,
+        installment: installment ? installment.label : null,
+        amountDue: formatMoney(amountDue, invoice.currency),
+        dueDate: formatDate(dueDate),
+        daysOverdue: Math.floor(
+          (now.getTime() - new Date(dueDate).getTime()) / DAY_MS
+        ),
+        viewUrl,
+      },
+      { replyTo: owner.email }
+    );
+  } catch (error) {
+    const rollback = invoice.lastReminderAt
+      ? {
+          $inc: { remindersSent: -1 },
+          $set: { lastReminderAt: invoice.lastReminderAt },
+        }
+      : { $inc: { remindersSent: -1 }, $unset: { lastReminderAt: 1 } };
+
+    if (installment) {
+      rollback.$inc["installments.$.remindersSent"] = -1;
+      if (installment.lastReminderAt) {
+        rollback.$set = {
+          ...rollback.$set,
+          "installments.$.lastReminderAt": installment.lastReminderAt,
+        };
+      } else {
+        rollback.$unset = {
+          ...rollback.$unset,
+          "installments.$.lastReminderAt": 1,
+        };
+      }
+    }
+
+    await Invoice.updateOne(
+      installment
+        ? { _id: invoice._id, "installments._id": installment._id }
+        : { _id: invoice._id },
+      rollback
+    );
+    throw error;
+  }
+
+  invoice.remindersSent = claimed.remindersSent;
+  invoice.lastReminderAt = claimed.lastReminderAt;
+  if (installment) {
+    const updated = claimed.installments.id(installment._id);
+    installment.remindersSent = updated.remindersSent;
+    installment.lastReminderAt = updated.lastReminderAt;
+  }
+
+  return invoice;
+};
+
+/**
+ * Sweep overdue invoices and send the reminders that are due (run by the
+ * scheduler)
+ * Businesses whose owner turned off invoiceDue notifications are skipped.
+ * @returns {Promise<{overdue: number, reminded: number, failed: number}>}
+ */
+const processInvoiceReminders = async () => {
+  const now = new Date();
+  const overdue = await markOverdueInvoices(now);
+
+  const organizations = await Organization.find({ status: "active" }).populate(
+    "owner",
+    "-password"
+  );
+
+  let reminded = 0;
+  let failed = 0;
+
+  for (const organization of organizations) {
+    const owner = organization.owner;
+    if (!owner || owner.settings?.notifications?.invoiceDue === false) {
+      continue;
+    }
+
+    // Same rule as sending a reminder by hand: only verified senders email
+    // clients
+    if (!owner.emailVerified) {
+      continue;
+    }
+
+    const schedule = organization.invoiceReminders;
+    const earliest = Math.max(0, ...schedule.daysBefore);
+
+    const horizon = new Date(now.getTime() + earliest * DAY_MS);
+
+    const invoices = await Invoice.find({
+      organization: organization._id,
+      status: { $in: REMINDABLE_STATUSES },
+      amountDue: { $gt: 0 },
+      $or: [
+        {
+          "installments.0": { $exists: false },
+          remindersSent: { $lt: schedule.maxReminders },
+          dueDate: { $lte: horizon },
+        },
+        {
+          installments: {
+            $elemMatch: {
+              status: { $ne: "paid" },
+              remindersSent: { $lt: schedule.maxReminders },
+              dueDate: { $lte: horizon },
+            },
+          },
+        },
+      ],
+    }).populate("client");
+
+    for (const invoice of invoices) {
+      if (!findDueReminder(invoice, schedule, now)) continue;
+
+      const recipient = resolveRecipient(invoice.client);
+      if (!recipient) continue;
+
+      try {
+        const result = await sendInvoiceReminder(invoice, {
+          recipient,
+          business: owner,
+        });
+        if (result) reminded += 1;
+      } catch (error) {
+        failed += 1;
+        console.error(
+          `Invoice reminder failed (${invoice.invoiceNumber}):`,
+          error.message
+        );
+      }
+    }
+  }
+
+  return { overdue, reminded, failed };
+};
+
+module.exports = {
+  REMINDABLE_STATUSES,
+  markOverdueInvoices,
+  findDueReminder,
+  sendInvoiceReminder,
+  processInvoiceReminders,
+};
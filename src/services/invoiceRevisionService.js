@@ -0,0 +1,212 @@
+const { Invoice, InvoiceItem } = require("../models/Invoice");
+const InvoiceRevision = require("../models/InvoiceRevision");
+
+// Invoice fields kept in a revision
+const HEADER_FIELDS = [
+  "client",
+  "title",
+  "currency",
+  "exchangeRate",
+  "issueDate",
+  "dueDate",
+  "taxRate",
+  "taxInclusive",
+  "discount",
+  "discountType",
+  "discountAmount",
+  "shippingFee",
+  "subtotal",
+  "taxAmount",
+  "total",
+  "notes",
+  "termsAndConditions",
+  "status",
+  "installments",
+];
+
+// Line fields kept in a revision
+const ITEM_FIELDS = [
+  "description",
+  "quantity",
+  "unit",
+  "unitPrice",
+  "discount",
+  "discountType",
+  "taxRate",
+  "taxes",
+  "subtotal",
+  "total",
+];
+
+// Plain JSON copy (ids and dates as strings) so snapshots compare as values
+const toPlain = (value) =>
+  value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+const pick = (source, fields) =>
+  fields.reduce((picked, field) => {
+    picked[field] = toPlain(source[field]);
+    return picked;
+  }, {});
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Whether changes to an invoice are recorded as revisions (once it was sent)
+ * @param {Object} invoice - Invoice document
+ * @returns {boolean}
+ */
+const isTracked = (invoice) =>
+  Boolean(invoice.sentAt) || invoice.status !== "draft";
+
+/**
+ * Lock that stops an invoice from being edited under a business's settings
+ * Paid invoices are always locked.
+ * @param {Object} invoice - Invoice document
+ * @param {Object} [locking] - { lockAfter } from the organization
+ * @returns {string|null} Why the invoice is locked, null when it can be edited
+ */
+const findInvoiceLock = (invoice, locking = {}) => {
+  const lockAfter = locking.lockAfter || "paid";
+
+  if (invoice.status === "paid") {
+    return "Paid invoices are locked.";
+  }
+  if (lockAfter === "payment" && invoice.amountPaid > 0) {
+    return "Invoices with payments are locked.";
+  }
+  if (lockAfter === "sent" && isTracked(invoice)) {
+    return "Sent invoices are locked.";
+  }
+
+  return null;
+};
+
+/**
+ * Snapshot of an invoice's header and lines
+ * @param {Object} invoice - Invoice document
+ * @param {Array} [items] - Lines, loaded from the invoice when not given
+ * @returns {Promise<{header: Object, items: Array}>}
+ */
+const snapshotInvoice = async (invoice, items) => {
+  const lines =
+    items ||
+    (await InvoiceItem.find({ invoice: invoice._id }).sort({ _id: 1 }));
+
+  return {
+    header: pick(invoice, HEADER_FIELDS),
+    items: lines.map((item) => pick(item, ITEM_FIELDS)),
+  };
+};
+
+/**
+ * Differences between two invoice snapshots
+ * Lines are compared by position.
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {{fields: Array, items: Array}} Changed header fields
+ * ({ field, from, to }) and changed lines ({ line, change, fields })
+ */
+const diffSnapshots = (from, to) => {
+  const fields = HEADER_FIELDS.filter(
+    (field) => !sameValue(from.header[field], to.header[field])
+  ).map((field) => ({
+    field,
+    from: from.header[field] ?? null,
+    to: to.header[field] ?? null,
+  }));
+
+  const items = [];
+  const count = Math.max(from.items.length, to.items.length);
+  for (let index = 0; index < count; index++) {
+    const before = from.items[index];
+    const after = to.items[index];
+    const line = index + 1;
+
+    if (!before) {
+      items.push({ line, change: "added", item: after });
+    } else if (!after) {
+      items.push({ line, change: "removed", item: before });
+    } else {
+      const changed = ITEM_FIELDS.filter(
+        (field) => !sameValue(before[field], after[field])
+      ).map((field) => ({
+        field,
+        from: before[field] ?? null,
+        to: after[field] ?? null,
+      }));
+      if (changed.length > 0) {
+        items.push({ line, change: "changed", fields: changed });
+      }
+    }
+  }
+
+  return { fields, items };
+};
+
+/**
+ * Names of what changed between two snapshots ("items" for any line change)
+ * @returns {string[]}
+ */
+const changedFields = (from, to) => {
+  const { fields, items } = diffSnapshots(from, to);
+  return [
+    ...fields.map((change) => change.field),
+    ...(items.length > 0 ? ["items"] : []),
+  ];
+};
+
+/**
+ * Record an invoice revision under the next revision number
+ * The number is taken atomically from the invoice's revision counter.
+ * @param {Object} invoice - Invoice document (its revision is updated)
+ * @param {Object} snapshot - From snapshotInvoice
+ * @param {Object} [options] - { changedBy, reason, changes }
+ * @returns {Promise<Object>} Invoice revision
+ */
+const recordRevision = async (invoice, snapshot, options = {}) => {
+  const { revision } = await Invoice.findByIdAndUpdate(
+    invoice._id,
+    { $inc: { revision: 1 } },
+    { new: true, select: "revision" }
+  );
+  invoice.revision = revision;
+
+  return InvoiceRevision.create({
+    organization: invoice.organization,
+    invoice: invoice._id,
+    revision,
+    changedBy: options.changedBy,
+    reason: options.reason,
+    changes: options.changes || [],
+    snapshot,
+  });
+};
+
+/**
+ * Record a change to a sent invoice
+ * An invoice changed for the first time also gets revision 1, the invoice as
+ * it was before the change. Nothing is recorded when nothing changed.
+ * @param {Object} invoice - Saved invoice document
+ * @param {Object} before - Snapshot taken before the change
+ * @param {Object} options - { changedBy, reason }
+ * @returns {Promise<Object|null>} New revision, null when nothing changed
+ */
+const recordInvoiceChange = async (invoice, before, { changedBy, reason }) => {
+  const after = await snapshotInvoice(invoice);
+  const changes = changedFields(before, after);
+  if (changes.length === 0) return null;
+
+  if (!invoice.revision) {
+    await recordRevision(invoice, before, { reason: "As sent" });
+  }
+
+  return recordRevision(invoice, after, { changedBy, reason, changes });
+};
+
+module.exports = {
+  findInvoiceLock,
+  isTracked,
+  snapshotInvoice,
+  diffSnapshots,
+  recordInvoiceChange,
+};
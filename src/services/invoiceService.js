@@ -0,0 +1,208 @@
+const { Invoice, InvoiceItem } = require("../models/Invoice");
+const Inventory = require("../models/Inventory");
+const { calculatePricing } = require("../utils/pricing");
+const { nextDocumentNumber } = require("./numberingService");
+const { resolveInvoiceCurrency } = require("./exchangeRateService");
+
+/**
+ * Price the lines of an invoice and set its subtotal, discount and taxes
+ * The pre-save hook adds these up into the total.
+ * @param {Object} invoice - Invoice document
+ * @param {Array} items - Plain item objects
+ * @returns {Array} Items with their priced amounts, ready to be saved
+ */
+const priceInvoice = (invoice, items) => {
+  const pricing = calculatePricing({
+    items,
+    taxRate: invoice.taxRate,
+    discount: invoice.discount,
+    discountType: invoice.discountType,
+    taxInclusive: invoice.taxInclusive,
+    shippingFee: invoice.shippingFee,
+    currency: invoice.currency,
+  });
+
+  invoice.subtotal = pricing.subtotal;
+  invoice.discountAmount = pricing.discountAmount;
+  invoice.taxAmount = pricing.taxAmount;
+  invoice.taxBreakdown = pricing.taxBreakdown;
+
+  return pricing.items.map((item) => ({
+    invoice: invoice._id,
+    description: item.description,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    unit: item.unit,
+    taxRate: item.taxRate,
+    taxes: item.taxes,
+    discount: item.discount,
+    discountType: item.discountType,
+    subtotal: item.subtotal,
+    allocatedDiscount: item.allocatedDiscount,
+    taxAmount: item.taxAmount,
+    total: item.total,
+    inventoryItem: item.inventoryItem,
+  }));
+};
+
+/**
+ * Build the invoice query for the list filters of the invoices API
+ * Shared by the invoice list and bulk actions so both select the same
+ * invoices.
+ * @param {string} organizationId - Business the invoices belong to
+ * @param {Object} filters - { status, client, startDate, endDate, minAmount, maxAmount, search }
+ * @returns {Object} Mongo query
+ */
+const buildInvoiceFilter = (
+  organizationId,
+  { status, client, startDate, endDate, minAmount, maxAmount, search } = {}
+) => {
+  const query = { organization: organizationId };
+
+  if (status) {
+    if (status.includes(",")) {
+      query.status = { $in: status.split(",") };
+    } else {
+      query.status = status;
+    }
+  }
+
+  if (client) query.client = client;
+
+  if (startDate || endDate) {
+    query.issueDate = {};
+    if (startDate) query.issueDate.$gte = new Date(startDate);
+    if (endDate) query.issueDate.$lte = new Date(endDate);
+  }
+
+  if (minAmount || maxAmount) {
+    query.total = {};
+    if (minAmount) query.total.$gte = parseFloat(minAmount);
+    if (maxAmount) query.total.$lte = parseFloat(maxAmount);
+  }
+
+  if (search) {
+    query.$or = [
+      { invoiceNumber: { $regex: search, $options: "i" } },
+      { notes: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  return query;
+};
+
+/**
+ * Create an invoice with its items
+ * Shared by the invoices API and the recurring invoice scheduler so both
+ * number, total and destock invoices the same way. The client must already
+ * be checked to belong to the organization.
+ * @param {Object} data
+ * @param {string} data.userId - User creating the invoice
+ * @param {string} data.organizationId - Business the invoice belongs to
+ * @param {string} data.client - Client id
+ * @param {Array} [data.items] - { description, quantity, unitPrice, unit, taxRate, taxes, discount, discountType, inventoryItem }
+ * @param {string} [data.currency] - Invoice currency (base currency by default)
+ * @param {number} [data.exchangeRate] - Rate to snapshot instead of the business's rate table
+ * @param {Array} [data.installments] - Payment schedule from installmentService.buildInstallments
+ * @param {string} [data.recurringInvoice] - Schedule that generated the invoice
+ * @param {string} [data.estimate] - Estimate the invoice is converted from
+ * @returns {Promise<Object>} Created invoice
+ */
+const createInvoiceWithItems = async ({
+  userId,
+  organizationId,
+  client,
+  items,
+  currency,
+  exchangeRate,
+  taxRate,
+  discount,
+  discountType,
+  taxInclusive,
+  shippingFee,
+  issueDate,
+  dueDate,
+  installments,
+  notes,
+  termsAndConditions,
+  recurringInvoice,
+  estimate,
+}) => {
+  // Snapshot the exchange rate the invoice is issued at
+  const pricedIn = await resolveInvoiceCurrency(organizationId, {
+    currency,
+    date: issueDate,
+    exchangeRate,
+  });
+  if (pricedIn.message) {
+    throw new Error(pricedIn.message);
+  }
+
+  // Generate invoice number
+  const invoiceNumber = await nextDocumentNumber(
+    organizationId,
+    "invoice",
+    issueDate
+  );
+
+  const invoice = new Invoice({
+    user: userId,
+    organization: organizationId,
+    client,
+    invoiceNumber,
+    currency: pricedIn.currency,
+    baseCurrency: pricedIn.baseCurrency,
+    exchangeRate: pricedIn.exchangeRate,
+    taxRate: taxRate || 0,
+    discount: discount || 0,
+    discountType: discountType || "percentage",
+    taxInclusive: Boolean(taxInclusive),
+    shippingFee: shippingFee || 0,
+    issueDate: issueDate || new Date(),
+    dueDate: dueDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days default
+    installments: installments || [],
+    notes,
+    termsAndConditions,
+    recurringInvoice,
+    estimate,
+  });
+
+  // Estimate and schedule lines are subdocuments; price plain copies
+  const pricedItems = priceInvoice(
+    invoice,
+    (items || []).map((item) => (item.toObject ? item.toObject() : item))
+  );
+  await invoice.save();
+
+  // Create invoice items
+  if (pricedItems.length > 0) {
+    await InvoiceItem.insertMany(pricedItems);
+
+    // Update inventory if linked
+    for (const item of items) {
+      if (item.inventoryItem) {
+        const inventoryItem = await Inventory.findOne({
+          _id: item.inventoryItem,
+          organization: organizationId,
+        });
+        if (inventoryItem && inventoryItem.trackInventory) {
+          await inventoryItem.reduceStock(
+            item.quantity,
+            "sale",
+            invoice._id.toString(),
+            `Invoice ${invoiceNumber}`,
+            userId
+          );
+        }
+      }
+    }
+  }
+
+  return invoice;
+};
+
+module.exports = {
+  priceInvoice,
+  buildInvoiceFilter,
+  createInvoiceWithItems,
+};
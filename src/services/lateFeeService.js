@@ -0,0 +1,129 @@
+const { Invoice } = require("../models/Invoice");
+const Organization = require("../models/Organization");
+const { roundMoney } = require("../utils/money");
+const { formatNumber } = require("../utils/formatters");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Work out the late fee an overdue invoice is due for under a business's rule
+ * Fees are counted in periods from the end of the grace days. Each period is
+ * charged at most once (a waived fee counts as charged) and periods missed
+ * while the job was not running are not charged afterwards. With a payment
+ * schedule the grace days run from the earliest unpaid installment.
+ * @param {Object} invoice - Invoice document
+ * @param {Object} rule - { feeType, amount, frequency, periodDays, graceDays, maxTotal }
+ * @returns {{amount: number, period: number, description: string}|null}
+ */
+const calculateLateFee = (invoice, rule, now = new Date()) => {
+  if (!(rule.amount > 0) || invoice.amountDue <= 0) return null;
+
+  const feeStart =
+    new Date(invoice.nextDueDate()).getTime() + rule.graceDays * DAY_MS;
+  if (now.getTime() <= feeStart) return null;
+
+  const period =
+    rule.frequency === "recurring"
+      ? Math.floor((now.getTime() - feeStart) / (rule.periodDays * DAY_MS))
+      : 0;
+
+  const charged =
+    rule.frequency === "recurring"
+      ? invoice.lateFees.some((fee) => fee.period === period)
+      : invoice.lateFees.length > 0;
+  if (charged) return null;
+
+  // Percentage fees apply to the overdue balance, not to earlier fees; on a
+  // payment schedule only the installments past their due date are overdue
+  let overdueBalance = Math.max(0, invoice.amountDue - invoice.lateFeeTotal);
+  if (invoice.installments && invoice.installments.length > 0) {
+    overdueBalance = invoice.installments
+      .filter((installment) => installment.dueDate < now)
+      .reduce(
+        (sum, installment) =>
+          sum + Math.max(0, installment.amount - installment.amountPaid),
+        0
+      );
+  }
+  let amount =
+    rule.feeType === "percentage"
+      ? (overdueBalance * rule.amount) / 100
+      : rule.amount;
+
+  if (rule.maxTotal > 0) {
+    amount = Math.min(amount, rule.maxTotal - invoice.lateFeeTotal);
+  }
+
+  amount = roundMoney(amount, invoice.currency);
+  if (amount <= 0) return null;
+
+  return {
+    amount,
+    period,
+    description:
+      rule.feeType === "percentage"
+        ? `Late fee (${formatNumber(rule.amount)}% of overdue balance)`
+        : "Late fee",
+  };
+};
+
+/**
+ * Add the late fees that are due to overdue invoices (run by the scheduler)
+ * The invoice pre-save hook adds the fees to the total and amount due.
+ * @returns {Promise<{applied: number}>}
+ */
+const applyLateFees = async () => {
+  const now = new Date();
+
+  const organizations = await Organization.find({
+    status: "active",
+    "lateFees.enabled": true,
+  });
+
+  let applied = 0;
+
+  for (const organization of organizations) {
+    const rule = organization.lateFees;
+    const graceEnd = new Date(now.getTime() - rule.graceDays * DAY_MS);
+
+    const invoices = await Invoice.find({
+      organization: organization._id,
+      status: "overdue",
+      amountDue: { $gt: 0 },
+      $or: [
+        { dueDate: { $lt: graceEnd } },
+        {
+          installments: {
+            $elemMatch: {
+              dueDate: { $lt: graceEnd },
+              status: { $ne: "paid" },
+            },
+          },
+        },
+      ],
+    });
+
+    for (const invoice of invoices) {
+      const fee = calculateLateFee(invoice, rule, now);
+      if (!fee) continue;
+
+      try {
+        invoice.lateFees.push({ ...fee, appliedAt: now });
+        await invoice.save();
+        applied += 1;
+      } catch (error) {
+        console.error(
+          `Late fee failed (${invoice.invoiceNumber}):`,
+          error.message
+        );
+      }
+    }
+  }
+
+  return { applied };
+};
+
+module.exports = {
+  calculateLateFee,
+  applyLateFees,
+};
@@ -0,0 +1,227 @@
+const mongoose = require("mongoose");
+const config = require("../config/env");
+const Counter = require("../models/Counter");
+const Organization = require("../models/Organization");
+
+const NUMBERING_RESETS = ["yearly", "never"];
+
+// Tokens a numbering pattern can use; {SEQ} is padded with zeros
+const PATTERN_TOKENS = ["PREFIX", "YYYY", "YY", "MM", "SEQ"];
+
+const DEFAULT_PATTERN = "{PREFIX}-{YYYY}-{SEQ}";
+
+// Documents numbered per business, with where their numbers are kept
+const DOCUMENT_TYPES = {
+  invoice: {
+    model: "Invoice",
+    field: "invoiceNumber",
+    defaults: {
+      prefix: config.business.invoicePrefix,
+      start: config.business.invoiceNumberStart,
+    },
+  },
+  receipt: {
+    model: "Payment",
+    field: "receiptNumber",
+    defaults: { prefix: "RCP", pattern: "{PREFIX}-{YYYY}{MM}-{SEQ}" },
+  },
+  estimate: {
+    model: "Estimate",
+    field: "estimateNumber",
+    defaults: { prefix: "EST" },
+  },
+  creditNote: {
+    model: "CreditNote",
+    field: "creditNoteNumber",
+    defaults: { prefix: "CN" },
+  },
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Numbering settings of a document type, the business's choices over the defaults
+ * @param {Object|null} organization - Organization with its numbering settings
+ * @param {string} type - invoice | receipt | estimate | creditNote
+ * @returns {{prefix: string, pattern: string, padding: number, reset: string, start: number}}
+ */
+const getNumberingSettings = (organization, type) => {
+  const defaults = {
+    prefix: "",
+    pattern: DEFAULT_PATTERN,
+    padding: 4,
+    reset: "yearly",
+    start: 1,
+    ...DOCUMENT_TYPES[type].defaults,
+  };
+  const custom = (organization && organization.numbering?.[type]) || {};
+
+  return Object.keys(defaults).reduce((settings, field) => {
+    settings[field] = custom[field] ?? defaults[field];
+    return settings;
+  }, {});
+};
+
+/**
+ * Build a document number from a pattern
+ * @param {Object} settings - From getNumberingSettings
+ * @param {number} seq - Sequence number
+ * @param {Date} [date] - Date the number is issued
+ */
+const formatDocumentNumber = (settings, seq, date = new Date()) => {
+  const values = {
+    PREFIX: settings.prefix,
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: String(date.getMonth() + 1).padStart(2, "0"),
+    SEQ: String(seq).padStart(settings.padding, "0"),
+  };
+  return settings.pattern.replace(/\{(\w+)\}/g, (token, name) =>
+    name in values ? values[name] : token
+  );
+};
+
+/**
+ * Check numbering settings of one document type
+ * @param {Object} settings - Merged settings
+ * @returns {string|null} Error message
+ */
+const validateNumberingSettings = ({
+  prefix,
+  pattern,
+  padding,
+  reset,
+  start,
+}) => {
+  if (typeof prefix !== "string" || !/^[A-Za-z0-9/_-]{0,20}$/.test(prefix)) {
+    return "Prefix can have up to 20 letters, numbers, dashes, slashes or underscores";
+  }
+  if (typeof pattern !== "string" || pattern.length > 50) {
+    return "Pattern must be text of up to 50 characters";
+  }
+
+  const tokens = pattern.match(/\{[^}]*\}/g) || [];
+  const unknown = tokens.find(
+    (token) => !PATTERN_TOKENS.includes(token.slice(1, -1))
+  );
+  if (unknown) {
+    return `Unknown token ${unknown}. Use ${PATTERN_TOKENS.map(
+      (token) => `{${token}}`
+    ).join(", ")}`;
+  }
+  if (tokens.filter((token) => token === "{SEQ}").length !== 1) {
+    return "Pattern must contain {SEQ} exactly once";
+  }
+  if (!NUMBERING_RESETS.includes(reset)) {
+    return `Reset must be one of: ${NUMBERING_RESETS.join(", ")}`;
+  }
+  // A yearly sequence starts again at the same numbers every year
+  if (
+    reset === "yearly" &&
+    !tokens.includes("{YYYY}") &&
+    !tokens.includes("{YY}")
+  ) {
+    return "A sequence that resets yearly needs {YYYY} or {YY} in the pattern";
+  }
+  if (!(Number.isInteger(padding) && padding >= 1 && padding <= 10)) {
+    return "Padding must be a whole number between 1 and 10";
+  }
+  if (!(Number.isInteger(start) && start >= 1)) {
+    return "Start must be a whole number of at least 1";
+  }
+
+  return null;
+};
+
+/**
+ * Highest sequence already used by numbers of the pattern in the period
+ * Lets a business carry on from numbers issued before it had a counter.
+ */
+const findLastUsedSequence = async (organizationId, type, settings, date) => {
+  const { model, field } = DOCUMENT_TYPES[type];
+  const year = settings.reset === "yearly" ? String(date.getFullYear()) : null;
+
+  const patterns = {
+    PREFIX: escapeRegex(settings.prefix),
+    YYYY: year || "\\d{4}",
+    YY: year ? year.slice(-2) : "\\d{2}",
+    MM: "\\d{2}",
+    SEQ: "(\\d+)",
+  };
+  const source = settings.pattern
+    .split(/(\{\w+\})/)
+    .map((part) => {
+      const token = part.match(/^\{(\w+)\}$/);
+      return token && token[1] in patterns
+        ? patterns[token[1]]
+        : escapeRegex(part);
+    })
+    .join("");
+  const regex = new RegExp(`^${source}$`);
+
+  const documents = await mongoose
+    .model(model)
+    .find({ organization: organizationId, [field]: regex })
+    .select(field)
+    .lean();
+
+  return documents.reduce((max, document) => {
+    const seq = parseInt(document[field].match(regex)[1], 10);
+    return seq > max ? seq : max;
+  }, 0);
+};
+
+/**
+ * Take the next number of a business's sequence
+ * Numbers come from an atomic counter, so concurrent documents never get the
+ * same number.
+ * @param {string} organizationId - Business
+ * @param {string} type - invoice | receipt | estimate | creditNote
+ * @param {Date} [date] - Date the document is issued
+ * @returns {Promise<string>}
+ */
+const nextDocumentNumber = async (organizationId, type, date = new Date()) => {
+  const organization = await Organization.findById(organizationId).select(
+    "numbering"
+  );
+  const settings = getNumberingSettings(organization, type);
+  const period =
+    settings.reset === "yearly" ? String(date.getFullYear()) : "all";
+
+  let seq = await Counter.nextSequence(organizationId, type, period, {
+    start: settings.start,
+  });
+
+  if (seq === null) {
+    const floor = await findLastUsedSequence(
+      organizationId,
+      type,
+      settings,
+      date
+    );
+    try {
+      seq = await Counter.nextSequence(organizationId, type, period, {
+        start: settings.start,
+        floor,
+        upsert: true,
+      });
+    } catch (error) {
+      // Another request created the counter first
+      if (error.code !== 11000) throw error;
+      seq = await Counter.nextSequence(organizationId, type, period, {
+        start: settings.start,
+      });
+    }
+  }
+
+  return formatDocumentNumber(settings, seq, date);
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  NUMBERING_RESETS,
+  getNumberingSettings,
+  formatDocumentNumber,
+  validateNumberingSettings,
+  nextDocumentNumber,
+};
@@ -0,0 +1,533 @@
+const PDFDocument = require("pdfkit");
+const { InvoiceItem } = require("../models/Invoice");
+const Client = require("../models/Client");
+const {
+  formatMoney,
+  formatDate,
+  formatNumber,
+} = require("../utils/formatters");
+
+/**
+ * Invoice PDF rendering
+ * The layout only depends on the data passed in: fixed fonts, positions and
+ * document metadata (dates come from the invoice, not the clock), so the same
+ * invoice always produces the same bytes and can be snapshot-tested.
+ */
+
+const PAGE_MARGIN = 50;
+const PAGE_WIDTH = 595.28; // A4
+const PAGE_HEIGHT = 841.89;
+const CONTENT_WIDTH = PAGE_WIDTH - PAGE_MARGIN * 2;
+const FOOTER_HEIGHT = 30;
+
+const COLORS = {
+  text: "#1f2937",
+  muted: "#6b7280",
+  border: "#e5e7eb",
+  accent: "#2563eb",
+  headerBg: "#f3f4f6",
+};
+
+// Item table columns: x offset from the left margin and width
+const COLUMNS = [
+  { key: "description", label: "Description", x: 0, width: 215 },
+  { key: "quantity", label: "Qty", x: 215, width: 50, align: "right" },
+  { key: "unitPrice", label: "Unit Price", x: 265, width: 90, align: "right" },
+  { key: "discount", label: "Discount", x: 355, width: 60, align: "right" },
+  { key: "subtotal", label: "Amount", x: 415, width: 80, align: "right" },
+];
+const CELL_PADDING = 5;
+
+const MAX_LOGO_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Join the parts of a business address
+ */
+const formatAddress = (address = {}) => {
+  return [
+    address.street,
+    address.city,
+    address.state,
+    address.country,
+    address.postalCode,
+  ]
+    .filter(Boolean)
+    .join(", ");
+};
+
+/**
+ * Discount of an invoice in currency (worked out again for invoices priced
+ * before the pricing engine stored it)
+ */
+const invoiceDiscountAmount = (invoice) => {
+  if (invoice.discountAmount !== undefined) return invoice.discountAmount;
+  if (!invoice.discount) return 0;
+  return invoice.discountType === "percentage"
+    ? (invoice.subtotal * invoice.discount) / 100
+    : invoice.discount;
+};
+
+/**
+ * Load the business logo as an image buffer
+ * Only PNG/JPEG data URIs are used: the server never fetches remote URLs
+ * (internal addresses, and a layout that would depend on the network).
+ * Anything else is skipped so a broken logo never prevents the invoice from
+ * rendering.
+ * @param {string} logo - businessInfo.logo
+ * @returns {Buffer|null}
+ */
+const loadLogo = (logo) => {
+  const dataUri =
+    typeof logo === "string" &&
+    /^data:image\/(png|jpe?g);base64,([A-Za-z0-9+/=\s]+)$/i.exec(logo);
+  if (!dataUri) return null;
+
+  const image = Buffer.from(dataUri[2], "base64");
+  return image.length > 0 && image.length <= MAX_LOGO_BYTES ? image : null;
+};
+
+/**
+ * Draw the business block (left) and invoice details (right)
+ */
+const drawHeader = (doc, { invoice, business, logo }) => {
+  const top = PAGE_MARGIN;
+  let y = top;
+
+  if (logo) {
+    try {
+      doc.image(logo, PAGE_MARGIN, y, { fit: [120, 60] });
+      y += 70;
+    } catch (error) {
+      // Not a PNG/JPEG image, render without it
+    }
+  }
+
+  const info = business.businessInfo || {};
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(14)
+    .fillColor(COLORS.text)
+    .text(business.businessName || "", PAGE_MARGIN, y, { width: 260 });
+
+  doc.font("Helvetica").fontSize(9).fillColor(COLORS.muted);
+  [
+    formatAddress(info.address),
+    business.email,
+    business.phone,
+    info.website,
+    info.taxId ? `Tax ID: ${info.taxId}` : null,
+  ]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line, { width: 260 }));
+  const leftBottom = doc.y;
+
+  // Invoice details, right aligned
+  const rightX = PAGE_MARGIN + 280;
+  const rightWidth = CONTENT_WIDTH - 280;
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(22)
+    .fillColor(COLORS.accent)
+    .text("INVOICE", rightX, top, { width: rightWidth, align: "right" });
+
+  doc.font("Helvetica").fontSize(10).fillColor(COLORS.text);
+  [
+    `Invoice #: ${invoice.invoiceNumber}`,
+    `Issue date: ${formatDate(invoice.issueDate)}`,
+    `Due date: ${formatDate(invoice.dueDate)}`,
+    `Status: ${String(invoice.status || "").toUpperCase()}`,
+  ].forEach((line) => doc.text(line, { width: rightWidth, align: "right" }));
+
+  if (invoice.title) {
+    doc
+      .font("Helvetica-Oblique")
+      .text(invoice.title, { width: rightWidth, align: "right" });
+  }
+
+  return Math.max(leftBottom, doc.y) + 20;
+};
+
+/**
+ * Draw the client block
+ */
+const drawBillTo = (doc, client, y) => {
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(10)
+    .fillColor(COLORS.muted)
+    .text("BILL TO", PAGE_MARGIN, y);
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(11)
+    .fillColor(COLORS.text)
+    .text(client.name || "", { width: 300 });
+
+  doc.font("Helvetica").fontSize(9).fillColor(COLORS.text);
+  [
+    client.contactPerson && client.contactPerson.name
+      ? `Attn: ${client.contactPerson.name}`
+      : null,
+    client.fullAddress,
+    client.email,
+    client.phone,
+    client.taxId ? `Tax ID: ${client.taxId}` : null,
+  ]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line, { width: 300 }));
+
+  return doc.y + 20;
+};
+
+const drawTableHeader = (doc, y) => {
+  doc.rect(PAGE_MARGIN, y, CONTENT_WIDTH, 20).fill(COLORS.headerBg);
+  doc.font("Helvetica-Bold").fontSize(9).fillColor(COLORS.text);
+  COLUMNS.forEach((column) => {
+    doc.text(column.label, PAGE_MARGIN + column.x + CELL_PADDING, y + 6, {
+      width: column.width - CELL_PADDING * 2,
+      align: column.align || "left",
+    });
+  });
+  return y + 20;
+};
+
+/**
+ * Cell values of an item row
+ */
+const itemCells = (item, currency) => ({
+  description:
+    item.unit && item.unit !== "unit"
+      ? `${item.description} (${item.unit})`
+      : item.description,
+  quantity: formatNumber(item.quantity),
+  unitPrice: formatMoney(item.unitPrice, currency),
+  discount: item.discount
+    ? item.discountType === "percentage"
+      ? `${formatNumber(item.discount)}%`
+      : formatMoney(item.discount, currency)
+    : "-",
+  subtotal: formatMoney(item.subtotal, currency),
+});
+
+/**
+ * Draw the items table, continuing on new pages when needed
+ */
+const drawItems = (doc, items, currency, y) => {
+  y = drawTableHeader(doc, y);
+  doc.font("Helvetica").fontSize(9);
+
+  items.forEach((item) => {
+    const cells = itemCells(item, currency);
+    const rowHeight =
+      Math.max(
+        ...COLUMNS.map((column) =>
+          doc.heightOfString(cells[column.key], {
+            width: column.width - CELL_PADDING * 2,
+          })
+        )
+      ) +
+      CELL_PADDING * 2;
+
+    if (y + rowHeight > PAGE_HEIGHT - PAGE_MARGIN - FOOTER_HEIGHT) {
+      doc.addPage();
+      y = drawTableHeader(doc, PAGE_MARGIN);
+      doc.font("Helvetica").fontSize(9);
+    }
+
+    doc.fillColor(COLORS.text);
+    COLUMNS.forEach((column) => {
+      doc.text(
+        cells[column.key],
+        PAGE_MARGIN + column.x + CELL_PADDING,
+        y + CELL_PADDING,
+        {
+          width: column.width - CELL_PADDING * 2,
+          align: column.align || "left",
+        }
+      );
+    });
+
+    y += rowHeight;
+    doc
+      .moveTo(PAGE_MARGIN, y)
+      .lineTo(PAGE_MARGIN + CONTENT_WIDTH, y)
+      .lineWidth(0.5)
+      .strokeColor(COLORS.border)
+      .stroke();
+  });
+
+  return y + 15;
+};
+
+/**
+ * Draw subtotal, discount, tax, shipping, total, payments and balance
+ */
+const drawTotals = (doc, invoice, y) => {
+  const currency = invoice.currency;
+  const rows = [["Subtotal", formatMoney(invoice.subtotal, currency)]];
+
+  const discount = invoiceDiscountAmount(invoice);
+  if (discount > 0) {
+    const label =
+      invoice.discountType === "percentage"
+        ? `Discount (${formatNumber(invoice.discount)}%)`
+        : "Discount";
+    rows.push([label, formatMoney(-discount, currency)]);
+  }
+  // Inclusive taxes are already in the prices and only shown for reference
+  if (invoice.taxBreakdown && invoice.taxBreakdown.length > 0) {
+    invoice.taxBreakdown.forEach((tax) => {
+      rows.push([
+        `${invoice.taxInclusive ? "Incl. " : ""}${tax.name} (${formatNumber(
+          tax.rate
+        )}%)`,
+        formatMoney(tax.taxAmount, currency),
+      ]);
+    });
+  } else if (invoice.taxAmount > 0 || invoice.taxRate > 0) {
+    rows.push([
+      `Tax (${formatNumber(invoice.taxRate)}%)`,
+      formatMoney(invoice.taxAmount, currency),
+    ]);
+  }
+  if (invoice.shippingFee > 0) {
+    rows.push(["Shipping", formatMoney(invoice.shippingFee, currency)]);
+  }
+  (invoice.lateFees || [])
+    .filter((fee) => !fee.waived)
+    .forEach((fee) => {
+      rows.push([
+        fee.description || "Late fee",
+        formatMoney(fee.amount, currency),
+      ]);
+    });
+  rows.push(["Total", formatMoney(invoice.total, currency), true]);
+  if (invoice.amountPaid > 0) {
+    rows.push(["Amount paid", formatMoney(-invoice.amountPaid, currency)]);
+  }
+  if (invoice.amountCredited > 0) {
+    rows.push(["Credited", formatMoney(-invoice.amountCredited, currency)]);
+  }
+  rows.push(["Balance due", formatMoney(invoice.amountDue, currency), true]);
+
+  const needed = rows.length * 18;
+  if (y + needed > PAGE_HEIGHT - PAGE_MARGIN - FOOTER_HEIGHT) {
+    doc.addPage();
+    y = PAGE_MARGIN;
+  }
+
+  const labelX = PAGE_MARGIN + 265;
+  rows.forEach(([label, value, bold]) => {
+    doc
+      .font(bold ? "Helvetica-Bold" : "Helvetica")
+      .fontSize(bold ? 11 : 10)
+      .fillColor(COLORS.text);
+    doc.text(label, labelX, y, { width: 110 });
+    doc.text(value, labelX + 110, y, { width: 120, align: "right" });
+    y += 18;
+  });
+
+  return y + 15;
+};
+
+/**
+ * Status of an installment as printed on the schedule
+ */
+const installmentStatus = (installment, currency) => {
+  if (installment.status === "paid") return "Paid";
+  const paid =
+    installment.amountPaid > 0
+      ? ` (${formatMoney(installment.amountPaid, currency)} paid)`
+      : "";
+  return `${installment.status === "overdue" ? "Overdue" : "Due"}${paid}`;
+};
+
+/**
+ * Draw the payment schedule of an invoice paid in installments
+ */
+const drawSchedule = (doc, invoice, y) => {
+  const installments = invoice.installments || [];
+  if (installments.length === 0) return y;
+
+  const currency = invoice.currency;
+  const needed = 38 + installments.length * 16;
+  if (y + Math.min(needed, 100) > PAGE_HEIGHT - PAGE_MARGIN - FOOTER_HEIGHT) {
+    doc.addPage();
+    y = PAGE_MARGIN;
+  }
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(10)
+    .fillColor(COLORS.text)
+    .text("Payment Schedule", PAGE_MARGIN, y);
+  y += 18;
+
+  const columns = [
+    { x: 0, width: 180 },
+    { x: 180, width: 100 },
+    { x: 280, width: 100, align: "right" },
+    { x: 390, width: 105 },
+  ];
+  installments.forEach((installment) => {
+    if (y + 16 > PAGE_HEIGHT - PAGE_MARGIN - FOOTER_HEIGHT) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+
+    doc.font("Helvetica").fontSize(9).fillColor(COLORS.text);
+    [
+      installment.label,
+      formatDate(installment.dueDate),
+      formatMoney(installment.amount, currency),
+      installmentStatus(installment, currency),
+    ].forEach((text, index) => {
+      doc.text(text || "", PAGE_MARGIN + columns[index].x, y, {
+        width: columns[index].width,
+        align: columns[index].align || "left",
+        lineBreak: false,
+      });
+    });
+    y += 16;
+  });
+
+  return y + 15;
+};
+
+/**
+ * Draw notes and terms
+ */
+const drawNotes = (doc, invoice, y) => {
+  [
+    ["Notes", invoice.notes],
+    ["Terms & Conditions", invoice.termsAndConditions],
+  ]
+    .filter(([, text]) => text)
+    .forEach(([title, text]) => {
+      const height = doc.heightOfString(text, { width: CONTENT_WIDTH }) + 20;
+      if (y + height > PAGE_HEIGHT - PAGE_MARGIN - FOOTER_HEIGHT) {
+        doc.addPage();
+        y = PAGE_MARGIN;
+      }
+
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(10)
+        .fillColor(COLORS.text)
+        .text(title, PAGE_MARGIN, y);
+      doc
+        .font("Helvetica")
+        .fontSize(9)
+        .fillColor(COLORS.muted)
+        .text(text, { width: CONTENT_WIDTH });
+      y = doc.y + 15;
+    });
+
+  return y;
+};
+
+/**
+ * Number every page once the content is laid out
+ */
+const drawFooters = (doc, invoice) => {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+
+    // Writing inside the bottom margin would otherwise start a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor(COLORS.muted)
+      .text(
+        `${invoice.invoiceNumber} - Page ${i + 1} of ${range.count}`,
+        PAGE_MARGIN,
+        PAGE_HEIGHT - PAGE_MARGIN + 10,
+        { width: CONTENT_WIDTH, align: "center", lineBreak: false }
+      );
+    doc.page.margins.bottom = bottomMargin;
+  }
+};
+
+/**
+ * Render an invoice to a PDF buffer
+ * @param {Object} data
+ * @param {Object} data.invoice - Invoice document
+ * @param {Array} data.items - Invoice items
+ * @param {Object} data.client - Client document (uses the fullAddress virtual)
+ * @param {Object} data.business - Business owner (businessName, email, phone, businessInfo)
+ * @param {Buffer} [data.logo] - Logo image (see loadLogo)
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = ({ invoice, items, client, business, logo }) => {
+  return new Promise((resolve, reject) => {
+    // Fixed metadata keeps the output byte-for-byte reproducible
+    const timestamp = new Date(invoice.updatedAt || invoice.issueDate);
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: PAGE_MARGIN,
+      bufferPages: true,
+      info: {
+        Title: `Invoice ${invoice.invoiceNumber}`,
+        Author: business.businessName,
+        Subject: `Invoice for ${client.name}`,
+        Producer: "Script Business Management",
+        Creator: "Script Business Management",
+        CreationDate: timestamp,
+        ModDate: timestamp,
+      },
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      let y = drawHeader(doc, { invoice, business, logo });
+      y = drawBillTo(doc, client, y);
+      y = drawItems(doc, items, invoice.currency, y);
+      y = drawTotals(doc, invoice, y);
+      y = drawSchedule(doc, invoice, y);
+      drawNotes(doc, invoice, y);
+      drawFooters(doc, invoice);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Load everything an invoice PDF needs and render it
+ * @param {Object} invoice - Invoice document (client may be populated)
+ * @param {Object} business - Business owner user document
+ * @returns {Promise<Buffer>}
+ */
+const generateInvoicePdf = async (invoice, business) => {
+  const client =
+    invoice.client && invoice.client.name
+      ? invoice.client
+      : await Client.findById(invoice.client);
+  const items = await InvoiceItem.find({ invoice: invoice._id }).sort({
+    createdAt: 1,
+    _id: 1,
+  });
+  const logo = loadLogo(business.businessInfo?.logo);
+
+  return renderInvoicePdf({
+    invoice,
+    items,
+    client: client || { name: "" },
+    business,
+    logo,
+  });
+};
+
+module.exports = {
+  loadLogo,
+  renderInvoicePdf,
+  generateInvoicePdf,
+};
@@ -0,0 +1,158 @@
+const RecurringInvoice = require("../models/RecurringInvoice");
+const Client = require("../models/Client");
+const { createInvoiceWithItems } = require("./invoiceService");
+const {
+  resolveRecipient,
+  deliverInvoice,
+} = require("./invoiceDeliveryService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add an entry to a schedule's history without touching the rest of it
+ */
+const recordRun = (schedule, entry) =>
+  RecurringInvoice.updateOne(
+    { _id: schedule._id },
+    { $push: { history: { generatedAt: new Date(), ...entry } } }
+  );
+
+/**
+ * Generate the invoice of a schedule's current run
+ * The run is claimed atomically first (moving nextRunAt on), so a run is
+ * never invoiced twice even when several processes run the scheduler.
+ * @param {Object} schedule - RecurringInvoice document
+ * @returns {Promise<Object|null>} Generated invoice, null when the run was
+ * already taken or the invoice could not be created
+ */
+const generateInvoice = async (schedule) => {
+  const scheduledFor = schedule.nextRunAt;
+  const nextRunAt = schedule.getRunAfter(
+    scheduledFor,
+    schedule.occurrencesCount + 1
+  );
+
+  const claimed = await RecurringInvoice.findOneAndUpdate(
+    { _id: schedule._id, status: "active", nextRunAt: scheduledFor },
+    {
+      $set: {
+        nextRunAt,
+        lastRunAt: new Date(),
+        status: nextRunAt ? "active" : "completed",
+      },
+      $inc: { occurrencesCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (!claimed) return null;
+
+  try {
+    const client = await Client.findOne({
+      _id: claimed.client,
+      organization: claimed.organization,
+    });
+
+    // Nothing to bill any more; stop until the schedule is fixed
+    if (!client) {
+      await RecurringInvoice.updateOne(
+        { _id: claimed._id },
+        { $set: { status: "paused", pausedAt: new Date() } }
+      );
+      await recordRun(claimed, {
+        scheduledFor,
+        status: "failed",
+        error: "Client no longer exists, schedule paused",
+      });
+      return null;
+    }
+
+    const invoice = await createInvoiceWithItems({
+      userId: claimed.createdBy || claimed.user,
+      organizationId: claimed.organization,
+      client: client._id,
+      items: claimed.items,
+      taxRate: claimed.taxRate,
+      discount: claimed.discount,
+      discountType: claimed.discountType,
+      taxInclusive: claimed.taxInclusive,
+      shippingFee: claimed.shippingFee,
+      issueDate: scheduledFor,
+      dueDate: new Date(
+        scheduledFor.getTime() + claimed.paymentTermsDays * DAY_MS
+      ),
+      notes: claimed.notes,
+      termsAndConditions: claimed.termsAndConditions,
+      recurringInvoice: claimed._id,
+    });
+
+    let sent;
+    let error;
+    if (claimed.autoSend) {
+      const recipient = resolveRecipient(client);
+      if (recipient) {
+        // Failed emails are retried by the delivery job; the invoice exists
+        // either way, so a sending error does not fail the run
+        try {
+          const result = await deliverInvoice(invoice, {
+            recipient,
+            requestedBy: claimed.createdBy,
+          });
+          sent = result.delivered;
+          error = result.error;
+        } catch (deliveryError) {
+          sent = false;
+          error = deliveryError.message;
+        }
+      } else {
+        sent = false;
+        error = "The client has no email address to send the invoice to";
+      }
+    }
+
+    await recordRun(claimed, {
+      invoice: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      scheduledFor,
+      status: "generated",
+      total: invoice.total,
+      sent,
+      error,
+    });
+
+    return invoice;
+  } catch (error) {
+    console.error(
+      `Recurring invoice generation failed (${claimed._id}):`,
+      error.message
+    );
+    await recordRun(claimed, {
+      scheduledFor,
+      status: "failed",
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+/**
+ * Generate invoices for every schedule that is due (run by the scheduler)
+ * Schedules that fell several runs behind catch up one run per pass.
+ * @returns {Promise<{processed: number, generated: number}>}
+ */
+const processDueSchedules = async (limit = 20) => {
+  const schedules = await RecurringInvoice.findDue(limit);
+
+  let generated = 0;
+  for (const schedule of schedules) {
+    const invoice = await generateInvoice(schedule);
+    if (invoice) generated += 1;
+  }
+
+  return { processed: schedules.length, generated };
+};
+
+module.exports = {
+  generateInvoice,
+  processDueSchedules,
+};
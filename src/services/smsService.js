@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const config = require("../config/env");
+
+/**
+ * Providers
+ * A provider is an object with `send({ to, body })` resolving to
+ * { messageId }. The console provider is a local stub so development and
+ * tests never reach a real SMS gateway; it is refused anywhere else.
+ */
+const providerFactories = {
+  console: () => ({
+    name: "console",
+    send: async ({ to, body }) => {
+      const messageId = `console-${crypto.randomUUID()}`;
+      console.log(`📱 SMS to ${to}: ${body}`);
+      return { messageId };
+    },
+  }),
+
+  twilio: () => {
+    const { accountSid, authToken } = config.sms.twilio;
+    if (!accountSid || !authToken) {
+      throw new Error("Twilio credentials are not configured");
+    }
+
+    return {
+      name: "twilio",
+      send: async ({ to, body }) => {
+        const response = await axios.post(
+          `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+          new URLSearchParams({ To: to, From: config.sms.from, Body: body }),
+          { auth: { username: accountSid, password: authToken } }
+        );
+        return { messageId: response.data.sid };
+      },
+    };
+  },
+};
+
+let provider = null;
+
+/**
+ * Get the active provider (created on first use)
+ */
+const getProvider = () => {
+  if (!provider) {
+    const factory = providerFactories[config.sms.provider];
+    if (!factory) {
+      throw new Error(`Unknown SMS provider: ${config.sms.provider}`);
+    }
+    if (
+      config.sms.provider === "console" &&
+      !["development", "test"].includes(config.env)
+    ) {
+      throw new Error(
+        "The console SMS provider is only allowed in development and tests"
+      );
+    }
+    provider = factory();
+  }
+  return provider;
+};
+
+/**
+ * Replace the active provider (e.g. another gateway or a test double)
+ * @param {{send: Function}} customProvider
+ */
+const setProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+/**
+ * Send a text message
+ * @param {string} to - Recipient phone number
+ * @param {string} body - Message text
+ * @returns {Promise<{messageId: string}>}
+ */
+const sendSms = async (to, body) => {
+  if (!to) {
+    throw new Error("SMS recipient is required");
+  }
+
+  return getProvider().send({ to, body });
+};
+
+/**
+ * Send a one-time login code
+ */
+const sendLoginCode = (phone, code, expiresInMinutes) => {
+  return sendSms(
+    phone,
+    `${code} is your Script Business Management login code. It expires in ${expiresInMinutes} minutes. Never share this code.`
+  );
+};
+
+module.exports = {
+  sendSms,
+  sendLoginCode,
+  setProvider,
+  getProvider,
+};
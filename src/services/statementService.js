@@ -0,0 +1,153 @@
+const { Invoice } = require("../models/Invoice");
+const Payment = require("../models/Payment");
+const CreditNote = require("../models/CreditNote");
+const { roundMoney } = require("../utils/money");
+
+/**
+ * Build the account statement of a client
+ * Invoices are charged on their issue date; payments, refunds and credit
+ * notes are entered on the day they happened. Everything before the start
+ * date is carried in the opening balance. A negative balance means the
+ * business owes the client (credit).
+ * @param {Object} client - Client document
+ * @param {Object} [range] - { startDate, endDate }
+ * @returns {Promise<Object>} Statement with opening balance, entries and totals
+ */
+const buildClientStatement = async (client, { startDate, endDate } = {}) => {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : null;
+
+  const invoices = await Invoice.find({
+    organization: client.organization,
+    client: client._id,
+    status: { $nin: ["draft", "cancelled"] },
+    issueDate: { $lte: end },
+  }).select("invoiceNumber issueDate dueDate total currency");
+
+  const payments = await Payment.find({
+    organization: client.organization,
+    status: { $in: ["completed", "refunded"] },
+    paymentDate: { $lte: end },
+    $or: [
+      { client: client._id },
+      { invoice: { $in: invoices.map((invoice) => invoice._id) } },
+    ],
+  })
+    .populate("invoice", "invoiceNumber")
+    .select("amount method paymentDate receiptNumber transactionRef refund");
+
+  const creditNotes = await CreditNote.find({
+    organization: client.organization,
+    client: client._id,
+    issueDate: { $lte: end },
+  })
+    .populate("invoice", "invoiceNumber")
+    .select("creditNoteNumber issueDate total reason");
+
+  const entries = [];
+
+  invoices.forEach((invoice) => {
+    entries.push({
+      date: invoice.issueDate,
+      type: "invoice",
+      document: invoice._id,
+      reference: invoice.invoiceNumber,
+      description: `Invoice due ${invoice.dueDate.toISOString().slice(0, 10)}`,
+      debit: invoice.total,
+      credit: 0,
+    });
+  });
+
+  payments.forEach((payment) => {
+    const invoiceNumber = payment.invoice?.invoiceNumber;
+    entries.push({
+      date: payment.paymentDate,
+      type: "payment",
+      document: payment._id,
+      reference: payment.receiptNumber || payment.transactionRef,
+      description: invoiceNumber
+        ? `Payment for ${invoiceNumber}`
+        : "Payment received",
+      debit: 0,
+      credit: payment.amount,
+    });
+
+    if (payment.refund?.amount > 0 && payment.refund.refundDate <= end) {
+      entries.push({
+        date: payment.refund.refundDate,
+        type: "refund",
+        document: payment._id,
+        reference: payment.refund.refundReference,
+        description: "Payment refunded",
+        debit: payment.refund.amount,
+        credit: 0,
+      });
+    }
+  });
+
+  creditNotes.forEach((creditNote) => {
+    const invoiceNumber = creditNote.invoice?.invoiceNumber;
+    entries.push({
+      date: creditNote.issueDate,
+      type: "credit_note",
+      document: creditNote._id,
+      reference: creditNote.creditNoteNumber,
+      description: invoiceNumber
+        ? `Credit note for ${invoiceNumber}`
+        : "Credit note",
+      debit: 0,
+      credit: creditNote.total,
+    });
+  });
+
+  entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  // Carry everything before the period into the opening balance
+  let openingBalance = 0;
+  const periodEntries = entries.filter((entry) => {
+    if (start && entry.date < start) {
+      openingBalance += entry.debit - entry.credit;
+      return false;
+    }
+    return true;
+  });
+
+  let balance = roundMoney(openingBalance);
+  const totals = { invoiced: 0, paid: 0, refunded: 0, credited: 0 };
+  const totalKeys = {
+    invoice: "invoiced",
+    payment: "paid",
+    refund: "refunded",
+    credit_note: "credited",
+  };
+
+  periodEntries.forEach((entry) => {
+    balance = roundMoney(balance + entry.debit - entry.credit);
+    entry.balance = balance;
+    totals[totalKeys[entry.type]] += entry.debit || entry.credit;
+  });
+
+  Object.keys(totals).forEach((key) => {
+    totals[key] = roundMoney(totals[key]);
+  });
+
+  return {
+    client: {
+      _id: client._id,
+      name: client.name,
+      email: client.email,
+      phone: client.phone,
+      address: client.fullAddress,
+      creditBalance: client.creditBalance,
+    },
+    period: { startDate: start, endDate: end },
+    openingBalance: roundMoney(openingBalance),
+    entries: periodEntries,
+    totals,
+    closingBalance: balance,
+  };
+};
+
+module.exports = {
+  buildClientStatement,
+};
@@ -0,0 +1,196 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const config = require("../config/env");
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) =>
+  crypto.createHmac("sha256", key).update(data).digest();
+
+/**
+ * Drivers
+ * A driver is an object with `put(key, data, { contentType })`, `get(key)`
+ * resolving to a Buffer (null when missing) and `remove(key)`. Keys are
+ * slash separated paths made by the callers, never user input.
+ */
+const driverFactories = {
+  local: () => {
+    const root = path.resolve(config.storage.localDir);
+
+    // Keys must stay inside the storage directory
+    const fileOf = (key) => {
+      const file = path.resolve(root, key);
+      if (!file.startsWith(root + path.sep)) {
+        throw new Error("Invalid storage key");
+      }
+      return file;
+    };
+
+    return {
+      name: "local",
+      put: async (key, data) => {
+        const file = fileOf(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, data);
+      },
+      get: async (key) => {
+        try {
+          return await fs.promises.readFile(fileOf(key));
+        } catch (error) {
+          if (error.code === "ENOENT") return null;
+          throw error;
+        }
+      },
+      remove: async (key) => {
+        await fs.promises.rm(fileOf(key), { force: true });
+      },
+    };
+  },
+
+  s3: () => {
+    const {
+      bucket,
+      region,
+      endpoint,
+      forcePathStyle,
+      accessKeyId,
+      secretAccessKey,
+    } = config.storage.s3;
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error("S3 storage is not configured");
+    }
+
+    const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+
+    // Request signed with AWS Signature Version 4
+    const request = (method, key, { data, contentType } = {}) => {
+      const pathname = `${forcePathStyle ? `/${bucket}` : ""}/${key
+        .split("/")
+        .map(encodeURIComponent)
+        .join("/")}`;
+      const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+      const dateStamp = amzDate.slice(0, 8);
+      const payloadHash = sha256(data || "");
+
+      const headers = {
+        host,
+        "x-amz-content-sha256": payloadHash,
+        "x-amz-date": amzDate,
+      };
+      if (contentType) headers["content-type"] = contentType;
+
+      const signedHeaders = Object.keys(headers).sort();
+      const canonicalRequest = [
+        method,
+        pathname,
+        "",
+        signedHeaders.map((name) => `${name}:${headers[name]}\n`).join(""),
+        signedHeaders.join(";"),
+        payloadHash,
+      ].join("\n");
+
+      const scope = `${dateStamp}/${region}/s3/aws4_request`;
+      const stringToSign = [
+        "AWS4-HMAC-SHA256",
+        amzDate,
+        scope,
+        sha256(canonicalRequest),
+      ].join("\n");
+      const signingKey = [region, "s3", "aws4_request"].reduce(
+        (signing, part) => hmac(signing, part),
+        hmac(`AWS4${secretAccessKey}`, dateStamp)
+      );
+      const signature = crypto
+        .createHmac("sha256", signingKey)
+        .update(stringToSign)
+        .digest("hex");
+
+      delete headers.host;
+      headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(
+        ";"
+      )}, Signature=${signature}`;
+
+      return axios({
+        method,
+        url: `${base.protocol}//${host}${pathname}`,
+        headers,
+        data,
+        responseType: "arraybuffer",
+        maxBodyLength: Infinity,
+      });
+    };
+
+    return {
+      name: "s3",
+      put: async (key, data, { contentType } = {}) => {
+        await request("PUT", key, { data, contentType });
+      },
+      get: async (key) => {
+        try {
+          const response = await request("GET", key);
+          return Buffer.from(response.data);
+        } catch (error) {
+          if (error.response && error.response.status === 404) return null;
+          throw error;
+        }
+      },
+      remove: async (key) => {
+        await request("DELETE", key);
+      },
+    };
+  },
+};
+
+let driver = null;
+
+/**
+ * Get the active driver (created on first use)
+ */
+const getStorage = () => {
+  if (!driver) {
+    const factory = driverFactories[config.storage.driver];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+    }
+    driver = factory();
+  }
+  return driver;
+};
+
+/**
+ * Replace the active driver (e.g. another backend or a test double)
+ * @param {{put: Function, get: Function, remove: Function}} customDriver
+ */
+const setStorage = (customDriver) => {
+  driver = customDriver;
+};
+
+/**
+ * Store a file
+ * @param {string} key - Path of the file in the storage
+ * @param {Buffer} data - File contents
+ * @param {Object} [options] - { contentType }
+ */
+const saveFile = (key, data, options = {}) =>
+  getStorage().put(key, data, options);
+
+/**
+ * Read a stored file
+ * @returns {Promise<Buffer|null>} Contents, null when the file is missing
+ */
+const readFile = (key) => getStorage().get(key);
+
+/**
+ * Delete a stored file (no error when it is already gone)
+ */
+const deleteFile = (key) => getStorage().remove(key);
+
+module.exports = {
+  saveFile,
+  readFile,
+  deleteFile,
+  setStorage,
+  getStorage,
+};
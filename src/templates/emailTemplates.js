@@ -0,0 +1,321 @@
+/**
+ * Email templates
+ * Each template returns { subject, html, text } so every message has a
+ * plain-text alternative for clients that do not render HTML.
+ */
+
+const APP_NAME = "Script Business Management";
+
+/**
+ * Escape values interpolated into HTML
+ */
+const escapeHtml = (value) => {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
+
+/**
+ * Shared HTML layout
+ * @param {string} title - Heading shown at the top of the email
+ * @param {string} body - Inner HTML (already escaped)
+ */
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:0;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0;">
+      <tr>
+        <td align="center">
+          <table width="560" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;padding:32px;">
+            <tr>
+              <td>
+                <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(
+                  title
+                )}</h1>
+                ${body}
+                <p style="font-size:12px;color:#6b7280;margin-top:32px;">${APP_NAME}</p>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+/**
+ * Call-to-action button
+ */
+const button = (url, label) =>
+  `<p style="margin:24px 0;"><a href="${escapeHtml(
+    url
+  )}" style="background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block;">${escapeHtml(
+    label
+  )}</a></p>
+<p style="font-size:12px;color:#6b7280;">If the button does not work, copy this link into your browser:<br />${escapeHtml(
+    url
+  )}</p>`;
+
+const paragraph = (text) =>
+  `<p style="font-size:14px;line-height:1.5;">${escapeHtml(text)}</p>`;
+
+const templates = {
+  verifyEmail: ({ name, verifyUrl, expiresInHours = 24 }) => {
+    const greeting = `Hi ${name},`;
+    const intro = `Please confirm your email address to finish setting up your ${APP_NAME} account.`;
+    const expiry = `This link expires in ${expiresInHours} hours.`;
+
+    return {
+      subject: "Verify your email address",
+      html: layout(
+        "Verify your email address",
+        paragraph(greeting) +
+          paragraph(intro) +
+          button(verifyUrl, "Verify email") +
+          paragraph(expiry)
+      ),
+      text: `${greeting}\n\n${intro}\n\n${verifyUrl}\n\n${expiry}`,
+    };
+  },
+
+  passwordReset: ({ name, resetUrl, expiresInMinutes = 60 }) => {
+    const greeting = `Hi ${name},`;
+    const intro =
+      "We received a request to reset your password. Use the link below to choose a new one.";
+    const expiry = `This link expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email.`;
+
+    return {
+      subject: "Reset your password",
+      html: layout(
+        "Reset your password",
+        paragraph(greeting) +
+          paragraph(intro) +
+          button(resetUrl, "Reset password") +
+          paragraph(expiry)
+      ),
+      text: `${greeting}\n\n${intro}\n\n${resetUrl}\n\n${expiry}`,
+    };
+  },
+
+  passwordChanged: ({ name, changedAt, ipAddress }) => {
+    const greeting = `Hi ${name},`;
+    const intro = `The password for your ${APP_NAME} account was changed on ${new Date(
+      changedAt
+    ).toUTCString()}${ipAddress ? ` from IP address ${ipAddress}` : ""}.`;
+    const warning =
+      "If you did not make this change, reset your password immediately and contact support. All other devices have been signed out.";
+
+    return {
+      subject: "Your password was changed",
+      html: layout(
+        "Your password was changed",
+        paragraph(greeting) + paragraph(intro) + paragraph(warning)
+      ),
+      text: `${greeting}\n\n${intro}\n\n${warning}`,
+    };
+  },
+
+  magicLink: ({ name, loginUrl, expiresInMinutes = 15 }) => {
+    const greeting = `Hi ${name},`;
+    const intro = `Use the link below to sign in to ${APP_NAME}. It can only be used once.`;
+    const expiry = `This link expires in ${expiresInMinutes} minutes. If you did not try to sign in, you can ignore this email.`;
+
+    return {
+      subject: "Your sign-in link",
+      html: layout(
+        "Sign in to your account",
+        paragraph(greeting) +
+          paragraph(intro) +
+          button(loginUrl, "Sign in") +
+          paragraph(expiry)
+      ),
+      text: `${greeting}\n\n${intro}\n\n${loginUrl}\n\n${expiry}`,
+    };
+  },
+
+  invoice: ({
+    businessName,
+    clientName,
+    invoiceNumber,
+    amountDue,
+    dueDate,
+    viewUrl,
+    pixelUrl,
+    message,
+  }) => {
+    const greeting = `Hi ${clientName},`;
+    const intro = `${businessName} has sent you invoice ${invoiceNumber} for ${amountDue}, due on ${dueDate}. The invoice is attached as a PDF.`;
+    const closing = "Thank you for your business.";
+    // Loads when the email is opened, marking the invoice as viewed
+    const pixel = pixelUrl
+      ? `<img src="${escapeHtml(
+          pixelUrl
+        )}" width="1" height="1" alt="" style="display:block;border:0;" />`
+      : "";
+
+    return {
+      subject: `Invoice ${invoiceNumber} from ${businessName}`,
+      html: layout(
+        `Invoice ${invoiceNumber}`,
+        paragraph(greeting) +
+          paragraph(intro) +
+          (message ? paragraph(message) : "") +
+          button(viewUrl, "View and pay invoice") +
+          paragraph(closing) +
+          pixel
+      ),
+      text: `${greeting}\n\n${intro}\n\n${
+        message ? `${message}\n\n` : ""
+      }View and pay the invoice online: ${viewUrl}\n\n${closing}`,
+    };
+  },
+
+  invoiceReminder: ({
+    businessName,
+    clientName,
+    invoiceNumber,
+    installment,
+    amountDue,
+    dueDate,
+    daysOverdue = 0,
+    viewUrl,
+  }) => {
+    const greeting = `Hi ${clientName},`;
+    // With a payment schedule the reminder is about one installment
+    const invoice = installment
+      ? `invoice ${invoiceNumber} (${installment})`
+      : `invoice ${invoiceNumber}`;
+    let intro;
+    let subject;
+    if (daysOverdue > 0) {
+      subject = `Reminder: ${invoice} is overdue`;
+      intro = `This is a reminder that ${invoice} from ${businessName} for ${amountDue} was due on ${dueDate} and is now ${daysOverdue} day${
+        daysOverdue === 1 ? "" : "s"
+      } overdue.`;
+    } else if (daysOverdue === 0) {
+      subject = `Reminder: ${invoice} is due today`;
+      intro = `This is a reminder that ${invoice} from ${businessName} for ${amountDue} is due today.`;
+    } else {
+      subject = `Reminder: ${invoice} is due on ${dueDate}`;
+      intro = `This is a friendly reminder that ${invoice} from ${businessName} for ${amountDue} is due on ${dueDate}.`;
+    }
+    const closing =
+      "If you have already paid, please ignore this email. Thank you for your business.";
+
+    return {
+      subject,
+      html: layout(
+        `Invoice ${invoiceNumber}`,
+        paragraph(greeting) +
+          paragraph(intro) +
+          button(viewUrl, "View and pay invoice") +
+          paragraph(closing)
+      ),
+      text: `${greeting}\n\n${intro}\n\nView and pay the invoice online: ${viewUrl}\n\n${closing}`,
+    };
+  },
+
+  estimate: ({
+    businessName,
+    clientName,
+    estimateNumber,
+    total,
+    expiryDate,
+    viewUrl,
+    message,
+  }) => {
+    const greeting = `Hi ${clientName},`;
+    const intro = `${businessName} has sent you estimate ${estimateNumber} for ${total}. It is valid until ${expiryDate}.`;
+    const action =
+      "You can review the estimate and accept or decline it online.";
+
+    return {
+      subject: `Estimate ${estimateNumber} from ${businessName}`,
+      html: layout(
+        `Estimate ${estimateNumber}`,
+        paragraph(greeting) +
+          paragraph(intro) +
+          (message ? paragraph(message) : "") +
+          paragraph(action) +
+          button(viewUrl, "Review estimate")
+      ),
+      text: `${greeting}\n\n${intro}\n\n${
+        message ? `${message}\n\n` : ""
+      }${action}\n\n${viewUrl}`,
+    };
+  },
+
+  estimateResponse: ({
+    estimateNumber,
+    clientName,
+    accepted,
+    reason,
+    estimateUrl,
+  }) => {
+    const outcome = accepted ? "accepted" : "declined";
+    const intro = `${clientName} has ${outcome} estimate ${estimateNumber}.`;
+    const details = reason ? `Reason given: ${reason}` : "";
+    const next = accepted
+      ? "You can now convert it into an invoice."
+      : "You can revise the estimate and send it again.";
+
+    return {
+      subject: `Estimate ${estimateNumber} ${outcome}`,
+      html: layout(
+        `Estimate ${outcome}`,
+        paragraph(intro) +
+          (details ? paragraph(details) : "") +
+          paragraph(next) +
+          button(estimateUrl, "Open estimate")
+      ),
+      text: `${intro}\n\n${
+        details ? `${details}\n\n` : ""
+      }${next}\n\n${estimateUrl}`,
+    };
+  },
+
+  teamInvitation: ({ businessName, inviterEmail, role, inviteUrl }) => {
+    const intro = `${inviterEmail} invited you to join ${businessName} on ${APP_NAME} as ${role}.`;
+    const expiry = "The invitation expires in 7 days.";
+
+    return {
+      subject: `You're invited to join ${businessName}`,
+      html: layout(
+        `Join ${businessName}`,
+        paragraph(intro) +
+          button(inviteUrl, "Accept invitation") +
+          paragraph(expiry)
+      ),
+      text: `${intro}\n\n${inviteUrl}\n\n${expiry}`,
+    };
+  },
+};
+
+/**
+ * Render a template by name
+ * @param {string} name - Template name
+ * @param {Object} data - Template variables
+ * @returns {{subject: string, html: string, text: string}}
+ */
+const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  escapeHtml,
+  layout,
+  button,
+  paragraph,
+  renderTemplate,
+};
@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+
+// Prefix of values written by encrypt(), so older plaintext values still read
+const PREFIX = "enc:v1:";
+
+/**
+ * Key for data encrypted at rest (AES-256-GCM)
+ * Derived from ENCRYPTION_KEY; development and tests fall back to JWT_SECRET
+ * (production requires ENCRYPTION_KEY, see config/env)
+ */
+const getKey = (purpose = "") =>
+  crypto
+    .createHash("sha256")
+    .update(purpose)
+    .update(process.env.ENCRYPTION_KEY || process.env.JWT_SECRET || "")
+    .digest();
+
+/**
+ * Encrypt a string for storage
+ * @param {string} value - Plain value
+ * @returns {string} "enc:v1:<iv>:<tag>:<ciphertext>" (base64 parts)
+ */
+const encrypt = (value) => {
+  if (value === undefined || value === null || value === "") return value;
+  if (String(value).startsWith(PREFIX)) return value;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(String(value), "utf8"),
+    cipher.final(),
+  ]);
+
+  return `${PREFIX}${[iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64"))
+    .join(":")}`;
+};
+
+/**
+ * Decrypt a value written by encrypt()
+ * Values stored before encryption was added are returned as they are.
+ * @param {string} value - Stored value
+ * @returns {string} Plain value
+ */
+const decrypt = (value) => {
+  if (typeof value !== "string" || !value.startsWith(PREFIX)) return value;
+
+  const [iv, tag, encrypted] = value
+    .slice(PREFIX.length)
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+/**
+ * Keyed hash of a secret that is looked up by value (recovery codes)
+ * Unlike a plain SHA-256, it can't be brute-forced without the server key.
+ * @param {string} value - Plain value
+ * @returns {string} Hex HMAC-SHA256
+ */
+const hmac = (value) =>
+  crypto
+    .createHmac("sha256", getKey("hmac:"))
+    .update(String(value))
+    .digest("hex");
+
+module.exports = {
+  encrypt,
+  decrypt,
+  hmac,
+};
@@ -0,0 +1,87 @@
+/**
+ * File type detection from the first bytes of a file ("magic numbers"), so
+ * uploads are checked by what they contain rather than by their name
+ */
+
+// Signatures of binary formats: bytes expected at an offset
+const SIGNATURES = [
+  { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  {
+    type: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { type: "image/gif", text: "GIF87a" },
+  { type: "image/gif", text: "GIF89a" },
+  { type: "image/webp", text: "RIFF", also: { offset: 8, text: "WEBP" } },
+  { type: "application/pdf", text: "%PDF-" },
+  { type: "application/zip", bytes: [0x50, 0x4b, 0x03, 0x04] },
+];
+
+// Office documents are ZIP archives told apart by their extension
+const ZIP_DOCUMENTS = {
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+};
+
+// Text formats have no signature and are told apart by their extension
+const TEXT_TYPES = {
+  csv: "text/csv",
+  txt: "text/plain",
+};
+
+const matches = (buffer, { offset = 0, bytes, text }) => {
+  const expected = bytes ? Buffer.from(bytes) : Buffer.from(text, "latin1");
+  return (
+    buffer.length >= offset + expected.length &&
+    buffer.subarray(offset, offset + expected.length).equals(expected)
+  );
+};
+
+const extensionOf = (filename) => {
+  const match = /\.([a-z0-9]+)$/i.exec(filename || "");
+  return match ? match[1].toLowerCase() : "";
+};
+
+// Text is valid UTF-8 without NUL bytes (checked on the first 8 KB)
+const looksLikeText = (buffer) => {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0)) return false;
+
+  const decoded = new TextDecoder("utf-8", { fatal: false }).decode(sample);
+  // A character cut at the end of the sample is not an error
+  return !decoded.slice(0, -1).includes("\uFFFD");
+};
+
+/**
+ * Detect the MIME type of a file from its contents
+ * @param {Buffer} buffer - File contents
+ * @param {string} [filename] - Original name, only used to tell apart
+ * formats that share a signature
+ * @returns {string|null} MIME type, null when the format is unknown
+ */
+const sniffMimeType = (buffer, filename) => {
+  const signature = SIGNATURES.find(
+    (candidate) =>
+      matches(buffer, candidate) &&
+      (!candidate.also || matches(buffer, candidate.also))
+  );
+  const extension = extensionOf(filename);
+
+  if (signature) {
+    if (signature.type === "application/zip" && ZIP_DOCUMENTS[extension]) {
+      return ZIP_DOCUMENTS[extension];
+    }
+    return signature.type;
+  }
+
+  if (buffer.length > 0 && looksLikeText(buffer)) {
+    return TEXT_TYPES[extension] || "text/plain";
+  }
+
+  return null;
+};
+
+module.exports = {
+  sniffMimeType,
+};
@@ -0,0 +1,55 @@
+/**
+ * Display formatters shared by PDFs and emails
+ * Locale independent so rendered documents do not change between servers
+ */
+
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+/**
+ * Format an amount with thousands separators and the currency code
+ * (standard PDF fonts have no glyph for symbols like ₦)
+ */
+const formatMoney = (amount, currency = "NGN") => {
+  const fixed = Math.abs(Number(amount) || 0).toFixed(2);
+  const [whole, fraction] = fixed.split(".");
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  return `${amount < 0 ? "-" : ""}${currency} ${grouped}.${fraction}`;
+};
+
+/**
+ * Format a date as "05 Mar 2025" (UTC, independent of server locale)
+ */
+const formatDate = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  return `${String(date.getUTCDate()).padStart(2, "0")} ${
+    MONTHS[date.getUTCMonth()]
+  } ${date.getUTCFullYear()}`;
+};
+
+/**
+ * Format a quantity or rate: whole numbers as is, others with 2 decimals
+ */
+const formatNumber = (value) => {
+  const number = Number(value) || 0;
+  return Number.isInteger(number) ? String(number) : number.toFixed(2);
+};
+
+module.exports = {
+  formatMoney,
+  formatDate,
+  formatNumber,
+};
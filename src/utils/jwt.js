@@ -1,10 +1,12 @@
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 
 /**
  * Generate Access Token
  * Short-lived token for API access (15 minutes)
+ * Carries the session id so revoked sessions can be rejected
  */
-const generateAccessToken = (userId, email, role) => {
+const generateAccessToken = (userId, email, role, sessionId) => {
   const payload = {
     userId,
     email,
@@ -12,6 +14,10 @@ const generateAccessToken = (userId, email, role) => {
     type: "access",
   };
 
+  if (sessionId) {
+    payload.sid = sessionId.toString();
+  }
+
   return jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_ACCESS_EXPIRY || "15m",
     issuer: "business-management-api",
@@ -22,14 +28,19 @@ const generateAccessToken = (userId, email, role) => {
 /**
  * Generate Refresh Token
  * Long-lived token for getting new access tokens (7 days)
+ * Each token gets a unique id so every rotation produces a distinct token
  */
-const generateRefreshToken = (userId, email) => {
+const generateRefreshToken = (userId, email, sessionId) => {
   const payload = {
     userId,
     email,
     type: "refresh",
   };
 
+  if (sessionId) {
+    payload.sid = sessionId.toString();
+  }
+
   return jwt.sign(
     payload,
     process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
@@ -37,6 +48,7 @@ const generateRefreshToken = (userId, email) => {
       expiresIn: process.env.JWT_REFRESH_EXPIRY || "7d",
       issuer: "business-management-api",
       audience: "business-management-client",
+      jwtid: crypto.randomUUID(),
     }
   );
 };
@@ -44,10 +56,10 @@ const generateRefreshToken = (userId, email) => {
 /**
  * Generate both tokens at once
  */
-const generateTokens = (userId, email, role) => {
+const generateTokens = (userId, email, role, sessionId) => {
   return {
-    accessToken: generateAccessToken(userId, email, role),
-    refreshToken: generateRefreshToken(userId, email),
+    accessToken: generateAccessToken(userId, email, role, sessionId),
+    refreshToken: generateRefreshToken(userId, email, sessionId),
   };
 };
 
@@ -113,6 +125,154 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+/**
+ * Generate Two-Factor Challenge Token
+ * Short-lived token proving the password step succeeded (5 minutes)
+ * purpose is "verify" (enter a code) or "setup" (enrollment is enforced)
+ */
+const generateTwoFactorToken = (userId, purpose = "verify") => {
+  const payload = {
+    userId,
+    purpose,
+    type: "2fa",
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: "5m",
+    issuer: "business-management-api",
+    audience: "business-management-client",
+  });
+};
+
+/**
+ * Verify Two-Factor Challenge Token
+ */
+const verifyTwoFactorToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: "business-management-api",
+      audience: "business-management-client",
+    });
+
+    if (decoded.type !== "2fa") {
+      throw new Error("Invalid token type");
+    }
+
+    if (purpose && decoded.purpose !== purpose) {
+      throw new Error("Invalid token purpose");
+    }
+
+    return {
+      valid: true,
+      expired: false,
+      decoded,
+    };
+  } catch (error) {
+    return {
+      valid: false,
+      expired: error.name === "TokenExpiredError",
+      decoded: null,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Generate Invoice View Token
+ * Signed link token that lets a client open one invoice without an account
+ * The version is stored on the invoice: bumping it revokes every link
+ */
+const generateInvoiceViewToken = (invoiceId, version = 0) => {
+  const payload = {
+    invoiceId: invoiceId.toString(),
+    v: version,
+    type: "invoice_view",
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.INVOICE_LINK_EXPIRY || "180d",
+    issuer: "business-management-api",
+    audience: "invoice-viewer",
+  });
+};
+
+/**
+ * Verify Invoice View Token
+ */
+const verifyInvoiceViewToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: "business-management-api",
+      audience: "invoice-viewer",
+    });
+
+    if (decoded.type !== "invoice_view") {
+      throw new Error("Invalid token type");
+    }
+
+    return {
+      valid: true,
+      expired: false,
+      decoded,
+    };
+  } catch (error) {
+    return {
+      valid: false,
+      expired: error.name === "TokenExpiredError",
+      decoded: null,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Generate Estimate View Token
+ * Signed link token that lets a client open, accept or decline one estimate
+ * The version is stored on the estimate: bumping it revokes every link
+ */
+const generateEstimateViewToken = (estimateId, version = 0) => {
+  const payload = {
+    estimateId: estimateId.toString(),
+    v: version,
+    type: "estimate_view",
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.ESTIMATE_LINK_EXPIRY || "90d",
+    issuer: "business-management-api",
+    audience: "estimate-viewer",
+  });
+};
+
+/**
+ * Verify Estimate View Token
+ */
+const verifyEstimateViewToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: "business-management-api",
+      audience: "estimate-viewer",
+    });
+
+    if (decoded.type !== "estimate_view") {
+      throw new Error("Invalid token type");
+    }
+
+    return {
+      valid: true,
+      expired: false,
+      decoded,
+    };
+  } catch (error) {
+    return {
+      valid: false,
+      expired: error.name === "TokenExpiredError",
+      decoded: null,
+      error: error.message,
+    };
+  }
+};
+
 /**
  * Decode token without verification (for debugging)
  */
@@ -175,6 +335,12 @@ module.exports = {
   generateTokens,
   verifyAccessToken,
   verifyRefreshToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+  generateInvoiceViewToken,
+  verifyInvoiceViewToken,
+  generateEstimateViewToken,
+  verifyEstimateViewToken,
   decodeToken,
   extractTokenFromHeader,
   getTokenExpiry,
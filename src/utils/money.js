@@ -0,0 +1,50 @@
+/**
+ * Money helpers shared by invoices, credit notes and statements
+ */
+
+// Digits after the decimal point of currencies that don't use 2
+const CURRENCY_DECIMALS = {
+  JPY: 0,
+  KRW: 0,
+  UGX: 0,
+  RWF: 0,
+  XAF: 0,
+  XOF: 0,
+  BHD: 3,
+  JOD: 3,
+  KWD: 3,
+  OMR: 3,
+  TND: 3,
+};
+
+/**
+ * Number of decimals in the minor unit of a currency (2 when unknown)
+ */
+const currencyDecimals = (currency) =>
+  CURRENCY_DECIMALS[String(currency || "").toUpperCase()] ?? 2;
+
+/**
+ * Round an amount to the minor unit of a currency (kobo/cents by default)
+ * Halves round away from zero on the decimal value (1.005 -> 1.01,
+ * -0.125 -> -0.13). Binary noise is dropped first (15 significant digits),
+ * then the decimal point is shifted in the number's text rather than by
+ * multiplying, which would turn 1.005 into 100.49999999999999.
+ */
+const roundMoney = (amount, currency) => {
+  const value = Number(amount) || 0;
+  if (!Number.isFinite(value)) return 0;
+
+  const decimals = currencyDecimals(currency);
+  const [mantissa, exponent = "0"] = Math.abs(value).toPrecision(15).split("e");
+  const shifted = Math.round(
+    Number(`${mantissa}e${Number(exponent) + decimals}`)
+  );
+  const rounded = shifted / 10 ** decimals;
+
+  return value < 0 && rounded !== 0 ? -rounded : rounded;
+};
+
+module.exports = {
+  currencyDecimals,
+  roundMoney,
+};
@@ -0,0 +1,98 @@
+/**
+ * multipart/form-data parser for request bodies already read into a Buffer
+ * (see middlewares/uploadMiddleware)
+ */
+
+const CRLF = Buffer.from("\r\n");
+const HEADER_END = Buffer.from("\r\n\r\n");
+
+/**
+ * Read a parameter of a header value, e.g. name="file"
+ */
+const headerParam = (value, param) => {
+  const match = new RegExp(
+    `(?:^|[;\\s])${param}=(?:"([^"]*)"|([^;\\s]+))`,
+    "i"
+  ).exec(value || "");
+  return match ? match[1] ?? match[2] : undefined;
+};
+
+/**
+ * Split a multipart/form-data body into its fields and files
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @returns {{fields: Object, files: Array<{field: string, filename: string, contentType: string, data: Buffer}>}}
+ */
+const parseMultipart = (body, contentType) => {
+  const boundary = headerParam(contentType, "boundary");
+  if (!boundary || !Buffer.isBuffer(body)) {
+    throw new Error("The upload is not valid multipart/form-data");
+  }
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let start = body.indexOf(delimiter);
+  if (start === -1) {
+    throw new Error("The upload is not valid multipart/form-data");
+  }
+
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    // "--" after the delimiter closes the body
+    if (body.subarray(partStart, partStart + 2).toString() === "--") break;
+
+    const next = body.indexOf(delimiter, partStart);
+    if (next === -1) {
+      throw new Error("The upload ended before its last part");
+    }
+
+    // Part: CRLF, headers, blank line, content, CRLF before the delimiter
+    const part = body.subarray(partStart + CRLF.length, next - CRLF.length);
+    const headerEnd = part.indexOf(HEADER_END);
+    if (headerEnd === -1) {
+      throw new Error("The upload has a part without headers");
+    }
+
+    const headers = part
+      .subarray(0, headerEnd)
+      .toString("utf8")
+      .split("\r\n")
+      .reduce((all, line) => {
+        const colon = line.indexOf(":");
+        if (colon > 0) {
+          all[line.slice(0, colon).trim().toLowerCase()] = line
+            .slice(colon + 1)
+            .trim();
+        }
+        return all;
+      }, {});
+    const data = part.subarray(headerEnd + HEADER_END.length);
+
+    const disposition = headers["content-disposition"];
+    const name = headerParam(disposition, "name");
+    const filename = headerParam(disposition, "filename");
+
+    if (name !== undefined) {
+      if (filename !== undefined) {
+        files.push({
+          field: name,
+          filename,
+          contentType: headers["content-type"] || "application/octet-stream",
+          data,
+        });
+      } else {
+        fields[name] = data.toString("utf8");
+      }
+    }
+
+    start = next;
+  }
+
+  return { fields, files };
+};
+
+module.exports = {
+  parseMultipart,
+};
@@ -0,0 +1,248 @@
+/**
+ * Pricing engine shared by invoices, estimates, recurring invoices and sales
+ * Lines are discounted first, then the document discount is spread over the
+ * lines by value so every tax is charged on what the client actually pays.
+ */
+
+const { roundMoney } = require("./money");
+
+// Name given to a tax charged from a plain tax rate
+const DEFAULT_TAX_NAME = "Tax";
+
+/**
+ * Amount taken off by a percentage or fixed discount, never more than the amount
+ */
+const discountOn = (amount, discount, discountType) => {
+  if (!(Number(discount) > 0)) return 0;
+  const value =
+    discountType === "fixed"
+      ? Number(discount)
+      : (amount * Number(discount)) / 100;
+  return Math.min(amount, value);
+};
+
+/**
+ * Taxes charged on a line: its own list, else its own rate, else the default
+ * rate. A { rate: 0 } entry marks a zero-rated line on a taxed document.
+ */
+const lineTaxes = (item, defaultRate) => {
+  if (Array.isArray(item.taxes) && item.taxes.length > 0) {
+    return item.taxes.map((tax) => ({
+      name: tax.name || DEFAULT_TAX_NAME,
+      rate: Number(tax.rate) || 0,
+    }));
+  }
+
+  const rate = Number(item.taxRate) > 0 ? item.taxRate : defaultRate;
+  return Number(rate) > 0
+    ? [{ name: DEFAULT_TAX_NAME, rate: Number(rate) }]
+    : [];
+};
+
+/**
+ * Price a document's lines and work out its totals
+ * Amounts are rounded to the currency's minor unit. Taxes are totalled per
+ * name and rate before rounding, so a line's own tax amount may differ from
+ * its share of the breakdown by a minor unit. Each priced item keeps its own
+ * fields and gets subtotal, allocatedDiscount, appliedTaxes
+ * ([{ name, rate, amount }]), taxAmount and total.
+ * @param {Object} data
+ * @param {Array} data.items - Plain objects { quantity, unitPrice, discount, discountType, taxRate, taxes: [{ name, rate }] }
+ * @param {number} [data.taxRate] - Default rate of lines without their own tax
+ * @param {number} [data.discount] - Document discount
+ * @param {string} [data.discountType] - percentage | fixed
+ * @param {boolean} [data.taxInclusive] - Unit prices already include tax
+ * @param {number} [data.shippingFee]
+ * @param {string} [data.currency]
+ * @returns {{items: Array, subtotal: number, discountAmount: number, taxAmount: number, taxBreakdown: Array, shippingFee: number, total: number}}
+ */
+const calculatePricing = ({
+  items = [],
+  taxRate = 0,
+  discount = 0,
+  discountType = "percentage",
+  taxInclusive = false,
+  shippingFee = 0,
+  currency,
+}) => {
+  const round = (amount) => roundMoney(amount, currency);
+
+  // Lines after their own discounts
+  const lines = items.map((item) => {
+    const amount = round(item.quantity * item.unitPrice);
+    return {
+      item,
+      subtotal: round(
+        amount - discountOn(amount, item.discount, item.discountType)
+      ),
+      taxes: lineTaxes(item, taxRate),
+    };
+  });
+  const subtotal = round(lines.reduce((sum, line) => sum + line.subtotal, 0));
+
+  // Spread the document discount by line value; the largest line takes the
+  // rounding difference so the shares add up exactly
+  const discountAmount = round(discountOn(subtotal, discount, discountType));
+  let allocated = 0;
+  lines.forEach((line) => {
+    line.allocatedDiscount =
+      subtotal > 0 ? round((discountAmount * line.subtotal) / subtotal) : 0;
+    allocated += line.allocatedDiscount;
+  });
+  if (lines.length > 0) {
+    const largest = lines.reduce((max, line) =>
+      line.subtotal > max.subtotal ? line : max
+    );
+    largest.allocatedDiscount = round(
+      largest.allocatedDiscount + discountAmount - allocated
+    );
+  }
+
+  const breakdown = new Map();
+  const pricedItems = lines.map((line) => {
+    const taxable = line.subtotal - line.allocatedDiscount;
+    const combinedRate = line.taxes.reduce((sum, tax) => sum + tax.rate, 0);
+    // Inclusive prices already hold the tax; take it out to get the net amount
+    const net = taxInclusive ? taxable / (1 + combinedRate / 100) : taxable;
+
+    let lineTax = 0;
+    const appliedTaxes = line.taxes.map((tax) => {
+      const amount = (net * tax.rate) / 100;
+      lineTax += amount;
+
+      const key = `${tax.name}|${tax.rate}`;
+      const entry = breakdown.get(key) || {
+        name: tax.name,
+        rate: tax.rate,
+        taxableAmount: 0,
+        taxAmount: 0,
+      };
+      entry.taxableAmount += net;
+      entry.taxAmount += amount;
+      breakdown.set(key, entry);
+
+      return { name: tax.name, rate: tax.rate, amount: round(amount) };
+    });
+
+    return {
+      ...line.item,
+      subtotal: line.subtotal,
+      allocatedDiscount: line.allocatedDiscount,
+      appliedTaxes,
+      taxAmount: round(lineTax),
+      total: round(taxable + (taxInclusive ? 0 : lineTax)),
+    };
+  });
+
+  const taxBreakdown = [...breakdown.values()].map((entry) => ({
+    name: entry.name,
+    rate: entry.rate,
+    taxableAmount: round(entry.taxableAmount),
+    taxAmount: round(entry.taxAmount),
+  }));
+  const taxAmount = round(
+    taxBreakdown.reduce((sum, entry) => sum + entry.taxAmount, 0)
+  );
+
+  const shipping = round(shippingFee);
+  return {
+    items: pricedItems,
+    subtotal,
+    discountAmount,
+    taxAmount,
+    taxBreakdown,
+    shippingFee: shipping,
+    total: round(
+      subtotal - discountAmount + (taxInclusive ? 0 : taxAmount) + shipping
+    ),
+  };
+};
+
+const isRate = (value) =>
+  Number.isFinite(Number(value)) && Number(value) >= 0 && Number(value) <= 100;
+
+const isDiscount = (discount, discountType) =>
+  discount === undefined ||
+  (Number.isFinite(Number(discount)) &&
+    Number(discount) >= 0 &&
+    (discountType === "fixed" || Number(discount) <= 100));
+
+/**
+ * Check the pricing fields that are set
+ * @returns {string|null} Error message
+ */
+const validatePricing = ({
+  items,
+  taxRate,
+  taxes,
+  discount,
+  discountType,
+  taxInclusive,
+  shippingFee,
+}) => {
+  if (items !== undefined) {
+    if (!Array.isArray(items)) return "Items must be a list";
+
+    for (const item of items) {
+      if (!item || typeof item !== "object" || Array.isArray(item)) {
+        return "Each item must be an object";
+      }
+      if (!(Number(item.quantity) > 0)) {
+        return "Each item needs a quantity greater than 0";
+      }
+      if (!(Number(item.unitPrice) >= 0)) {
+        return "Each item needs a unit price of 0 or more";
+      }
+      const error = validatePricing({
+        taxRate: item.taxRate,
+        taxes: item.taxes,
+        discount: item.discount,
+        discountType: item.discountType,
+      });
+      if (error) return error;
+    }
+  }
+
+  if (taxInclusive !== undefined && typeof taxInclusive !== "boolean") {
+    return "Tax inclusive must be true or false";
+  }
+  if (taxRate !== undefined && !isRate(taxRate)) {
+    return "Tax rate must be between 0 and 100";
+  }
+  if (taxes !== undefined) {
+    if (
+      !Array.isArray(taxes) ||
+      taxes.some(
+        (tax) =>
+          !tax ||
+          !isRate(tax.rate) ||
+          (tax.name !== undefined && typeof tax.name !== "string")
+      )
+    ) {
+      return "Taxes must be a list of { name, rate } with rates between 0 and 100";
+    }
+  }
+  if (
+    discountType !== undefined &&
+    !["percentage", "fixed"].includes(discountType)
+  ) {
+    return "Discount type must be percentage or fixed";
+  }
+  if (!isDiscount(discount, discountType)) {
+    return "Discount must be 0 or more, and at most 100 when a percentage";
+  }
+  if (
+    shippingFee !== undefined &&
+    !(Number.isFinite(Number(shippingFee)) && Number(shippingFee) >= 0)
+  ) {
+    return "Shipping fee cannot be negative";
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_TAX_NAME,
+  calculatePricing,
+  validatePricing,
+};
@@ -0,0 +1,168 @@
+const { stub, mockReq, mockRes } = require("./helpers");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const User = require("../src/models/User");
+const Organization = require("../src/models/Organization");
+const ApiKey = require("../src/models/ApiKey");
+const { authenticate } = require("../src/middlewares/authMiddleware");
+const { requirePermission } = require("../src/middlewares/roleMiddleware");
+const { generalLimiter } = require("../src/config/rateLimiter");
+
+const owner = (fields = {}) =>
+  new User({
+    businessName: "Acme",
+    email: "owner@acme.test",
+    phone: "+2348000000000",
+    password: "hashed",
+    status: "active",
+    ...fields,
+  });
+
+/**
+ * Stub the key lookup and the business it belongs to
+ * Each lookup of the organization returns a new owner document, like the
+ * database does
+ */
+const stubKey = (keyFields = {}, ownerFields = {}) => {
+  const ownerId = owner()._id;
+  const organization = new Organization({ name: "Acme", owner: ownerId });
+  const apiKey = new ApiKey({
+    organization: organization._id,
+    createdBy: ownerId,
+    name: "Shop sync",
+    prefix: "sk_live_12345678",
+    keyHash: "hash",
+    scopes: ["invoices:read"],
+    ...keyFields,
+  });
+
+  stub(ApiKey, "findActiveByKey", async (key) =>
+    key === "valid-key" ? apiKey : null
+  );
+  stub(ApiKey.prototype, "touch", async () => {});
+  stub(Organization, "findById", () => ({
+    populate: async () => {
+      const copy = Organization.hydrate(organization.toObject());
+      copy.owner = owner({ _id: ownerId, ...ownerFields });
+      return copy;
+    },
+  }));
+
+  return apiKey;
+};
+
+const callAuthenticate = async (key, ip = "10.0.0.1") => {
+  const req = mockReq({ headers: { "x-api-key": key }, ip });
+  const res = mockRes();
+  let nextCalled = false;
+  await authenticate(req, res, () => {
+    nextCalled = true;
+  });
+  // The per-key limiter runs asynchronously after authenticate returns
+  await new Promise((resolve) => setImmediate(resolve));
+  return { req, res, nextCalled };
+};
+
+test("an API key request acts as the owner with the key's scopes", async () => {
+  const apiKey = stubKey();
+
+  const { req, nextCalled } = await callAuthenticate("valid-key");
+
+  assert.strictEqual(nextCalled, true);
+  assert.strictEqual(req.apiKey, apiKey);
+  assert.deepStrictEqual([...req.permissions], ["invoices:read"]);
+  assert.strictEqual(String(req.organizationId), String(apiKey.organization));
+  assert.strictEqual(req.sessionId, null);
+});
+
+test("unknown API keys are rejected", async () => {
+  stubKey();
+
+  const { res, nextCalled } = await callAuthenticate("other-key");
+
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(res.statusCode, 401);
+  assert.strictEqual(res.body.code, "API_KEY_INVALID");
+});
+
+test("API keys stop working as soon as the owner is not active", async () => {
+  stubKey({}, { status: "suspended" });
+
+  const { res, nextCalled } = await callAuthenticate("valid-key");
+
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test("every API key request gets its own owner document", async () => {
+  stubKey();
+
+  const first = await callAuthenticate("valid-key");
+  first.req.user.businessName = "Changed by one request";
+  const second = await callAuthenticate("valid-key");
+
+  assert.notStrictEqual(first.req.user, second.req.user);
+  assert.strictEqual(second.req.user.businessName, "Acme");
+});
+
+test("permissions outside the key's scopes are denied", async () => {
+  stubKey();
+  const { req } = await callAuthenticate("valid-key");
+
+  const denied = mockRes();
+  let nextCalled = false;
+  requirePermission("invoices:create")(req, denied, () => {
+    nextCalled = true;
+  });
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(denied.statusCode, 403);
+  assert.deepStrictEqual(denied.body.requiredPermissions, ["invoices:create"]);
+
+  requirePermission("invoices:read")(req, mockRes(), () => {
+    nextCalled = true;
+  });
+  assert.strictEqual(nextCalled, true);
+});
+
+test("API keys are rate limited per key at the key's own limit", async () => {
+  stubKey({ rateLimit: { max: 2 } });
+
+  const results = [];
+  for (let i = 0; i < 3; i++) {
+    // A new address each time: the limit follows the key, not the IP
+    results.push(await callAuthenticate("valid-key", `10.0.1.${i}`));
+  }
+
+  assert.deepStrictEqual(
+    results.map(({ nextCalled }) => nextCalled),
+    [true, true, false]
+  );
+  assert.strictEqual(results[2].res.statusCode, 429);
+  assert.strictEqual(results[2].res.body.error, "API_KEY_RATE_LIMIT_EXCEEDED");
+});
+
+test("the IP limit counts invalid keys but not validated ones", async () => {
+  const limit = (ip, apiKey) =>
+    new Promise((resolve) => {
+      const req = mockReq({ ip, path: "/api/invoices", apiKey });
+      const res = mockRes();
+      generalLimiter(req, res, () => {
+        // The route responds; the limiter then decides whether it counted
+        res.status(200).json({ success: true });
+        resolve(true);
+      }).then(() => {
+        if (res.statusCode === 429) resolve(false);
+      });
+    });
+  const max = Number(process.env.RATE_LIMIT_MAX_REQUESTS) || 100;
+
+  const validKey = { _id: "key" };
+  for (let i = 0; i <= max; i++) {
+    assert.strictEqual(await limit("10.0.2.1", validKey), true);
+  }
+
+  for (let i = 0; i < max; i++) {
+    await limit("10.0.2.2");
+  }
+  assert.strictEqual(await limit("10.0.2.2"), false);
+});
@@ -0,0 +1,294 @@
+const { stub, mockReq, mockRes } = require("./helpers");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const User = require("../src/models/User");
+const Session = require("../src/models/Session");
+const SecurityEvent = require("../src/models/SecurityEvent");
+const {
+  refreshToken,
+  verifyTwoFactorLogin,
+} = require("../src/controllers/authController");
+const authRoutes = require("../src/routes/authRoutes");
+const { generateSecret, generateTotp } = require("../src/utils/totp");
+const {
+  generateTokens,
+  generateTwoFactorToken,
+  getTokenExpiry,
+} = require("../src/utils/jwt");
+
+const twoFactorUser = (secret) => {
+  const user = new User({
+    businessName: "Acme",
+    email: "owner@acme.test",
+    phone: "+2348000000000",
+    password: "hashed",
+    status: "active",
+    twoFactor: { enabled: true, secret, enabledAt: new Date() },
+  });
+  const codes = user.generateRecoveryCodes();
+  return { user, codes };
+};
+
+const stubLogin = (user) => {
+  stub(User, "findById", () => ({ select: async () => user }));
+  stub(User.prototype, "save", async function () {
+    return this;
+  });
+  stub(Session.prototype, "save", async function () {
+    return this;
+  });
+  stub(SecurityEvent, "record", async () => {});
+};
+
+test("secrets are encrypted at rest and read back decrypted", () => {
+  const secret = generateSecret();
+  const { user } = twoFactorUser(secret);
+
+  assert.strictEqual(user.twoFactor.secret, secret);
+  const stored = user.get("twoFactor.secret", null, { getters: false });
+  assert.ok(stored.startsWith("enc:v1:"));
+  assert.ok(!stored.includes(secret));
+});
+
+test("recovery codes are stored keyed and work only once", () => {
+  const { user, codes } = twoFactorUser(generateSecret());
+  const plainHash = crypto.createHash("sha256").update(codes[0]).digest("hex");
+
+  assert.strictEqual(user.twoFactor.recoveryCodes.length, 10);
+  assert.ok(!user.twoFactor.recoveryCodes.includes(plainHash));
+
+  assert.strictEqual(user.useRecoveryCode(` ${codes[0].toUpperCase()} `), true);
+  assert.strictEqual(user.useRecoveryCode(codes[0]), false);
+  assert.strictEqual(user.useRecoveryCode("00000-00000"), false);
+  assert.strictEqual(user.twoFactor.recoveryCodes.length, 9);
+});
+
+test("recovery codes stored as plain SHA-256 before keying still work", () => {
+  const { user } = twoFactorUser(generateSecret());
+  user.twoFactor.recoveryCodes = [
+    crypto.createHash("sha256").update("abcde-12345").digest("hex"),
+  ];
+
+  assert.strictEqual(user.useRecoveryCode("abcde-12345"), true);
+  assert.strictEqual(user.twoFactor.recoveryCodes.length, 0);
+});
+
+test("2FA login responds with tokens and no 2FA secrets", async () => {
+  const secret = generateSecret();
+  const { user } = twoFactorUser(secret);
+  stubLogin(user);
+
+  const res = mockRes();
+  await verifyTwoFactorLogin(
+    mockReq({
+      body: {
+        twoFactorToken: generateTwoFactorToken(user._id, "verify"),
+        code: generateTotp(secret),
+      },
+    }),
+    res
+  );
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(res.body.data.tokens.accessToken);
+  assert.deepStrictEqual(Object.keys(res.body.data.user.twoFactor).sort(), [
+    "enabled",
+    "enabledAt",
+  ]);
+  assert.strictEqual(res.body.data.user.password, undefined);
+
+  const body = JSON.stringify(res.body);
+  assert.ok(!body.includes("enc:v1:"));
+  assert.ok(!body.includes(secret));
+  assert.ok(!body.includes("recoveryCodes"));
+  assert.ok(!body.includes("lastUsedStep"));
+});
+
+test("2FA login rejects a TOTP code that was already used", async () => {
+  const secret = generateSecret();
+  const { user } = twoFactorUser(secret);
+  stubLogin(user);
+  stub(User.prototype, "incLoginAttempts", async () => {});
+  stub(User, "exists", async () => null);
+
+  const body = {
+    twoFactorToken: generateTwoFactorToken(user._id, "verify"),
+    code: generateTotp(secret),
+  };
+
+  const first = mockRes();
+  await verifyTwoFactorLogin(mockReq({ body }), first);
+  assert.strictEqual(first.statusCode, 200);
+
+  const replay = mockRes();
+  await verifyTwoFactorLogin(mockReq({ body }), replay);
+  assert.strictEqual(replay.statusCode, 401);
+  assert.strictEqual(replay.body.code, "TWO_FACTOR_CODE_INVALID");
+});
+
+test("2FA login with a recovery code counts the remaining codes", async () => {
+  const { user, codes } = twoFactorUser(generateSecret());
+  stubLogin(user);
+
+  const res = mockRes();
+  await verifyTwoFactorLogin(
+    mockReq({
+      body: {
+        twoFactorToken: generateTwoFactorToken(user._id, "verify"),
+        recoveryCode: codes[3],
+      },
+    }),
+    res
+  );
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.data.recoveryCodesRemaining, 9);
+  assert.strictEqual(res.body.data.user.twoFactor.recoveryCodes, undefined);
+  assert.ok(
+    !JSON.stringify(res.body).includes(user.twoFactor.recoveryCodes[0])
+  );
+});
+
+/**
+ * In-memory sessions collection: loads, conditional updates and saves of
+ * Session behave like the database for the refresh handler
+ */
+const stubSessions = (user) => {
+  const rows = new Map();
+
+  stub(Session, "findById", (id) => ({
+    select: async () => {
+      const row = rows.get(String(id));
+      return row ? Session.hydrate({ ...row }) : null;
+    },
+  }));
+  stub(Session, "findOneAndUpdate", async (filter, update) => {
+    const row = rows.get(String(filter._id));
+    if (
+      !row ||
+      row.revokedAt ||
+      row.refreshTokenHash !== filter.refreshTokenHash
+    ) {
+      return null;
+    }
+    Object.assign(row, update.$set);
+    row.rotationCount = (row.rotationCount || 0) + update.$inc.rotationCount;
+    return Session.hydrate({ ...row });
+  });
+  // Like Mongoose, an update only writes the changed paths
+  stub(Session.prototype, "save", async function () {
+    const id = String(this._id);
+    if (this.isNew) {
+      rows.set(id, this.toObject());
+    } else {
+      this.modifiedPaths().forEach((path) => {
+        rows.get(id)[path] = this.get(path);
+      });
+    }
+    return this;
+  });
+  stub(User, "findById", async () => user);
+
+  return rows;
+};
+
+const startSession = async (user) => {
+  const session = new Session({ user: user._id, ipAddress: "127.0.0.1" });
+  const tokens = generateTokens(user._id, user.email, user.role, session._id);
+  session.refreshTokenHash = Session.hashToken(tokens.refreshToken);
+  session.expiresAt = getTokenExpiry(tokens.refreshToken);
+  await session.save();
+  return { session, tokens };
+};
+
+const refresh = async (token) => {
+  const res = mockRes();
+  await refreshToken(mockReq({ body: { refreshToken: token } }), res);
+  return res;
+};
+
+test("refresh rotates the token and treats the old one as reuse", async () => {
+  const { user } = twoFactorUser(generateSecret());
+  const rows = stubSessions(user);
+  const { session, tokens } = await startSession(user);
+
+  const first = await refresh(tokens.refreshToken);
+  assert.strictEqual(first.statusCode, 200);
+  const rotated = first.body.data.tokens.refreshToken;
+  assert.notStrictEqual(rotated, tokens.refreshToken);
+  assert.strictEqual(rows.get(String(session._id)).rotationCount, 1);
+
+  const second = await refresh(rotated);
+  assert.strictEqual(second.statusCode, 200);
+
+  // Replaying a rotated token revokes the session...
+  const replay = await refresh(tokens.refreshToken);
+  assert.strictEqual(replay.statusCode, 401);
+  assert.strictEqual(replay.body.code, "REFRESH_TOKEN_REUSED");
+  assert.strictEqual(
+    rows.get(String(session._id)).revokedReason,
+    "reuse_detected"
+  );
+
+  // ...so the latest token stops working too
+  const latest = await refresh(second.body.data.tokens.refreshToken);
+  assert.strictEqual(latest.statusCode, 401);
+  assert.strictEqual(latest.body.code, "SESSION_REVOKED");
+});
+
+test("of two concurrent refreshes with one token only one succeeds", async () => {
+  const { user } = twoFactorUser(generateSecret());
+  const rows = stubSessions(user);
+  const { session, tokens } = await startSession(user);
+
+  const results = await Promise.all([
+    refresh(tokens.refreshToken),
+    refresh(tokens.refreshToken),
+  ]);
+
+  assert.deepStrictEqual(
+    results.map((res) => res.statusCode).sort(),
+    [200, 401]
+  );
+  const loser = results.find((res) => res.statusCode === 401);
+  assert.strictEqual(loser.body.code, "REFRESH_TOKEN_REUSED");
+
+  const row = rows.get(String(session._id));
+  assert.strictEqual(row.revokedReason, "reuse_detected");
+  assert.strictEqual(row.rotationCount, 1);
+});
+
+test("refresh rejects tokens of revoked or unknown sessions", async () => {
+  const { user } = twoFactorUser(generateSecret());
+  const rows = stubSessions(user);
+  const { session, tokens } = await startSession(user);
+
+  rows.get(String(session._id)).revokedAt = new Date();
+  const revoked = await refresh(tokens.refreshToken);
+  assert.strictEqual(revoked.statusCode, 401);
+  assert.strictEqual(revoked.body.code, "SESSION_REVOKED");
+
+  rows.clear();
+  const unknown = await refresh(tokens.refreshToken);
+  assert.strictEqual(unknown.statusCode, 401);
+  assert.strictEqual(unknown.body.code, "SESSION_INVALID");
+});
+
+test("revoking a session with a malformed id is a 400", () => {
+  const layer = authRoutes.stack.find(
+    ({ route }) =>
+      route && route.path === "/sessions/:id" && route.methods.delete
+  );
+  // Everything after authenticate
+  const handlers = layer.route.stack.slice(1).map(({ handle }) => handle);
+
+  const res = mockRes();
+  let reached = false;
+  handlers[0](mockReq({ params: { id: "not-an-id" } }), res, () => {
+    reached = true;
+  });
+
+  assert.strictEqual(reached, false);
+  assert.strictEqual(res.statusCode, 400);
+});
@@ -0,0 +1,73 @@
+const { afterEach } = require("node:test");
+const { EventEmitter } = require("events");
+
+// Settings config/env requires, for the modules that load it
+const TEST_ENV = {
+  NODE_ENV: "test",
+  PORT: "5000",
+  MONGODB_URI: "mongodb://localhost:27017/test",
+  JWT_SECRET: "test-jwt-secret-test-jwt-secret-0123",
+  JWT_EXPIRES_IN: "15m",
+};
+Object.entries(TEST_ENV).forEach(([name, value]) => {
+  if (!process.env[name]) process.env[name] = value;
+});
+
+/**
+ * Replace a property (a model static or method) for the current test
+ * There is no database in tests: the model calls the code under test makes
+ * are stubbed and put back after each test.
+ */
+const restores = [];
+const stub = (target, name, value) => {
+  const original = target[name];
+  target[name] = value;
+  restores.push(() => {
+    target[name] = original;
+  });
+};
+afterEach(() => restores.splice(0).forEach((restore) => restore()));
+
+/**
+ * Express request and response doubles for calling handlers directly
+ */
+const mockReq = (fields = {}) => ({
+  body: {},
+  query: {},
+  params: {},
+  headers: { "user-agent": "node-test" },
+  ip: "127.0.0.1",
+  ...fields,
+});
+
+const mockRes = () => {
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    headers: {},
+    headersSent: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+    },
+    getHeader(name) {
+      return res.headers[name.toLowerCase()];
+    },
+    // Ends the response like Express: middlewares waiting for it run
+    json(body) {
+      res.body = body;
+      res.headersSent = true;
+      res.emit("finish");
+      return res;
+    },
+  });
+  return res;
+};
+
+module.exports = {
+  stub,
+  mockReq,
+  mockRes,
+};
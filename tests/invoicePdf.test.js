@@ -0,0 +1,159 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const zlib = require("zlib");
+const path = require("path");
+const { renderInvoicePdf, loadLogo } = require("../src/services/pdfService");
+
+const SNAPSHOT = path.join(__dirname, "__snapshots__", "invoicePdf.pdf");
+
+// 1x1 PNG
+const LOGO =
+  "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+
+const fixture = () => ({
+  invoice: {
+    invoiceNumber: "INV-2026-0001",
+    issueDate: new Date("2026-01-02T00:00:00Z"),
+    dueDate: new Date("2026-02-01T00:00:00Z"),
+    updatedAt: new Date("2026-01-02T09:30:00Z"),
+    status: "sent",
+    currency: "NGN",
+    subtotal: 245,
+    discount: 10,
+    discountType: "percentage",
+    discountAmount: 24.5,
+    taxAmount: 16.54,
+    total: 237.04,
+    amountPaid: 100,
+    amountDue: 137.04,
+    taxBreakdown: [
+      { name: "VAT", rate: 7.5, taxableAmount: 220.5, taxAmount: 16.54 },
+    ],
+    installments: [
+      {
+        label: "Deposit",
+        dueDate: new Date("2026-01-02T00:00:00Z"),
+        amount: 100,
+        amountPaid: 100,
+        status: "paid",
+      },
+      {
+        label: "Balance",
+        dueDate: new Date("2026-02-01T00:00:00Z"),
+        amount: 137.04,
+        amountPaid: 0,
+        status: "pending",
+      },
+    ],
+    notes: "Thank you for your business.",
+    termsAndConditions: "Payment due within 30 days.",
+  },
+  items: [
+    { description: "Design work", quantity: 2, unitPrice: 100, subtotal: 200 },
+    {
+      description: "Hosting",
+      quantity: 1,
+      unitPrice: 50,
+      discount: 10,
+      discountType: "percentage",
+      subtotal: 45,
+    },
+  ],
+  client: {
+    name: "Acme Ltd",
+    email: "billing@acme.test",
+    fullAddress: "1 Market Street, Lagos",
+  },
+  business: {
+    businessName: "Script Studio",
+    email: "hello@script.test",
+    phone: "+2348000000000",
+    businessInfo: { website: "https://script.test", taxId: "TIN-123" },
+  },
+  logo: loadLogo(LOGO),
+});
+
+/**
+ * Text lines of a PDF rendered by pdfService
+ * PDFKit compresses page content and writes each line as hex strings (split
+ * for kerning) in a TJ operator.
+ */
+const pdfText = (pdf) => {
+  const lines = [];
+  const source = pdf.toString("latin1");
+  for (const [, stream] of source.matchAll(
+    /stream\r?\n([\s\S]*?)\r?\nendstream/g
+  )) {
+    let content;
+    try {
+      content = zlib.inflateSync(Buffer.from(stream, "latin1"));
+    } catch (error) {
+      continue; // images
+    }
+    for (const [, parts] of content
+      .toString("latin1")
+      .matchAll(/\[([^\]]*)\]\s*TJ/g)) {
+      lines.push(
+        [...parts.matchAll(/<([0-9a-f]*)>/gi)]
+          .map(([, hex]) => Buffer.from(hex, "hex").toString("latin1"))
+          .join("")
+      );
+    }
+  }
+  return lines;
+};
+
+/**
+ * Value printed right of a totals label
+ */
+const totalsRow = (lines, label) => lines[lines.indexOf(label) + 1];
+
+test("renders the same bytes for the same invoice", async () => {
+  const first = await renderInvoicePdf(fixture());
+  const second = await renderInvoicePdf(fixture());
+
+  assert.ok(first.subarray(0, 5).equals(Buffer.from("%PDF-")));
+  assert.ok(first.equals(second));
+});
+
+test("prints the invoice amounts in the totals", async () => {
+  const lines = pdfText(await renderInvoicePdf(fixture()));
+
+  assert.strictEqual(totalsRow(lines, "Subtotal"), "NGN 245.00");
+  assert.strictEqual(totalsRow(lines, "Discount (10%)"), "-NGN 24.50");
+  assert.strictEqual(totalsRow(lines, "VAT (7.50%)"), "NGN 16.54");
+  assert.strictEqual(totalsRow(lines, "Total"), "NGN 237.04");
+  assert.strictEqual(totalsRow(lines, "Amount paid"), "-NGN 100.00");
+  assert.strictEqual(totalsRow(lines, "Balance due"), "NGN 137.04");
+});
+
+test("matches the stored layout snapshot", async () => {
+  const pdf = await renderInvoicePdf(fixture());
+
+  // UPDATE_SNAPSHOTS=1 rewrites the snapshot after an intended layout change
+  if (
+    process.env.UPDATE_SNAPSHOTS ||
+    (!fs.existsSync(SNAPSHOT) && !process.env.CI)
+  ) {
+    fs.mkdirSync(path.dirname(SNAPSHOT), { recursive: true });
+    fs.writeFileSync(SNAPSHOT, pdf);
+  }
+
+  assert.ok(
+    fs.existsSync(SNAPSHOT),
+    "Snapshot missing, run with UPDATE_SNAPSHOTS=1"
+  );
+  assert.ok(
+    pdf.equals(fs.readFileSync(SNAPSHOT)),
+    "Invoice PDF layout changed, run with UPDATE_SNAPSHOTS=1 if intended"
+  );
+});
+
+test("only loads logos from PNG/JPEG data URIs", () => {
+  assert.ok(Buffer.isBuffer(loadLogo(LOGO)));
+  assert.strictEqual(loadLogo("http://169.254.169.254/latest/meta-data"), null);
+  assert.strictEqual(loadLogo("https://example.com/logo.png"), null);
+  assert.strictEqual(loadLogo("data:image/svg+xml;base64,PHN2Zz4="), null);
+  assert.strictEqual(loadLogo(undefined), null);
+});
@@ -0,0 +1,151 @@
+const { stub } = require("./helpers");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const axios = require("axios");
+const mongoose = require("mongoose");
+const Payment = require("../src/models/Payment");
+const { Invoice } = require("../src/models/Invoice");
+const { verifyPayment } = require("../src/services/flutterwaveService");
+
+/**
+ * One stored payment and its invoice, with the conditional updates of
+ * verifyPayment applied like the database applies them
+ */
+const stubPayment = (gateway) => {
+  const invoiceId = new mongoose.Types.ObjectId();
+  const row = {
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    invoice: invoiceId,
+    amount: 5000,
+    currency: "NGN",
+    method: "card",
+    transactionRef: "INV-TX-1",
+    status: "pending",
+  };
+  const credited = [];
+  const gatewayCalls = [];
+
+  const matches = (filter) =>
+    String(filter._id) === String(row._id) &&
+    (typeof filter.status === "string"
+      ? row.status === filter.status
+      : filter.status.$in.includes(row.status));
+
+  stub(axios, "get", async (url) => {
+    gatewayCalls.push(url);
+    // Let a concurrent verification reach the gateway too
+    await new Promise((resolve) => setImmediate(resolve));
+    return {
+      data: {
+        status: "success",
+        data: {
+          id: 987,
+          status: "successful",
+          tx_ref: row.transactionRef,
+          amount: row.amount,
+          currency: "NGN",
+          ...gateway,
+        },
+      },
+    };
+  });
+  stub(Payment, "findOneAndUpdate", async (filter, update) => {
+    if (!matches(filter)) return null;
+    const before = { ...row };
+    Object.assign(row, update.$set);
+    return Payment.hydrate(before);
+  });
+  stub(Payment, "updateOne", async (filter, update) => {
+    if (!matches(filter)) return { modifiedCount: 0 };
+    Object.assign(row, update.$set);
+    return { modifiedCount: 1 };
+  });
+  stub(Payment, "findById", () => ({
+    select: async () => ({ status: row.status }),
+  }));
+  stub(Payment.prototype, "save", async function () {
+    Object.assign(row, { status: this.status, completedAt: this.completedAt });
+    return this;
+  });
+  stub(Invoice, "findById", async () => ({
+    addPayment: async (amount) => credited.push(amount),
+  }));
+
+  // Each request loads its own copy of the payment
+  const load = () => Payment.hydrate({ ...row });
+
+  return { row, load, credited, gatewayCalls };
+};
+
+test("a successful transaction completes the payment once", async () => {
+  const { row, load, credited } = stubPayment();
+
+  assert.strictEqual(await verifyPayment(load(), 987), true);
+  assert.strictEqual(row.status, "completed");
+  assert.deepStrictEqual(credited, [5000]);
+});
+
+test("concurrent verifications credit the invoice only once", async () => {
+  const { row, load, credited } = stubPayment();
+
+  const results = await Promise.all([
+    verifyPayment(load(), 987),
+    verifyPayment(load(), 987),
+    verifyPayment(load(), 987),
+  ]);
+
+  assert.deepStrictEqual(results, [true, true, true]);
+  assert.strictEqual(row.status, "completed");
+  assert.deepStrictEqual(credited, [5000]);
+});
+
+test("a completed payment is not verified again", async () => {
+  const { row, load, credited, gatewayCalls } = stubPayment();
+  row.status = "completed";
+
+  assert.strictEqual(await verifyPayment(load(), 987), true);
+  assert.strictEqual(gatewayCalls.length, 0);
+  assert.deepStrictEqual(credited, []);
+});
+
+test("a transaction still pending at the gateway leaves the payment pending", async () => {
+  const { row, load, credited } = stubPayment({ status: "pending" });
+
+  assert.strictEqual(await verifyPayment(load(), 987), false);
+  assert.strictEqual(row.status, "pending");
+  assert.deepStrictEqual(credited, []);
+});
+
+test("a short, foreign or other-currency transaction fails the payment", async () => {
+  for (const gateway of [
+    { amount: 4999 },
+    { tx_ref: "OTHER-TX" },
+    { currency: "USD" },
+    { status: "failed" },
+  ]) {
+    const { row, load, credited } = stubPayment(gateway);
+
+    assert.strictEqual(await verifyPayment(load(), 987), false);
+    assert.strictEqual(row.status, "failed", JSON.stringify(gateway));
+    assert.deepStrictEqual(credited, []);
+  }
+});
+
+test("a failed check never overwrites a payment settled meanwhile", async () => {
+  const { row, load } = stubPayment({ amount: 1 });
+  const stale = load();
+  row.status = "completed";
+
+  assert.strictEqual(await verifyPayment(stale, 987), true);
+  assert.strictEqual(row.status, "completed");
+});
+
+test("a payment failed earlier completes on a successful verification", async () => {
+  const { row, load, credited } = stubPayment();
+  row.status = "failed";
+
+  assert.strictEqual(await verifyPayment(load(), 987), true);
+  assert.strictEqual(row.status, "completed");
+  assert.deepStrictEqual(credited, [5000]);
+});
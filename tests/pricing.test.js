@@ -0,0 +1,163 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { roundMoney } = require("../src/utils/money");
+const { calculatePricing, validatePricing } = require("../src/utils/pricing");
+
+test("roundMoney rounds halves away from zero on the decimal value", () => {
+  assert.strictEqual(roundMoney(1.005), 1.01);
+  assert.strictEqual(roundMoney(1.255), 1.26);
+  assert.strictEqual(roundMoney(2.675), 2.68);
+  assert.strictEqual(roundMoney(-0.125), -0.13);
+  assert.strictEqual(roundMoney(0.1 + 0.2), 0.3);
+  assert.strictEqual(roundMoney(-0.004), 0);
+  assert.strictEqual(roundMoney("12.345"), 12.35);
+  assert.strictEqual(roundMoney(undefined), 0);
+  assert.strictEqual(roundMoney(NaN), 0);
+});
+
+test("roundMoney uses the minor unit of the currency", () => {
+  assert.strictEqual(roundMoney(1.5, "JPY"), 2);
+  assert.strictEqual(roundMoney(2.5, "jpy"), 3);
+  assert.strictEqual(roundMoney(1.0005, "KWD"), 1.001);
+  assert.strictEqual(roundMoney(1.005, "NGN"), 1.01);
+});
+
+test("charges exclusive tax on top of discounted lines", () => {
+  const pricing = calculatePricing({
+    items: [
+      { quantity: 3, unitPrice: 33.335, discount: 10 },
+      { quantity: 1, unitPrice: 50 },
+    ],
+    taxRate: 7.5,
+    shippingFee: 10,
+  });
+
+  // 3 x 33.335 = 100.005 -> 100.01, less 10% = 90.009 -> 90.01
+  assert.strictEqual(pricing.items[0].subtotal, 90.01);
+  assert.strictEqual(pricing.subtotal, 140.01);
+  assert.strictEqual(pricing.taxAmount, 10.5);
+  assert.strictEqual(pricing.total, 160.51);
+});
+
+test("takes inclusive tax out of the price without adding it again", () => {
+  const pricing = calculatePricing({
+    items: [
+      {
+        quantity: 2,
+        unitPrice: 54.25,
+        taxes: [
+          { name: "VAT", rate: 7.5 },
+          { name: "Levy", rate: 1 },
+        ],
+      },
+    ],
+    taxInclusive: true,
+  });
+
+  assert.deepStrictEqual(pricing.taxBreakdown, [
+    { name: "VAT", rate: 7.5, taxableAmount: 100, taxAmount: 7.5 },
+    { name: "Levy", rate: 1, taxableAmount: 100, taxAmount: 1 },
+  ]);
+  assert.strictEqual(pricing.taxAmount, 8.5);
+  assert.strictEqual(pricing.items[0].total, 108.5);
+  assert.strictEqual(pricing.total, 108.5);
+});
+
+test("charges inclusive tax on what is left after the discount", () => {
+  const pricing = calculatePricing({
+    items: [{ quantity: 1, unitPrice: 215 }],
+    discount: 15,
+    discountType: "fixed",
+    taxRate: 7.5,
+    taxInclusive: true,
+  });
+
+  // 200 paid, of which 200 / 1.075 = 186.05 is net
+  assert.strictEqual(pricing.discountAmount, 15);
+  assert.strictEqual(pricing.taxBreakdown[0].taxableAmount, 186.05);
+  assert.strictEqual(pricing.taxAmount, 13.95);
+  assert.strictEqual(pricing.total, 200);
+});
+
+test("spreads the document discount so the shares add up exactly", () => {
+  const pricing = calculatePricing({
+    items: [
+      { quantity: 1, unitPrice: 100 },
+      { quantity: 1, unitPrice: 100 },
+      { quantity: 1, unitPrice: 100 },
+    ],
+    discount: 10,
+    discountType: "fixed",
+    taxRate: 7.5,
+  });
+
+  const shares = pricing.items.map((item) => item.allocatedDiscount);
+  assert.deepStrictEqual(shares, [3.34, 3.33, 3.33]);
+  assert.strictEqual(roundMoney(shares.reduce((a, b) => a + b, 0)), 10);
+  assert.strictEqual(pricing.taxBreakdown[0].taxableAmount, 290);
+  assert.strictEqual(pricing.taxAmount, 21.75);
+  assert.strictEqual(pricing.total, 311.75);
+});
+
+test("allocates a percentage discount by line value across tax groups", () => {
+  const pricing = calculatePricing({
+    items: [
+      { quantity: 3, unitPrice: 33.335, discount: 10 },
+      {
+        quantity: 1,
+        unitPrice: 50,
+        taxes: [
+          { name: "VAT", rate: 7.5 },
+          { name: "Levy", rate: 1 },
+        ],
+      },
+      { quantity: 1, unitPrice: 20, taxes: [{ name: "VAT", rate: 0 }] },
+    ],
+    discount: 5,
+    taxRate: 7.5,
+    shippingFee: 10,
+  });
+
+  assert.strictEqual(pricing.subtotal, 160.01);
+  assert.strictEqual(pricing.discountAmount, 8);
+  assert.deepStrictEqual(
+    pricing.items.map((item) => item.allocatedDiscount),
+    [4.5, 2.5, 1]
+  );
+  // 47.50 x 1% = 0.475 rounds up
+  assert.deepStrictEqual(pricing.items[1].appliedTaxes, [
+    { name: "VAT", rate: 7.5, amount: 3.56 },
+    { name: "Levy", rate: 1, amount: 0.48 },
+  ]);
+  assert.strictEqual(pricing.items[2].taxAmount, 0);
+  assert.strictEqual(pricing.taxAmount, 10.45);
+  assert.strictEqual(pricing.total, 172.46);
+});
+
+test("validatePricing rejects out-of-range values", () => {
+  assert.strictEqual(
+    validatePricing({ items: [{ quantity: 1, unitPrice: 5 }] }),
+    null
+  );
+  assert.match(
+    validatePricing({ items: [{ quantity: 0, unitPrice: 5 }] }),
+    /quantity/
+  );
+  assert.match(validatePricing({ taxRate: 101 }), /Tax rate/);
+  assert.match(validatePricing({ discount: 150 }), /Discount/);
+  assert.strictEqual(
+    validatePricing({ discount: 150, discountType: "fixed" }),
+    null
+  );
+  assert.match(validatePricing({ shippingFee: -1 }), /Shipping/);
+});
+
+test("validatePricing rejects malformed items and tax inclusive flags", () => {
+  assert.match(validatePricing({ items: [null] }), /object/);
+  assert.match(validatePricing({ items: ["item"] }), /object/);
+  assert.match(validatePricing({ items: [[1, 5]] }), /object/);
+  assert.match(validatePricing({ taxInclusive: "false" }), /Tax inclusive/);
+  assert.match(validatePricing({ taxInclusive: 1 }), /Tax inclusive/);
+  assert.strictEqual(validatePricing({ taxInclusive: false }), null);
+  assert.strictEqual(validatePricing({ taxInclusive: true }), null);
+});